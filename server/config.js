@@ -2,6 +2,26 @@
 const path = require('path');
 require('dotenv').config(); // Load environment variables from .env file
 
+/**
+ * Parse LLM_FALLBACKS: "provider:model" pairs separated by commas, e.g.
+ * "openai:gpt-4o,ollama:llama3:8b". Each provider's key and URL come from
+ * <PROVIDER>_API_KEY and <PROVIDER>_BASE_URL (OPENAI_API_KEY,
+ * OLLAMA_BASE_URL, OPENAI_COMPATIBLE_BASE_URL, ...).
+ */
+function parseFallbacks(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [provider, ...model] = entry.split(':');
+    const prefix = provider.toUpperCase().replace(/-/g, '_');
+    
+    return {
+      provider,
+      model: model.join(':'),
+      apiKey: process.env[`${prefix}_API_KEY`] || '',
+      baseUrl: process.env[`${prefix}_BASE_URL`] || ''
+    };
+  });
+}
+
 const config = {
   // Server configuration
   server: {
@@ -12,28 +32,129 @@ const config = {
   // LLM API configuration
   llm: {
     api: {
-      // Which provider to use: 'openai', 'anthropic', or 'localai'
+      // Which provider to use: 'openai', 'anthropic', 'localai' (legacy
+      // completions API), 'openai-compatible' (llama.cpp server, vLLM,
+      // LM Studio), 'ollama' or 'mock' (offline, see services/providers)
       provider: process.env.LLM_PROVIDER || 'openai',
       
       // API key for the selected provider
       apiKey: process.env.LLM_API_KEY || '',
       
-      // Model to use
-      model: process.env.LLM_MODEL || 'gpt-4',
+      // Model to use (each provider has its own default)
+      model: process.env.LLM_MODEL || '',
       
       // Default parameters
       temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
       maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '4000'),
       
       // Local LLM endpoint (if using localai)
-      endpoint: process.env.LOCAL_LLM_ENDPOINT || 'http://localhost:8080/v1/completions'
+      endpoint: process.env.LOCAL_LLM_ENDPOINT || 'http://localhost:8080/v1/completions',
+      
+      // API base URL, e.g. http://localhost:8080/v1 for openai-compatible or
+      // http://localhost:11434 for ollama (defaults to the provider's own)
+      baseUrl: process.env.LLM_BASE_URL || '',
+      
+      // Mock provider: the seed its responses are generated from, and an
+      // optional JSON file of canned responses ([{ match, response }])
+      mock: {
+        seed: process.env.LLM_MOCK_SEED || 'filmforge',
+        responsesFile: process.env.LLM_MOCK_RESPONSES || '',
+        delay: parseInt(process.env.LLM_MOCK_DELAY || '0')
+      },
+      
+      // Providers to fall back on, in order, when the one above fails
+      fallbacks: parseFallbacks(process.env.LLM_FALLBACKS),
+      
+      // Timeouts, retries and circuit breaking, applied to every provider
+      resilience: {
+        // How long a call may take (ms); streams may take as long as they
+        // like while tokens keep arriving within this time
+        timeout: parseInt(process.env.LLM_TIMEOUT_MS || '120000'),
+        
+        // Retries after a network error, timeout, 429 or 5xx, with
+        // exponential backoff from retryBaseDelay up to retryMaxDelay (ms)
+        retries: parseInt(process.env.LLM_MAX_RETRIES || '3'),
+        retryBaseDelay: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000'),
+        retryMaxDelay: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000'),
+        
+        // Failures in a row after which a provider is skipped, and for how
+        // long (ms)
+        breakerThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD || '5'),
+        breakerCooldown: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS || '60000')
+      }
     }
   },
   
+  // Token usage accounting
+  usage: {
+    // USD per million prompt and completion tokens. Models are priced by
+    // the longest entry their name starts with; models not listed (local
+    // ones, say) are free.
+    prices: {
+      'gpt-4': { prompt: 30, completion: 60 },
+      'gpt-4-turbo': { prompt: 10, completion: 30 },
+      'gpt-4o': { prompt: 2.5, completion: 10 },
+      'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+      'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+      'claude-3-opus': { prompt: 15, completion: 75 },
+      'claude-3-sonnet': { prompt: 3, completion: 15 },
+      'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+      'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+      'claude-3-5-haiku': { prompt: 0.8, completion: 4 }
+    },
+    
+    // JSON file of prices to add to or override the ones above, in the
+    // same shape
+    pricesFile: process.env.LLM_PRICES_FILE || ''
+  },
+  
+  // LLM response cache: calls repeated with the same provider, model,
+  // settings and prompt are answered from disk
+  cache: {
+    enabled: process.env.LLM_CACHE !== 'false',
+    directory: process.env.LLM_CACHE_DIRECTORY || path.join(__dirname, '../data/cache'),
+    
+    // How long responses are kept (ms; 0 keeps them until evicted)
+    ttl: parseInt(process.env.LLM_CACHE_TTL_MS || String(7 * 24 * 60 * 60 * 1000)),
+    
+    // Past either limit, the least recently used responses are removed
+    maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '1000'),
+    maxBytes: parseInt(process.env.LLM_CACHE_MAX_BYTES || String(100 * 1024 * 1024))
+  },
+  
+  // Prompt templates
+  prompts: {
+    // Where the templates are, and where their versions are kept
+    directory: process.env.PROMPTS_DIRECTORY || path.join(__dirname, 'prompts'),
+    historyDirectory: process.env.PROMPTS_HISTORY_DIRECTORY || path.join(__dirname, '../data/prompts'),
+    
+    // Reload the templates when their files change
+    watch: process.env.PROMPTS_WATCH !== 'false'
+  },
+  
+  // JSON responses (concepts, analyses): how many times a response that
+  // does not match its schema is sent back to the model to be fixed
+  structuredOutput: {
+    repairAttempts: parseInt(process.env.LLM_REPAIR_ATTEMPTS || '2')
+  },
+  
   // Storage configuration
   storage: {
     // Directory to store projects and assets
     projectsDirectory: process.env.PROJECTS_DIRECTORY || path.join(__dirname, '../data/projects')
+  },
+  
+  // Background job configuration
+  jobs: {
+    // Directory to store job state
+    directory: process.env.JOBS_DIRECTORY || path.join(__dirname, '../data/jobs'),
+    
+    // How many jobs run at the same time
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2'),
+    
+    // How many times a job is started before it is failed (jobs interrupted
+    // by a restart are started again)
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3')
   }
 };
 
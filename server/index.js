@@ -5,6 +5,15 @@ const bodyParser = require('body-parser');
 const path = require('path');
 const scriptRoutes = require('./routes/scriptRoutes');
 const projectRoutes = require('./routes/projectRoutes');
+const outlineRoutes = require('./routes/outlineRoutes');
+const breakdownRoutes = require('./routes/breakdownRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const cacheRoutes = require('./routes/cacheRoutes');
+const promptRoutes = require('./routes/promptRoutes');
+const JobQueue = require('./services/jobQueue');
 
 // Initialize express app
 const app = express();
@@ -18,12 +27,26 @@ app.use(express.static(path.join(__dirname, '../client/build')));
 // API Routes
 app.use('/api/scripts', scriptRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/projects/:projectId/outlines', outlineRoutes);
+app.use('/api/projects/:projectId/breakdowns', breakdownRoutes);
+app.use('/api/projects/:projectId/schedules', scheduleRoutes);
+app.use('/api/projects/:projectId/budgets', budgetRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/cache', cacheRoutes);
+app.use('/api/prompts', promptRoutes);
 
 // Serve React app for any other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/build', 'index.html'));
 });
 
+// Pick up background jobs left over from the last run (handlers are
+// registered by the routes above)
+JobQueue.shared.start().catch(error => {
+  console.error('Error starting the job queue:', error);
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`FilmForge AI server running on port ${PORT}`);
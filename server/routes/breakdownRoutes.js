@@ -0,0 +1,242 @@
+// server/routes/breakdownRoutes.js - Routes for script breakdowns
+//
+// Mounted under /api/projects/:projectId/breakdowns. A breakdown is a
+// project asset of type 'breakdown' listing, scene by scene, what a
+// screenplay asset of the project needs to be shot (see SceneBreakdown). It
+// can be edited scene by scene, and exported as CSV or HTML sheets. The
+// optional LLM pass is recorded against the project's usage and held to its
+// budget.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const ScriptGenerator = require('../services/scriptGenerator');
+const ScreenplayFormatter = require('../services/screenplayFormatter');
+const ProjectManager = require('../services/projectManager');
+const UsageTracker = require('../services/usageTracker');
+const PromptLibrary = require('../services/promptLibrary');
+const LocationCatalogue = require('../services/locationCatalogue');
+const SceneBreakdown = require('../services/sceneBreakdown');
+const BreakdownSheets = require('../services/breakdownSheets');
+
+// Initialize services
+const scriptGenerator = new ScriptGenerator();
+const screenplayFormatter = new ScreenplayFormatter();
+const projectManager = new ProjectManager();
+const usageTracker = new UsageTracker({ projectManager });
+const locationCatalogue = new LocationCatalogue({ projectManager, screenplayFormatter });
+const sceneBreakdown = new SceneBreakdown({ screenplayFormatter, locationCatalogue });
+const breakdownSheets = new BreakdownSheets();
+
+/**
+ * Load a breakdown asset, answering 404 (and resolving to null) when the
+ * asset is missing or is not a breakdown
+ */
+async function loadBreakdown(req, res) {
+  const { projectId, assetId } = req.params;
+  const asset = await projectManager.getAsset(projectId, assetId);
+  
+  if (!asset || asset.type !== 'breakdown') {
+    res.status(404).json({ error: 'Breakdown not found' });
+    return null;
+  }
+  return asset;
+}
+
+function breakdownMetadata(breakdown) {
+  return {
+    screenplayAssetId: breakdown.screenplayAssetId,
+    screenplayVersion: breakdown.screenplayVersion,
+    title: breakdown.title,
+    sceneCount: breakdown.scenes.length,
+    llm: breakdown.llm
+  };
+}
+
+/**
+ * Answer a request refused because the project has spent its budget (see
+ * UsageTracker.assertWithinBudget)
+ */
+function budgetExceeded(res, error) {
+  return res.status(402).json({ error: error.message, budget: error.budget });
+}
+
+/**
+ * Break down a screenplay asset of the project. Cast, extras, props and
+ * the rest are detected from the character cues and the words the action
+ * lines put in capitals; with llm: true the model adds what that misses
+ * (502 with the problems found if it cannot produce a breakdown following
+ * schemas/breakdown.json).
+ * 
+ * Request body:
+ * {
+ *   screenplayAssetId: string,
+ *   llm: boolean,       // Optional: also ask the model
+ *   noCache: boolean,   // Optional: call the model even if the response is
+ *                       // cached
+ *   author: string      // Optional, recorded in the version history
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { screenplayAssetId, llm, noCache, author } = req.body;
+    
+    // Validate input
+    if (!screenplayAssetId) {
+      return res.status(400).json({ error: 'screenplayAssetId is required' });
+    }
+    
+    if (!(await projectManager.getProject(projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const screenplay = await projectManager.getAsset(projectId, screenplayAssetId);
+    if (!screenplay || screenplay.type !== 'screenplay') {
+      return res.status(404).json({ error: 'Screenplay asset not found' });
+    }
+    
+    const characters = (await projectManager.getCharacters(projectId)) || [];
+    let breakdown = sceneBreakdown.detect(screenplay, characters);
+    
+    if (!breakdown.scenes.length) {
+      return res.status(400).json({ error: 'The screenplay has no scenes' });
+    }
+    
+    const calls = [];
+    if (llm) {
+      await usageTracker.assertWithinBudget(projectId);
+      const result = await scriptGenerator.breakdownScreenplay(sceneBreakdown.sceneTexts(breakdown, screenplay), { projectId, noCache, calls });
+      breakdown = sceneBreakdown.merge(breakdown, result, characters);
+    }
+    
+    const prompts = PromptLibrary.callVersions(calls);
+    const assetId = await projectManager.addAsset(projectId, 'breakdown', breakdown, {
+      ...breakdownMetadata(breakdown),
+      prompts
+    }, { author, message: `Broke down ${breakdown.title || 'screenplay'}` });
+    
+    if (!assetId) {
+      return res.status(500).json({ error: 'Failed to save breakdown' });
+    }
+    
+    res.json({ success: true, assetId, breakdown, meta: { llm: calls, prompts } });
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return budgetExceeded(res, error);
+    }
+    if (error.code === 'INVALID_OUTPUT') {
+      return res.status(502).json({ error: error.message, errors: error.errors });
+    }
+    console.error('Error creating breakdown:', error);
+    res.status(500).json({ error: 'Failed to create breakdown', details: error.message });
+  }
+});
+
+/**
+ * List the project's breakdowns
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const assets = await projectManager.getAssets(projectId, 'breakdown');
+    
+    if (!assets) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const breakdowns = Object.values(assets).map(({ id, metadata, createdAt, updatedAt, version }) =>
+      ({ id, ...metadata, createdAt, updatedAt, version }));
+    
+    res.json({ success: true, breakdowns });
+  } catch (error) {
+    console.error('Error listing breakdowns:', error);
+    res.status(500).json({ error: 'Failed to list breakdowns', details: error.message });
+  }
+});
+
+/**
+ * Get a breakdown
+ */
+router.get('/:assetId', async (req, res) => {
+  try {
+    const asset = await loadBreakdown(req, res);
+    if (!asset) return;
+    
+    res.json({ success: true, breakdown: asset.data });
+  } catch (error) {
+    console.error('Error getting breakdown:', error);
+    res.status(500).json({ error: 'Failed to get breakdown', details: error.message });
+  }
+});
+
+/**
+ * Edit a scene of a breakdown by hand. The scene is marked edited.
+ * 
+ * Request body (every field optional):
+ * {
+ *   elements: object,  // Lists replacing those of the categories given,
+ *                      // e.g. { props: ['Revolver'], extras: [] }
+ *   notes: string,
+ *   author: string     // Optional, recorded in the version history
+ * }
+ */
+router.put('/:assetId/scenes/:index', async (req, res) => {
+  try {
+    const { projectId, assetId, index } = req.params;
+    const { author, ...changes } = req.body;
+    
+    const asset = await loadBreakdown(req, res);
+    if (!asset) return;
+    
+    const { breakdown, errors } = sceneBreakdown.edit(asset.data, index, changes);
+    
+    if (!breakdown) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid scene breakdown', errors });
+    }
+    
+    const scene = breakdown.scenes.find(entry => String(entry.index) === String(index));
+    const saved = await projectManager.updateAsset(projectId, assetId, breakdown, breakdownMetadata(breakdown), {
+      author,
+      message: `Edited scene ${scene.number || scene.heading}`
+    });
+    
+    if (!saved) {
+      return res.status(500).json({ error: 'Failed to save breakdown' });
+    }
+    
+    res.json({ success: true, scene });
+  } catch (error) {
+    console.error('Error updating breakdown:', error);
+    res.status(500).json({ error: 'Failed to update breakdown', details: error.message });
+  }
+});
+
+/**
+ * Export a breakdown: ?format=csv (one row per scene, the default) or
+ * html (a printable breakdown sheet per scene)
+ */
+router.get('/:assetId/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    
+    if (!BreakdownSheets.FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format: ${format} (expected ${BreakdownSheets.FORMATS.join(' or ')})` });
+    }
+    
+    const asset = await loadBreakdown(req, res);
+    if (!asset) return;
+    
+    const exported = breakdownSheets.exportFormat(format, asset.data, { title: asset.data.title });
+    
+    res.attachment(exported.filename);
+    res.set('Content-Type', exported.contentType);
+    res.send(exported.content);
+  } catch (error) {
+    console.error('Error exporting breakdown:', error);
+    res.status(500).json({ error: 'Failed to export breakdown', details: error.message });
+  }
+});
+
+module.exports = router;
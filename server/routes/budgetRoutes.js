@@ -0,0 +1,301 @@
+// server/routes/budgetRoutes.js - Routes for budget top sheets and rate cards
+//
+// Mounted under /api/projects/:projectId/budgets. A budget is a project
+// asset of type 'budget': a top sheet worked out from a breakdown and
+// schedule at the project's rate card (see BudgetEstimator). Budgets are
+// recalculated, as a new version, when they are read after the screenplay,
+// breakdown, schedule or rate card they were worked out from has changed.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const ScreenplayFormatter = require('../services/screenplayFormatter');
+const ProjectManager = require('../services/projectManager');
+const LocationCatalogue = require('../services/locationCatalogue');
+const SceneBreakdown = require('../services/sceneBreakdown');
+const BudgetEstimator = require('../services/budgetEstimator');
+
+// Initialize services
+const screenplayFormatter = new ScreenplayFormatter();
+const projectManager = new ProjectManager();
+const locationCatalogue = new LocationCatalogue({ projectManager, screenplayFormatter });
+const sceneBreakdown = new SceneBreakdown({ screenplayFormatter, locationCatalogue });
+const budgetEstimator = new BudgetEstimator({ projectManager, sceneBreakdown });
+
+/**
+ * Load a budget asset, answering 404 (and resolving to null) when the
+ * asset is missing or is not a budget
+ */
+async function loadBudget(req, res) {
+  const { projectId, assetId } = req.params;
+  const asset = await projectManager.getAsset(projectId, assetId);
+  
+  if (!asset || asset.type !== 'budget') {
+    res.status(404).json({ error: 'Budget not found' });
+    return null;
+  }
+  return asset;
+}
+
+function budgetMetadata(budget) {
+  return {
+    ...budget.sources,
+    title: budget.title,
+    currency: budget.currency,
+    total: budget.total,
+    shootDays: budget.basis.shootDays
+  };
+}
+
+// Recalculations on read in progress, by budget asset id, so reads that
+// arrive meanwhile wait for it rather than save a version of their own
+const refreshing = new Map();
+
+/**
+ * Recalculate a budget if what it was worked out from has changed (or
+ * with force, regardless), saving the result as a new version. Resolves
+ * to { budget, recalculated, changes }, with error when the budget could
+ * not be recalculated because its sources have been deleted: it is left as
+ * it is. Rejects when the new version cannot be saved.
+ */
+function refreshBudget(projectId, asset, options = {}) {
+  if (options.force) {
+    return recalculateBudget(projectId, asset, options);
+  }
+  if (!refreshing.has(asset.id)) {
+    const refresh = recalculateBudget(projectId, asset, options);
+    refreshing.set(asset.id, refresh);
+    refresh.then(() => refreshing.delete(asset.id), () => refreshing.delete(asset.id));
+  }
+  return refreshing.get(asset.id);
+}
+
+async function recalculateBudget(projectId, asset, options) {
+  const changes = await budgetEstimator.changes(projectId, asset.data);
+  
+  if (!changes.length && !options.force) {
+    return { budget: asset.data, recalculated: false, changes };
+  }
+  
+  const { scheduleAssetId, breakdownAssetId, screenplayAssetId } = asset.data.sources;
+  const budget = await budgetEstimator.build(projectId, { scheduleAssetId, breakdownAssetId, screenplayAssetId });
+  
+  if (budget.error) {
+    return { budget: asset.data, recalculated: false, changes, error: budget.error };
+  }
+  
+  // Another read may have recalculated it meanwhile; one new version will do
+  const current = await projectManager.getAsset(projectId, asset.id);
+  if (!options.force && current && current.version !== asset.version) {
+    return { budget: current.data, recalculated: true, changes };
+  }
+  
+  const saved = await projectManager.updateAsset(projectId, asset.id, budget, budgetMetadata(budget), {
+    author: options.author,
+    message: changes.length ? `Recalculated: ${changes.join('; ')}` : 'Recalculated'
+  });
+  
+  if (!saved) {
+    throw new Error('Could not save the recalculated budget');
+  }
+  return { budget, recalculated: true, changes };
+}
+
+/**
+ * Get the project's rate card: the default rates with the project's own
+ * over them (rateCard), and the project's own rates alone (own)
+ */
+router.get('/rate-card', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const project = await projectManager.getProject(projectId);
+    
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    res.json({
+      success: true,
+      rateCard: budgetEstimator.rateCard(project),
+      own: (project.settings && project.settings.rateCard) || {}
+    });
+  } catch (error) {
+    console.error('Error getting rate card:', error);
+    res.status(500).json({ error: 'Failed to get rate card', details: error.message });
+  }
+});
+
+/**
+ * Set the project's own rates, replacing those set before. Anything left
+ * out is charged at the default rate; {} goes back to the defaults.
+ * 
+ * Request body (every section optional):
+ * {
+ *   currency: string,      // e.g. "USD"
+ *   pagesPerDay: number,   // Estimates shoot days when there is no schedule
+ *   aboveTheLine: { story, producers, director },
+ *   cast: { default, rates: { "ANNA REYES": 5000 } },  // Per day
+ *   extras: { day, crowd },   // Per extra per day; extras in a crowd
+ *   crew: { "Camera": 2200, ... },      // Per shoot day, by department
+ *   equipment: { "Camera": 1500, ... }, // Per shoot day
+ *   locations: { day, move },  // Per location per day; per company move
+ *   elements: { props, wardrobe, makeup, vehicles, animals, sfx, sound },
+ *   vfx: { shot },
+ *   post: { editorial, music, sound, finishing },
+ *   other: { insurance, contingency }  // Percent
+ * }
+ */
+router.put('/rate-card', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const project = await projectManager.getProject(projectId);
+    
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const { rateCard, errors } = budgetEstimator.checkRateCard(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid rate card', errors });
+    }
+    
+    const settings = { ...project.settings, rateCard: { ...rateCard, updatedAt: new Date().toISOString() } };
+    await projectManager.updateProject(projectId, { settings });
+    
+    res.json({ success: true, rateCard: budgetEstimator.rateCard({ settings }), own: settings.rateCard });
+  } catch (error) {
+    console.error('Error setting rate card:', error);
+    res.status(500).json({ error: 'Failed to set rate card', details: error.message });
+  }
+});
+
+/**
+ * Work out a budget and save it as a project asset. Day counts come from
+ * the schedule when there is one, and are estimated from the page count
+ * otherwise.
+ * 
+ * Request body:
+ * {
+ *   scheduleAssetId: string,    // A schedule (and its breakdown), or...
+ *   breakdownAssetId: string,   // ...a breakdown, or...
+ *   screenplayAssetId: string,  // ...a screenplay, broken down from its text
+ *   author: string              // Optional, recorded in the version history
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { scheduleAssetId, breakdownAssetId, screenplayAssetId, author } = req.body;
+    
+    // Validate input
+    if (!scheduleAssetId && !breakdownAssetId && !screenplayAssetId) {
+      return res.status(400).json({ error: 'scheduleAssetId, breakdownAssetId or screenplayAssetId is required' });
+    }
+    
+    const budget = await budgetEstimator.build(projectId, { scheduleAssetId, breakdownAssetId, screenplayAssetId });
+    
+    if (budget.error) {
+      return res.status(404).json({ error: budget.error });
+    }
+    
+    const assetId = await projectManager.addAsset(projectId, 'budget', budget, budgetMetadata(budget), {
+      author,
+      message: `Budgeted ${budget.title || 'screenplay'}`
+    });
+    
+    if (!assetId) {
+      return res.status(500).json({ error: 'Failed to save budget' });
+    }
+    
+    res.json({ success: true, assetId, budget });
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({ error: 'Failed to create budget', details: error.message });
+  }
+});
+
+/**
+ * List the project's budgets
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const assets = await projectManager.getAssets(projectId, 'budget');
+    
+    if (!assets) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const budgets = Object.values(assets).map(({ id, metadata, createdAt, updatedAt, version }) =>
+      ({ id, ...metadata, createdAt, updatedAt, version }));
+    
+    res.json({ success: true, budgets });
+  } catch (error) {
+    console.error('Error listing budgets:', error);
+    res.status(500).json({ error: 'Failed to list budgets', details: error.message });
+  }
+});
+
+/**
+ * Get a budget, recalculated first if what it was worked out from has
+ * changed. ?format=csv exports the top sheet. A budget that could not be
+ * recalculated is stale (and the CSV sent with an X-Budget-Stale header).
+ */
+router.get('/:assetId', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { format } = req.query;
+    
+    if (format && format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: `Unsupported format: ${format} (expected json or csv)` });
+    }
+    
+    const asset = await loadBudget(req, res);
+    if (!asset) return;
+    
+    const { budget, recalculated, changes, error } = await refreshBudget(projectId, asset);
+    const stale = Boolean(error) && changes.length > 0;
+    
+    if (format === 'csv') {
+      const base = String(budget.title || '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+      res.attachment(`${base || 'screenplay'}_top_sheet.csv`);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      if (stale) res.set('X-Budget-Stale', 'true');
+      return res.send(budgetEstimator.topSheetCsv(budget));
+    }
+    
+    res.json({ success: true, budget, recalculated, stale, changes, ...(error ? { error } : {}) });
+  } catch (error) {
+    console.error('Error getting budget:', error);
+    res.status(500).json({ error: 'Failed to get budget', details: error.message });
+  }
+});
+
+/**
+ * Recalculate a budget now, e.g. after changing rates by hand
+ * 
+ * Request body:
+ * {
+ *   author: string  // Optional, recorded in the version history
+ * }
+ */
+router.post('/:assetId/recalculate', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { author } = req.body;
+    
+    const asset = await loadBudget(req, res);
+    if (!asset) return;
+    
+    const { budget, recalculated, changes, error } = await refreshBudget(projectId, asset, { force: true, author });
+    
+    if (error) {
+      return res.status(409).json({ error: `Cannot recalculate: ${error}`, budget });
+    }
+    
+    res.json({ success: true, budget, recalculated, changes });
+  } catch (error) {
+    console.error('Error recalculating budget:', error);
+    res.status(500).json({ error: 'Failed to recalculate budget', details: error.message });
+  }
+});
+
+module.exports = router;
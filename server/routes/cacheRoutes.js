@@ -0,0 +1,75 @@
+// server/routes/cacheRoutes.js - Admin routes for the LLM response cache
+const express = require('express');
+const router = express.Router();
+const ResponseCache = require('../services/responseCache');
+
+const responseCache = ResponseCache.shared;
+
+/**
+ * The cache's size, limits and hit counts, with its entries (without their
+ * text), most recently used first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await responseCache.status();
+    const entries = await responseCache.list();
+    
+    res.json({ success: true, cache: status, entries });
+  } catch (error) {
+    console.error('Error getting the response cache:', error);
+    res.status(500).json({ error: 'Failed to get the response cache', details: error.message });
+  }
+});
+
+/**
+ * Get a cached entry with its response text
+ */
+router.get('/:key', async (req, res) => {
+  try {
+    const entry = await responseCache.entry(req.params.key);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error('Error getting cache entry:', error);
+    res.status(500).json({ error: 'Failed to get cache entry', details: error.message });
+  }
+});
+
+/**
+ * Purge the cache
+ * 
+ * Query: ?expired=true to remove only expired entries
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const removed = await responseCache.purge({ expired: req.query.expired === 'true' });
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error purging the response cache:', error);
+    res.status(500).json({ error: 'Failed to purge the response cache', details: error.message });
+  }
+});
+
+/**
+ * Remove one entry from the cache
+ */
+router.delete('/:key', async (req, res) => {
+  try {
+    const removed = await responseCache.delete(req.params.key);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing cache entry:', error);
+    res.status(500).json({ error: 'Failed to remove cache entry', details: error.message });
+  }
+});
+
+module.exports = router;
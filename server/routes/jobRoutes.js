@@ -0,0 +1,66 @@
+// server/routes/jobRoutes.js - API routes for background jobs
+const express = require('express');
+const router = express.Router();
+const JobQueue = require('../services/jobQueue');
+
+const jobQueue = JobQueue.shared;
+
+/**
+ * List jobs, newest first
+ *
+ * Query: ?status=queued|running|completed|failed|cancelled
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobs = jobQueue.listJobs(req.query.status || null);
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs', details: error.message });
+  }
+});
+
+/**
+ * Get a job's status, progress and, once completed, its result
+ */
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = jobQueue.getJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({ error: 'Failed to get job', details: error.message });
+  }
+});
+
+/**
+ * Cancel a queued or running job
+ */
+router.delete('/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = jobQueue.getJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.status !== 'queued' && job.status !== 'running') {
+      return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+    
+    await jobQueue.cancel(jobId);
+    
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,452 @@
+// server/routes/outlineRoutes.js - Routes for outline-driven screenplay generation
+//
+// Mounted under /api/projects/:projectId/outlines. An outline is a project
+// asset of type 'outline' that moves through the stages beats -> scenes ->
+// writing -> written; it can be edited between any of them. Every LLM call
+// is recorded against the project's usage and held to its budget.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const ScriptGenerator = require('../services/scriptGenerator');
+const ScreenplayFormatter = require('../services/screenplayFormatter');
+const ScreenplayPipeline = require('../services/screenplayPipeline');
+const ProjectManager = require('../services/projectManager');
+const JobQueue = require('../services/jobQueue');
+const UsageTracker = require('../services/usageTracker');
+const CharacterBible = require('../services/characterBible');
+
+// Initialize services
+const scriptGenerator = new ScriptGenerator();
+const screenplayFormatter = new ScreenplayFormatter();
+const pipeline = new ScreenplayPipeline(scriptGenerator);
+const projectManager = new ProjectManager();
+const usageTracker = new UsageTracker({ projectManager });
+const characterBible = new CharacterBible({ projectManager, screenplayFormatter });
+const jobQueue = JobQueue.shared;
+
+/**
+ * Load an outline asset, answering 404 (and resolving to null) when the
+ * asset is missing or is not an outline
+ */
+async function loadOutline(req, res) {
+  const { projectId, assetId } = req.params;
+  const asset = await projectManager.getAsset(projectId, assetId);
+  
+  if (!asset || asset.type !== 'outline') {
+    res.status(404).json({ error: 'Outline not found' });
+    return null;
+  }
+  return asset;
+}
+
+/**
+ * Save an outline as a new version of its asset, throwing when the save
+ * fails so the request (or job) fails with it
+ */
+async function saveOutline(projectId, assetId, outline, options = {}) {
+  const saved = await projectManager.updateAsset(projectId, assetId, outline, pipeline.outlineMetadata(outline), options);
+  
+  if (!saved) {
+    throw new Error(`Could not save outline ${assetId}`);
+  }
+  return saved;
+}
+
+/**
+ * Answer a request refused because the project has spent its budget (see
+ * UsageTracker.assertWithinBudget)
+ */
+function budgetExceeded(res, error) {
+  return res.status(402).json({ error: error.message, budget: error.budget });
+}
+
+/**
+ * The write job still queued or running for an outline, if any
+ */
+function activeWriteJob(assetId) {
+  return jobQueue.listJobs().find(job => job.type === 'write-outline' &&
+    job.params.assetId === assetId &&
+    (job.status === 'queued' || job.status === 'running'));
+}
+
+// Writes every pending scene of an outline, one after another. The outline
+// is saved after each scene, so progress survives a restart and a resumed
+// job carries on from the first scene still pending.
+jobQueue.registerHandler('write-outline', {
+  run: async ({ projectId, assetId, noCache }, { onProgress, signal, meta }) => {
+    meta.llm = [];
+    
+    for (;;) {
+      const asset = await projectManager.getAsset(projectId, assetId);
+      if (!asset) {
+        throw new Error('Outline not found');
+      }
+      
+      const outline = asset.data;
+      const scene = pipeline.nextPending(outline);
+      const written = outline.scenes.filter(entry => entry.status === 'written').length;
+      onProgress({ total: outline.scenes.length, written, scene: scene ? scene.number : null });
+      
+      if (!scene) {
+        return { assetId, scenes: outline.scenes.length };
+      }
+      
+      const result = await pipeline.writeScene(outline, scene.id, { signal, calls: meta.llm, projectId, noCache });
+      
+      // Reload, so edits made while the scene was being written are kept.
+      // A scene removed in the meantime is dropped.
+      const current = await projectManager.getAsset(projectId, assetId);
+      const updated = current && pipeline.applyScene(current.data, scene.id, result);
+      if (updated) {
+        await saveOutline(projectId, assetId, updated, { message: `Wrote scene ${scene.number}` });
+      }
+    }
+  }
+});
+
+/**
+ * Start an outline: generate the beat sheet for a concept
+ *
+ * Request body:
+ * {
+ *   concept: object|string,  // The concept, or...
+ *   conceptAssetId: string,  // ...a concept asset of the project
+ *   characters: array,       // Optional character details
+ *   characterIds: array,     // Optional: characters of the project, whose
+ *                            // stored profiles are copied into the outline
+ *   setting: string,         // Optional setting notes for every scene
+ *   structure: string,       // Optional story structure preference
+ *   targetPages: number,     // Optional target length (default 100)
+ *   noCache: boolean         // Optional: call the model even if the response
+ *                            // is cached
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { conceptAssetId, characters, characterIds, setting, structure, targetPages, noCache } = req.body;
+    let { concept } = req.body;
+    
+    if (!(await projectManager.getProject(projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    if (!concept && conceptAssetId) {
+      const conceptAsset = await projectManager.getAsset(projectId, conceptAssetId);
+      if (!conceptAsset) {
+        return res.status(404).json({ error: 'Concept asset not found' });
+      }
+      concept = conceptAsset.data;
+    }
+    
+    // Validate input
+    if (!concept) {
+      return res.status(400).json({ error: 'Concept or conceptAssetId is required' });
+    }
+    if (characterIds !== undefined && (!Array.isArray(characterIds) || characterIds.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({ error: 'characterIds must be a list of character IDs' });
+    }
+    
+    const profiles = characterIds ? await characterBible.profiles(projectId, characterIds) : [];
+    
+    const calls = [];
+    const outline = await pipeline.createOutline(concept, {
+      characters: [...profiles, ...(Array.isArray(characters) ? characters : [])],
+      setting,
+      structure,
+      targetPages: parseInt(targetPages) || undefined,
+      projectId,
+      noCache,
+      calls
+    });
+    
+    const assetId = await projectManager.addAsset(projectId, 'outline', outline, {
+      ...pipeline.outlineMetadata(outline),
+      conceptAssetId: conceptAssetId || null
+    }, { message: 'Generated beat sheet' });
+    
+    res.json({ success: true, assetId, outline, meta: { llm: calls } });
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return budgetExceeded(res, error);
+    }
+    if (error.code === 'CHARACTER_NOT_FOUND') {
+      return res.status(404).json({ error: 'Characters not found', missing: error.missing });
+    }
+    console.error('Error creating outline:', error);
+    res.status(500).json({ error: 'Failed to create outline', details: error.message });
+  }
+});
+
+/**
+ * Get an outline, with the job writing its scenes if one is under way
+ */
+router.get('/:assetId', async (req, res) => {
+  try {
+    const asset = await loadOutline(req, res);
+    if (!asset) return;
+    
+    const job = activeWriteJob(asset.id);
+    
+    res.json({ success: true, outline: asset.data, jobId: job ? job.id : null });
+  } catch (error) {
+    console.error('Error getting outline:', error);
+    res.status(500).json({ error: 'Failed to get outline', details: error.message });
+  }
+});
+
+/**
+ * Edit an outline between stages
+ *
+ * Request body (every field optional):
+ * {
+ *   beats: array,        // The full beat list: [{ name, description }]
+ *   scenes: array,       // The full scene list: [{ id, heading, description,
+ *                        // characters, beat, raw }]; scenes without an id
+ *                        // are new, scenes left out are removed
+ *   concept, characters, setting, structure, targetPages,
+ *   author: string       // Optional, recorded in the version history
+ * }
+ */
+router.put('/:assetId', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    const { author, ...edits } = req.body;
+    
+    const asset = await loadOutline(req, res);
+    if (!asset) return;
+    
+    if (edits.beats !== undefined && !Array.isArray(edits.beats)) {
+      return res.status(400).json({ error: 'Beats must be an array' });
+    }
+    if (edits.scenes !== undefined && !Array.isArray(edits.scenes)) {
+      return res.status(400).json({ error: 'Scenes must be an array' });
+    }
+    
+    const outline = pipeline.editOutline(asset.data, edits);
+    await saveOutline(projectId, assetId, outline, { author, message: 'Edited outline' });
+    
+    res.json({ success: true, outline });
+  } catch (error) {
+    console.error('Error updating outline:', error);
+    res.status(500).json({ error: 'Failed to update outline', details: error.message });
+  }
+});
+
+/**
+ * Generate the numbered scene list from the outline's beats
+ *
+ * Request body:
+ * {
+ *   sceneCount: number,  // Optional, defaults to one scene per two pages
+ *   replace: boolean,    // Required once scenes have been written, since
+ *                        // the new list replaces them
+ *   noCache: boolean     // Optional: call the model even if the response is
+ *                        // cached
+ * }
+ */
+router.post('/:assetId/scenes', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    const { sceneCount, replace, noCache } = req.body;
+    
+    const asset = await loadOutline(req, res);
+    if (!asset) return;
+    
+    if (!asset.data.beats.length) {
+      return res.status(400).json({ error: 'The outline has no beats' });
+    }
+    if (activeWriteJob(assetId)) {
+      return res.status(409).json({ error: 'Scenes are being written' });
+    }
+    if (!replace && asset.data.scenes.some(scene => scene.status === 'written')) {
+      return res.status(409).json({ error: 'Scenes have already been written; pass replace: true to start over' });
+    }
+    
+    const calls = [];
+    const outline = await pipeline.planScenes(asset.data, { sceneCount: parseInt(sceneCount) || undefined, projectId, noCache, calls });
+    await saveOutline(projectId, assetId, outline, { message: 'Generated scene list' });
+    
+    res.json({ success: true, outline, meta: { llm: calls } });
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return budgetExceeded(res, error);
+    }
+    console.error('Error generating scene list:', error);
+    res.status(500).json({ error: 'Failed to generate scene list', details: error.message });
+  }
+});
+
+/**
+ * Write the outline's pending scenes in a background job. Poll the job at
+ * /api/jobs/:jobId for progress.
+ *
+ * Request body:
+ * {
+ *   rewrite: boolean, // Optional: write every scene again, not just the
+ *                     // pending ones
+ *   noCache: boolean  // Optional: call the model even if responses are
+ *                     // cached (rewriting from the same outline otherwise
+ *                     // gives back the same scenes)
+ * }
+ */
+router.post('/:assetId/write', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    
+    const asset = await loadOutline(req, res);
+    if (!asset) return;
+    
+    if (!asset.data.scenes.length) {
+      return res.status(400).json({ error: 'The outline has no scenes' });
+    }
+    
+    const running = activeWriteJob(assetId);
+    if (running) {
+      return res.status(409).json({ error: 'Scenes are already being written', jobId: running.id });
+    }
+    
+    // Refuse up front rather than fail the job at its first scene
+    await usageTracker.assertWithinBudget(projectId);
+    
+    if (req.body.rewrite) {
+      await saveOutline(projectId, assetId, pipeline.resetScenes(asset.data), { message: 'Cleared scenes to rewrite' });
+    }
+    
+    const job = await jobQueue.enqueue('write-outline', { projectId, assetId, noCache: Boolean(req.body.noCache) });
+    
+    res.status(202).json({ success: true, jobId: job.id, status: job.status });
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return budgetExceeded(res, error);
+    }
+    console.error('Error writing outline:', error);
+    res.status(500).json({ error: 'Failed to write outline', details: error.message });
+  }
+});
+
+/**
+ * Write (or rewrite) a single scene of the outline
+ *
+ * Request body:
+ * {
+ *   author: string,   // Optional, recorded in the version history
+ *   noCache: boolean  // Optional: call the model even if the response is
+ *                     // cached
+ * }
+ */
+router.post('/:assetId/scenes/:number/generate', async (req, res) => {
+  try {
+    const { projectId, assetId, number } = req.params;
+    
+    const asset = await loadOutline(req, res);
+    if (!asset) return;
+    
+    const scene = asset.data.scenes.find(entry => entry.number === parseInt(number));
+    if (!scene) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+    if (activeWriteJob(assetId)) {
+      return res.status(409).json({ error: 'Scenes are being written' });
+    }
+    
+    const calls = [];
+    const result = await pipeline.writeScene(asset.data, scene.id, { projectId, noCache: req.body.noCache, calls });
+    
+    const current = await projectManager.getAsset(projectId, assetId);
+    const outline = pipeline.applyScene(current.data, scene.id, result);
+    if (!outline) {
+      return res.status(409).json({ error: 'The scene was removed while it was being written' });
+    }
+    
+    await saveOutline(projectId, assetId, outline, { author: req.body.author, message: `Rewrote scene ${scene.number}` });
+    
+    res.json({
+      success: true,
+      scene: outline.scenes.find(entry => entry.id === scene.id),
+      formatted: screenplayFormatter.formatScreenplay(result.raw),
+      meta: { llm: calls }
+    });
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return budgetExceeded(res, error);
+    }
+    console.error('Error generating scene:', error);
+    res.status(500).json({ error: 'Failed to generate scene', details: error.message });
+  }
+});
+
+/**
+ * Assemble the written scenes into the outline's screenplay asset, creating
+ * it the first time and adding a version to it after that
+ *
+ * Request body:
+ * {
+ *   allowMissing: boolean,  // Optional: assemble even with scenes unwritten
+ *   author: string,         // Optional, recorded in the version history
+ *   message: string         // Optional, recorded in the version history
+ * }
+ */
+router.post('/:assetId/assemble', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    const { allowMissing, author } = req.body;
+    
+    const asset = await loadOutline(req, res);
+    if (!asset) return;
+    
+    const { raw, missing } = pipeline.assemble(asset.data);
+    
+    if (!raw) {
+      return res.status(400).json({ error: 'No scenes have been written' });
+    }
+    if (missing.length && !allowMissing) {
+      return res.status(409).json({ error: 'Some scenes have not been written', missing });
+    }
+    
+    const message = req.body.message || `Assembled from outline ${assetId}`;
+    let data = { raw, formatted: screenplayFormatter.formatScreenplay(raw) };
+    let screenplayAssetId = asset.data.screenplayAssetId;
+    const screenplay = screenplayAssetId && await projectManager.getAsset(projectId, screenplayAssetId);
+    
+    if (screenplay) {
+      // Locked screenplays keep their scene numbers, as when edited by hand
+      const { lock } = screenplay.metadata;
+      if (lock) {
+        data = screenplayFormatter.replaceScreenplayDocument(data, screenplayFormatter.applyLock(data, lock));
+      }
+      const saved = await projectManager.updateAsset(projectId, screenplayAssetId, data, {
+        ...screenplayFormatter.screenplayMetadata(data, lock),
+        prompts: pipeline.promptVersions(asset.data)
+      }, { author, message });
+      
+      if (!saved) {
+        return res.status(500).json({ error: 'Failed to save screenplay' });
+      }
+    } else {
+      screenplayAssetId = await projectManager.addAsset(projectId, 'screenplay', data, {
+        ...screenplayFormatter.screenplayMetadata(data),
+        prompts: pipeline.promptVersions(asset.data),
+        outlineAssetId: assetId
+      }, { author, message });
+      
+      if (!screenplayAssetId) {
+        return res.status(500).json({ error: 'Failed to save screenplay' });
+      }
+      
+      const current = await projectManager.getAsset(projectId, assetId);
+      await saveOutline(projectId, assetId, { ...current.data, screenplayAssetId }, { author, message: 'Assembled screenplay' });
+    }
+    
+    res.json({
+      success: true,
+      assetId: screenplayAssetId,
+      missing,
+      pagination: screenplayFormatter.getPagination(data)
+    });
+  } catch (error) {
+    console.error('Error assembling screenplay:', error);
+    res.status(500).json({ error: 'Failed to assemble screenplay', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,38 @@
 // server/routes/projectRoutes.js - Routes for project management
 const express = require('express');
+const bodyParser = require('body-parser');
 const router = express.Router();
 const ProjectManager = require('../services/projectManager');
+const ScreenplayFormatter = require('../services/screenplayFormatter');
+const UsageTracker = require('../services/usageTracker');
+const PromptLibrary = require('../services/promptLibrary');
+const CharacterBible = require('../services/characterBible');
+const LocationCatalogue = require('../services/locationCatalogue');
 
 // Initialize project manager
 const projectManager = new ProjectManager();
+const screenplayFormatter = new ScreenplayFormatter();
+const usageTracker = new UsageTracker({ projectManager });
+const promptLibrary = PromptLibrary.shared;
+const characterBible = new CharacterBible({ projectManager, screenplayFormatter });
+const locationCatalogue = new LocationCatalogue({ projectManager, screenplayFormatter });
+
+/**
+ * A revision's screenplay as it prints: changes since the revision before
+ * it marked, and the asset's locked numbering and pages applied
+ */
+function printableRevision(asset, revisions, revision) {
+  const previous = revisions.find(entry => entry.number === revision.number - 1);
+  const marked = screenplayFormatter.markRevisions(revision.document, previous && previous.document);
+  return screenplayFormatter.applyLock(marked, asset.metadata.lock);
+}
+
+/**
+ * Summary of a revision for listings, without its document and diff
+ */
+function revisionSummary({ number, color, date, author, label, summary }) {
+  return { number, color, date, author, label, summary };
+}
 
 /**
  * Create a new project
@@ -107,20 +135,536 @@ router.delete('/:projectId', async (req, res) => {
   }
 });
 
+/**
+ * Report a project's LLM token usage and what it cost: totals, by
+ * operation (concept, screenplay, scene, outline, analysis, breakdown) and
+ * by model, with the project's budget
+ * 
+ * Query: ?from=<ISO date>&to=<ISO date> to report on a period
+ */
+router.get('/:projectId/usage', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { from, to } = req.query;
+    
+    const usage = await usageTracker.report(projectId, { from, to });
+    
+    if (!usage) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    res.json({ success: true, usage });
+  } catch (error) {
+    console.error('Error getting project usage:', error);
+    res.status(500).json({ error: 'Failed to get project usage', details: error.message });
+  }
+});
+
+/**
+ * Set a project's budget. Once the project's spending reaches it, further
+ * generation for the project is refused with 402.
+ * 
+ * Request body:
+ * {
+ *   limit: number,       // USD, or null for no spending limit
+ *   tokenLimit: number   // Optional: total tokens, or null for no limit
+ * }
+ */
+router.put('/:projectId/budget', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { limit = null, tokenLimit = null } = req.body;
+    
+    const invalid = value => value !== null && !(typeof value === 'number' && value >= 0);
+    if (invalid(limit) || invalid(tokenLimit)) {
+      return res.status(400).json({ error: 'limit and tokenLimit must be non-negative numbers or null' });
+    }
+    
+    const project = await projectManager.getProject(projectId);
+    
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const settings = { ...project.settings };
+    if (limit === null && tokenLimit === null) {
+      delete settings.budget;
+    } else {
+      settings.budget = { limit, tokenLimit };
+    }
+    await projectManager.updateProject(projectId, { settings });
+    
+    res.json({ success: true, budget: await usageTracker.budgetStatus(projectId) });
+  } catch (error) {
+    console.error('Error setting project budget:', error);
+    res.status(500).json({ error: 'Failed to set project budget', details: error.message });
+  }
+});
+
+/**
+ * List the prompt templates and partials, marking the ones the project
+ * overrides
+ */
+router.get('/:projectId/prompts', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    
+    const overrides = await projectManager.getPromptOverrides(projectId);
+    
+    if (!overrides) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const prompts = (await promptLibrary.list()).map(prompt => ({
+      ...prompt,
+      overridden: Object.prototype.hasOwnProperty.call(overrides, prompt.name)
+    }));
+    
+    res.json({ success: true, prompts });
+  } catch (error) {
+    console.error('Error listing project prompts:', error);
+    res.status(500).json({ error: 'Failed to list project prompts', details: error.message });
+  }
+});
+
+/**
+ * Get a prompt template or partial as the project renders it, e.g.
+ * /prompts/concept or /prompts/partials/characters
+ */
+router.get('/:projectId/prompts/:name(*)', async (req, res) => {
+  try {
+    const { projectId, name } = req.params;
+    
+    if (!promptLibrary.has(name)) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    
+    const overrides = await projectManager.getPromptOverrides(projectId);
+    
+    if (!overrides) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const overridden = Object.prototype.hasOwnProperty.call(overrides, name);
+    res.json({
+      success: true,
+      prompt: {
+        name,
+        overridden,
+        template: overridden ? overrides[name] : promptLibrary.source(name),
+        default: promptLibrary.source(name)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting project prompt:', error);
+    res.status(500).json({ error: 'Failed to get project prompt', details: error.message });
+  }
+});
+
+/**
+ * Override a prompt template or partial for the project. The template is
+ * checked against the variables it is rendered with and the project's
+ * other templates; it is refused with 400 and the problems found if it
+ * does not check out.
+ * 
+ * Request body:
+ * {
+ *   template: string
+ * }
+ */
+router.put('/:projectId/prompts/:name(*)', async (req, res) => {
+  try {
+    const { projectId, name } = req.params;
+    const { template } = req.body;
+    
+    if (typeof template !== 'string') {
+      return res.status(400).json({ error: 'template is required' });
+    }
+    
+    if (!promptLibrary.has(name)) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    
+    const project = await projectManager.getProject(projectId);
+    
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const { errors, warnings } = await promptLibrary.checkOverride(projectId, name, template);
+    
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid prompt template', errors, warnings });
+    }
+    
+    await projectManager.setPromptOverride(projectId, name, template);
+    
+    res.json({ success: true, prompt: { name, overridden: true, template }, warnings });
+  } catch (error) {
+    console.error('Error overriding project prompt:', error);
+    res.status(500).json({ error: 'Failed to override project prompt', details: error.message });
+  }
+});
+
+/**
+ * Remove the project's override of a prompt template or partial, going
+ * back to the default
+ */
+router.delete('/:projectId/prompts/:name(*)', async (req, res) => {
+  try {
+    const { projectId, name } = req.params;
+    
+    if (!promptLibrary.has(name)) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    
+    const deleted = await projectManager.deletePromptOverride(projectId, name);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Prompt override not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing project prompt override:', error);
+    res.status(500).json({ error: 'Failed to remove project prompt override', details: error.message });
+  }
+});
+
+/**
+ * List the project's characters, oldest first
+ */
+router.get('/:projectId/characters', async (req, res) => {
+  try {
+    const characters = await projectManager.getCharacters(req.params.projectId);
+    
+    if (!characters) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    res.json({ success: true, characters });
+  } catch (error) {
+    console.error('Error listing characters:', error);
+    res.status(500).json({ error: 'Failed to list characters', details: error.message });
+  }
+});
+
+/**
+ * Add a character to the project. Names and aliases must be unique within
+ * the project (ignoring case); generation routes take the character's id
+ * in characterIds.
+ * 
+ * Request body:
+ * {
+ *   name: string,
+ *   aliases: array<string>,  // Optional other names, e.g. nicknames
+ *   description: string,     // Optional
+ *   role: string,            // Optional, e.g. protagonist
+ *   traits: array<string>,   // Optional
+ *   arc: string,             // Optional: how the character changes
+ *   voice: string,           // Optional notes on how the character speaks
+ *   relationships: array     // Optional [{ characterId, relationship }]
+ * }
+ */
+router.post('/:projectId/characters', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    
+    const characters = await projectManager.getCharacters(projectId);
+    
+    if (!characters) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const { fields, errors } = characterBible.check(req.body, characters);
+    
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid character', errors });
+    }
+    
+    const character = await projectManager.addCharacter(projectId, fields);
+    
+    res.json({ success: true, character });
+  } catch (error) {
+    console.error('Error adding character:', error);
+    res.status(500).json({ error: 'Failed to add character', details: error.message });
+  }
+});
+
+/**
+ * Extract characters from a concept's character list or a screenplay's
+ * speaking parts. New characters are added; characters the project
+ * already has only get the fields they are missing (see
+ * CharacterBible.extract).
+ * 
+ * Request body:
+ * {
+ *   assetId: string,          // A concept, screenplay or scene asset, or:
+ *   concept: object,          // A concept, or:
+ *   screenplay: object|string,
+ *   dryRun: boolean           // Optional: report without saving
+ * }
+ */
+router.post('/:projectId/characters/extract', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { assetId, concept, screenplay, dryRun } = req.body;
+    
+    // Validate input
+    if (!assetId && !concept && !screenplay) {
+      return res.status(400).json({ error: 'assetId, concept or screenplay is required' });
+    }
+    
+    let candidates;
+    if (assetId) {
+      const asset = await projectManager.getAsset(projectId, assetId);
+      
+      if (!asset) {
+        return res.status(404).json({ error: 'Asset not found' });
+      }
+      if (!['concept', 'screenplay', 'scene'].includes(asset.type)) {
+        return res.status(400).json({ error: `Cannot extract characters from a ${asset.type} asset` });
+      }
+      candidates = asset.type === 'concept'
+        ? characterBible.fromConcept(asset.data)
+        : characterBible.fromScreenplay(asset.data);
+    } else {
+      candidates = concept ? characterBible.fromConcept(concept) : characterBible.fromScreenplay(screenplay);
+    }
+    
+    const result = await characterBible.extract(projectId, candidates, { dryRun: Boolean(dryRun) });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    res.json({ success: true, dryRun: Boolean(dryRun), ...result });
+  } catch (error) {
+    console.error('Error extracting characters:', error);
+    res.status(500).json({ error: 'Failed to extract characters', details: error.message });
+  }
+});
+
+/**
+ * Get one of the project's characters
+ */
+router.get('/:projectId/characters/:characterId', async (req, res) => {
+  try {
+    const { projectId, characterId } = req.params;
+    
+    const character = await projectManager.getCharacter(projectId, characterId);
+    
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+    
+    res.json({ success: true, character });
+  } catch (error) {
+    console.error('Error getting character:', error);
+    res.status(500).json({ error: 'Failed to get character', details: error.message });
+  }
+});
+
+/**
+ * Change a character. Only the fields given are changed; lists are
+ * replaced as a whole.
+ * 
+ * Request body: any of the fields taken when adding a character
+ */
+router.put('/:projectId/characters/:characterId', async (req, res) => {
+  try {
+    const { projectId, characterId } = req.params;
+    
+    const characters = await projectManager.getCharacters(projectId);
+    
+    if (!characters || !characters.some(character => character.id === characterId)) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+    
+    const { fields, errors } = characterBible.check(req.body, characters, { id: characterId, partial: true });
+    
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid character', errors });
+    }
+    
+    const character = await projectManager.updateCharacter(projectId, characterId, fields);
+    
+    res.json({ success: true, character });
+  } catch (error) {
+    console.error('Error updating character:', error);
+    res.status(500).json({ error: 'Failed to update character', details: error.message });
+  }
+});
+
+/**
+ * Delete a character. Other characters' relationships to it go with it.
+ */
+router.delete('/:projectId/characters/:characterId', async (req, res) => {
+  try {
+    const { projectId, characterId } = req.params;
+    
+    const deleted = await projectManager.deleteCharacter(projectId, characterId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting character:', error);
+    res.status(500).json({ error: 'Failed to delete character', details: error.message });
+  }
+});
+
+/**
+ * Rename locations for the rename and merge routes, answering 404 if the
+ * project, asset or a location is not found
+ */
+async function renameLocations(res, projectId, names, to, options) {
+  const result = await locationCatalogue.rename(projectId, names, to, options);
+  
+  if (!result) {
+    return res.status(404).json({ error: options.assetId ? 'Screenplay asset not found' : 'Project not found' });
+  }
+  if (result.unknown) {
+    return res.status(404).json({ error: 'Locations not found', unknown: result.unknown });
+  }
+  
+  res.json({
+    success: true,
+    ...result,
+    locations: await locationCatalogue.build(projectId, { assetId: options.assetId })
+  });
+}
+
+/**
+ * The project's location catalogue, read from the scene headings of its
+ * screenplays: each location with its sub-locations, the ways headings
+ * write it, and its scenes, pages and day/night split (see
+ * LocationCatalogue.build)
+ * 
+ * Query: ?assetId=<screenplay asset> for one screenplay only
+ */
+router.get('/:projectId/locations', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { assetId } = req.query;
+    
+    const locations = await locationCatalogue.build(projectId, { assetId });
+    
+    if (!locations) {
+      return res.status(404).json({ error: assetId ? 'Screenplay asset not found' : 'Project not found' });
+    }
+    
+    res.json({ success: true, locations });
+  } catch (error) {
+    console.error('Error building location catalogue:', error);
+    res.status(500).json({ error: 'Failed to build location catalogue', details: error.message });
+  }
+});
+
+/**
+ * Rename a location, rewriting the scene headings that use it in every
+ * screenplay of the project. Renaming a location takes its sub-locations
+ * along ("JOE'S HOUSE - KITCHEN" becomes "SMITH HOUSE - KITCHEN"); a
+ * sub-location is named in full ("JOE'S HOUSE - KITCHEN").
+ * 
+ * Request body:
+ * {
+ *   from: string,     // A location or sub-location, as any of its variants
+ *   to: string,
+ *   assetId: string,  // Optional: only rename in this screenplay
+ *   author: string,   // Optional, recorded in the version history
+ *   message: string   // Optional, recorded in the version history
+ * }
+ */
+router.post('/:projectId/locations/rename', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { from, to, assetId, author, message } = req.body;
+    
+    // Validate input
+    if (typeof from !== 'string' || !from.trim() || typeof to !== 'string' || !to.trim()) {
+      return res.status(400).json({ error: 'from and to are required' });
+    }
+    if (/[\r\n]/.test(to)) {
+      return res.status(400).json({ error: 'to must be a single line' });
+    }
+    
+    await renameLocations(res, projectId, [from], to, { assetId, author, message });
+  } catch (error) {
+    console.error('Error renaming location:', error);
+    res.status(500).json({ error: 'Failed to rename location', details: error.message });
+  }
+});
+
+/**
+ * Merge locations into one, rewriting their scene headings to use it in
+ * every screenplay of the project, e.g. JOE'S KITCHEN into JOE'S HOUSE -
+ * KITCHEN
+ * 
+ * Request body:
+ * {
+ *   locations: array<string>,  // Locations or sub-locations to merge
+ *   into: string,              // The location they become (need not be
+ *                              // one of them)
+ *   assetId: string,           // Optional: only merge in this screenplay
+ *   author: string,            // Optional, recorded in the version history
+ *   message: string            // Optional, recorded in the version history
+ * }
+ */
+router.post('/:projectId/locations/merge', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { locations, into, assetId, author, message } = req.body;
+    
+    // Validate input
+    if (!Array.isArray(locations) || !locations.length || locations.some(name => typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'locations must be a list of location names' });
+    }
+    if (typeof into !== 'string' || !into.trim() || /[\r\n]/.test(into)) {
+      return res.status(400).json({ error: 'into must be a location name' });
+    }
+    
+    await renameLocations(res, projectId, locations, into, {
+      assetId,
+      author,
+      message: message || `Merged ${locations.join(', ')} into ${into.trim().toUpperCase()}`
+    });
+  } catch (error) {
+    console.error('Error merging locations:', error);
+    res.status(500).json({ error: 'Failed to merge locations', details: error.message });
+  }
+});
+
 /**
  * Add an asset to a project
+ * 
+ * Request body:
+ * {
+ *   assetType: string,
+ *   assetData: any,
+ *   metadata: object,  // Optional
+ *   author: string,    // Optional, recorded in the version history
+ *   message: string    // Optional, recorded in the version history
+ * }
  */
 router.post('/:projectId/assets', async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { assetType, assetData, metadata } = req.body;
+    const { assetType, assetData, metadata, author, message } = req.body;
     
     // Validate input
     if (!assetType || !assetData) {
       return res.status(400).json({ error: 'Asset type and data are required' });
     }
     
-    const assetId = await projectManager.addAsset(projectId, assetType, assetData, metadata);
+    // Screenplays carry their page count and scene lengths in their metadata
+    const assetMetadata = assetType === 'screenplay'
+      ? { ...metadata, ...screenplayFormatter.screenplayMetadata(assetData) }
+      : metadata;
+    
+    const assetId = await projectManager.addAsset(projectId, assetType, assetData, assetMetadata, { author, message });
     
     if (!assetId) {
       return res.status(404).json({ error: 'Project not found' });
@@ -133,6 +677,57 @@ router.post('/:projectId/assets', async (req, res) => {
   }
 });
 
+/**
+ * Upload a screenplay file (Fountain or Final Draft) as a new asset
+ * 
+ * Accepts either a raw file body (Content-Type: application/xml or text/*)
+ * with ?format=fdx|fountain, or JSON:
+ * {
+ *   format: string,   // 'fdx' or 'fountain'
+ *   content: string,  // File contents
+ *   metadata: object  // Optional asset metadata
+ * }
+ */
+router.post('/:projectId/assets/upload', bodyParser.text({ type: ['application/xml', 'text/*'], limit: '50mb' }), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const isRawUpload = typeof req.body === 'string';
+    const format = req.query.format || (!isRawUpload && req.body.format);
+    const content = isRawUpload ? req.body : req.body.content;
+    const metadata = isRawUpload ? {} : req.body.metadata;
+    
+    // Validate input
+    if (!format || typeof content !== 'string') {
+      return res.status(400).json({ error: 'Format and file content are required' });
+    }
+    if (!screenplayFormatter.hasFormat(format)) {
+      return res.status(400).json({ error: `Unsupported screenplay format: ${format}` });
+    }
+    
+    let screenplay;
+    try {
+      screenplay = screenplayFormatter.importFormat(format, content);
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not read screenplay file', details: error.message });
+    }
+    
+    const assetId = await projectManager.addAsset(projectId, 'screenplay', screenplay, {
+      ...metadata,
+      ...screenplayFormatter.screenplayMetadata(screenplay),
+      format: format.toLowerCase()
+    });
+    
+    if (!assetId) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    res.json({ success: true, assetId });
+  } catch (error) {
+    console.error('Error uploading asset:', error);
+    res.status(500).json({ error: 'Failed to upload asset', details: error.message });
+  }
+});
+
 /**
  * Get assets for a project
  */
@@ -156,10 +751,16 @@ router.get('/:projectId/assets', async (req, res) => {
 
 /**
  * Get a specific asset
+ * 
+ * Screenplay assets can be downloaded with ?format=fdx, ?format=fountain
+ * or ?format=pdf. PDF downloads also accept ?titlePage=true and
+ * ?sceneNumbers=true, and mark changes since the previous revision with
+ * asterisks unless ?revisionMarks=false.
  */
 router.get('/:projectId/assets/:assetId', async (req, res) => {
   try {
     const { projectId, assetId } = req.params;
+    const { format, titlePage, sceneNumbers, revisionMarks } = req.query;
     
     const asset = await projectManager.getAsset(projectId, assetId);
     
@@ -167,6 +768,30 @@ router.get('/:projectId/assets/:assetId', async (req, res) => {
       return res.status(404).json({ error: 'Asset not found' });
     }
     
+    if (format) {
+      if (asset.type !== 'screenplay') {
+        return res.status(400).json({ error: 'Only screenplay assets can be exported' });
+      }
+      if (!screenplayFormatter.hasFormat(format)) {
+        return res.status(400).json({ error: `Unsupported export format: ${format}` });
+      }
+      
+      const revisions = revisionMarks === 'false' ? [] : await projectManager.getRevisions(projectId, assetId) || [];
+      const latest = revisions[revisions.length - 1];
+      const previous = revisions[revisions.length - 2];
+      const marked = screenplayFormatter.markRevisions(asset.data, previous && previous.document);
+      
+      const document = screenplayFormatter.applyLock(marked, asset.metadata.lock);
+      const exported = screenplayFormatter.exportFormat(format, document, {
+        titlePage: titlePage === 'true',
+        sceneNumbers: sceneNumbers === 'true',
+        revisionLabel: previous ? screenplayFormatter.revisionLabel(latest) : null
+      });
+      res.attachment(exported.filename);
+      res.set('Content-Type', exported.contentType);
+      return res.send(exported.content);
+    }
+    
     res.json({ success: true, asset });
   } catch (error) {
     console.error('Error getting asset:', error);
@@ -174,4 +799,392 @@ router.get('/:projectId/assets/:assetId', async (req, res) => {
   }
 });
 
+/**
+ * Update an asset's data and metadata
+ * 
+ * Request body:
+ * {
+ *   assetData: any,    // New asset data
+ *   metadata: object,  // Optional metadata to merge in
+ *   author: string,    // Optional, recorded in the version history
+ *   message: string    // Optional, recorded in the version history
+ * }
+ * 
+ * The previous data stays in the asset's version history. New scenes in a
+ * locked screenplay are given their A/B scene numbers as they are saved.
+ */
+router.put('/:projectId/assets/:assetId', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    const { assetData, metadata, author, message } = req.body;
+    
+    // Validate input
+    if (!assetData) {
+      return res.status(400).json({ error: 'Asset data is required' });
+    }
+    
+    const asset = await projectManager.getAsset(projectId, assetId);
+    
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    let data = assetData;
+    let assetMetadata = metadata;
+    
+    if (asset.type === 'screenplay') {
+      const { lock } = asset.metadata;
+      if (lock) {
+        data = screenplayFormatter.replaceScreenplayDocument(assetData, screenplayFormatter.applyLock(assetData, lock));
+      }
+      assetMetadata = { ...metadata, ...screenplayFormatter.screenplayMetadata(data, lock) };
+    }
+    
+    const success = await projectManager.updateAsset(projectId, assetId, data, assetMetadata, { author, message });
+    
+    if (!success) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    res.json({ success: true, assetId });
+  } catch (error) {
+    console.error('Error updating asset:', error);
+    res.status(500).json({ error: 'Failed to update asset', details: error.message });
+  }
+});
+
+/**
+ * Lock a screenplay asset for production
+ * 
+ * Scenes are numbered and the page breaks recorded. From then on new scenes
+ * get A/B suffixes, cut scenes print as OMITTED and pages that overflow are
+ * numbered 23A, 23B.
+ */
+router.post('/:projectId/assets/:assetId/lock', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    
+    const asset = await projectManager.getAsset(projectId, assetId);
+    
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    if (asset.type !== 'screenplay') {
+      return res.status(400).json({ error: 'Only screenplay assets can be locked' });
+    }
+    if (asset.metadata.lock) {
+      return res.status(409).json({ error: 'Screenplay is already locked' });
+    }
+    
+    const { document, lock } = screenplayFormatter.lockScreenplay(asset.data);
+    const data = screenplayFormatter.replaceScreenplayDocument(asset.data, document);
+    
+    const success = await projectManager.updateAsset(projectId, assetId, data, {
+      lock,
+      ...screenplayFormatter.screenplayMetadata(data, lock)
+    }, { author: req.body.author, message: 'Locked for production' });
+    
+    if (!success) {
+      return res.status(500).json({ error: 'Failed to save locked screenplay' });
+    }
+    
+    res.json({ success: true, lock });
+  } catch (error) {
+    console.error('Error locking asset:', error);
+    res.status(500).json({ error: 'Failed to lock asset', details: error.message });
+  }
+});
+
+/**
+ * Unlock a screenplay asset: scene numbers, OMITTED scenes and locked
+ * page breaks are cleared, so scenes and pages number in order again
+ */
+router.post('/:projectId/assets/:assetId/unlock', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    
+    const asset = await projectManager.getAsset(projectId, assetId);
+    
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    if (asset.type !== 'screenplay') {
+      return res.status(400).json({ error: 'Only screenplay assets can be unlocked' });
+    }
+    
+    const document = screenplayFormatter.unlockScreenplay(asset.data);
+    const data = screenplayFormatter.replaceScreenplayDocument(asset.data, document);
+    
+    const success = await projectManager.updateAsset(projectId, assetId, data, {
+      lock: null,
+      ...screenplayFormatter.screenplayMetadata(data)
+    }, { author: req.body.author, message: 'Unlocked and renumbered' });
+    
+    if (!success) {
+      return res.status(500).json({ error: 'Failed to save unlocked screenplay' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unlocking asset:', error);
+    res.status(500).json({ error: 'Failed to unlock asset', details: error.message });
+  }
+});
+
+/**
+ * List the revisions issued for a screenplay asset
+ */
+router.get('/:projectId/assets/:assetId/revisions', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    
+    const revisions = await projectManager.getRevisions(projectId, assetId);
+    
+    if (!revisions) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    res.json({ success: true, revisions: revisions.map(revisionSummary) });
+  } catch (error) {
+    console.error('Error getting revisions:', error);
+    res.status(500).json({ error: 'Failed to get revisions', details: error.message });
+  }
+});
+
+/**
+ * Issue a new revision of a screenplay asset from its current text
+ * 
+ * Request body:
+ * {
+ *   color: string,   // Optional revision color (default: next in sequence)
+ *   author: string,  // Optional
+ *   label: string    // Optional description of the revision
+ * }
+ */
+router.post('/:projectId/assets/:assetId/revisions', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    const { color, author, label } = req.body;
+    
+    const asset = await projectManager.getAsset(projectId, assetId);
+    
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    if (asset.type !== 'screenplay') {
+      return res.status(400).json({ error: 'Only screenplay assets have revisions' });
+    }
+    if (color && !screenplayFormatter.revisionTracker.isColor(color)) {
+      return res.status(400).json({
+        error: `Unknown revision color: ${color}`,
+        colors: screenplayFormatter.revisionTracker.colors
+      });
+    }
+    
+    const revisions = await projectManager.getRevisions(projectId, assetId);
+    const previous = revisions[revisions.length - 1];
+    const { titlePage, elements } = screenplayFormatter.toDocument(asset.data);
+    const document = { titlePage, elements };
+    const diff = previous
+      ? screenplayFormatter.diffScreenplays(previous.document, document)
+      : { changes: [], summary: { added: 0, removed: 0, changed: 0 } };
+    
+    const revision = await projectManager.addRevision(projectId, assetId, {
+      color: color || screenplayFormatter.revisionTracker.colorFor(revisions.length),
+      author: author || null,
+      label: label || null,
+      summary: diff.summary,
+      changes: diff.changes,
+      document
+    });
+    
+    if (!revision) {
+      return res.status(500).json({ error: 'Failed to save revision' });
+    }
+    
+    const success = await projectManager.updateAsset(projectId, assetId, asset.data, {
+      revision: { number: revision.number, color: revision.color, date: revision.date }
+    }, { author, message: `Issued ${revision.color} revision` });
+    
+    if (!success) {
+      return res.status(500).json({ error: 'Failed to save revision' });
+    }
+    
+    res.json({ success: true, revision: revisionSummary(revision) });
+  } catch (error) {
+    console.error('Error adding revision:', error);
+    res.status(500).json({ error: 'Failed to add revision', details: error.message });
+  }
+});
+
+/**
+ * Diff two revisions of a screenplay asset
+ * 
+ * Query: ?from=<number>&to=<number|current>. By default the latest revision
+ * is compared with the one before it; 'current' is the asset's text now.
+ */
+router.get('/:projectId/assets/:assetId/revisions/diff', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    
+    const asset = await projectManager.getAsset(projectId, assetId);
+    const revisions = asset && await projectManager.getRevisions(projectId, assetId);
+    
+    if (!revisions) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    const to = req.query.to || String(revisions.length);
+    const from = req.query.from || String(Number(to === 'current' ? revisions.length : to) - 1);
+    const find = number => number === 'current'
+      ? { number: 'current', document: asset.data }
+      : revisions.find(entry => String(entry.number) === String(number));
+    const before = find(from);
+    const after = find(to);
+    
+    if (!before || !after) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    const diff = screenplayFormatter.diffScreenplays(before.document, after.document);
+    
+    res.json({ success: true, from: before.number, to: after.number, ...diff });
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ error: 'Failed to diff revisions', details: error.message });
+  }
+});
+
+/**
+ * Get one revision, including its document and changes
+ */
+router.get('/:projectId/assets/:assetId/revisions/:number', async (req, res) => {
+  try {
+    const { projectId, assetId, number } = req.params;
+    
+    const revisions = await projectManager.getRevisions(projectId, assetId);
+    const revision = revisions && revisions.find(entry => String(entry.number) === number);
+    
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.json({ success: true, revision });
+  } catch (error) {
+    console.error('Error getting revision:', error);
+    res.status(500).json({ error: 'Failed to get revision', details: error.message });
+  }
+});
+
+/**
+ * Revised pages only: the pages of a revision that changed since the one
+ * before it, as a PDF to slot into existing copies of the script.
+ * ?format=json lists the page numbers instead.
+ */
+router.get('/:projectId/assets/:assetId/revisions/:number/pages', async (req, res) => {
+  try {
+    const { projectId, assetId, number } = req.params;
+    
+    const asset = await projectManager.getAsset(projectId, assetId);
+    const revisions = asset && await projectManager.getRevisions(projectId, assetId);
+    const revision = revisions && revisions.find(entry => String(entry.number) === number);
+    
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    const document = printableRevision(asset, revisions, revision);
+    const pages = screenplayFormatter.revisedPages(document);
+    
+    if (req.query.format === 'json') {
+      return res.json({ success: true, revision: revisionSummary(revision), pages });
+    }
+    if (!pages.length) {
+      return res.status(404).json({ error: 'No pages changed in this revision' });
+    }
+    
+    const exported = screenplayFormatter.exportFormat('pdf', document, {
+      revisedOnly: true,
+      revisionLabel: screenplayFormatter.revisionLabel(revision)
+    });
+    const filename = exported.filename.replace(/\.pdf$/, `-${revision.color.toLowerCase().replace(/\s+/g, '-')}-pages.pdf`);
+    
+    res.attachment(filename);
+    res.set('Content-Type', exported.contentType);
+    res.send(exported.content);
+  } catch (error) {
+    console.error('Error exporting revised pages:', error);
+    res.status(500).json({ error: 'Failed to export revised pages', details: error.message });
+  }
+});
+
+/**
+ * List the versions of an asset, oldest first. Deleted assets keep their
+ * history and are listed too.
+ */
+router.get('/:projectId/assets/:assetId/versions', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    
+    const versions = await projectManager.listAssetVersions(projectId, assetId);
+    
+    if (!versions) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    res.json({ success: true, versions });
+  } catch (error) {
+    console.error('Error listing asset versions:', error);
+    res.status(500).json({ error: 'Failed to list asset versions', details: error.message });
+  }
+});
+
+/**
+ * Get one version of an asset, with its data and metadata at the time
+ */
+router.get('/:projectId/assets/:assetId/versions/:version', async (req, res) => {
+  try {
+    const { projectId, assetId, version } = req.params;
+    
+    const stored = await projectManager.getAssetVersion(projectId, assetId, version);
+    
+    if (!stored) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    res.json({ success: true, version: stored });
+  } catch (error) {
+    console.error('Error getting asset version:', error);
+    res.status(500).json({ error: 'Failed to get asset version', details: error.message });
+  }
+});
+
+/**
+ * Restore an earlier version of an asset. This adds a new version with the
+ * old data; later versions stay in the history.
+ * 
+ * Request body:
+ * {
+ *   author: string,  // Optional
+ *   message: string  // Optional (default: "Restored version N")
+ * }
+ */
+router.post('/:projectId/assets/:assetId/versions/:version/restore', async (req, res) => {
+  try {
+    const { projectId, assetId, version } = req.params;
+    const { author, message } = req.body;
+    
+    const restored = await projectManager.restoreAssetVersion(projectId, assetId, version, { author, message });
+    
+    if (!restored) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    res.json({ success: true, version: restored });
+  } catch (error) {
+    console.error('Error restoring asset version:', error);
+    res.status(500).json({ error: 'Failed to restore asset version', details: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,170 @@
+// server/routes/promptRoutes.js - Routes for managing the prompt templates
+const express = require('express');
+const router = express.Router();
+const PromptLibrary = require('../services/promptLibrary');
+
+const promptLibrary = PromptLibrary.shared;
+
+/**
+ * List the prompt templates and partials with their variables and current
+ * versions
+ */
+router.get('/', async (req, res) => {
+  try {
+    const prompts = await promptLibrary.list();
+    res.json({ success: true, prompts });
+  } catch (error) {
+    console.error('Error listing prompt templates:', error);
+    res.status(500).json({ error: 'Failed to list prompt templates', details: error.message });
+  }
+});
+
+/**
+ * Read the templates from disk again, after editing their files. (Edited
+ * files are picked up by themselves unless PROMPTS_WATCH=false.) If they
+ * do not check out, the templates in use are kept and the problems found
+ * are returned with 400.
+ */
+router.post('/reload', async (req, res) => {
+  try {
+    const { reloaded, errors, warnings } = await promptLibrary.reload();
+    
+    if (!reloaded) {
+      return res.status(400).json({ error: 'Invalid prompt templates', errors, warnings });
+    }
+    
+    res.json({ success: true, prompts: await promptLibrary.list(), warnings });
+  } catch (error) {
+    console.error('Error reloading prompt templates:', error);
+    res.status(500).json({ error: 'Failed to reload prompt templates', details: error.message });
+  }
+});
+
+/**
+ * List the versions of a template, oldest first, e.g.
+ * /api/prompts/concept/versions or /api/prompts/partials/characters/versions
+ */
+router.get('/:name(*)/versions', async (req, res) => {
+  try {
+    const versions = await promptLibrary.listVersions(req.params.name);
+    
+    if (!versions) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    
+    res.json({ success: true, versions });
+  } catch (error) {
+    console.error('Error listing prompt template versions:', error);
+    res.status(500).json({ error: 'Failed to list prompt template versions', details: error.message });
+  }
+});
+
+/**
+ * Get one version of a template, with its source
+ */
+router.get('/:name(*)/versions/:version', async (req, res) => {
+  try {
+    const { name, version } = req.params;
+    
+    const stored = await promptLibrary.getVersion(name, version);
+    
+    if (!stored) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    res.json({ success: true, version: stored });
+  } catch (error) {
+    console.error('Error getting prompt template version:', error);
+    res.status(500).json({ error: 'Failed to get prompt template version', details: error.message });
+  }
+});
+
+/**
+ * Roll a template back to an earlier version. This adds a new version with
+ * the old source; later versions stay in the history.
+ * 
+ * Request body:
+ * {
+ *   author: string,  // Optional
+ *   message: string  // Optional (default: "Rolled back to version N")
+ * }
+ */
+router.post('/:name(*)/versions/:version/restore', async (req, res) => {
+  try {
+    const { name, version } = req.params;
+    const { author, message } = req.body;
+    
+    const restored = await promptLibrary.rollback(name, version, { author, message });
+    
+    if (!restored) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    res.json({ success: true, version: restored.version, warnings: restored.warnings });
+  } catch (error) {
+    if (error.code === 'TEMPLATE_INVALID') {
+      // The old version no longer fits the other templates
+      return res.status(400).json({ error: 'Invalid prompt template', errors: error.errors, warnings: error.warnings });
+    }
+    console.error('Error restoring prompt template version:', error);
+    res.status(500).json({ error: 'Failed to restore prompt template version', details: error.message });
+  }
+});
+
+/**
+ * Get a template with its variables and current version
+ */
+router.get('/:name(*)', async (req, res) => {
+  try {
+    const prompt = await promptLibrary.get(req.params.name);
+    
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    
+    res.json({ success: true, prompt });
+  } catch (error) {
+    console.error('Error getting prompt template:', error);
+    res.status(500).json({ error: 'Failed to get prompt template', details: error.message });
+  }
+});
+
+/**
+ * Change a template. It is checked against the variables it is rendered
+ * with and the other templates, and refused with 400 and the problems
+ * found if it does not check out; otherwise it is saved as the next
+ * version and used from the next generation on.
+ * 
+ * Request body:
+ * {
+ *   template: string,
+ *   author: string,   // Optional, recorded in the version history
+ *   message: string   // Optional, recorded in the version history
+ * }
+ */
+router.put('/:name(*)', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { template, author, message } = req.body;
+    
+    if (typeof template !== 'string') {
+      return res.status(400).json({ error: 'template is required' });
+    }
+    
+    const updated = await promptLibrary.update(name, template, { author, message });
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    
+    res.json({ success: true, version: updated.version, warnings: updated.warnings });
+  } catch (error) {
+    if (error.code === 'TEMPLATE_INVALID') {
+      return res.status(400).json({ error: 'Invalid prompt template', errors: error.errors, warnings: error.warnings });
+    }
+    console.error('Error updating prompt template:', error);
+    res.status(500).json({ error: 'Failed to update prompt template', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+// server/routes/scheduleRoutes.js - Routes for shooting schedules
+//
+// Mounted under /api/projects/:projectId/schedules. A schedule is a project
+// asset of type 'schedule' putting the scenes of a breakdown into shoot days
+// (see ShootingScheduler). Strips are moved and pinned by hand, and every
+// change reflows the rest; the stripboard, day out of days and one-liners
+// are read from the stored schedule.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const ScreenplayFormatter = require('../services/screenplayFormatter');
+const ProjectManager = require('../services/projectManager');
+const LocationCatalogue = require('../services/locationCatalogue');
+const SceneBreakdown = require('../services/sceneBreakdown');
+const ShootingScheduler = require('../services/shootingScheduler');
+const ScheduleReports = require('../services/scheduleReports');
+
+// Initialize services
+const screenplayFormatter = new ScreenplayFormatter();
+const projectManager = new ProjectManager();
+const locationCatalogue = new LocationCatalogue({ projectManager, screenplayFormatter });
+const sceneBreakdown = new SceneBreakdown({ screenplayFormatter, locationCatalogue });
+const scheduler = new ShootingScheduler({ paginator: screenplayFormatter.paginator });
+const scheduleReports = new ScheduleReports();
+
+/**
+ * Load a schedule asset, answering 404 (and resolving to null) when the
+ * asset is missing or is not a schedule
+ */
+async function loadSchedule(req, res) {
+  const { projectId, assetId } = req.params;
+  const asset = await projectManager.getAsset(projectId, assetId);
+  
+  if (!asset || asset.type !== 'schedule') {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  return asset;
+}
+
+function scheduleMetadata(schedule) {
+  return {
+    breakdownAssetId: schedule.breakdownAssetId,
+    screenplayAssetId: schedule.screenplayAssetId,
+    title: schedule.title,
+    days: schedule.days.length,
+    unscheduled: schedule.unscheduled.length
+  };
+}
+
+/**
+ * Send a report as JSON, or exported in the format asked for
+ */
+function sendReport(res, report, format, schedule, data) {
+  if (!format || format === 'json') {
+    return res.json({ success: true, [report.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())]: data });
+  }
+  
+  const formats = ScheduleReports.formats(report);
+  if (!formats.includes(format)) {
+    return res.status(400).json({ error: `Unsupported format: ${format} (expected json or ${formats.join(' or ')})` });
+  }
+  
+  const exported = scheduleReports.exportFormat(report, format, schedule);
+  res.attachment(exported.filename);
+  res.set('Content-Type', exported.contentType);
+  return res.send(exported.content);
+}
+
+/**
+ * Draft a shooting schedule from a breakdown of the project, or from a
+ * screenplay asset (broken down from its text, without the LLM pass)
+ * 
+ * Request body:
+ * {
+ *   breakdownAssetId: string,   // A breakdown, or...
+ *   screenplayAssetId: string,  // ...a screenplay of the project
+ *   pagesPerDay: number,        // Optional target pages a day (default 4)
+ *   maxLocations: number,       // Optional locations a day (default 2)
+ *   startDate: string,          // Optional first shoot day, YYYY-MM-DD
+ *   weekends: boolean,          // Optional: shoot on weekends too
+ *   availability: object,       // Optional: { "ANNA REYES": [{ from, to }] },
+ *                               // shoot days or dates each actor is available
+ *   author: string              // Optional, recorded in the version history
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { breakdownAssetId, screenplayAssetId, author, ...settings } = req.body;
+    
+    if (!(await projectManager.getProject(projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    // Validate input
+    if (!breakdownAssetId && !screenplayAssetId) {
+      return res.status(400).json({ error: 'breakdownAssetId or screenplayAssetId is required' });
+    }
+    
+    const characters = (await projectManager.getCharacters(projectId)) || [];
+    const checked = scheduler.check(settings, characters);
+    if (checked.errors.length) {
+      return res.status(400).json({ error: 'Invalid schedule settings', errors: checked.errors });
+    }
+    
+    let breakdown;
+    if (breakdownAssetId) {
+      const asset = await projectManager.getAsset(projectId, breakdownAssetId);
+      if (!asset || asset.type !== 'breakdown') {
+        return res.status(404).json({ error: 'Breakdown not found' });
+      }
+      breakdown = asset.data;
+    } else {
+      const asset = await projectManager.getAsset(projectId, screenplayAssetId);
+      if (!asset || asset.type !== 'screenplay') {
+        return res.status(404).json({ error: 'Screenplay asset not found' });
+      }
+      breakdown = sceneBreakdown.detect(asset, characters);
+    }
+    
+    if (!breakdown.scenes.length) {
+      return res.status(400).json({ error: 'The screenplay has no scenes' });
+    }
+    
+    const schedule = scheduler.create(breakdown, checked.settings, { breakdownAssetId });
+    const assetId = await projectManager.addAsset(projectId, 'schedule', schedule, scheduleMetadata(schedule), {
+      author,
+      message: `Scheduled ${schedule.title || 'screenplay'}`
+    });
+    
+    if (!assetId) {
+      return res.status(500).json({ error: 'Failed to save schedule' });
+    }
+    
+    res.json({ success: true, assetId, schedule });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule', details: error.message });
+  }
+});
+
+/**
+ * List the project's schedules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const assets = await projectManager.getAssets(projectId, 'schedule');
+    
+    if (!assets) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const schedules = Object.values(assets).map(({ id, metadata, createdAt, updatedAt, version }) =>
+      ({ id, ...metadata, createdAt, updatedAt, version }));
+    
+    res.json({ success: true, schedules });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules', details: error.message });
+  }
+});
+
+/**
+ * Get a schedule
+ */
+router.get('/:assetId', async (req, res) => {
+  try {
+    const asset = await loadSchedule(req, res);
+    if (!asset) return;
+    
+    res.json({ success: true, schedule: asset.data });
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    res.status(500).json({ error: 'Failed to get schedule', details: error.message });
+  }
+});
+
+/**
+ * Change a schedule's settings and reflow it. Pinned strips stay put.
+ * 
+ * Request body (every field optional):
+ * {
+ *   pagesPerDay, maxLocations, startDate, weekends,
+ *   availability: object,  // Replaces the availability given before
+ *   author: string         // Optional, recorded in the version history
+ * }
+ */
+router.put('/:assetId', async (req, res) => {
+  try {
+    const { projectId, assetId } = req.params;
+    const { author, ...changes } = req.body;
+    
+    const asset = await loadSchedule(req, res);
+    if (!asset) return;
+    
+    const characters = (await projectManager.getCharacters(projectId)) || [];
+    const checked = scheduler.check(changes, characters, asset.data.settings);
+    if (checked.errors.length) {
+      return res.status(400).json({ error: 'Invalid schedule settings', errors: checked.errors });
+    }
+    
+    const schedule = scheduler.reflow({ ...asset.data, settings: checked.settings });
+    const saved = await projectManager.updateAsset(projectId, assetId, schedule, scheduleMetadata(schedule), {
+      author,
+      message: 'Changed schedule settings'
+    });
+    
+    if (!saved) {
+      return res.status(500).json({ error: 'Failed to save schedule' });
+    }
+    
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule', details: error.message });
+  }
+});
+
+/**
+ * Drag a strip to a shoot day, pinning it there, or unpin it; the rest of
+ * the schedule reflows around the pinned strips
+ * 
+ * Request body:
+ * {
+ *   day: number,       // The shoot day to move the strip to
+ *   position: number,  // Optional place among the day's pinned strips,
+ *                      // from 0 (default: after them)
+ *   pinned: boolean,   // Optional: false lets the scheduler place the strip
+ *   author: string     // Optional, recorded in the version history
+ * }
+ */
+router.put('/:assetId/strips/:stripId', async (req, res) => {
+  try {
+    const { projectId, assetId, stripId } = req.params;
+    const { author, ...changes } = req.body;
+    
+    const asset = await loadSchedule(req, res);
+    if (!asset) return;
+    
+    const { schedule, errors } = scheduler.move(asset.data, stripId, changes);
+    
+    if (!schedule) {
+      return res.status(404).json({ error: 'Strip not found' });
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid strip move', errors });
+    }
+    
+    const strip = schedule.strips.find(entry => entry.id === stripId);
+    const saved = await projectManager.updateAsset(projectId, assetId, schedule, scheduleMetadata(schedule), {
+      author,
+      message: strip.pinned ? `Pinned scene ${strip.number || strip.heading} to day ${strip.day}` : `Unpinned scene ${strip.number || strip.heading}`
+    });
+    
+    if (!saved) {
+      return res.status(500).json({ error: 'Failed to save schedule' });
+    }
+    
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error moving strip:', error);
+    res.status(500).json({ error: 'Failed to move strip', details: error.message });
+  }
+});
+
+/**
+ * The stripboard: ?format=json (default), csv or html
+ */
+router.get('/:assetId/stripboard', async (req, res) => {
+  try {
+    const asset = await loadSchedule(req, res);
+    if (!asset) return;
+    
+    sendReport(res, 'stripboard', req.query.format, asset.data, scheduleReports.stripboard(asset.data));
+  } catch (error) {
+    console.error('Error building stripboard:', error);
+    res.status(500).json({ error: 'Failed to build stripboard', details: error.message });
+  }
+});
+
+/**
+ * The cast day out of days: ?format=json (default) or csv
+ */
+router.get('/:assetId/day-out-of-days', async (req, res) => {
+  try {
+    const asset = await loadSchedule(req, res);
+    if (!asset) return;
+    
+    sendReport(res, 'day-out-of-days', req.query.format, asset.data, scheduleReports.dayOutOfDays(asset.data));
+  } catch (error) {
+    console.error('Error building day out of days:', error);
+    res.status(500).json({ error: 'Failed to build day out of days', details: error.message });
+  }
+});
+
+/**
+ * The one-liner schedule: ?format=json (default) or text
+ */
+router.get('/:assetId/one-liners', async (req, res) => {
+  try {
+    const asset = await loadSchedule(req, res);
+    if (!asset) return;
+    
+    sendReport(res, 'one-liners', req.query.format, asset.data, scheduleReports.oneLiners(asset.data));
+  } catch (error) {
+    console.error('Error building one-liners:', error);
+    res.status(500).json({ error: 'Failed to build one-liners', details: error.message });
+  }
+});
+
+module.exports = router;
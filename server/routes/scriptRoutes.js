@@ -3,36 +3,332 @@ const express = require('express');
 const router = express.Router();
 const ScriptGenerator = require('../services/scriptGenerator');
 const ScreenplayFormatter = require('../services/screenplayFormatter');
+const ProjectManager = require('../services/projectManager');
+const SceneStreamer = require('../services/sceneStreamer');
+const JobQueue = require('../services/jobQueue');
+const UsageTracker = require('../services/usageTracker');
+const PromptLibrary = require('../services/promptLibrary');
+const CharacterBible = require('../services/characterBible');
 
 // Initialize services
 const scriptGenerator = new ScriptGenerator();
 const screenplayFormatter = new ScreenplayFormatter();
+const projectManager = new ProjectManager();
+const usageTracker = new UsageTracker({ projectManager });
+const characterBible = new CharacterBible({ projectManager, screenplayFormatter });
+const jobQueue = JobQueue.shared;
 
 /**
- * Generate a screenplay concept from a premise
+ * Everything generation responses carry for a screenplay or scene
+ */
+function generationResult(raw) {
+  return {
+    raw,
+    formatted: screenplayFormatter.formatScreenplay(raw),
+    structured: screenplayFormatter.parseScreenplay(raw),
+    pagination: screenplayFormatter.getPagination(raw)
+  };
+}
+
+/**
+ * Response metadata for a generation: which provider and model served each
+ * LLM call (see ScriptGenerator._callLLM), whether every call was answered
+ * from the response cache, and the prompt template versions used
+ */
+function generationMeta(calls) {
+  return {
+    llm: calls,
+    cached: calls.length > 0 && calls.every(call => call.cached),
+    prompts: PromptLibrary.callVersions(calls)
+  };
+}
+
+/**
+ * Answer a generation refused because its project has spent its budget
+ * (see UsageTracker.assertWithinBudget)
+ */
+function budgetExceeded(res, error) {
+  return res.status(402).json({ error: error.message, budget: error.budget });
+}
+
+/**
+ * Answer a generation whose JSON the model never got right, even when told
+ * what was wrong with it (see ScriptGenerator._callStructured)
+ */
+function invalidOutput(res, error) {
+  return res.status(502).json({ error: error.message, errors: error.errors });
+}
+
+/**
+ * Check that the project a generation's usage is recorded against exists
+ * and has budget left, answering 404 or 402 if not. Returns whether the
+ * generation may go ahead.
+ */
+async function checkProject(res, projectId) {
+  if (!projectId) {
+    return true;
+  }
+  
+  if (!(await projectManager.getProject(projectId))) {
+    res.status(404).json({ error: 'Project not found' });
+    return false;
+  }
+  
+  try {
+    await usageTracker.assertWithinBudget(projectId);
+  } catch (error) {
+    if (error.code !== 'BUDGET_EXCEEDED') throw error;
+    budgetExceeded(res, error);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Answer a generation naming characters its project does not have
+ */
+function charactersNotFound(res, missing) {
+  return res.status(404).json({ error: 'Characters not found', missing });
+}
+
+/**
+ * Check the project characters a generation is to be written with (see
+ * CharacterBible.profiles), answering 400 or 404 if they cannot be.
+ * Returns whether the generation may go ahead.
+ */
+async function checkCharacters(res, projectId, characterIds) {
+  if (characterIds === undefined) {
+    return true;
+  }
+  
+  if (!Array.isArray(characterIds) || characterIds.some(id => typeof id !== 'string')) {
+    res.status(400).json({ error: 'characterIds must be a list of character IDs' });
+    return false;
+  }
+  if (characterIds.length && !projectId) {
+    res.status(400).json({ error: 'characterIds requires a projectId' });
+    return false;
+  }
+  if (!characterIds.length) {
+    return true;
+  }
+  
+  const characters = await projectManager.getCharacters(projectId);
+  
+  if (!characters) {
+    res.status(404).json({ error: 'Project not found' });
+    return false;
+  }
+  
+  const missing = characterBible.missing(characters, characterIds);
+  if (missing.length) {
+    charactersNotFound(res, missing);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Run a screenplay or scene generation for a background job, reporting
+ * how much has been written and how many scenes are complete
+ */
+async function runGenerationJob(generate, { onProgress, signal, meta }) {
+  const streamer = new SceneStreamer(screenplayFormatter);
+  const calls = [];
+  let scenes = 0;
+  
+  Object.assign(meta, generationMeta(calls));
+  const raw = await generate({
+    signal,
+    calls,
+    onToken: text => {
+      scenes += streamer.push(text).length;
+      onProgress({ characters: streamer.text.length, scenes });
+    }
+  });
+  
+  scenes += streamer.end().length;
+  onProgress({ characters: streamer.text.length, scenes });
+  Object.assign(meta, generationMeta(calls));
+  
+  return generationResult(raw);
+}
+
+// Background jobs for the generation routes (see { background: true })
+jobQueue.registerHandler('generate-concept', {
+  run: async ({ premise, genre, themes, length, projectId, noCache }, { meta }) => {
+    const calls = [];
+    Object.assign(meta, generationMeta(calls));
+    
+    const concept = await scriptGenerator.generateConcept(premise, { genre, themes, length, projectId, noCache, calls });
+    Object.assign(meta, generationMeta(calls));
+    return concept;
+  },
+  asset: (concept, params, meta) => ({ assetType: 'concept', assetData: concept, metadata: { prompts: meta.prompts } })
+});
+
+jobQueue.registerHandler('generate-screenplay', {
+  run: ({ concept, characters, characterIds, structure, projectId, noCache }, context) =>
+    runGenerationJob(stream => scriptGenerator.generateScreenplay(concept, { characters, characterIds, structure, projectId, noCache, ...stream }), context),
+  asset: (result, params, meta) => ({
+    assetType: 'screenplay',
+    assetData: { raw: result.raw, formatted: result.formatted },
+    metadata: { ...screenplayFormatter.screenplayMetadata(result.formatted), prompts: meta.prompts }
+  })
+});
+
+jobQueue.registerHandler('generate-scene', {
+  run: ({ sceneDescription, characters, characterIds, context, projectId, noCache }, jobContext) =>
+    runGenerationJob(stream => scriptGenerator.generateScene(sceneDescription, characters, context, { projectId, characterIds, noCache, ...stream }), jobContext),
+  asset: (result, params, meta) => ({
+    assetType: 'scene',
+    assetData: { raw: result.raw, formatted: result.formatted },
+    metadata: { ...screenplayFormatter.screenplayMetadata(result.formatted), prompts: meta.prompts }
+  })
+});
+
+/**
+ * Queue a generation as a background job and answer 202 with its id. With
+ * a projectId, the job's usage is recorded against that project and the
+ * result is saved to it when the job completes.
+ */
+async function enqueueGeneration(res, type, params, projectId) {
+  if (!(await checkProject(res, projectId))) {
+    return;
+  }
+  
+  const job = await jobQueue.enqueue(type, projectId ? { ...params, projectId } : params, {
+    save: projectId ? { projectId } : null
+  });
+  
+  res.status(202).json({ success: true, jobId: job.id, status: job.status });
+}
+
+/**
+ * The document of a stored screenplay asset, as it reads with its lock
+ * applied. Routes that report line numbers and routes that edit by them
+ * both read assets this way, so the lines agree.
+ */
+function assetDocument(asset) {
+  return screenplayFormatter.applyLock(asset.data, asset.metadata.lock);
+}
+
+/**
+ * Resolve the screenplay a request refers to: either an inline screenplay
+ * or a stored project asset. Returns null if the asset cannot be found.
+ */
+async function resolveScreenplay({ screenplay, projectId, assetId }) {
+  if (projectId && assetId) {
+    const asset = await projectManager.getAsset(projectId, assetId);
+    return asset ? assetDocument(asset) : null;
+  }
+  return screenplayFormatter.toDocument(screenplay);
+}
+
+/**
+ * Stream a generation to the client as server-sent events:
+ * 
+ *   token  { text }          // Each piece of text as the model writes it
+ *   scene  { index, heading, raw, formatted, elements }
+ *                            // Each scene once the next one begins
+ *   done   { [resultKey]: { raw, formatted, structured, pagination }, meta }
+ *   error  { error, details }
+ * 
+ * generate(options) runs the generation with the onToken, signal and calls
+ * options; the signal aborts the model request if the client disconnects.
+ */
+async function streamGeneration(res, resultKey, errorMessage, generate) {
+  const controller = new AbortController();
+  const streamer = new SceneStreamer(screenplayFormatter);
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  
+  const send = (event, data) => {
+    if (!res.writableEnded && !controller.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  try {
+    const calls = [];
+    const raw = await generate({
+      signal: controller.signal,
+      calls,
+      onToken: text => {
+        send('token', { text });
+        streamer.push(text).forEach(scene => send('scene', scene));
+      }
+    });
+    streamer.end().forEach(scene => send('scene', scene));
+    
+    send('done', { [resultKey]: generationResult(raw), meta: generationMeta(calls) });
+  } catch (error) {
+    // A client that went away needs no error
+    if (!controller.signal.aborted) {
+      console.error(`${errorMessage}:`, error);
+      send('error', { error: errorMessage, details: error.message });
+    }
+  }
+  
+  res.end();
+}
+
+/**
+ * Generate a screenplay concept from a premise. The concept follows
+ * schemas/concept.json; if the model cannot produce one, even when told
+ * what is wrong, the answer is 502 with the problems found.
  * 
  * Request body:
  * {
  *   premise: string,        // The basic film premise/idea
  *   genre: string,          // Optional genre
  *   themes: array<string>,  // Optional themes to explore
- *   length: string          // Optional target length (short, feature, etc.)
+ *   length: string,         // Optional target length (short, feature, etc.)
+ *   background: boolean,    // Optional: queue a job and return its jobId
+ *   projectId: string,      // Optional: record usage against this project
+ *                           // (and with background, save the result to it)
+ *   noCache: boolean        // Optional: call the model even if the response
+ *                           // is cached
  * }
  */
 router.post('/generate-concept', async (req, res) => {
   try {
-    const { premise, genre, themes, length } = req.body;
+    const { premise, genre, themes, length, background, projectId, noCache } = req.body;
     
     // Validate input
     if (!premise) {
       return res.status(400).json({ error: 'Premise is required' });
     }
     
+    if (background) {
+      return await enqueueGeneration(res, 'generate-concept', { premise, genre, themes, length, noCache }, projectId);
+    }
+    
+    if (!(await checkProject(res, projectId))) {
+      return;
+    }
+    
     // Generate concept
-    const concept = await scriptGenerator.generateConcept(premise, { genre, themes, length });
+    const calls = [];
+    const concept = await scriptGenerator.generateConcept(premise, { genre, themes, length, projectId, noCache, calls });
     
-    res.json({ success: true, concept });
+    res.json({ success: true, concept, meta: generationMeta(calls) });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return budgetExceeded(res, error);
+    }
+    if (error.code === 'INVALID_OUTPUT') {
+      return invalidOutput(res, error);
+    }
     console.error('Error generating concept:', error);
     res.status(500).json({ error: 'Failed to generate concept', details: error.message });
   }
@@ -45,37 +341,80 @@ router.post('/generate-concept', async (req, res) => {
  * {
  *   concept: object,         // The expanded concept
  *   characters: array,       // Optional character details
- *   structure: string        // Optional story structure preference
+ *   characterIds: array,     // Optional: characters of the project (see
+ *                            // /api/projects/:projectId/characters) to
+ *                            // write with; requires projectId
+ *   structure: string,       // Optional story structure preference
+ *   background: boolean,     // Optional: queue a job and return its jobId
+ *   projectId: string,       // Optional: record usage against this project
+ *                            // (and with background, save the result to it)
+ *   noCache: boolean         // Optional: call the model even if the response
+ *                            // is cached
  * }
  */
 router.post('/generate-screenplay', async (req, res) => {
   try {
-    const { concept, characters, structure } = req.body;
+    const { concept, characters, characterIds, structure, background, projectId, noCache } = req.body;
     
     // Validate input
     if (!concept) {
       return res.status(400).json({ error: 'Concept is required' });
     }
     
-    // Generate raw screenplay
-    const rawScreenplay = await scriptGenerator.generateScreenplay(concept, { characters, structure });
+    if (!(await checkCharacters(res, projectId, characterIds))) {
+      return;
+    }
+    
+    if (background) {
+      return await enqueueGeneration(res, 'generate-screenplay', { concept, characters, characterIds, structure, noCache }, projectId);
+    }
+    
+    if (!(await checkProject(res, projectId))) {
+      return;
+    }
     
-    // Format the screenplay
-    const formattedScreenplay = screenplayFormatter.formatScreenplay(rawScreenplay);
+    // Generate and format the screenplay
+    const calls = [];
+    const rawScreenplay = await scriptGenerator.generateScreenplay(concept, { characters, characterIds, structure, projectId, noCache, calls });
     
     res.json({ 
       success: true, 
-      screenplay: {
-        raw: rawScreenplay,
-        formatted: formattedScreenplay
-      }
+      screenplay: generationResult(rawScreenplay),
+      meta: generationMeta(calls)
     });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return budgetExceeded(res, error);
+    }
+    if (error.code === 'CHARACTER_NOT_FOUND') {
+      return charactersNotFound(res, error.missing);
+    }
     console.error('Error generating screenplay:', error);
     res.status(500).json({ error: 'Failed to generate screenplay', details: error.message });
   }
 });
 
+/**
+ * Generate a screenplay from a concept, streamed as server-sent events
+ * (see streamGeneration). Takes the same request body as
+ * /generate-screenplay.
+ */
+router.post('/generate-screenplay/stream', async (req, res) => {
+  const { concept, characters, characterIds, structure, projectId, noCache } = req.body;
+  
+  // Validate input
+  if (!concept) {
+    return res.status(400).json({ error: 'Concept is required' });
+  }
+  
+  if (!(await checkCharacters(res, projectId, characterIds)) || !(await checkProject(res, projectId))) {
+    return;
+  }
+  
+  await streamGeneration(res, 'screenplay', 'Failed to generate screenplay', stream =>
+    scriptGenerator.generateScreenplay(concept, { characters, characterIds, structure, projectId, noCache, ...stream }));
+});
+
 /**
  * Generate a single scene
  * 
@@ -83,62 +422,400 @@ router.post('/generate-screenplay', async (req, res) => {
  * {
  *   sceneDescription: string, // Description of the scene to generate
  *   characters: array,        // Characters in the scene
- *   context: object           // Context from the larger screenplay
+ *   characterIds: array,      // Optional: characters of the project in the
+ *                             // scene, with their stored profiles;
+ *                             // requires projectId
+ *   context: object,          // Context from the larger screenplay
+ *   background: boolean,      // Optional: queue a job and return its jobId
+ *   projectId: string,        // Optional: record usage against this project
+ *                             // (and with background, save the result to it)
+ *   noCache: boolean          // Optional: call the model even if the response
+ *                             // is cached
  * }
  */
 router.post('/generate-scene', async (req, res) => {
   try {
-    const { sceneDescription, characters, context } = req.body;
+    const { sceneDescription, characters, characterIds, context, background, projectId, noCache } = req.body;
     
     // Validate input
     if (!sceneDescription) {
       return res.status(400).json({ error: 'Scene description is required' });
     }
     
-    // Generate scene
-    const rawScene = await scriptGenerator.generateScene(sceneDescription, characters, context);
+    if (!(await checkCharacters(res, projectId, characterIds))) {
+      return;
+    }
+    
+    if (background) {
+      return await enqueueGeneration(res, 'generate-scene', { sceneDescription, characters, characterIds, context, noCache }, projectId);
+    }
+    
+    if (!(await checkProject(res, projectId))) {
+      return;
+    }
     
-    // Format the scene
-    const formattedScene = screenplayFormatter.formatScene(rawScene);
+    // Generate and format the scene
+    const calls = [];
+    const rawScene = await scriptGenerator.generateScene(sceneDescription, characters, context, { projectId, characterIds, noCache, calls });
     
     res.json({ 
       success: true, 
-      scene: {
-        raw: rawScene,
-        formatted: formattedScene
-      }
+      scene: generationResult(rawScene),
+      meta: generationMeta(calls)
     });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return budgetExceeded(res, error);
+    }
+    if (error.code === 'CHARACTER_NOT_FOUND') {
+      return charactersNotFound(res, error.missing);
+    }
     console.error('Error generating scene:', error);
     res.status(500).json({ error: 'Failed to generate scene', details: error.message });
   }
 });
 
 /**
- * Analyze a screenplay for structure, pacing, etc.
+ * Generate a single scene, streamed as server-sent events (see
+ * streamGeneration). Takes the same request body as /generate-scene.
+ */
+router.post('/generate-scene/stream', async (req, res) => {
+  const { sceneDescription, characters, characterIds, context, projectId, noCache } = req.body;
+  
+  // Validate input
+  if (!sceneDescription) {
+    return res.status(400).json({ error: 'Scene description is required' });
+  }
+  
+  if (!(await checkCharacters(res, projectId, characterIds)) || !(await checkProject(res, projectId))) {
+    return;
+  }
+  
+  await streamGeneration(res, 'scene', 'Failed to generate scene', stream =>
+    scriptGenerator.generateScene(sceneDescription, characters, context, { projectId, characterIds, noCache, ...stream }));
+});
+
+/**
+ * Analyze a screenplay for structure, pacing, etc. The analysis follows
+ * schemas/analysis.json (502 with the problems found if the model cannot
+ * produce one).
  * 
  * Request body:
  * {
- *   screenplay: string // The screenplay to analyze
+ *   screenplay: string, // The screenplay to analyze
+ *   projectId: string,  // Optional: record usage against this project
+ *   noCache: boolean    // Optional: call the model even if the response is
+ *                       // cached
  * }
  */
 router.post('/analyze', async (req, res) => {
   try {
-    const { screenplay } = req.body;
+    const { screenplay, projectId, noCache } = req.body;
     
     // Validate input
     if (!screenplay) {
       return res.status(400).json({ error: 'Screenplay is required' });
     }
     
+    if (!(await checkProject(res, projectId))) {
+      return;
+    }
+    
     // Analyze screenplay
-    const analysis = await scriptGenerator.analyzeScreenplay(screenplay);
+    const calls = [];
+    const analysis = await scriptGenerator.analyzeScreenplay(screenplay, { projectId, noCache, calls });
     
-    res.json({ success: true, analysis });
+    res.json({ success: true, analysis, meta: generationMeta(calls) });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return budgetExceeded(res, error);
+    }
+    if (error.code === 'INVALID_OUTPUT') {
+      return invalidOutput(res, error);
+    }
     console.error('Error analyzing screenplay:', error);
     res.status(500).json({ error: 'Failed to analyze screenplay', details: error.message });
   }
 });
 
+/**
+ * Import a Fountain screenplay
+ * 
+ * Request body:
+ * {
+ *   fountain: string,   // Fountain source text
+ *   projectId: string,  // Optional project to store the screenplay in
+ *   metadata: object    // Optional asset metadata
+ * }
+ */
+router.post('/import/fountain', async (req, res) => {
+  try {
+    const { fountain, projectId, metadata } = req.body;
+    
+    // Validate input
+    if (typeof fountain !== 'string') {
+      return res.status(400).json({ error: 'Fountain text is required' });
+    }
+    
+    const screenplay = screenplayFormatter.parseFountain(fountain);
+    
+    if (!projectId) {
+      return res.json({ success: true, screenplay });
+    }
+    
+    // Store the imported screenplay as a project asset
+    const assetId = await projectManager.addAsset(projectId, 'screenplay', screenplay, {
+      ...metadata,
+      ...screenplayFormatter.screenplayMetadata(screenplay),
+      format: 'fountain'
+    });
+    
+    if (!assetId) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    res.json({ success: true, screenplay, assetId });
+  } catch (error) {
+    console.error('Error importing Fountain screenplay:', error);
+    res.status(500).json({ error: 'Failed to import Fountain screenplay', details: error.message });
+  }
+});
+
+/**
+ * Export a screenplay as Fountain
+ * 
+ * Request body:
+ * {
+ *   screenplay: object|string, // Screenplay document or text, or:
+ *   projectId: string,         // Project holding the screenplay asset
+ *   assetId: string            // Screenplay asset to export
+ * }
+ */
+router.post('/export/fountain', async (req, res) => {
+  try {
+    const { screenplay, projectId, assetId } = req.body;
+    
+    // Validate input
+    if (!screenplay && !(projectId && assetId)) {
+      return res.status(400).json({ error: 'Screenplay or project asset is required' });
+    }
+    
+    const document = await resolveScreenplay({ screenplay, projectId, assetId });
+    
+    if (!document) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    const exported = screenplayFormatter.exportFormat('fountain', document);
+    
+    res.attachment(exported.filename);
+    res.set('Content-Type', exported.contentType);
+    res.send(exported.content);
+  } catch (error) {
+    console.error('Error exporting Fountain screenplay:', error);
+    res.status(500).json({ error: 'Failed to export Fountain screenplay', details: error.message });
+  }
+});
+
+/**
+ * Export a screenplay as an industry-standard PDF
+ * 
+ * Request body:
+ * {
+ *   screenplay: object|string, // Screenplay document or text, or:
+ *   projectId: string,         // Project holding the screenplay asset
+ *   assetId: string,           // Screenplay asset to export
+ *   titlePage: boolean,        // Optional: include the title page
+ *   sceneNumbers: boolean      // Optional: print scene numbers in the margins
+ * }
+ */
+router.post('/export/pdf', async (req, res) => {
+  try {
+    const { screenplay, projectId, assetId, titlePage, sceneNumbers } = req.body;
+    
+    // Validate input
+    if (!screenplay && !(projectId && assetId)) {
+      return res.status(400).json({ error: 'Screenplay or project asset is required' });
+    }
+    
+    const document = await resolveScreenplay({ screenplay, projectId, assetId });
+    
+    if (!document) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    const exported = screenplayFormatter.exportFormat('pdf', document, {
+      titlePage: Boolean(titlePage),
+      sceneNumbers: Boolean(sceneNumbers)
+    });
+    
+    res.attachment(exported.filename);
+    res.set('Content-Type', exported.contentType);
+    res.send(exported.content);
+  } catch (error) {
+    console.error('Error exporting PDF:', error);
+    res.status(500).json({ error: 'Failed to export PDF', details: error.message });
+  }
+});
+
+/**
+ * List the format rules available to /validate
+ */
+router.get('/validate/rules', (req, res) => {
+  res.json({ success: true, rules: screenplayFormatter.linter.listRules() });
+});
+
+/**
+ * Check a screenplay's formatting
+ * 
+ * Request body:
+ * {
+ *   screenplay: object|string, // Screenplay document or text, or:
+ *   projectId: string,         // Project holding the screenplay asset
+ *   assetId: string,           // Screenplay asset to check
+ *   rules: object              // Optional rule overrides, e.g. { "action-block-length": "off" }
+ * }
+ * 
+ * When projectId is given, the project's settings.lint.rules apply first.
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const { screenplay, projectId, assetId, rules } = req.body;
+    
+    // Validate input
+    if (!screenplay && !(projectId && assetId)) {
+      return res.status(400).json({ error: 'Screenplay or project asset is required' });
+    }
+    
+    let projectRules = {};
+    if (projectId) {
+      const project = await projectManager.getProject(projectId);
+      
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      projectRules = (project.settings && project.settings.lint && project.settings.lint.rules) || {};
+    }
+    
+    // Plain text is checked as-is so positions match the caller's text
+    const target = typeof screenplay === 'string' && !assetId
+      ? screenplay
+      : await resolveScreenplay({ screenplay, projectId, assetId });
+    
+    if (!target) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    const validation = screenplayFormatter.validateFormat(target, {
+      rules: { ...projectRules, ...rules }
+    });
+    
+    res.json({ success: true, validation });
+  } catch (error) {
+    console.error('Error validating screenplay:', error);
+    res.status(500).json({ error: 'Failed to validate screenplay', details: error.message });
+  }
+});
+
+/**
+ * Automatically fix formatting issues
+ * 
+ * Request body:
+ * {
+ *   screenplay: object|string, // Screenplay document or text, or:
+ *   projectId: string,         // Project holding the screenplay asset
+ *   assetId: string,           // Screenplay asset to fix
+ *   issues: array,             // Optional findings from /validate to fix
+ *   rules: object,             // Optional rule overrides, as for /validate
+ *   dryRun: boolean            // Preview the fixes without saving the asset
+ * }
+ * 
+ * Fixes to a project asset are saved back to it unless dryRun is set.
+ */
+router.post('/fix', async (req, res) => {
+  try {
+    const { screenplay, projectId, assetId, issues, rules, dryRun } = req.body;
+    
+    // Validate input
+    if (!screenplay && !(projectId && assetId)) {
+      return res.status(400).json({ error: 'Screenplay or project asset is required' });
+    }
+    if (issues !== undefined && !Array.isArray(issues)) {
+      return res.status(400).json({ error: 'Issues must be an array' });
+    }
+    
+    let projectRules = {};
+    if (projectId) {
+      const project = await projectManager.getProject(projectId);
+      
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      projectRules = (project.settings && project.settings.lint && project.settings.lint.rules) || {};
+    }
+    
+    const asset = assetId ? await projectManager.getAsset(projectId, assetId) : null;
+    
+    if (assetId && !asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    const target = asset ? assetDocument(asset) : screenplay;
+    const result = screenplayFormatter.fixFormatIssues(target, issues, {
+      rules: { ...projectRules, ...rules }
+    });
+    
+    let saved = false;
+    if (asset && !dryRun && result.fixes.length) {
+      const data = screenplayFormatter.replaceScreenplayText(asset.data, result.screenplay);
+      saved = await projectManager.updateAsset(projectId, assetId, data, screenplayFormatter.screenplayMetadata(data, asset.metadata.lock), {
+        message: `Fixed ${result.fixes.length} format issue${result.fixes.length === 1 ? '' : 's'}`
+      });
+    }
+    
+    res.json({ success: true, dryRun: Boolean(dryRun), saved, ...result });
+  } catch (error) {
+    console.error('Error fixing screenplay:', error);
+    res.status(500).json({ error: 'Failed to fix screenplay', details: error.message });
+  }
+});
+
+/**
+ * Measure a screenplay: page count, eighths of a page per scene and
+ * estimated runtime
+ * 
+ * Request body:
+ * {
+ *   screenplay: object|string, // Screenplay document or text, or:
+ *   projectId: string,         // Project holding the screenplay asset
+ *   assetId: string,           // Screenplay asset to measure
+ *   minutesPerPage: number     // Optional screen time per page (default 1)
+ * }
+ */
+router.post('/paginate', async (req, res) => {
+  try {
+    const { screenplay, projectId, assetId, minutesPerPage } = req.body;
+    
+    // Validate input
+    if (!screenplay && !(projectId && assetId)) {
+      return res.status(400).json({ error: 'Screenplay or project asset is required' });
+    }
+    
+    const document = await resolveScreenplay({ screenplay, projectId, assetId });
+    
+    if (!document) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    const pagination = screenplayFormatter.getPagination(document, {
+      minutesPerPage: Number(minutesPerPage) || undefined
+    });
+    
+    res.json({ success: true, pagination });
+  } catch (error) {
+    console.error('Error paginating screenplay:', error);
+    res.status(500).json({ error: 'Failed to paginate screenplay', details: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,22 @@
+// server/routes/usageRoutes.js - API routes for LLM usage across projects
+const express = require('express');
+const router = express.Router();
+const UsageTracker = require('../services/usageTracker');
+
+const usageTracker = new UsageTracker();
+
+/**
+ * Report token usage and cost of every project, with the totals across
+ * them (see /api/projects/:projectId/usage for one project in detail)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const usage = await usageTracker.summary();
+    res.json({ success: true, usage });
+  } catch (error) {
+    console.error('Error getting usage:', error);
+    res.status(500).json({ error: 'Failed to get usage', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+// server/services/breakdownSheets.js - Breakdown export (CSV and HTML sheets)
+//
+// A breakdown (see SceneBreakdown) exports as a spreadsheet with one row per
+// scene, or as printable breakdown sheets, one page per scene, with each
+// category marked the way ADs mark their scripts: cast in red, extras in
+// green, props in violet and so on.
+const CATEGORIES = require('./sceneBreakdown').CATEGORIES;
+
+const LABELS = {
+  cast: 'Cast',
+  extras: 'Extras',
+  props: 'Props',
+  wardrobe: 'Wardrobe',
+  vehicles: 'Vehicles',
+  animals: 'Animals',
+  sfx: 'Special Effects',
+  vfx: 'Visual Effects',
+  makeup: 'Makeup/Hair',
+  sound: 'Sound'
+};
+
+// The usual breakdown colours: a fill for the category's box on the sheet
+const COLORS = {
+  cast: '#f28b82',
+  extras: '#ccff90',
+  props: '#d7aefb',
+  wardrobe: '#ffffff',
+  vehicles: '#fdcfe8',
+  animals: '#fdcfe8',
+  sfx: '#aecbfa',
+  vfx: '#a7ffeb',
+  makeup: '#ffffff',
+  sound: '#e6c9a8'
+};
+
+// Marks for the categories printed on white: wardrobe is circled, makeup starred
+const MARKS = {
+  wardrobe: '○',
+  makeup: '✱'
+};
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+class BreakdownSheets {
+  static get FORMATS() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Export a breakdown as csv or html. options.title names the screenplay
+   * on the sheets and in the filename. Returns { content, contentType,
+   * filename }, like ScreenplayFormatter.exportFormat.
+   */
+  exportFormat(format, breakdown, options = {}) {
+    const key = String(format || '').toLowerCase();
+    if (!FORMATS[key]) {
+      throw new Error(`Unsupported breakdown format: ${format}`);
+    }
+
+    const base = String(options.title || '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return {
+      content: key === 'csv' ? this.csv(breakdown) : this.html(breakdown, options),
+      contentType: FORMATS[key].contentType,
+      filename: `${base || 'screenplay'}_breakdown.${FORMATS[key].extension}`
+    };
+  }
+
+  /**
+   * One row per scene; the elements of a category are separated by "; "
+   */
+  csv(breakdown) {
+    const rows = [
+      ['Scene', 'Heading', 'INT/EXT', 'Location', 'Day/Night', 'Pages', 'Description', ...CATEGORIES.map(category => LABELS[category]), 'Notes'],
+      ...breakdown.scenes.map(scene => [
+        scene.number || '',
+        scene.heading,
+        scene.setting || '',
+        this._place(scene),
+        scene.time || '',
+        scene.pages,
+        scene.synopsis || '',
+        ...CATEGORIES.map(category => (scene.elements[category] || []).join('; ')),
+        scene.notes || ''
+      ])
+    ];
+
+    return rows.map(row => row.map(cell => this._csvCell(cell)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * A printable page per scene
+   */
+  html(breakdown, options = {}) {
+    const title = this._escape(options.title || 'Screenplay');
+    const sheets = breakdown.scenes.map((scene, position) => {
+      const boxes = CATEGORIES.map(category => {
+        const items = scene.elements[category] || [];
+        const mark = MARKS[category] ? `<span class="mark">${MARKS[category]}</span> ` : '';
+        return `<div class="box" style="background:${COLORS[category]}">` +
+          `<h3>${mark}${LABELS[category]}</h3>` +
+          (items.length ? `<ul>${items.map(item => `<li>${this._escape(item)}</li>`).join('')}</ul>` : '<p class="none">None</p>') +
+          '</div>';
+      }).join('\n');
+
+      return `<section class="sheet">
+<header>
+<div><strong>${title}</strong> &middot; Breakdown sheet ${position + 1} of ${breakdown.scenes.length}</div>
+<table>
+<tr><th>Scene</th><th>INT/EXT</th><th>Location</th><th>Day/Night</th><th>Pages</th></tr>
+<tr><td>${this._escape(scene.number || '')}</td><td>${this._escape(scene.setting || '')}</td><td>${this._escape(this._place(scene))}</td><td>${this._escape(scene.time || '')}</td><td>${this._escape(scene.pages)}</td></tr>
+</table>
+<h2>${this._escape(scene.heading)}</h2>
+${scene.synopsis ? `<p>${this._escape(scene.synopsis)}</p>\n` : ''}</header>
+<div class="boxes">
+${boxes}
+</div>
+${scene.notes ? `<div class="notes"><h3>Notes</h3><p>${this._escape(scene.notes)}</p></div>\n` : ''}</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title} - Breakdown</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; font-size: 11pt; margin: 0; }
+.sheet { padding: 0.5in; page-break-after: always; }
+.sheet:last-child { page-break-after: auto; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+th, td { border: 1px solid #333; padding: 4px 6px; text-align: left; }
+h2 { font-family: "Courier New", Courier, monospace; font-size: 12pt; }
+.boxes { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+.box { border: 1px solid #333; padding: 6px 8px; min-height: 1in; }
+.box h3, .notes h3 { font-size: 10pt; margin: 0 0 4px; text-transform: uppercase; }
+.box ul { margin: 0; padding-left: 18px; }
+.none { color: #666; margin: 0; }
+.notes { border: 1px solid #333; padding: 6px 8px; margin-top: 8px; }
+</style>
+</head>
+<body>
+${sheets}
+</body>
+</html>
+`;
+  }
+
+  _place(scene) {
+    return [scene.location, scene.subLocation].filter(Boolean).join(' - ');
+  }
+
+  // Quoted when it holds a comma, quote or line break (RFC 4180)
+  _csvCell(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  _escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = BreakdownSheets;
@@ -0,0 +1,482 @@
+// server/services/budgetEstimator.js - Rough budgets: a top sheet from breakdown and schedule
+//
+// A budget prices what a breakdown (see SceneBreakdown) says the script
+// needs, over the days a schedule (see ShootingScheduler) says it takes to
+// shoot, at the rates of the project's rate card. It rolls up into the
+// usual top sheet: above the line (story, producers, director, cast), below
+// the line (extras, crew, equipment, locations and the breakdown's
+// elements), post-production, and other costs (insurance, contingency).
+// Without a schedule, shoot days are estimated from the page count.
+//
+// Budgets are stored as project assets of type 'budget', with the versions
+// of the screenplay, breakdown, schedule and rate card they were worked out
+// from; when any of those has changed, the budget is recalculated and saved
+// as a new version the next time it is read (see changes).
+const ProjectManager = require('./projectManager');
+const SceneBreakdown = require('./sceneBreakdown');
+const ScheduleReports = require('./scheduleReports');
+
+// Rough independent-feature rates, in the rate card's currency. Crew and
+// equipment are per shoot day; cast and extras per person per day.
+const DEFAULT_RATE_CARD = {
+  currency: 'USD',
+  pagesPerDay: 4,
+  aboveTheLine: { story: 25000, producers: 50000, director: 40000 },
+  cast: { default: 1200, rates: {} },
+  extras: { day: 225, crowd: 20 },
+  crew: {
+    'Production staff': 3500,
+    Camera: 2200,
+    'Grip and electric': 2600,
+    'Art department': 1800,
+    Wardrobe: 700,
+    'Makeup and hair': 900,
+    'Production sound': 900
+  },
+  equipment: { Camera: 1500, 'Grip and lighting': 2000, Sound: 350 },
+  locations: { day: 1500, move: 750 },
+  elements: {
+    props: 150,      // Each prop, once
+    wardrobe: 400,   // Each costume, once
+    makeup: 250,     // Each makeup effect, once
+    vehicles: 600,   // Each picture vehicle, per day used
+    animals: 900,    // Each animal and its handler, per day used
+    sfx: 1500,       // Each effect, per scene
+    sound: 0         // Sound effects are covered by post sound
+  },
+  vfx: { shot: 2500 },
+  post: { editorial: 30000, music: 15000, sound: 20000, finishing: 15000 },
+  other: { insurance: 3, contingency: 10 }  // Percent of everything above
+};
+
+// Numbers extras are written with: TWO POLICE OFFICERS, 12 DINERS
+const COUNTS = {
+  A: 1, AN: 1, ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5, SIX: 6, SEVEN: 7, EIGHT: 8, NINE: 9, TEN: 10,
+  TWELVE: 12, TWENTY: 20, DOZEN: 12, DOZENS: 36, SEVERAL: 4, FEW: 3, SOME: 3, MANY: 10
+};
+const GROUPS = ['CROWD', 'MOB', 'AUDIENCE', 'PEOPLE', 'PASSERSBY'];
+
+class BudgetEstimator {
+  constructor(options = {}) {
+    this.projectManager = options.projectManager || new ProjectManager();
+    this.sceneBreakdown = options.sceneBreakdown || new SceneBreakdown();
+    this.scheduleReports = options.scheduleReports || new ScheduleReports();
+  }
+
+  static get DEFAULT_RATE_CARD() {
+    return DEFAULT_RATE_CARD;
+  }
+
+  /**
+   * A project's rate card: the defaults, with the project's own rates
+   * (project.settings.rateCard) over them
+   */
+  rateCard(project) {
+    const own = (project && project.settings && project.settings.rateCard) || {};
+    const card = { ...DEFAULT_RATE_CARD, updatedAt: own.updatedAt || null };
+
+    for (const [key, value] of Object.entries(own)) {
+      if (key === 'updatedAt') continue;
+      card[key] = value && typeof value === 'object' && !Array.isArray(value)
+        ? { ...DEFAULT_RATE_CARD[key], ...value }
+        : value;
+    }
+    card.cast = { ...card.cast, rates: { ...((own.cast && own.cast.rates) || {}) } };
+    return card;
+  }
+
+  /**
+   * Check a project's own rates (any part of a rate card). Rates are
+   * non-negative numbers; crew and equipment may name departments of
+   * their own, and cast.rates is keyed by cast name. Returns { rateCard,
+   * errors }: the rates to store when errors is empty.
+   */
+  checkRateCard(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { rateCard: {}, errors: ['The rate card must be an object'] };
+    }
+
+    const rate = (value, path) => {
+      if (typeof value !== 'number' || !(value >= 0)) {
+        errors.push(`${path} must be a non-negative number`);
+      }
+    };
+    const open = ['crew', 'equipment'];
+
+    for (const [key, value] of Object.entries(input)) {
+      if (!(key in DEFAULT_RATE_CARD)) {
+        errors.push(`Unknown rate card section ${key}`);
+      } else if (key === 'currency') {
+        if (typeof value !== 'string' || !/^[A-Z]{3}$/.test(value)) errors.push('currency must be a currency code, e.g. USD');
+      } else if (key === 'pagesPerDay') {
+        if (typeof value !== 'number' || !(value > 0)) errors.push('pagesPerDay must be a positive number');
+      } else if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${key} must be an object of rates`);
+      } else {
+        for (const [name, amount] of Object.entries(value)) {
+          if (key === 'cast' && name === 'rates') {
+            if (!amount || typeof amount !== 'object' || Array.isArray(amount)) {
+              errors.push('cast.rates must be an object of day rates by cast name');
+            } else {
+              Object.entries(amount).forEach(([castName, castRate]) => rate(castRate, `cast.rates.${castName}`));
+            }
+          } else if (!open.includes(key) && !(name in DEFAULT_RATE_CARD[key])) {
+            errors.push(`Unknown rate ${key}.${name}`);
+          } else {
+            rate(amount, `${key}.${name}`);
+          }
+        }
+      }
+    }
+
+    const rateCard = { ...input };
+    if (rateCard.cast && rateCard.cast.rates) {
+      rateCard.cast = {
+        ...rateCard.cast,
+        rates: Object.fromEntries(Object.entries(rateCard.cast.rates).map(([name, amount]) => [this._key(name), amount]))
+      };
+    }
+    return { rateCard, errors };
+  }
+
+  /**
+   * Load what a budget is worked out from: { screenplay, breakdown,
+   * schedule, sources }. sources names a schedule, a breakdown or a
+   * screenplay asset; a schedule brings its breakdown and screenplay, and a
+   * breakdown its screenplay. A breakdown older than its screenplay is
+   * refreshed (see SceneBreakdown.refresh), and a screenplay without one is
+   * broken down from its text. Resolves to { error } when an asset is
+   * missing.
+   */
+  async load(projectId, sources) {
+    let schedule = null;
+    let breakdownAsset = null;
+    let { screenplayAssetId, breakdownAssetId } = sources;
+
+    if (sources.scheduleAssetId) {
+      schedule = await this.projectManager.getAsset(projectId, sources.scheduleAssetId);
+      if (!schedule || schedule.type !== 'schedule') {
+        return { error: 'Schedule not found' };
+      }
+      breakdownAssetId = schedule.data.breakdownAssetId || breakdownAssetId;
+      screenplayAssetId = schedule.data.screenplayAssetId;
+    }
+
+    if (breakdownAssetId) {
+      breakdownAsset = await this.projectManager.getAsset(projectId, breakdownAssetId);
+      if (!breakdownAsset || breakdownAsset.type !== 'breakdown') {
+        return { error: 'Breakdown not found' };
+      }
+      screenplayAssetId = breakdownAsset.data.screenplayAssetId;
+    }
+
+    const screenplay = screenplayAssetId ? await this.projectManager.getAsset(projectId, screenplayAssetId) : null;
+    if (!screenplay || screenplay.type !== 'screenplay') {
+      return { error: 'Screenplay asset not found' };
+    }
+
+    const characters = (await this.projectManager.getCharacters(projectId)) || [];
+    let breakdown;
+    if (!breakdownAsset) {
+      breakdown = this.sceneBreakdown.detect(screenplay, characters);
+    } else if (breakdownAsset.data.screenplayVersion !== (screenplay.version || null)) {
+      breakdown = this.sceneBreakdown.refresh(breakdownAsset.data, screenplay, characters);
+    } else {
+      breakdown = breakdownAsset.data;
+    }
+
+    return {
+      screenplay,
+      breakdown,
+      schedule: schedule && schedule.data,
+      sources: {
+        screenplayAssetId: screenplay.id,
+        screenplayVersion: screenplay.version || null,
+        breakdownAssetId: breakdownAsset ? breakdownAsset.id : null,
+        breakdownVersion: breakdownAsset ? breakdownAsset.version || null : null,
+        scheduleAssetId: schedule ? schedule.id : null,
+        scheduleVersion: schedule ? schedule.version || null : null
+      }
+    };
+  }
+
+  /**
+   * Work out a budget for the given sources (see load). Resolves to the
+   * budget, or to { error } when an asset or the project is missing.
+   */
+  async build(projectId, sources) {
+    const project = await this.projectManager.getProject(projectId);
+    if (!project) {
+      return { error: 'Project not found' };
+    }
+
+    const loaded = await this.load(projectId, sources);
+    if (loaded.error) {
+      return loaded;
+    }
+
+    const rateCard = this.rateCard(project);
+    return {
+      title: loaded.breakdown.title || null,
+      sources: { ...loaded.sources, rateCardUpdatedAt: rateCard.updatedAt },
+      ...this.estimate(loaded.breakdown, loaded.schedule, rateCard)
+    };
+  }
+
+  /**
+   * What has changed since a budget was worked out, as sentences; empty
+   * when it is up to date. Sources that have since been deleted are not
+   * counted: the budget stays as it was.
+   */
+  async changes(projectId, budget) {
+    const { sources } = budget;
+    const changes = [];
+    const changed = async (assetId, version, name) => {
+      if (!assetId) return;
+      const asset = await this.projectManager.getAsset(projectId, assetId);
+      if (asset && (asset.version || null) !== version) {
+        changes.push(`The ${name} changed (version ${version} to ${asset.version})`);
+      }
+    };
+
+    await changed(sources.screenplayAssetId, sources.screenplayVersion, 'screenplay');
+    await changed(sources.breakdownAssetId, sources.breakdownVersion, 'breakdown');
+    await changed(sources.scheduleAssetId, sources.scheduleVersion, 'schedule');
+
+    const project = await this.projectManager.getProject(projectId);
+    if (project && this.rateCard(project).updatedAt !== sources.rateCardUpdatedAt) {
+      changes.push('The rate card changed');
+    }
+    return changes;
+  }
+
+  /**
+   * The top sheet for a breakdown, over a schedule's days if there is one:
+   *
+   *   { currency, basis: { shootDays, scheduled, castDays, extraDays,
+   *       locationDays, moves, vfxShots },
+   *     sections: [{ key, name, accounts: [{ number, name, amount,
+   *       detail }], total }],
+   *     total, warnings }
+   */
+  estimate(breakdown, schedule, rateCard) {
+    const warnings = [];
+    const scenes = breakdown.scenes;
+    const totalEighths = scenes.reduce((total, scene) => total + scene.eighths, 0);
+
+    // Shoot days, and the scenes shot on each
+    let days = null;
+    if (schedule) {
+      const bySceneIndex = new Map(scenes.map(scene => [scene.index, scene]));
+      const stripScene = id => {
+        const strip = schedule.strips.find(entry => entry.id === id);
+        return bySceneIndex.get(strip.sceneIndex) || { ...strip, elements: { cast: strip.cast } };
+      };
+      days = schedule.days.map(day => ({ scenes: day.strips.map(stripScene), locations: day.locations, moves: day.moves }));
+      if (schedule.screenplayVersion && schedule.screenplayVersion !== breakdown.screenplayVersion) {
+        warnings.push('The schedule was drafted from an earlier version of the screenplay; redraft it for accurate day counts');
+      }
+      if (schedule.unscheduled.length) {
+        warnings.push(`${schedule.unscheduled.length} scenes are not scheduled and are left out of day counts`);
+      }
+    }
+    const shootDays = days ? days.length : Math.max(1, Math.ceil(totalEighths / (rateCard.pagesPerDay * 8)));
+    if (!days) {
+      warnings.push(`No schedule: ${shootDays} shoot day${shootDays === 1 ? '' : 's'} estimated at ${rateCard.pagesPerDay} pages a day`);
+    }
+
+    // Cast: the days from each actor's first to last day, holds included,
+    // from the day out of days; without a schedule, a day per scene
+    const castDays = new Map();
+    if (schedule) {
+      for (const entry of this.scheduleReports.dayOutOfDays(schedule).cast) {
+        castDays.set(entry.name, entry.total);
+      }
+    } else {
+      for (const scene of scenes) {
+        for (const name of scene.elements.cast || []) {
+          castDays.set(name, Math.min(shootDays, (castDays.get(name) || 0) + 1));
+        }
+      }
+    }
+    const castDetail = [...castDays.entries()].map(([name, count]) => {
+      const rate = rateCard.cast.rates[name] !== undefined ? rateCard.cast.rates[name] : rateCard.cast.default;
+      return { name, days: count, rate, amount: count * rate };
+    });
+
+    // Extras: each group of extras once per day (or scene) they are in
+    const groups = days || scenes.map(scene => ({ scenes: [scene] }));
+    let extraDays = 0;
+    for (const group of groups) {
+      const seen = new Map();
+      for (const scene of group.scenes) {
+        for (const item of (scene.elements && scene.elements.extras) || []) {
+          const key = this._key(item);
+          seen.set(key, Math.max(seen.get(key) || 0, this.extrasCount(item, rateCard)));
+        }
+      }
+      extraDays += [...seen.values()].reduce((total, count) => total + count, 0);
+    }
+
+    // Locations: a fee per location per day, and each company move
+    let locationDays = 0;
+    let moves = 0;
+    if (days) {
+      locationDays = days.reduce((total, day) => total + day.locations.length, 0);
+      moves = days.reduce((total, day) => total + day.moves, 0);
+    } else {
+      const byLocation = new Map();
+      for (const scene of scenes) {
+        byLocation.set(scene.location, (byLocation.get(scene.location) || 0) + scene.eighths);
+      }
+      for (const eighths of byLocation.values()) {
+        locationDays += Math.max(1, Math.ceil(eighths / (rateCard.pagesPerDay * 8)));
+      }
+    }
+
+    // Breakdown elements: bought once, per day used, or per scene
+    const distinct = category => new Set(scenes.flatMap(scene => (scene.elements[category] || []).map(item => this._key(item)))).size;
+    const perDay = category => groups.reduce((total, group) =>
+      total + new Set(group.scenes.flatMap(scene => ((scene.elements && scene.elements[category]) || []).map(item => this._key(item)))).size, 0);
+    const perScene = category => scenes.reduce((total, scene) => total + (scene.elements[category] || []).length, 0);
+    const vfxShots = perScene('vfx');
+    const element = (number, name, category, count, unit) => ({
+      number,
+      name,
+      amount: count * rateCard.elements[category],
+      detail: { [unit]: count, rate: rateCard.elements[category] }
+    });
+
+    const perShootDay = rates => Object.entries(rates).map(([name, rate]) => ({ name, days: shootDays, rate, amount: shootDays * rate }));
+    const sum = list => list.reduce((total, entry) => total + entry.amount, 0);
+    const crewDetail = perShootDay(rateCard.crew);
+    const equipmentDetail = perShootDay(rateCard.equipment);
+
+    const sections = [
+      {
+        key: 'aboveTheLine',
+        name: 'Above the Line',
+        accounts: [
+          { number: '1100', name: 'Story and Rights', amount: rateCard.aboveTheLine.story },
+          { number: '1200', name: 'Producers', amount: rateCard.aboveTheLine.producers },
+          { number: '1300', name: 'Director', amount: rateCard.aboveTheLine.director },
+          { number: '1400', name: 'Cast', amount: sum(castDetail), detail: castDetail }
+        ]
+      },
+      {
+        key: 'belowTheLine',
+        name: 'Below the Line',
+        accounts: [
+          { number: '2100', name: 'Extras', amount: extraDays * rateCard.extras.day, detail: { extraDays, rate: rateCard.extras.day } },
+          { number: '2200', name: 'Crew', amount: sum(crewDetail), detail: crewDetail },
+          { number: '2300', name: 'Equipment', amount: sum(equipmentDetail), detail: equipmentDetail },
+          {
+            number: '2400',
+            name: 'Locations',
+            amount: locationDays * rateCard.locations.day + moves * rateCard.locations.move,
+            detail: { locationDays, dayRate: rateCard.locations.day, moves, moveRate: rateCard.locations.move }
+          },
+          element('2500', 'Props', 'props', distinct('props'), 'items'),
+          element('2600', 'Wardrobe', 'wardrobe', distinct('wardrobe'), 'items'),
+          element('2700', 'Makeup and Hair', 'makeup', distinct('makeup'), 'items'),
+          element('2800', 'Picture Vehicles', 'vehicles', perDay('vehicles'), days ? 'days' : 'scenes'),
+          element('2900', 'Animals', 'animals', perDay('animals'), days ? 'days' : 'scenes'),
+          element('3000', 'Special Effects', 'sfx', perScene('sfx'), 'effects'),
+          element('3100', 'Sound Effects', 'sound', perScene('sound'), 'effects')
+        ]
+      },
+      {
+        key: 'post',
+        name: 'Post-Production',
+        accounts: [
+          { number: '4100', name: 'Editorial', amount: rateCard.post.editorial },
+          { number: '4200', name: 'Music', amount: rateCard.post.music },
+          { number: '4300', name: 'Post Sound', amount: rateCard.post.sound },
+          { number: '4400', name: 'Visual Effects', amount: vfxShots * rateCard.vfx.shot, detail: { shots: vfxShots, rate: rateCard.vfx.shot } },
+          { number: '4500', name: 'Finishing', amount: rateCard.post.finishing }
+        ]
+      }
+    ];
+
+    for (const section of sections) {
+      section.accounts = section.accounts.map(account => ({ ...account, amount: Math.round(account.amount) }));
+      section.total = sum(section.accounts);
+    }
+
+    const subtotal = sections.reduce((total, section) => total + section.total, 0);
+    const insurance = Math.round(subtotal * rateCard.other.insurance / 100);
+    const contingency = Math.round((subtotal + insurance) * rateCard.other.contingency / 100);
+    sections.push({
+      key: 'other',
+      name: 'Other',
+      accounts: [
+        { number: '6100', name: 'Insurance', amount: insurance, detail: { percent: rateCard.other.insurance } },
+        { number: '6200', name: 'Contingency', amount: contingency, detail: { percent: rateCard.other.contingency } }
+      ],
+      total: insurance + contingency
+    });
+
+    return {
+      currency: rateCard.currency,
+      basis: {
+        shootDays,
+        scheduled: Boolean(schedule),
+        pages: this.sceneBreakdown.screenplayFormatter.paginator.formatEighths(totalEighths),
+        castDays: castDetail.reduce((total, entry) => total + entry.days, 0),
+        extraDays,
+        locationDays,
+        moves,
+        vfxShots
+      },
+      sections,
+      total: subtotal + insurance + contingency,
+      warnings
+    };
+  }
+
+  /**
+   * A budget's top sheet as CSV: a row per account, and the section totals
+   */
+  topSheetCsv(budget) {
+    const rows = [['Account', 'Description', `Amount (${budget.currency})`]];
+
+    for (const section of budget.sections) {
+      rows.push(['', section.name, '']);
+      for (const account of section.accounts) {
+        rows.push([account.number, account.name, account.amount]);
+      }
+      rows.push(['', `Total ${section.name}`, section.total]);
+    }
+    rows.push(['', 'Grand Total', budget.total]);
+
+    return rows.map(row => row.map(cell => {
+      const text = String(cell);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * How many extras an element of the breakdown stands for: the number it
+   * is written with, a crowd's size for crowds, 2 for other plurals
+   */
+  extrasCount(item, rateCard) {
+    const words = this._key(item).split(' ');
+    const number = /^\d+$/.test(words[0]) ? parseInt(words[0]) : COUNTS[words[0]];
+
+    if (number && words.length > 1) {
+      return number;
+    }
+    if (GROUPS.some(group => words.includes(group))) {
+      return rateCard.extras.crowd;
+    }
+    return /S$/.test(words[words.length - 1]) ? 2 : 1;
+  }
+
+  _key(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+  }
+}
+
+module.exports = BudgetEstimator;
@@ -0,0 +1,293 @@
+// server/services/characterBible.js - A project's characters, kept between generations
+//
+// Characters are stored with their project (see ProjectManager) so they
+// are written once and sent to the model the same way every time:
+// generation routes take character IDs, and the prompt builders put the
+// stored profiles into the prompt. Characters can be written by hand or
+// extracted from a concept's character list and a screenplay's speaking
+// parts; extraction adds the characters not yet known and fills in what
+// the known ones are missing, without overwriting anything.
+const ProjectManager = require('./projectManager');
+const ScreenplayFormatter = require('./screenplayFormatter');
+
+// The text fields of a character, and its list fields
+const TEXT_FIELDS = ['name', 'description', 'role', 'arc', 'voice'];
+const LIST_FIELDS = ['aliases', 'traits'];
+
+// Cues spoken by more than one character
+const GROUP_CUES = ['ALL', 'BOTH', 'EVERYONE', 'CROWD', 'TOGETHER'];
+
+class CharacterBible {
+  constructor(options = {}) {
+    this.projectManager = options.projectManager || new ProjectManager();
+    this.screenplayFormatter = options.screenplayFormatter || new ScreenplayFormatter();
+  }
+
+  /**
+   * Check the fields of a character being created (or with partial: true,
+   * changed) against the project's other characters. Lists may be given
+   * as comma-separated text. Returns { fields, errors }: the cleaned-up
+   * fields to save when errors is empty.
+   */
+  check(input, characters, options = {}) {
+    const fields = {};
+    const errors = [];
+    const others = characters.filter(character => character.id !== options.id);
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { fields, errors: ['A character must be an object'] };
+    }
+
+    for (const field of TEXT_FIELDS) {
+      if (input[field] === undefined) continue;
+      if (input[field] !== null && typeof input[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+        continue;
+      }
+      fields[field] = input[field] === null ? null : input[field].trim();
+    }
+
+    for (const field of LIST_FIELDS) {
+      if (input[field] === undefined) continue;
+      const list = typeof input[field] === 'string' ? input[field].split(',') : input[field];
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+        errors.push(`${field} must be a list of strings`);
+        continue;
+      }
+      fields[field] = list.map(item => item.trim()).filter(Boolean);
+    }
+
+    if (input.relationships !== undefined) {
+      const relationships = Array.isArray(input.relationships) ? input.relationships : null;
+      if (!relationships) {
+        errors.push('relationships must be a list');
+      } else {
+        relationships.forEach((entry, index) => {
+          if (!entry || !others.some(character => character.id === entry.characterId)) {
+            errors.push(`relationships[${index}].characterId must be another character of the project`);
+          } else if (typeof entry.relationship !== 'string' || !entry.relationship.trim()) {
+            errors.push(`relationships[${index}].relationship is required`);
+          }
+        });
+        fields.relationships = relationships.map(entry => ({
+          characterId: entry && entry.characterId,
+          relationship: entry && typeof entry.relationship === 'string' ? entry.relationship.trim() : ''
+        }));
+      }
+    }
+
+    if (!options.partial || fields.name !== undefined) {
+      if (!fields.name) {
+        errors.push('name is required');
+      }
+    }
+
+    // Names and aliases pick characters out of scene lists and screenplays,
+    // so no two characters may share one
+    for (const name of [fields.name, ...(fields.aliases || [])].filter(Boolean)) {
+      const clash = this.find(others, name);
+      if (clash) {
+        errors.push(`${name} is already the name or an alias of ${clash.name}`);
+      }
+    }
+
+    if (!options.partial) {
+      for (const field of TEXT_FIELDS) {
+        if (fields[field] === undefined) fields[field] = null;
+      }
+      for (const field of [...LIST_FIELDS, 'relationships']) {
+        if (fields[field] === undefined) fields[field] = [];
+      }
+    }
+
+    return { fields, errors };
+  }
+
+  /**
+   * The character a name refers to, by its name or one of its aliases,
+   * ignoring case and spacing
+   */
+  find(characters, name) {
+    const key = this._key(name);
+    return characters.find(character =>
+      [character.name, ...(character.aliases || [])].some(candidate => this._key(candidate) === key)) || null;
+  }
+
+  /**
+   * The profiles of some of a project's characters, in the order asked
+   * for, as the prompts present them (see prompts/partials/characters).
+   * Throws a CHARACTER_NOT_FOUND error (error.missing lists the IDs) if
+   * the project lacks any of them.
+   */
+  async profiles(projectId, characterIds) {
+    const characters = (await this.projectManager.getCharacters(projectId)) || [];
+    const missing = this.missing(characters, characterIds);
+
+    if (missing.length) {
+      const error = new Error(`Characters not found: ${missing.join(', ')}`);
+      error.code = 'CHARACTER_NOT_FOUND';
+      error.missing = missing;
+      throw error;
+    }
+
+    return characterIds.map(id => this.profile(characters.find(character => character.id === id), characters));
+  }
+
+  /**
+   * The IDs of a list that are not characters of the project
+   */
+  missing(characters, characterIds) {
+    return characterIds.filter(id => !characters.some(character => character.id === id));
+  }
+
+  /**
+   * A character as the prompts present it, with its relationships written
+   * out by name
+   */
+  profile(character, characters) {
+    const relationships = (character.relationships || []).map(entry => {
+      const other = characters.find(candidate => candidate.id === entry.characterId);
+      return other ? `${other.name}: ${entry.relationship}` : null;
+    }).filter(Boolean);
+
+    return {
+      name: character.name,
+      aliases: character.aliases || [],
+      description: character.description || null,
+      role: character.role || null,
+      traits: character.traits || [],
+      arc: character.arc || null,
+      voice: character.voice || null,
+      relationships
+    };
+  }
+
+  /**
+   * The characters of a concept (see schemas/concept.json), as fields to
+   * extract. Concepts stored as JSON text are read too.
+   */
+  fromConcept(concept) {
+    let value = concept;
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        return [];
+      }
+    }
+
+    const characters = value && Array.isArray(value.characters) ? value.characters : [];
+    return characters.filter(character => character && typeof character.name === 'string' && character.name.trim())
+      .map(character => ({
+        name: character.name.trim(),
+        description: [character.description, character.motivation && `Wants: ${character.motivation}`]
+          .filter(text => typeof text === 'string' && text.trim()).join(' ') || null,
+        role: typeof character.role === 'string' ? character.role : null,
+        traits: Array.isArray(character.traits) ? character.traits.filter(trait => typeof trait === 'string') : [],
+        arc: typeof character.arc === 'string' ? character.arc : null
+      }));
+  }
+
+  /**
+   * The speaking characters of a screenplay (any form ScreenplayFormatter
+   * reads), as fields to extract, most speeches first. Cue extensions such as
+   * (V.O.) are dropped, and group cues such as ALL are skipped.
+   */
+  fromScreenplay(screenplay) {
+    const tree = this.screenplayFormatter.buildTree(this.screenplayFormatter.toDocument(screenplay));
+    const speakers = new Map();
+
+    const visit = node => {
+      if (node.type === 'speech') {
+        const name = node.character.name;
+        if (name && !GROUP_CUES.includes(name)) {
+          speakers.set(name, (speakers.get(name) || 0) + 1);
+        }
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(tree);
+
+    return [...speakers.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([name]) => ({ name }));
+  }
+
+  /**
+   * Add extracted characters to a project. A character the project
+   * already has (by name or alias, or a screenplay cue that is one word of
+   * exactly one known name, e.g. ANNA for Anna Reyes) gets only the fields
+   * it is missing, and the cue as an alias. With dryRun nothing is saved.
+   * Resolves to { added, updated, unchanged } (the records), or null if
+   * the project does not exist.
+   */
+  async extract(projectId, candidates, options = {}) {
+    const characters = await this.projectManager.getCharacters(projectId);
+
+    if (!characters) {
+      return null;
+    }
+
+    const result = { added: [], updated: [], unchanged: [] };
+
+    for (const candidate of candidates) {
+      const known = this.find(characters, candidate.name) || this._findByWord(characters, candidate.name);
+
+      if (!known) {
+        const { fields } = this.check(candidate, characters);
+        const added = options.dryRun ? { id: null, ...fields } : await this.projectManager.addCharacter(projectId, fields);
+        characters.push(added);
+        result.added.push(added);
+        continue;
+      }
+
+      const updates = {};
+      for (const field of ['description', 'role', 'arc']) {
+        if (!known[field] && candidate[field]) updates[field] = candidate[field];
+      }
+      if (!(known.traits || []).length && (candidate.traits || []).length) {
+        updates.traits = candidate.traits;
+      }
+      if (!this.find([{ ...known, aliases: known.aliases || [] }], candidate.name)) {
+        updates.aliases = [...(known.aliases || []), candidate.name];
+      }
+
+      if (!Object.keys(updates).length) {
+        result.unchanged.push(known);
+        continue;
+      }
+
+      const updated = options.dryRun ? { ...known, ...updates } : await this.projectManager.updateCharacter(projectId, known.id, updates);
+      characters[characters.indexOf(known)] = updated;
+      const already = result.added.findIndex(character => character === known);
+      if (already !== -1) {
+        result.added[already] = updated;
+      } else {
+        result.updated = result.updated.filter(character => character !== known).concat(updated);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * The one character with a name of which the given one-word name is a
+   * word, if there is exactly one
+   */
+  _findByWord(characters, name) {
+    const key = this._key(name);
+    if (!key || /\s/.test(String(name).trim())) {
+      return null;
+    }
+
+    const matches = characters.filter(character =>
+      String(character.name || '').split(/\s+/).some(word => this._key(word) === key));
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  _key(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+  }
+}
+
+module.exports = CharacterBible;
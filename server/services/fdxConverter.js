@@ -0,0 +1,353 @@
+// server/services/fdxConverter.js - Final Draft (.fdx) import and export
+//
+// Reads and writes the same screenplay documents as FountainConverter.
+// Non-printing elements (notes, boneyard, sections, synopses) have no Final
+// Draft paragraph equivalent and are left out of exported files.
+
+// Final Draft paragraph types and the document element types they map to
+const PARAGRAPH_TYPES = {
+  'Scene Heading': 'scene_heading',
+  'Action': 'action',
+  'General': 'action',
+  'Character': 'character',
+  'Parenthetical': 'parenthetical',
+  'Dialogue': 'dialogue',
+  'Transition': 'transition',
+  'Shot': 'shot',
+  'Lyrics': 'lyrics'
+};
+
+const ELEMENT_TYPES = {
+  scene_heading: 'Scene Heading',
+  action: 'Action',
+  centered: 'Action',
+  character: 'Character',
+  parenthetical: 'Parenthetical',
+  dialogue: 'Dialogue',
+  transition: 'Transition',
+  shot: 'Shot',
+  lyrics: 'Lyrics'
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class FdxConverter {
+  constructor() {
+    this.extension = 'fdx';
+    this.contentType = 'application/xml; charset=utf-8';
+  }
+
+  /**
+   * Parse Final Draft XML into a screenplay document
+   */
+  parse(xml) {
+    const root = this._parseXml(String(xml || ''));
+    const finalDraft = this._child(root, 'FinalDraft');
+
+    if (!finalDraft) {
+      throw new Error('Not a Final Draft document: missing <FinalDraft> root element');
+    }
+
+    const elements = [];
+    const content = this._child(finalDraft, 'Content');
+    for (const paragraph of this._children(content, 'Paragraph')) {
+      this._appendParagraph(elements, paragraph);
+    }
+
+    const titlePage = this._parseTitlePage(this._child(finalDraft, 'TitlePage'));
+    return { titlePage, elements };
+  }
+
+  /**
+   * Serialize a screenplay document to Final Draft XML
+   */
+  serialize(document) {
+    const elements = (document && document.elements) || [];
+    const paragraphs = [];
+    let newPage = false;
+
+    for (let i = 0; i < elements.length; i++) {
+      const element = elements[i];
+
+      if (element.type === 'page_break') {
+        newPage = true;
+        continue;
+      }
+      if (!ELEMENT_TYPES[element.type]) continue;
+
+      // Dual dialogue: both speeches are wrapped in a single <DualDialogue>
+      if (element.type === 'character' && element.dual === 'left') {
+        const end = this._dualDialogueEnd(elements, i);
+        const inner = elements.slice(i, end)
+          .filter(part => ELEMENT_TYPES[part.type])
+          .map(part => `      ${this._paragraphXml(part)}`);
+
+        paragraphs.push(`    <Paragraph${newPage ? ' StartsNewPage="Yes"' : ''}>\n` +
+          `      <DualDialogue>\n  ${inner.join('\n  ')}\n      </DualDialogue>\n    </Paragraph>`);
+        newPage = false;
+        i = end - 1;
+        continue;
+      }
+
+      paragraphs.push(`    ${this._paragraphXml(element, newPage)}`);
+      newPage = false;
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+      '<FinalDraft DocumentType="Script" Template="No" Version="5">',
+      '  <Content>',
+      ...paragraphs,
+      '  </Content>',
+      this._titlePageXml((document && document.titlePage) || []),
+      '</FinalDraft>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Convert one <Paragraph> (possibly holding dual dialogue) into elements
+   */
+  _appendParagraph(elements, paragraph) {
+    const startsNewPage = paragraph.attributes.StartsNewPage === 'Yes';
+    if (startsNewPage && elements.length) {
+      elements.push({ type: 'page_break', text: '' });
+    }
+
+    const dual = this._child(paragraph, 'DualDialogue');
+    if (dual) {
+      let side = 'left';
+      for (const inner of this._children(dual, 'Paragraph')) {
+        const element = this._paragraphElement(inner);
+        if (element.type === 'character') {
+          element.dual = side;
+          side = 'right';
+        }
+        elements.push(element);
+      }
+      return;
+    }
+
+    elements.push(this._paragraphElement(paragraph));
+  }
+
+  /**
+   * Build a document element from a simple <Paragraph>
+   */
+  _paragraphElement(paragraph) {
+    const type = PARAGRAPH_TYPES[paragraph.attributes.Type] || 'action';
+    const text = this._children(paragraph, 'Text').map(node => this._textContent(node)).join('');
+    const element = { type, text };
+
+    if (type === 'action' && paragraph.attributes.Alignment === 'Center') {
+      element.type = 'centered';
+    }
+    if (type === 'scene_heading' && paragraph.attributes.Number) {
+      element.sceneNumber = paragraph.attributes.Number;
+    }
+    return element;
+  }
+
+  /**
+   * Serialize one element as a <Paragraph>
+   */
+  _paragraphXml(element, newPage = false) {
+    const attributes = [`Type="${ELEMENT_TYPES[element.type]}"`];
+
+    if (element.type === 'centered') {
+      attributes.push('Alignment="Center"');
+    }
+    if (element.type === 'scene_heading' && element.sceneNumber) {
+      attributes.push(`Number="${this._escape(element.sceneNumber)}"`);
+    }
+    if (newPage) {
+      attributes.push('StartsNewPage="Yes"');
+    }
+
+    return `<Paragraph ${attributes.join(' ')}><Text>${this._escape(element.text || '')}</Text></Paragraph>`;
+  }
+
+  /**
+   * Find the index just past the right-hand speech of a dual dialogue pair
+   */
+  _dualDialogueEnd(elements, start) {
+    let seenRight = false;
+    for (let i = start + 1; i < elements.length; i++) {
+      const type = elements[i].type;
+      if (type === 'character' && elements[i].dual === 'right' && !seenRight) {
+        seenRight = true;
+      } else if (type !== 'parenthetical' && type !== 'dialogue' && type !== 'lyrics') {
+        return i;
+      }
+    }
+    return elements.length;
+  }
+
+  /**
+   * Final Draft title pages are free-form paragraphs. Pages this converter
+   * wrote carry each entry's key on its paragraphs (see _titlePageXml) and
+   * are read back as they were. Other files are mapped onto the usual
+   * Title / Credit / Author / Contact keys: blank paragraphs (or a change
+   * of alignment) separate one entry from the next, the first centered
+   * entry is the title, and centered entries after it without a credit or
+   * date are taken in order as Author and Source.
+   */
+  _parseTitlePage(titlePageNode) {
+    const content = this._child(titlePageNode, 'Content');
+    const blocks = [];
+    let block = null;
+
+    this._children(content, 'Paragraph').forEach(paragraph => {
+      const text = this._children(paragraph, 'Text').map(node => this._textContent(node)).join('').trim();
+      const centered = paragraph.attributes.Alignment === 'Center';
+      const key = paragraph.attributes.Key || null;
+
+      if (block && key && block.key === key) {
+        // Blank lines inside a keyed entry are part of its value
+        block.lines.push(text);
+      } else if (!text) {
+        block = null;
+      } else if (block && !key && !block.key && block.centered === centered) {
+        block.lines.push(text);
+      } else {
+        block = { centered, key, lines: [text] };
+        blocks.push(block);
+      }
+    });
+
+    const entries = [];
+    const add = (key, text) => {
+      const existing = entries.find(entry => entry.key === key);
+      if (existing) {
+        existing.value += `\n${text}`;
+      } else {
+        entries.push({ key, value: text });
+      }
+    };
+
+    const stages = ['Title', 'Author', 'Source'];
+    let stage = 0;
+    for (const { centered, key, lines } of blocks) {
+      const text = lines.join('\n');
+
+      if (key) {
+        entries.push({ key, value: text });
+      } else if (!centered) {
+        add('Contact', text);
+      } else if (/^((written|screenplay|story)\s+)?by$/i.test(text)) {
+        add('Credit', text);
+        stage = Math.max(stage, 1);
+      } else if (stage > 0 && /^(draft|revision|revised)\b|\d{1,2}\/\d{1,2}\/\d{2,4}/i.test(text)) {
+        add('Draft date', text);
+      } else {
+        add(stages[Math.min(stage, stages.length - 1)], text);
+        stage++;
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Lay out the title page: centered title block, contact details bottom
+   * left, with a blank paragraph after each entry. Each entry's paragraphs
+   * carry its key in a Key attribute, which Final Draft ignores, so the
+   * page reads back with the keys it was written with.
+   */
+  _titlePageXml(titlePage) {
+    if (!titlePage.length) {
+      return '';
+    }
+
+    const order = ['title', 'credit', 'author', 'authors', 'source', 'draft date', 'date'];
+    const centered = titlePage
+      .filter(entry => order.includes(entry.key.toLowerCase()))
+      .sort((a, b) => order.indexOf(a.key.toLowerCase()) - order.indexOf(b.key.toLowerCase()));
+    const left = titlePage.filter(entry => !order.includes(entry.key.toLowerCase()));
+
+    const paragraph = (text, alignment, key) =>
+      `      <Paragraph Alignment="${alignment}"${key ? ` Key="${this._escape(key)}"` : ''} Type="Action"><Text>${this._escape(text)}</Text></Paragraph>`;
+    const lines = [];
+
+    [[centered, 'Center'], [left, 'Left']].forEach(([entries, alignment]) => {
+      entries.forEach(entry => {
+        String(entry.value).split('\n').forEach(text => lines.push(paragraph(text, alignment, entry.key)));
+        lines.push(paragraph('', alignment));
+      });
+    });
+
+    return ['  <TitlePage>', '    <Content>', ...lines, '    </Content>', '  </TitlePage>'].join('\n');
+  }
+
+  /**
+   * Minimal XML reader: enough for Final Draft files (elements, attributes,
+   * text, entities, CDATA). Comments and declarations are skipped.
+   */
+  _parseXml(xml) {
+    const root = { name: '#document', attributes: {}, children: [] };
+    const stack = [root];
+    const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = tokens.exec(xml)) !== null) {
+      const parent = stack[stack.length - 1];
+      const [, cdata, closing, opening, attributeText, selfClosing, text] = match;
+
+      if (cdata !== undefined) {
+        parent.children.push({ text: cdata });
+      } else if (closing) {
+        if (stack.length > 1) stack.pop();
+      } else if (opening) {
+        const node = { name: opening, attributes: this._parseAttributes(attributeText || ''), children: [] };
+        parent.children.push(node);
+        if (!selfClosing) stack.push(node);
+      } else if (text !== undefined) {
+        parent.children.push({ text: this._unescape(text) });
+      }
+    }
+
+    return root;
+  }
+
+  _parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      attributes[match[1]] = this._unescape(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+  }
+
+  _child(node, name) {
+    return node ? node.children.find(child => child.name === name) || null : null;
+  }
+
+  _children(node, name) {
+    return node ? node.children.filter(child => child.name === name) : [];
+  }
+
+  _textContent(node) {
+    return node.children.map(child => child.text !== undefined ? child.text : this._textContent(child)).join('');
+  }
+
+  _escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  _unescape(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(value);
+      }
+      return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+    });
+  }
+}
+
+module.exports = FdxConverter;
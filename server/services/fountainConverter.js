@@ -0,0 +1,414 @@
+// server/services/fountainConverter.js - Fountain (.fountain) import and export
+//
+// Screenplay documents are plain objects shared by every format we read/write:
+// {
+//   titlePage: [{ key: string, value: string }],
+//   elements:  [{ type: string, text: string, ...extra }]
+// }
+// Element types: scene_heading, shot, action, character, parenthetical,
+// dialogue, transition, lyrics, centered, note, boneyard, section, synopsis,
+// page_break.
+class FountainConverter {
+  constructor() {
+    this.extension = 'fountain';
+    this.contentType = 'text/plain; charset=utf-8';
+    this.regex = {
+      titleKey: /^([A-Za-z][A-Za-z0-9 _-]*):\s*(.*)$/,
+      titleStart: /^(title|credit|author|authors|source|draft date|date|contact|copyright|notes|revision):/i,
+      titleContinuation: /^(?:\t| {3,})(.*)$/,
+      sceneHeading: /^(INT|EXT|EST|INT\.?\/EXT|EXT\.?\/INT|I\/E)[\.\s]/i,
+      sceneNumber: /\s*#([A-Za-z0-9.\-]+)#\s*$/,
+      transition: /^[^a-z]*(TO:|FADE OUT\.|FADE TO BLACK\.|CUT TO BLACK\.)$/,
+      centered: /^>\s*(.*?)\s*<$/,
+      pageBreak: /^={3,}\s*$/,
+      section: /^(#+)\s*(.*)$/,
+      note: /^\[\[([\s\S]*)\]\]$/,
+      parenthetical: /^\(.*\)$/,
+      shot: /^(?:(?:EXTREME |EXTRA )?CLOSE(?:[ -]UP| ON)|ECU\b|CU\b|ANGLE ON|(?:WIDE|MEDIUM|TRACKING|AERIAL|ESTABLISHING|OVERHEAD|TWO|INSERT) SHOT|INSERT\b|.*'S POV$|POV\b|BACK TO SCENE|REVERSE ANGLE)[^a-z]*$/
+    };
+  }
+
+  /**
+   * Parse Fountain text into a screenplay document
+   *
+   * Options:
+   *   positions: boolean  // Attach 1-based source line ranges to elements
+   */
+  parse(text, options = {}) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    let index = 0;
+
+    // Title page: key/value pairs at the very top, ended by a blank line
+    const titlePage = [];
+    if (lines.length && this.regex.titleStart.test(lines[0])) {
+      while (index < lines.length && lines[index].trim() !== '') {
+        const keyMatch = lines[index].match(this.regex.titleKey);
+        const continuation = lines[index].match(this.regex.titleContinuation);
+
+        if (continuation && titlePage.length) {
+          const entry = titlePage[titlePage.length - 1];
+          entry.value = entry.value ? `${entry.value}\n${continuation[1].trim()}` : continuation[1].trim();
+        } else if (keyMatch) {
+          titlePage.push({ key: keyMatch[1], value: keyMatch[2].trim() });
+        } else {
+          break;
+        }
+        index++;
+      }
+    }
+
+    const elements = [];
+    for (const block of this._splitBlocks(lines.slice(index), index + 1)) {
+      if (block.boneyard !== undefined) {
+        elements.push({ type: 'boneyard', text: block.boneyard, lines: { start: block.start, end: block.end } });
+        continue;
+      }
+      this._appendBlock(elements, block.lines, block.start);
+    }
+
+    if (!options.positions) {
+      elements.forEach(element => delete element.lines);
+    }
+
+    return { titlePage, elements };
+  }
+
+  /**
+   * Serialize a screenplay document back to Fountain text
+   */
+  serialize(document) {
+    const output = [];
+    const titlePage = (document && document.titlePage) || [];
+    const elements = (document && document.elements) || [];
+
+    if (titlePage.length) {
+      for (const { key, value } of titlePage) {
+        const valueLines = String(value || '').split('\n');
+        if (valueLines.length > 1) {
+          output.push(`${key}:`);
+          valueLines.forEach(line => output.push(`    ${line}`));
+        } else {
+          output.push(valueLines[0] ? `${key}: ${valueLines[0]}` : `${key}:`);
+        }
+      }
+      output.push('');
+    }
+
+    const blocks = [];
+    let current = null;
+
+    for (let i = 0; i < elements.length; i++) {
+      const element = elements[i];
+
+      // Dialogue parts stay in the same block as their character cue
+      if (current && current.dialogue && this._isDialoguePart(element.type)) {
+        current.lines.push(...this._serializeDialoguePart(element));
+        continue;
+      }
+
+      current = {
+        dialogue: element.type === 'character',
+        lines: this._serializeElement(element)
+      };
+      blocks.push(current);
+    }
+
+    output.push(blocks.map(block => block.lines.join('\n')).join('\n\n'));
+    return output.join('\n').replace(/\n+$/, '') + '\n';
+  }
+
+  /**
+   * Split body lines into blocks separated by blank lines. Boneyard blocks
+   * may span blank lines, so they are pulled out here. Each block records
+   * the source line number it starts on.
+   */
+  _splitBlocks(lines, firstLine = 1) {
+    const blocks = [];
+    let current = [];
+    let currentStart = firstLine;
+
+    const flush = () => {
+      if (current.length) {
+        blocks.push({ lines: current, start: currentStart });
+        current = [];
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (!current.length && line.trim().startsWith('/*')) {
+        // Gather the boneyard until its closing marker
+        const start = firstLine + i;
+        const collected = [line.trim().slice(2)];
+        let closed = collected[0].indexOf('*/');
+        while (closed === -1 && i + 1 < lines.length) {
+          i++;
+          collected.push(lines[i]);
+          closed = lines[i].indexOf('*/');
+        }
+
+        const last = collected.length - 1;
+        const remainder = closed === -1 ? '' : collected[last].slice(closed + 2);
+        collected[last] = closed === -1 ? collected[last] : collected[last].slice(0, closed);
+        blocks.push({ boneyard: collected.join('\n'), start, end: firstLine + i });
+
+        if (remainder.trim()) {
+          current.push(remainder.trim());
+          currentStart = firstLine + i;
+        }
+        continue;
+      }
+
+      // A line of exactly two spaces is an intentional blank line inside a block
+      if (line.trim() === '' && line !== '  ') {
+        flush();
+      } else {
+        if (!current.length) {
+          currentStart = firstLine + i;
+        }
+        current.push(line);
+      }
+    }
+
+    flush();
+    return blocks;
+  }
+
+  /**
+   * Classify a block of lines and append the resulting elements. start is
+   * the source line number of the block's first line.
+   */
+  _appendBlock(elements, lines, start = 1) {
+    const first = lines[0].trim();
+    const single = lines.length === 1;
+    const joined = lines.map(line => line.trim()).join('\n');
+    const push = (element, from = 0, to = lines.length - 1) => {
+      element.lines = { start: start + from, end: start + to };
+      elements.push(element);
+    };
+
+    if (single && this.regex.pageBreak.test(first)) {
+      push({ type: 'page_break', text: '' });
+      return;
+    }
+
+    if (single && first.startsWith('#')) {
+      const [, hashes, text] = first.match(this.regex.section);
+      push({ type: 'section', text, depth: hashes.length });
+      return;
+    }
+
+    if (single && first.startsWith('=')) {
+      push({ type: 'synopsis', text: first.replace(/^=\s*/, '') });
+      return;
+    }
+
+    if (this.regex.note.test(joined) && joined.indexOf(']]') === joined.length - 2) {
+      push({ type: 'note', text: joined.match(this.regex.note)[1] });
+      return;
+    }
+
+    if (first.startsWith('!')) {
+      push({ type: 'action', text: [lines[0].trim().slice(1), ...lines.slice(1)].map(l => l.replace(/\s+$/, '')).join('\n') });
+      return;
+    }
+
+    if (this._isSceneHeading(first)) {
+      push(this._sceneHeadingElement(first.startsWith('.') ? first.slice(1) : first), 0, 0);
+
+      // Be lenient with drafts that run the scene straight on after the heading
+      if (!single) {
+        this._appendBlock(elements, lines.slice(1), start + 1);
+      }
+      return;
+    }
+
+    if (lines.every(line => this.regex.centered.test(line.trim()))) {
+      push({ type: 'centered', text: lines.map(line => line.trim().match(this.regex.centered)[1]).join('\n') });
+      return;
+    }
+
+    if (single && (first.startsWith('>') || this.regex.transition.test(first))) {
+      push({ type: 'transition', text: first.replace(/^>\s*/, '') });
+      return;
+    }
+
+    if (single && this.regex.shot.test(first)) {
+      push({ type: 'shot', text: first });
+      return;
+    }
+
+    if (lines.every(line => this._isLyric(line.trim()))) {
+      lines.forEach((line, offset) => push({ type: 'lyrics', text: this._lyricText(line.trim()) }, offset, offset));
+      return;
+    }
+
+    if (!single && this._isCharacterCue(first)) {
+      this._appendDialogue(elements, lines, start);
+      return;
+    }
+
+    push({ type: 'action', text: lines.map(line => line.replace(/\s+$/, '')).join('\n') });
+  }
+
+  /**
+   * Append a character cue and the dialogue that follows it
+   */
+  _appendDialogue(elements, lines, start = 1) {
+    let cue = lines[0].trim();
+    const character = { type: 'character', text: '', lines: { start, end: start } };
+
+    if (cue.startsWith('@')) {
+      cue = cue.slice(1);
+    }
+    if (cue.endsWith('^')) {
+      cue = cue.slice(0, -1).trim();
+      character.dual = 'right';
+
+      // The previous character cue becomes the left side of the pair
+      for (let i = elements.length - 1; i >= 0; i--) {
+        if (elements[i].type === 'character') {
+          elements[i].dual = 'left';
+          break;
+        }
+        if (!this._isDialoguePart(elements[i].type)) break;
+      }
+    }
+    character.text = cue;
+    elements.push(character);
+
+    let dialogue = null;
+    lines.slice(1).forEach((raw, offset) => {
+      const line = raw === '  ' ? '' : raw.trim();
+      const lineNumber = start + offset + 1;
+      const position = { start: lineNumber, end: lineNumber };
+
+      if (this.regex.parenthetical.test(line)) {
+        elements.push({ type: 'parenthetical', text: line, lines: position });
+        dialogue = null;
+      } else if (this._isLyric(line)) {
+        elements.push({ type: 'lyrics', text: this._lyricText(line), lines: position });
+        dialogue = null;
+      } else if (dialogue) {
+        dialogue.text += `\n${line}`;
+        dialogue.lines.end = lineNumber;
+      } else {
+        dialogue = { type: 'dialogue', text: line, lines: position };
+        elements.push(dialogue);
+      }
+    });
+  }
+
+  /**
+   * Build a scene heading element, splitting off a trailing #scene number#
+   */
+  _sceneHeadingElement(text) {
+    const element = { type: 'scene_heading', text: text.trim() };
+    const numberMatch = element.text.match(this.regex.sceneNumber);
+
+    if (numberMatch) {
+      element.text = element.text.slice(0, numberMatch.index).trim();
+      element.sceneNumber = numberMatch[1];
+    }
+    return element;
+  }
+
+  /**
+   * Serialize a standalone element to its Fountain lines
+   */
+  _serializeElement(element) {
+    const text = element.text || '';
+
+    switch (element.type) {
+      case 'scene_heading': {
+        const number = element.sceneNumber ? ` #${element.sceneNumber}#` : '';
+        const natural = this._classify([text]) === 'scene_heading';
+        return [`${natural ? '' : '.'}${text}${number}`];
+      }
+      case 'character': {
+        const dual = element.dual === 'right' ? ' ^' : '';
+        const natural = this._classify([text, 'x']) === 'character';
+        return [`${natural ? '' : '@'}${text}${dual}`];
+      }
+      case 'transition':
+        return [`${this._classify([text]) === 'transition' ? '' : '> '}${text}`];
+      case 'shot':
+        // Fountain has no forcing mark for shots; they are recognised by wording
+        return [text];
+      case 'centered':
+        return text.split('\n').map(line => `> ${line} <`);
+      case 'note':
+        return [`[[${text}]]`];
+      case 'boneyard':
+        return [`/*${text}*/`];
+      case 'section':
+        return [`${'#'.repeat(element.depth || 1)} ${text}`];
+      case 'synopsis':
+        return [`= ${text}`];
+      case 'page_break':
+        return ['==='];
+      case 'lyrics':
+        return [`~${text}`];
+      case 'parenthetical':
+      case 'dialogue':
+        return this._serializeDialoguePart(element);
+      case 'action':
+      default: {
+        const lines = text.split('\n').map(line => line === '' ? '  ' : line);
+        if (this._classify(lines) !== 'action') {
+          lines[0] = `!${lines[0]}`;
+        }
+        return lines;
+      }
+    }
+  }
+
+  /**
+   * Serialize a parenthetical, dialogue or lyric line inside a dialogue block
+   */
+  _serializeDialoguePart(element) {
+    if (element.type === 'lyrics') {
+      return [`~${element.text}`];
+    }
+    return String(element.text || '').split('\n').map(line => line === '' ? '  ' : line);
+  }
+
+  /**
+   * Classify lines the way the parser would, used to decide when forcing is needed
+   */
+  _classify(lines) {
+    const elements = [];
+    this._appendBlock(elements, lines);
+    return elements.length ? elements[0].type : null;
+  }
+
+  _isSceneHeading(line) {
+    return (line.startsWith('.') && !line.startsWith('..')) || this.regex.sceneHeading.test(line);
+  }
+
+  _isCharacterCue(line) {
+    if (line.startsWith('@')) return true;
+
+    // Extensions such as (cont'd) may be lowercase, the name itself may not
+    const name = line.replace(/\^$/, '').replace(/\(.*?\)/g, '').trim();
+    return /[A-Z]/.test(name) && name === name.toUpperCase() && !line.startsWith('!');
+  }
+
+  _isLyric(line) {
+    return line.startsWith('~') || line.startsWith('\u266a');
+  }
+
+  /**
+   * Fountain lyrics drop their ~ marker; sung lines marked with a note keep it
+   */
+  _lyricText(line) {
+    return line.startsWith('~') ? line.slice(1).trim() : line;
+  }
+
+  _isDialoguePart(type) {
+    return type === 'parenthetical' || type === 'dialogue' || type === 'lyrics';
+  }
+}
+
+module.exports = FountainConverter;
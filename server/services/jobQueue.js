@@ -0,0 +1,270 @@
+// server/services/jobQueue.js - Disk-backed queue for long-running work
+//
+// Every job is a JSON file in the jobs directory, rewritten as it moves
+// through queued -> running -> completed / failed / cancelled. A limited
+// number run at once. After a restart, queued jobs carry on and jobs that
+// were running are started again (or failed once out of attempts).
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const ProjectManager = require('./projectManager');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+class JobQueue {
+  constructor(options = {}) {
+    const jobConfig = config.jobs || {};
+    this.jobsDir = options.jobsDirectory || jobConfig.directory || path.join(__dirname, '../../data/jobs');
+    this.concurrency = options.concurrency || jobConfig.concurrency || 2;
+    this.maxAttempts = options.maxAttempts || jobConfig.maxAttempts || 3;
+    this.progressInterval = 1000; // How often running jobs save their progress (ms)
+
+    this.projectManager = options.projectManager || new ProjectManager();
+    this.handlers = {};
+    this.jobs = new Map();     // Jobs this process knows about, by id
+    this.running = new Map();  // Running job id -> AbortController
+    this.writes = new Map();   // Job id -> pending write, so writes land in order
+    this.started = false;
+  }
+
+  /**
+   * Register what runs a type of job
+   *
+   * handler: {
+   *   run(params, { onProgress, signal, meta }) -> result
+   *                                                   // May be async; meta is
+   *                                                   // an object to fill
+   *                                                   // with details kept on
+   *                                                   // the job
+   *   asset(result, params, meta) -> { assetType, assetData, metadata }
+   *                                                   // Optional: how to save
+   *                                                   // the result as an asset
+   * }
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Load jobs from disk and start working through the queue. Call once the
+   * handlers are registered.
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    await fs.mkdir(this.jobsDir, { recursive: true });
+    const files = (await fs.readdir(this.jobsDir)).filter(file => /^job_.*\.json$/.test(file));
+
+    for (const file of files) {
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.jobsDir, file), 'utf8'));
+        this.jobs.set(job.id, job);
+
+        if (job.status === 'running') {
+          // Interrupted by the restart: run it again while attempts remain
+          if (job.attempts >= this.maxAttempts) {
+            await this._finish(job, 'failed', { error: 'Interrupted by a server restart' });
+          } else {
+            job.status = 'queued';
+            job.resumed = true;
+            await this._save(job);
+          }
+        }
+      } catch (error) {
+        console.error(`Error loading job ${file}:`, error);
+      }
+    }
+
+    this._pump();
+  }
+
+  /**
+   * Add a job to the queue
+   *
+   * Options:
+   *   save: { projectId, metadata }  // Save the result as a project asset
+   */
+  async enqueue(type, params = {}, options = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const timestamp = new Date().toISOString();
+    const job = {
+      id: `job_${uuidv4().substring(0, 8)}`,
+      type,
+      status: 'queued',
+      params,
+      save: options.save || null,
+      progress: {},
+      result: null,
+      meta: {},
+      error: null,
+      assetId: null,
+      attempts: 0,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this._save(job);
+    this._pump();
+
+    return job;
+  }
+
+  /**
+   * Get a job by id, or null
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * All jobs, newest first, optionally only those with a given status
+   */
+  listJobs(status = null) {
+    return [...this.jobs.values()]
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Cancel a queued or running job. Returns the job, or null if there is no
+   * such job; finished jobs are returned unchanged.
+   */
+  async cancel(jobId) {
+    const job = this.jobs.get(jobId);
+
+    if (!job || FINISHED.includes(job.status)) {
+      return job || null;
+    }
+
+    const controller = this.running.get(jobId);
+    if (controller) {
+      // The run sees the abort and finishes the job as cancelled
+      controller.abort();
+    }
+
+    await this._finish(job, 'cancelled');
+    return job;
+  }
+
+  /**
+   * Start queued jobs, oldest first, while there is capacity
+   */
+  _pump() {
+    if (!this.started) return;
+
+    const queued = this.listJobs('queued').reverse();
+    while (this.running.size < this.concurrency && queued.length) {
+      const job = queued.shift();
+      // A job whose failure cannot be saved must not take the server down
+      this._run(job).catch(error => console.error(`Error running job ${job.id}:`, error));
+    }
+  }
+
+  async _run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    const handler = this.handlers[job.type];
+    let lastSaved = 0;
+
+    try {
+      if (!handler) {
+        throw new Error(`Unknown job type: ${job.type}`);
+      }
+
+      job.status = 'running';
+      job.attempts++;
+      job.startedAt = new Date().toISOString();
+      job.progress = {};
+      job.meta = {};
+      await this._save(job);
+
+      const onProgress = progress => {
+        job.progress = { ...job.progress, ...progress };
+        job.updatedAt = new Date().toISOString();
+
+        // Progress changes often; write it out now and then
+        if (Date.now() - lastSaved >= this.progressInterval) {
+          lastSaved = Date.now();
+          this._save(job).catch(error => console.error(`Error saving job ${job.id}:`, error));
+        }
+      };
+
+      const result = await handler.run(job.params, { onProgress, signal: controller.signal, meta: job.meta });
+
+      if (controller.signal.aborted) return;
+
+      if (job.save && handler.asset) {
+        const { assetType, assetData, metadata } = handler.asset(result, job.params, job.meta);
+        job.assetId = await this.projectManager.addAsset(job.save.projectId, assetType, assetData, {
+          ...metadata,
+          ...job.save.metadata,
+          jobId: job.id
+        }, { message: `Generated by job ${job.id}` });
+
+        if (!job.assetId) {
+          throw new Error('Could not save the result: project not found');
+        }
+      }
+
+      await this._finish(job, 'completed', { result });
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error(`Job ${job.id} failed:`, error);
+        await this._finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this._pump();
+    }
+  }
+
+  async _finish(job, status, fields = {}) {
+    Object.assign(job, fields, {
+      status,
+      finishedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    await this._save(job);
+  }
+
+  /**
+   * Write a job file, via a temporary file so a crash mid-write cannot
+   * leave it half written. Writes of the same job are queued behind each
+   * other so an older state never lands last.
+   */
+  _save(job) {
+    const jobPath = path.join(this.jobsDir, `${job.id}.json`);
+    const tempPath = `${jobPath}.${process.pid}.tmp`;
+    const content = JSON.stringify(job, null, 2);
+
+    const write = (this.writes.get(job.id) || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(this.jobsDir, { recursive: true });
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, jobPath);
+      });
+
+    this.writes.set(job.id, write);
+    write.then(() => {
+      if (this.writes.get(job.id) === write) this.writes.delete(job.id);
+    }, () => {});
+
+    return write;
+  }
+}
+
+// One queue for the whole server, shared by the routes that add jobs and
+// the routes that report on them
+JobQueue.shared = new JobQueue();
+
+module.exports = JobQueue;
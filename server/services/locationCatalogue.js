@@ -0,0 +1,389 @@
+// server/services/locationCatalogue.js - A project's locations, from its scene headings
+//
+// The catalogue is read from the scene headings of a project's screenplay
+// assets whenever it is asked for, so it always matches the script. Headings
+// name the same place in different ways, so locations are normalized: case,
+// spacing, apostrophes and a leading THE are ignored; "KITCHEN - JOE'S
+// HOUSE" and "JOE'S HOUSE - KITCHEN" are both the KITCHEN sub-location of
+// JOE'S HOUSE; and "JOE'S KITCHEN" joins them when JOE'S HOUSE is the only
+// place of JOE'S in the script. Renaming or merging locations rewrites the
+// headings themselves, in every screenplay of the project.
+const ProjectManager = require('./projectManager');
+const ScreenplayFormatter = require('./screenplayFormatter');
+
+// Times of day by whether they are shot as day or night. Continuity times
+// (CONTINUOUS, LATER, ...) take the time of the scene before.
+const DAY_TIMES = ['DAY', 'DAYTIME', 'MORNING', 'AFTERNOON', 'DAWN', 'SUNRISE', 'NOON', 'MORN'];
+const NIGHT_TIMES = ['NIGHT', 'NITE', 'NIGHTTIME', 'EVENING', 'DUSK', 'SUNSET', 'MIDNIGHT', 'EVE', 'MAGIC HOUR'];
+const CONTINUITY_TIMES = ['CONTINUOUS', 'CONT', 'LATER', 'MOMENTS LATER', 'SAME', 'SAME TIME', 'SIMULTANEOUS', 'CONTINUED'];
+
+// Rooms and other parts of a place: a heading segment ending in one of these
+// is a sub-location of the place it is named with
+const ROOMS = [
+  'ROOM', 'KITCHEN', 'BEDROOM', 'BATHROOM', 'HALLWAY', 'HALL', 'CORRIDOR', 'GARAGE', 'BASEMENT', 'ATTIC',
+  'STUDY', 'LOBBY', 'PORCH', 'YARD', 'BACKYARD', 'GARDEN', 'ROOF', 'ROOFTOP', 'CELLAR', 'CLOSET', 'FOYER',
+  'STAIRWELL', 'STAIRS', 'STAIRCASE', 'BALCONY', 'PANTRY', 'NURSERY', 'DEN', 'LOUNGE', 'WARD', 'CELL',
+  'DRIVEWAY', 'ENTRANCE', 'DOORWAY', 'TOILET', 'RESTROOM', 'LANDING'
+];
+
+class LocationCatalogue {
+  constructor(options = {}) {
+    this.projectManager = options.projectManager || new ProjectManager();
+    this.screenplayFormatter = options.screenplayFormatter || new ScreenplayFormatter();
+  }
+
+  /**
+   * The catalogue of a project's screenplays (or just the one asset, with
+   * options.assetId), largest locations first:
+   *
+   *   [{ name, variants, scenes, eighths, pages, day, night, unknown,
+   *      settings: { INT, EXT, ... }, subLocations: [{ name, ... }],
+   *      appearances: [{ assetId, index, number, heading, subLocation }] }]
+   *
+   * Variants are the ways the headings write the location; eighths and
+   * pages are its length in eighths of a page and as breakdowns write it.
+   * Resolves to null if the project (or asset) does not exist.
+   */
+  async build(projectId, options = {}) {
+    const screenplays = await this.screenplays(projectId, options);
+    return screenplays && this.catalogue(screenplays);
+  }
+
+  /**
+   * A project's screenplay assets with their data, or only the one given
+   * by options.assetId. Resolves to null if there is no such project or
+   * screenplay asset.
+   */
+  async screenplays(projectId, options = {}) {
+    if (options.assetId) {
+      const asset = await this.projectManager.getAsset(projectId, options.assetId);
+      return asset && asset.type === 'screenplay' ? [asset] : null;
+    }
+
+    const assets = await this.projectManager.getAssets(projectId, 'screenplay');
+
+    if (!assets) {
+      return null;
+    }
+
+    const screenplays = [];
+    for (const assetId of Object.keys(assets)) {
+      const asset = await this.projectManager.getAsset(projectId, assetId);
+      if (asset) screenplays.push(asset);
+    }
+    return screenplays;
+  }
+
+  /**
+   * Catalogue the scenes of some screenplay assets (see build)
+   */
+  catalogue(screenplays) {
+    const scenes = screenplays.flatMap(asset => this.scenes(asset));
+    const locations = new Map();
+
+    const entry = (map, key) => {
+      if (!map.has(key)) {
+        map.set(key, { scenes: 0, eighths: 0, day: 0, night: 0, unknown: 0, settings: {}, spellings: {}, written: {} });
+      }
+      return map.get(key);
+    };
+    const count = (target, scene, name) => {
+      target.scenes++;
+      target.eighths += scene.eighths;
+      target[scene.daylight]++;
+      if (scene.setting) target.settings[scene.setting] = (target.settings[scene.setting] || 0) + 1;
+      target.spellings[name] = (target.spellings[name] || 0) + 1;
+      target.written[scene.written] = (target.written[scene.written] || 0) + 1;
+    };
+
+    for (const scene of this._resolveOwners(scenes)) {
+      const location = entry(locations, this._key(scene.location));
+      location.subs = location.subs || new Map();
+      location.appearances = location.appearances || [];
+      count(location, scene, scene.location);
+
+      if (scene.subLocation) {
+        count(entry(location.subs, this._key(scene.subLocation)), scene, scene.subLocation);
+      }
+      location.appearances.push({
+        assetId: scene.assetId,
+        index: scene.index,
+        number: scene.number,
+        heading: scene.heading,
+        subLocation: scene.subLocation
+      });
+    }
+
+    const byUse = counts => Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    const finish = ({ spellings, written, subs, appearances, ...location }) => {
+      // Named the way the headings most often write it
+      const result = {
+        name: byUse(spellings)[0],
+        variants: byUse(written),
+        ...location,
+        pages: this.screenplayFormatter.paginator.formatEighths(location.eighths)
+      };
+      if (subs) {
+        result.subLocations = [...subs.values()].map(finish).sort((a, b) => b.eighths - a.eighths || a.name.localeCompare(b.name));
+        result.appearances = appearances;
+      }
+      return result;
+    };
+
+    return [...locations.values()].map(finish).sort((a, b) => b.eighths - a.eighths || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * The scenes of a screenplay asset with where and when each is set:
+   * { assetId, index, number, heading, setting, written, location,
+   * subLocation, time, daylight, eighths }, daylight being day, night or
+   * unknown
+   */
+  scenes(asset) {
+    // Indexed as the stored document's headings, for rename to find them;
+    // the OMITTED placeholders of a locked draft are no location
+    const pagination = this.screenplayFormatter.getPagination(asset.data);
+    let daylight = 'unknown';
+
+    return pagination.scenes.filter(scene => String(scene.heading).trim().toUpperCase() !== 'OMITTED').map(scene => {
+      const { setting, written, time } = this.parseHeading(scene.heading);
+      const { location, subLocation } = this.parseLocation(written);
+
+      const kind = this._daylight(time);
+      daylight = kind === 'continuity' ? daylight : kind || 'unknown';
+
+      return {
+        assetId: asset.id,
+        index: scene.index,
+        number: scene.number || null,
+        heading: scene.heading,
+        setting,
+        written,
+        location,
+        subLocation,
+        time,
+        daylight,
+        eighths: scene.eighths
+      };
+    });
+  }
+
+  /**
+   * The scenes of a screenplay asset placed as the catalogue of that asset
+   * files them: rooms named for whose they are are given to the owner's
+   * place (see _resolveOwners)
+   */
+  placedScenes(asset) {
+    return this._resolveOwners(this.scenes(asset));
+  }
+
+  /**
+   * Split a scene heading into its setting, its location as written and
+   * its time of day. A last segment that is no time of day is part of the
+   * location ("INT. JOE'S HOUSE - KITCHEN" has no time). Also returns the
+   * position of the location in the heading, as { start, end }.
+   */
+  parseHeading(heading) {
+    const text = String(heading || '');
+    const trimmed = text.trimEnd();
+    const match = this.screenplayFormatter.regex.sceneHeadingParts.exec(trimmed);
+
+    if (!match) {
+      return { setting: null, written: this._clean(text), time: null, span: { start: 0, end: text.length } };
+    }
+
+    // The pattern is anchored, so the location starts after the setting
+    // and the space that follows it, and a time of day ends the heading
+    const start = match[1].length + trimmed.slice(match[1].length).match(/^\.?\s+/)[0].length;
+    const { setting } = this.screenplayFormatter.parseSceneHeading(text);
+    let span = { start, end: start + match[2].length };
+    let time = match[3] ? match[3].trim().toUpperCase() : null;
+
+    if (time && !this._daylight(time)) {
+      span = { start, end: trimmed.length };
+      time = null;
+    }
+
+    return { setting, written: this._clean(text.slice(span.start, span.end)), time, span };
+  }
+
+  /**
+   * The place a location is and the part of it, if any: "JOE'S HOUSE -
+   * KITCHEN" and "KITCHEN - JOE'S HOUSE" are both { location: "JOE'S
+   * HOUSE", subLocation: "KITCHEN" }. The broader place comes first unless
+   * the first segment is a room and the last is not.
+   */
+  parseLocation(written) {
+    const segments = this._clean(written).split(/\s+-+\s+/).filter(Boolean);
+
+    if (segments.length < 2) {
+      return { location: segments[0] || '', subLocation: null };
+    }
+
+    if (this._isRoom(segments[0]) && !this._isRoom(segments[segments.length - 1])) {
+      return { location: segments[segments.length - 1], subLocation: segments.slice(0, -1).join(' - ') };
+    }
+    return { location: segments[0], subLocation: segments.slice(1).join(' - ') };
+  }
+
+  /**
+   * Rename locations across the project's screenplays (or one asset, with
+   * options.assetId), rewriting the location part of their scene headings.
+   * Each name is a location ("JOE'S HOUSE", taking its sub-locations with
+   * it) or a sub-location ("JOE'S HOUSE - KITCHEN"), and may be any of the
+   * variants it is written as. Merging is renaming several locations to
+   * the same one.
+   *
+   * Options: assetId, author, message
+   * Resolves to { renamed, assets: [assetId] } (the number of headings
+   * changed and the assets saved), { unknown: [names] } if a name is not in
+   * the catalogue, or null if the project (or asset) does not exist.
+   */
+  async rename(projectId, names, to, options = {}) {
+    const screenplays = await this.screenplays(projectId, options);
+
+    if (!screenplays) {
+      return null;
+    }
+
+    const target = this._clean(to);
+    const scenes = this._resolveOwners(screenplays.flatMap(asset => this.scenes(asset)));
+    const matches = names.map(name => this._match(scenes, name));
+    const unknown = names.filter((name, index) => !matches[index].length);
+
+    if (unknown.length) {
+      return { unknown };
+    }
+
+    // New location text for each scene heading, by asset and scene index
+    const changes = new Map();
+    names.forEach((name, index) => {
+      for (const { scene, whole } of matches[index]) {
+        const written = whole && scene.subLocation ? `${target} - ${scene.subLocation}` : target;
+        if (!changes.has(scene.assetId)) changes.set(scene.assetId, new Map());
+        changes.get(scene.assetId).set(scene.index, written);
+      }
+    });
+
+    let renamed = 0;
+    const saved = [];
+    for (const asset of screenplays.filter(screenplay => changes.has(screenplay.id))) {
+      const document = this.screenplayFormatter.toDocument(asset.data);
+      const edits = changes.get(asset.id);
+      let index = -1;
+      let changed = 0;
+
+      document.elements = document.elements.map(element => {
+        if (element.type !== 'scene_heading' || !edits.has(++index)) {
+          return element;
+        }
+
+        const { span } = this.parseHeading(element.text);
+        const text = `${element.text.slice(0, span.start)}${edits.get(index)}${element.text.slice(span.end)}`;
+        if (text === element.text) {
+          return element;
+        }
+        changed++;
+        return { ...element, text };
+      });
+
+      if (!changed) continue;
+
+      const data = this.screenplayFormatter.replaceScreenplayDocument(asset.data, document);
+      await this.projectManager.updateAsset(projectId, asset.id, data, this.screenplayFormatter.screenplayMetadata(data, asset.metadata.lock), {
+        author: options.author,
+        message: options.message || `Renamed ${names.join(', ')} to ${target}`
+      });
+      renamed += changed;
+      saved.push(asset.id);
+    }
+
+    return { renamed, assets: saved };
+  }
+
+  /**
+   * The scenes a location name refers to, each with whether the name is
+   * the whole location (rather than one of its sub-locations)
+   */
+  _match(scenes, name) {
+    const key = this._key(name);
+    const { location, subLocation } = this.parseLocation(name);
+
+    return scenes.map(scene => {
+      if (this._key(scene.location) === key || (!scene.subLocation && this._key(scene.written) === key)) {
+        return { scene, whole: true };
+      }
+      if (scene.subLocation && (this._key(scene.written) === key ||
+          (subLocation && this._key(scene.location) === this._key(location) && this._key(scene.subLocation) === this._key(subLocation)))) {
+        return { scene, whole: false };
+      }
+      return null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Give rooms named for whose they are ("JOE'S KITCHEN") to the place of
+   * that owner, when the script has exactly one ("JOE'S HOUSE")
+   */
+  _resolveOwners(scenes) {
+    const places = new Map();
+    for (const scene of scenes) {
+      const owner = this._owner(scene.location);
+      if (owner && !this._isRoom(scene.location)) {
+        places.set(owner, new Set([...(places.get(owner) || []), this._key(scene.location)]));
+      }
+    }
+
+    const names = new Map(scenes.map(scene => [this._key(scene.location), scene.location]));
+    return scenes.map(scene => {
+      const owner = !scene.subLocation && this._isRoom(scene.location) && this._owner(scene.location);
+      const place = owner && places.get(owner);
+      if (!place || place.size !== 1) {
+        return scene;
+      }
+
+      const subLocation = scene.location.replace(/^(?:THE\s+)?\S+\s+/, '');
+      return { ...scene, location: names.get([...place][0]), subLocation };
+    });
+  }
+
+  /**
+   * Whose a location is, for "JOE'S ..." and "THE SMITHS' ..."
+   */
+  _owner(location) {
+    const match = /^(?:THE\s+)?([A-Z0-9.]+(?:'S|S'))\s+\S/.exec(this._clean(location));
+    return match ? match[1] : null;
+  }
+
+  _isRoom(segment) {
+    const words = this._clean(segment).replace(/[^A-Z0-9' ]/g, '');
+    return ROOMS.some(room => words === room || words.endsWith(` ${room}`) || words.endsWith(` ${room}S`));
+  }
+
+  /**
+   * Whether a time of day is shot as day or night, or continues the scene
+   * before; null if it is no time of day
+   */
+  _daylight(time) {
+    const value = this._clean(time).replace(/\s*\(.*\)$/, '').replace(/[.]$/, '');
+    const first = value.split(/\s+/)[0];
+
+    if (DAY_TIMES.includes(value) || DAY_TIMES.includes(first)) return 'day';
+    if (NIGHT_TIMES.includes(value) || NIGHT_TIMES.includes(first)) return 'night';
+    if (CONTINUITY_TIMES.includes(value)) return 'continuity';
+    return null;
+  }
+
+  _clean(text) {
+    return String(text || '').toUpperCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').replace(/[\s.-]+$/, '').trim();
+  }
+
+  /**
+   * What two ways of writing a location must share to be the same place
+   */
+  _key(text) {
+    return this._clean(text).replace(/^THE\s+/, '').replace(/[^A-Z0-9 -]/g, '').replace(/\s+/g, ' ');
+  }
+}
+
+module.exports = LocationCatalogue;
@@ -0,0 +1,270 @@
+// server/services/pdfRenderer.js - Renders screenplay documents to PDF
+//
+// Writes the PDF directly using the standard Courier fonts every PDF reader
+// ships with, so no fonts need embedding and no external service is used.
+const zlib = require('zlib');
+const ScreenplayPaginator = require('./screenplayPaginator');
+
+// Page geometry in points (72 per inch), US Letter
+const PAGE = {
+  width: 612,
+  height: 792,
+  leftMargin: 108,      // 1.5"
+  topMargin: 72,        // 1"
+  lineHeight: 12,       // 6 lines per inch
+  charWidth: 7.2,       // Courier 12pt
+  fontSize: 12,
+  pageNumberRight: 540, // 7.5"
+  pageNumberTop: 36,    // 0.5"
+  sceneNumberLeft: 72,  // 1"
+  sceneNumberRight: 558, // 7.75"
+  revisionMark: 576     // 8"
+};
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Courier' },
+  bold: { name: 'F2', baseFont: 'Courier-Bold' },
+  italic: { name: 'F3', baseFont: 'Courier-Oblique' }
+};
+
+// Typographic characters outside Latin-1 that WinAnsiEncoding still covers
+const WIN_ANSI = {
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '…': 0x85
+};
+
+class PdfRenderer {
+  constructor() {
+    this.extension = 'pdf';
+    this.contentType = 'application/pdf';
+    this.paginator = new ScreenplayPaginator();
+  }
+
+  /**
+   * Render a screenplay document to a PDF buffer
+   *
+   * Options:
+   *   titlePage: boolean     // Render the title page (if the document has one)
+   *   sceneNumbers: boolean  // Print scene numbers in both margins
+   *   revisionLabel: string  // Header for pages with revised lines, e.g.
+   *                          // "Blue Rev. 10/19/26"
+   *   revisedOnly: boolean   // Only render pages with revised lines
+   *
+   * Lines of revised elements are marked with an asterisk in the right margin.
+   */
+  serialize(document, options = {}) {
+    const { pages } = this.paginator.paginate(document, options);
+    const pageStreams = [];
+
+    if (options.titlePage && !options.revisedOnly && document.titlePage && document.titlePage.length) {
+      pageStreams.push(this._titlePageStream(document.titlePage));
+    }
+
+    pages.forEach((page, index) => {
+      const revised = this.isRevised(page);
+      if (options.revisedOnly && !revised) return;
+      pageStreams.push(this._pageStream(page, index === 0, revised ? options.revisionLabel : null));
+    });
+
+    if (!pageStreams.length) {
+      pageStreams.push('');
+    }
+
+    return this._buildPdf(pageStreams, this._documentTitle(document));
+  }
+
+  /**
+   * Whether a laid-out page has any revised lines
+   */
+  isRevised(page) {
+    return page.lines.some(line => line && line.revised);
+  }
+
+  /**
+   * Content stream for one screenplay page
+   */
+  _pageStream(page, isFirstPage, revisionLabel = null) {
+    const commands = [];
+    let headerRight = PAGE.pageNumberRight;
+
+    // Page numbers go top right, from page two on
+    if (!isFirstPage) {
+      const label = `${page.number}.`;
+      headerRight -= label.length * PAGE.charWidth;
+      commands.push(this._text(label, headerRight, PAGE.pageNumberTop, 'regular'));
+    }
+
+    // Revised pages carry the revision color and date beside the number
+    if (revisionLabel) {
+      const x = headerRight - (revisionLabel.length + 4) * PAGE.charWidth;
+      commands.push(this._text(revisionLabel, x, PAGE.pageNumberTop, 'regular'));
+    }
+
+    page.lines.forEach((line, row) => {
+      if (!line) return;
+      const top = PAGE.topMargin + row * PAGE.lineHeight;
+
+      for (const segment of line.segments) {
+        if (!segment.text) continue;
+        const x = PAGE.leftMargin + segment.indent * PAGE.charWidth;
+        commands.push(this._text(segment.text, x, top, segment.font));
+      }
+
+      if (line.sceneNumber) {
+        const number = line.sceneNumber;
+        commands.push(this._text(number, PAGE.sceneNumberLeft - number.length * PAGE.charWidth, top, 'regular'));
+        commands.push(this._text(number, PAGE.sceneNumberRight - number.length * PAGE.charWidth, top, 'regular'));
+      }
+
+      if (line.revised) {
+        commands.push(this._text('*', PAGE.revisionMark, top, 'regular'));
+      }
+    });
+
+    return commands.join('\n');
+  }
+
+  /**
+   * Content stream for the title page: title block centered a third of the
+   * way down, contact details bottom left, draft date bottom right
+   */
+  _titlePageStream(titlePage) {
+    const commands = [];
+    const value = key => {
+      const entry = titlePage.find(item => item.key.toLowerCase() === key);
+      return entry ? String(entry.value).split('\n').map(line => this.paginator.printableText(line).trim()) : [];
+    };
+    const centered = (lines, startRow) => {
+      lines.forEach((line, offset) => {
+        const x = (PAGE.width - line.length * PAGE.charWidth) / 2;
+        commands.push(this._text(line, x, PAGE.topMargin + (startRow + offset) * PAGE.lineHeight, 'regular'));
+      });
+      return startRow + lines.length;
+    };
+
+    let row = 18;
+    row = centered(value('title').map(line => line.toUpperCase()), row) + 3;
+    row = centered(value('credit'), row) + 1;
+    row = centered([...value('author'), ...value('authors')], row) + 3;
+    centered(value('source'), row);
+
+    const bottom = [...value('contact'), ...value('copyright')];
+    bottom.forEach((line, offset) => {
+      const top = PAGE.topMargin + (54 - bottom.length + offset) * PAGE.lineHeight;
+      commands.push(this._text(line, PAGE.leftMargin, top, 'regular'));
+    });
+
+    const dates = [...value('draft date'), ...value('date')];
+    dates.forEach((line, offset) => {
+      const top = PAGE.topMargin + (54 - dates.length + offset) * PAGE.lineHeight;
+      commands.push(this._text(line, PAGE.pageNumberRight - line.length * PAGE.charWidth, top, 'regular'));
+    });
+
+    return commands.join('\n');
+  }
+
+  /**
+   * A positioned text-showing command; top is measured from the page top
+   */
+  _text(text, x, top, font = 'regular') {
+    const y = PAGE.height - top - PAGE.fontSize;
+    const fontName = (FONTS[font] || FONTS.regular).name;
+    return `BT /${fontName} ${PAGE.fontSize} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${this._escape(text)}) Tj ET`;
+  }
+
+  /**
+   * Escape a string for a PDF literal, mapping it into WinAnsiEncoding
+   */
+  _escape(text) {
+    let result = '';
+    for (const char of String(text)) {
+      let code = WIN_ANSI[char] !== undefined ? WIN_ANSI[char] : char.codePointAt(0);
+      if (code > 0xff) code = 0x3f; // '?'
+
+      if (char === '(' || char === ')' || char === '\\') {
+        result += `\\${char}`;
+      } else if (code < 0x20 || code > 0x7e) {
+        result += `\\${code.toString(8).padStart(3, '0')}`;
+      } else {
+        result += String.fromCharCode(code);
+      }
+    }
+    return result;
+  }
+
+  _documentTitle(document) {
+    const entry = (document.titlePage || []).find(item => item.key.toLowerCase() === 'title');
+    return entry ? this.paginator.printableText(entry.value).replace(/\s+/g, ' ').trim() : 'Screenplay';
+  }
+
+  /**
+   * Assemble objects, cross-reference table and trailer
+   */
+  _buildPdf(pageStreams, title) {
+    const objects = [];
+    const addObject = body => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = {};
+    for (const [key, font] of Object.entries(FONTS)) {
+      fontIds[key] = addObject(Buffer.from(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+      ));
+    }
+    const fontResources = Object.entries(FONTS)
+      .map(([key, font]) => `/${font.name} ${fontIds[key]} 0 R`)
+      .join(' ');
+
+    const pageIds = pageStreams.map(stream => {
+      const compressed = zlib.deflateSync(Buffer.from(stream, 'latin1'));
+      const contentId = addObject(Buffer.concat([
+        Buffer.from(`<< /Length ${compressed.length} /Filter /FlateDecode >>\nstream\n`),
+        compressed,
+        Buffer.from('\nendstream')
+      ]));
+      return addObject(Buffer.from(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      ));
+    });
+
+    objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    objects[pagesId - 1] = Buffer.from(
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+    );
+    const infoId = addObject(Buffer.from(`<< /Title (${this._escape(title)}) /Producer (FilmForge AI) >>`));
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    objects.forEach((body, index) => {
+      const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+      offsets.push(length);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      ''
+    ].join('\n');
+    chunks.push(Buffer.from(xref));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = PdfRenderer;
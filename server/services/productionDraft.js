@@ -0,0 +1,241 @@
+// server/services/productionDraft.js - Locked production drafts
+//
+// Once a script goes into prep its scene numbers and page breaks are fixed.
+// Scenes added after locking are numbered off their neighbours (12A, 12B,
+// or A1 before the first scene), removed scenes stay behind as OMITTED, and
+// pagination keeps the locked page breaks (see ScreenplayPaginator).
+const ScreenplayPaginator = require('./screenplayPaginator');
+
+const OMITTED = 'OMITTED';
+
+class ProductionDraft {
+  constructor(paginator = new ScreenplayPaginator()) {
+    this.paginator = paginator;
+  }
+
+  /**
+   * Lock a screenplay document: number its scenes in order and record where
+   * every page starts.
+   *
+   * Returns { document, lock } where document carries the scene numbers and
+   * lock is { lockedAt, scenes: [{ number, heading }], pages: [{ number,
+   * scene, key, offset }] }, to be kept with the asset.
+   */
+  lock(document) {
+    let counter = 0;
+    const elements = document.elements
+      .filter(element => !this.isOmitted(element))
+      .map(element => element.type === 'scene_heading'
+        ? { ...element, sceneNumber: String(++counter) }
+        : element);
+
+    const locked = { ...document, elements };
+    delete locked.lock;
+
+    const { pages, scenes } = this.paginator.paginate(locked);
+
+    return {
+      document: locked,
+      lock: {
+        lockedAt: new Date().toISOString(),
+        scenes: scenes.map(scene => ({ number: scene.number, heading: scene.heading })),
+        pages: pages.map(page => ({ number: page.number, ...page.anchor }))
+      }
+    };
+  }
+
+  /**
+   * Lay a locked draft's numbering over the current text: new scenes get
+   * suffixed numbers and locked scenes that are gone come back as OMITTED.
+   * The lock travels with the document so pagination keeps the locked pages.
+   */
+  applyLock(document, lock) {
+    const matched = this._matchLockedScenes(document.elements, lock.scenes);
+    const numbered = document.elements.map((element, index) => matched.has(index)
+      ? { ...element, sceneNumber: matched.get(index) }
+      : element);
+
+    const used = new Set(numbered
+      .filter(element => element.type === 'scene_heading' && element.sceneNumber)
+      .map(element => element.sceneNumber));
+    const firstNumbered = numbered.find(element => element.type === 'scene_heading' && element.sceneNumber);
+    const first = firstNumbered ? firstNumbered.sceneNumber : (lock.scenes[0] && lock.scenes[0].number) || '1';
+
+    // Number scenes written since the lock
+    const elements = [];
+    let previous = null;
+    for (let element of numbered) {
+      if (element.type === 'scene_heading') {
+        if (!element.sceneNumber) {
+          const sceneNumber = previous ? this.nextSceneNumber(previous, used) : this._prefixNumber(first, used);
+          element = { ...element, sceneNumber };
+          used.add(sceneNumber);
+        }
+        previous = element.sceneNumber;
+      }
+      elements.push(element);
+    }
+
+    // Put back an OMITTED heading for every locked scene that was cut,
+    // right after the locked scene before it and the scenes added behind it
+    const lockedNumbers = new Set(lock.scenes.map(scene => scene.number));
+    lock.scenes.forEach((scene, index) => {
+      if (used.has(scene.number)) return;
+
+      const before = lock.scenes.slice(0, index).reverse().find(entry => used.has(entry.number));
+      elements.splice(this._insertionPoint(elements, before && before.number, lockedNumbers), 0, {
+        type: 'scene_heading',
+        text: OMITTED,
+        sceneNumber: scene.number
+      });
+      used.add(scene.number);
+    });
+
+    return { ...document, elements, lock };
+  }
+
+  /**
+   * Take a draft out of production: scene numbers are cleared so scenes
+   * number in order again, and OMITTED placeholders are dropped
+   */
+  unlock(document) {
+    const elements = document.elements
+      .filter(element => !this.isOmitted(element))
+      .map(element => {
+        if (element.type !== 'scene_heading' || !element.sceneNumber) return element;
+        const { sceneNumber, ...rest } = element;
+        return rest;
+      });
+
+    const unlocked = { ...document, elements };
+    delete unlocked.lock;
+    return unlocked;
+  }
+
+  isOmitted(element) {
+    return element.type === 'scene_heading' && element.text.trim().toUpperCase() === OMITTED;
+  }
+
+  /**
+   * Scene headings that lost their numbers (the text was rewritten or
+   * regenerated) get them back from the locked scene with the same heading.
+   * Headings are aligned in order, longest common subsequence, so repeated
+   * headings such as INT. KITCHEN - DAY keep their own numbers.
+   *
+   * Returns a Map of element index to scene number.
+   */
+  _matchLockedScenes(elements, lockedScenes) {
+    const taken = new Set(elements
+      .filter(element => element.type === 'scene_heading' && element.sceneNumber)
+      .map(element => element.sceneNumber));
+    const current = [];
+    elements.forEach((element, index) => {
+      if (element.type === 'scene_heading' && !element.sceneNumber && !this.isOmitted(element)) {
+        current.push({ index, heading: this._headingKey(element.text) });
+      }
+    });
+    const locked = lockedScenes
+      .filter(scene => !taken.has(scene.number))
+      .map(scene => ({ number: scene.number, heading: this._headingKey(scene.heading) }));
+
+    // lengths[i][j]: longest match between current[i..] and locked[j..]
+    const lengths = Array.from({ length: current.length + 1 }, () => new Array(locked.length + 1).fill(0));
+    for (let i = current.length - 1; i >= 0; i--) {
+      for (let j = locked.length - 1; j >= 0; j--) {
+        lengths[i][j] = current[i].heading === locked[j].heading
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const matches = new Map();
+    let i = 0;
+    let j = 0;
+    while (i < current.length && j < locked.length) {
+      if (current[i].heading === locked[j].heading) {
+        matches.set(current[i].index, locked[j].number);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return matches;
+  }
+
+  _headingKey(text) {
+    return String(text || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+  }
+
+  /**
+   * The number for a scene added after the given one: 12 -> 12A, 12A -> 12B,
+   * A1 -> B1, skipping numbers already in use
+   */
+  nextSceneNumber(previous, used) {
+    const suffixed = previous.match(/^(.*\d)([A-Z]+)$/i);
+    const prefixed = previous.match(/^([A-Z]+)(\d.*)$/i);
+    let candidate;
+    let count = 0;
+
+    do {
+      count++;
+      if (suffixed) {
+        candidate = `${suffixed[1]}${this._letters(this._letterCount(suffixed[2]) + count)}`;
+      } else if (prefixed) {
+        candidate = `${this._letters(this._letterCount(prefixed[1]) + count)}${prefixed[2]}`;
+      } else {
+        candidate = `${previous}${this._letters(count)}`;
+      }
+    } while (used.has(candidate));
+
+    return candidate;
+  }
+
+  /**
+   * Scenes added ahead of the first numbered scene: A1, B1, ...
+   */
+  _prefixNumber(first, used) {
+    let count = 0;
+    let candidate;
+    do {
+      candidate = `${this._letters(++count)}${first}`;
+    } while (used.has(candidate));
+    return candidate;
+  }
+
+  /**
+   * Index just past the scene with the given number and any scenes added
+   * after it (before the next locked scene heading), or before the first
+   * locked scene when there is none
+   */
+  _insertionPoint(elements, afterNumber, lockedNumbers) {
+    const start = afterNumber
+      ? elements.findIndex(element => element.type === 'scene_heading' && element.sceneNumber === afterNumber)
+      : -1;
+
+    for (let i = start + 1; i < elements.length; i++) {
+      if (elements[i].type === 'scene_heading' && lockedNumbers.has(elements[i].sceneNumber)) {
+        return i;
+      }
+    }
+    return start === -1 ? 0 : elements.length;
+  }
+
+  _letters(count) {
+    let letters = '';
+    while (count > 0) {
+      count--;
+      letters = String.fromCharCode(65 + (count % 26)) + letters;
+      count = Math.floor(count / 26);
+    }
+    return letters;
+  }
+
+  _letterCount(letters) {
+    return letters.toUpperCase().split('').reduce((count, letter) => count * 26 + letter.charCodeAt(0) - 64, 0);
+  }
+}
+
+module.exports = ProductionDraft;
@@ -4,6 +4,12 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 
+// Changes to a project are queued behind each other, by project id, so
+// that no two read-modify-write project.json (or number versions and
+// revisions) at the same time. Shared by every ProjectManager in the
+// process; see withProjectLock.
+const projectWrites = new Map();
+
 class ProjectManager {
   constructor() {
     // Get project storage directory from config
@@ -39,7 +45,8 @@ class ProjectManager {
       createdAt: timestamp,
       updatedAt: timestamp,
       assets: {},
-      metadata: {}
+      metadata: {},
+      settings: {}
     };
 
     // Create project directory
@@ -113,108 +120,121 @@ class ProjectManager {
    * Update a project
    */
   async updateProject(projectId, updates) {
-    try {
-      // Load current project data
-      const projectData = await this.loadProjectData(projectId);
+    return this.withProjectLock(projectId, async () => {
+      try {
+        // Load current project data
+        const projectData = await this.loadProjectData(projectId);
       
-      if (!projectData) {
-        return false;
-      }
+        if (!projectData) {
+          return false;
+        }
       
-      // Apply updates
-      Object.assign(projectData, updates, {
-        updatedAt: new Date().toISOString()
-      });
+        // Apply updates
+        Object.assign(projectData, updates, {
+          updatedAt: new Date().toISOString()
+        });
       
-      // Save updated project data
-      await this.saveProjectData(projectId, projectData);
+        // Save updated project data
+        await this.saveProjectData(projectId, projectData);
       
-      return true;
-    } catch (error) {
-      console.error(`Error updating project ${projectId}:`, error);
-      return false;
-    }
+        return true;
+      } catch (error) {
+        console.error(`Error updating project ${projectId}:`, error);
+        return false;
+      }
+    });
   }
 
   /**
    * Delete a project
    */
   async deleteProject(projectId) {
-    try {
-      const projectDir = path.join(this.projectsDir, projectId);
-      
-      // Check if project exists
+    return this.withProjectLock(projectId, async () => {
       try {
-        await fs.access(projectDir);
+        const projectDir = path.join(this.projectsDir, projectId);
+      
+        // Check if project exists
+        try {
+          await fs.access(projectDir);
+        } catch (error) {
+          return false;
+        }
+      
+        // Delete project directory recursively
+        await fs.rm(projectDir, { recursive: true, force: true });
+      
+        return true;
       } catch (error) {
+        console.error(`Error deleting project ${projectId}:`, error);
         return false;
       }
-      
-      // Delete project directory recursively
-      await fs.rm(projectDir, { recursive: true, force: true });
-      
-      return true;
-    } catch (error) {
-      console.error(`Error deleting project ${projectId}:`, error);
-      return false;
-    }
+    });
   }
 
   /**
    * Add an asset to a project
+   * 
+   * Options:
+   *   author: string   // Who made this version
+   *   message: string  // What changed
    */
-  async addAsset(projectId, assetType, assetData, metadata = {}) {
-    try {
-      // Load project data
-      const projectData = await this.loadProjectData(projectId);
+  async addAsset(projectId, assetType, assetData, metadata = {}, options = {}) {
+    return this.withProjectLock(projectId, async () => {
+      try {
+        // Load project data
+        const projectData = await this.loadProjectData(projectId);
       
-      if (!projectData) {
-        return null;
-      }
+        if (!projectData) {
+          return null;
+        }
+      
+        // Create asset ID
+        const assetId = `asset_${uuidv4().substring(0, 8)}`;
+        const timestamp = new Date().toISOString();
       
-      // Create asset ID
-      const assetId = `asset_${uuidv4().substring(0, 8)}`;
-      const timestamp = new Date().toISOString();
-      
-      // Initialize asset type collection if it doesn't exist
-      if (!projectData.assets[assetType]) {
-        projectData.assets[assetType] = {};
-      }
-      
-      // Create asset metadata
-      const asset = {
-        id: assetId,
-        type: assetType,
-        createdAt: timestamp,
-        updatedAt: timestamp,
-        metadata: { ...metadata }
-      };
-      
-      // Determine how to store the asset based on type and size
-      if (typeof assetData === 'string' && assetData.length < 10000) {
-        // Small string data can be stored directly in the project metadata
-        asset.data = assetData;
-      } else {
-        // Larger data gets stored in a separate file
-        const assetFilename = `${assetId}.json`;
-        const assetPath = path.join(this.projectsDir, projectId, 'assets', assetFilename);
+        // Initialize asset type collection if it doesn't exist
+        if (!projectData.assets[assetType]) {
+          projectData.assets[assetType] = {};
+        }
+      
+        // Create asset metadata
+        const asset = {
+          id: assetId,
+          type: assetType,
+          createdAt: timestamp,
+          updatedAt: timestamp,
+          metadata: { ...metadata }
+        };
+      
+        // Determine how to store the asset based on type and size
+        if (typeof assetData === 'string' && assetData.length < 10000) {
+          // Small string data can be stored directly in the project metadata
+          asset.data = assetData;
+        } else {
+          // Larger data gets stored in a separate file
+          const assetFilename = `${assetId}.json`;
+          const assetPath = path.join(this.projectsDir, projectId, 'assets', assetFilename);
         
-        await fs.writeFile(assetPath, JSON.stringify(assetData, null, 2));
-        asset.dataFile = assetFilename;
-      }
+          await this.writeAtomically(assetPath, JSON.stringify(assetData, null, 2));
+          asset.dataFile = assetFilename;
+        }
       
-      // Add asset to project
-      projectData.assets[assetType][assetId] = asset;
+        // First entry in the asset's version history
+        await this.recordVersion(projectId, asset, assetData, options);
       
-      // Update project
-      projectData.updatedAt = timestamp;
-      await this.saveProjectData(projectId, projectData);
+        // Add asset to project
+        projectData.assets[assetType][assetId] = asset;
       
-      return assetId;
-    } catch (error) {
-      console.error(`Error adding asset to project ${projectId}:`, error);
-      return null;
-    }
+        // Update project
+        projectData.updatedAt = timestamp;
+        await this.saveProjectData(projectId, projectData);
+      
+        return assetId;
+      } catch (error) {
+        console.error(`Error adding asset to project ${projectId}:`, error);
+        return null;
+      }
+    });
   }
 
   /**
@@ -288,125 +308,690 @@ class ProjectManager {
   }
 
   /**
-   * Update an asset
+   * Update an asset. The previous data is kept in the asset's version
+   * history, see recordVersion. The metadata given is merged into the
+   * asset's, or with replaceMetadata takes its place.
+   * 
+   * Options:
+   *   author: string            // Who made this version
+   *   message: string           // What changed
+   *   replaceMetadata: boolean  // Replace the metadata rather than merge
    */
-  async updateAsset(projectId, assetId, assetData, metadata = {}) {
-    try {
-      // Load project data
-      const projectData = await this.loadProjectData(projectId);
+  async updateAsset(projectId, assetId, assetData, metadata = {}, options = {}) {
+    return this.withProjectLock(projectId, async () => {
+      try {
+        // Load project data
+        const projectData = await this.loadProjectData(projectId);
       
-      if (!projectData) {
+        if (!projectData) {
+          return false;
+        }
+      
+        // Find the asset
+        let asset = null;
+        let assetType = null;
+      
+        for (const type in projectData.assets) {
+          if (projectData.assets[type][assetId]) {
+            asset = projectData.assets[type][assetId];
+            assetType = type;
+            break;
+          }
+        }
+      
+        if (!asset) {
+          return false;
+        }
+      
+        // Assets from before version history was kept get their current
+        // state recorded first, so it can be restored
+        if (!asset.versions) {
+          const { data } = await this.getAsset(projectId, assetId);
+          await this.recordVersion(projectId, asset, data, { message: 'Version before history was kept' });
+        }
+      
+        // Update metadata
+        asset.metadata = options.replaceMetadata ? { ...metadata } : { ...asset.metadata, ...metadata };
+        asset.updatedAt = new Date().toISOString();
+      
+        // Update data
+        if (asset.dataFile) {
+          // Save to separate file
+          const assetPath = path.join(this.projectsDir, projectId, 'assets', asset.dataFile);
+          await this.writeAtomically(assetPath, JSON.stringify(assetData, null, 2));
+        } else if (typeof assetData === 'string' && assetData.length < 10000) {
+          // Small string data can stay in the project metadata
+          asset.data = assetData;
+        } else {
+          // Data is now too large, move to a separate file
+          const assetFilename = `${assetId}.json`;
+          const assetPath = path.join(this.projectsDir, projectId, 'assets', assetFilename);
+        
+          await this.writeAtomically(assetPath, JSON.stringify(assetData, null, 2));
+          asset.dataFile = assetFilename;
+          delete asset.data;
+        }
+      
+        await this.recordVersion(projectId, asset, assetData, options);
+      
+        // Update project
+        projectData.updatedAt = new Date().toISOString();
+        await this.saveProjectData(projectId, projectData);
+      
+        return true;
+      } catch (error) {
+        console.error(`Error updating asset ${assetId} in project ${projectId}:`, error);
         return false;
       }
+    });
+  }
+
+  /**
+   * Delete an asset. Its version history is kept, so a deleted asset can
+   * still be brought back with restoreAssetVersion.
+   */
+  async deleteAsset(projectId, assetId) {
+    return this.withProjectLock(projectId, async () => {
+      try {
+        // Load project data
+        const projectData = await this.loadProjectData(projectId);
       
-      // Find the asset
-      let asset = null;
-      let assetType = null;
+        if (!projectData) {
+          return false;
+        }
       
-      for (const type in projectData.assets) {
-        if (projectData.assets[type][assetId]) {
-          asset = projectData.assets[type][assetId];
-          assetType = type;
-          break;
+        // Find the asset
+        let asset = null;
+        let assetType = null;
+      
+        for (const type in projectData.assets) {
+          if (projectData.assets[type][assetId]) {
+            asset = projectData.assets[type][assetId];
+            assetType = type;
+            break;
+          }
         }
-      }
       
-      if (!asset) {
+        if (!asset) {
+          return false;
+        }
+      
+        // Keep the data of assets from before version history was kept
+        if (!asset.versions) {
+          const { data } = await this.getAsset(projectId, assetId);
+          await this.recordVersion(projectId, asset, data, { message: 'Version before history was kept' });
+        }
+      
+        // If asset data is stored in a separate file, delete it
+        if (asset.dataFile) {
+          const assetPath = path.join(this.projectsDir, projectId, 'assets', asset.dataFile);
+          try {
+            await fs.unlink(assetPath);
+          } catch (error) {
+            console.error(`Error deleting asset file ${assetPath}:`, error);
+            // Continue even if file deletion fails
+          }
+        }
+      
+        // Remove asset from project, keeping its record for its history
+        delete projectData.assets[assetType][assetId];
+        projectData.deletedAssets = projectData.deletedAssets || {};
+        projectData.deletedAssets[assetId] = {
+          ...asset,
+          data: undefined,
+          dataFile: undefined,
+          deletedAt: new Date().toISOString()
+        };
+      
+        // Update project
+        projectData.updatedAt = new Date().toISOString();
+        await this.saveProjectData(projectId, projectData);
+      
+        return true;
+      } catch (error) {
+        console.error(`Error deleting asset ${assetId} from project ${projectId}:`, error);
         return false;
       }
+    });
+  }
+
+  /**
+   * Add the given data as the next version of an asset. Versions are
+   * numbered from 1, written once and never changed; the asset record keeps
+   * the list of them (without data) for quick listing.
+   * 
+   * A version file can outlive a save of the project record that failed
+   * (or was cut short by a crash). The next version is numbered past it;
+   * if it holds this very version, it is taken as written.
+   */
+  async recordVersion(projectId, asset, assetData, options = {}) {
+    const versions = asset.versions || [];
+    let entry = {
+      version: Math.max(0, ...versions.map(existing => existing.version)) + 1,
+      createdAt: new Date().toISOString(),
+      author: options.author || null,
+      message: options.message || null
+    };
+    const same = stored => JSON.stringify(stored.metadata) === JSON.stringify(asset.metadata) &&
+      JSON.stringify(stored.data) === JSON.stringify(assetData);
+    
+    const versionDir = this.versionsPath(projectId, asset.id);
+    await fs.mkdir(versionDir, { recursive: true });
+    
+    for (;;) {
+      const versionPath = path.join(versionDir, `${entry.version}.json`);
+      try {
+        await fs.writeFile(
+          versionPath,
+          JSON.stringify({ ...entry, metadata: asset.metadata, data: assetData }, null, 2),
+          { flag: 'wx' }
+        );
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        
+        const { version, createdAt, author, message, ...stored } = JSON.parse(await fs.readFile(versionPath, 'utf8'));
+        if (same(stored)) {
+          entry = { version, createdAt, author, message };
+          break;
+        }
+        entry = { ...entry, version: entry.version + 1 };
+      }
+    }
+    
+    asset.versions = [...versions, entry];
+    asset.version = entry.version;
+    
+    return entry;
+  }
+
+  /**
+   * List the versions of an asset (including a deleted one), oldest first
+   */
+  async listAssetVersions(projectId, assetId) {
+    try {
+      const projectData = await this.loadProjectData(projectId);
       
-      // Update metadata
-      asset.metadata = { ...asset.metadata, ...metadata };
-      asset.updatedAt = new Date().toISOString();
+      if (!projectData) {
+        return null;
+      }
       
-      // Update data
-      if (asset.dataFile) {
-        // Save to separate file
-        const assetPath = path.join(this.projectsDir, projectId, 'assets', asset.dataFile);
-        await fs.writeFile(assetPath, JSON.stringify(assetData, null, 2));
-      } else if (typeof assetData === 'string' && assetData.length < 10000) {
-        // Small string data can stay in the project metadata
-        asset.data = assetData;
-      } else {
-        // Data is now too large, move to a separate file
-        const assetFilename = `${assetId}.json`;
-        const assetPath = path.join(this.projectsDir, projectId, 'assets', assetFilename);
+      const { asset } = this.findAssetRecord(projectData, assetId);
+      return asset ? asset.versions || [] : null;
+    } catch (error) {
+      console.error(`Error listing versions of asset ${assetId} in project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get one version of an asset: { version, createdAt, author, message,
+   * metadata, data }
+   */
+  async getAssetVersion(projectId, assetId, version) {
+    try {
+      const versionPath = path.join(this.versionsPath(projectId, assetId), `${Number(version)}.json`);
+      return JSON.parse(await fs.readFile(versionPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      console.error(`Error getting version ${version} of asset ${assetId} in project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Make an earlier version current again. The restore is itself recorded
+   * as a new version, so nothing is lost. Deleted assets are brought back.
+   * 
+   * Returns the new version entry, or null when the asset or version does
+   * not exist.
+   */
+  async restoreAssetVersion(projectId, assetId, version, options = {}) {
+    try {
+      const stored = await this.withProjectLock(projectId, async () => {
+        const projectData = await this.loadProjectData(projectId);
+        
+        if (!projectData) {
+          return null;
+        }
         
-        await fs.writeFile(assetPath, JSON.stringify(assetData, null, 2));
-        asset.dataFile = assetFilename;
-        delete asset.data;
+        const { asset, assetType, deleted } = this.findAssetRecord(projectData, assetId);
+        const found = asset && await this.getAssetVersion(projectId, assetId, version);
+        
+        if (found && deleted) {
+          delete projectData.deletedAssets[assetId];
+          delete asset.deletedAt;
+          projectData.assets[assetType] = projectData.assets[assetType] || {};
+          projectData.assets[assetType][assetId] = asset;
+          await this.saveProjectData(projectId, projectData);
+        }
+        
+        return found;
+      });
+      
+      if (!stored) {
+        return null;
       }
       
-      // Update project
-      projectData.updatedAt = new Date().toISOString();
-      await this.saveProjectData(projectId, projectData);
+      // The version's metadata as it was: a lock or revision set since
+      // does not belong to the restored data
+      const restored = await this.updateAsset(projectId, assetId, stored.data, stored.metadata, {
+        author: options.author,
+        message: options.message || `Restored version ${stored.version}`,
+        replaceMetadata: true
+      });
       
-      return true;
+      if (!restored) {
+        return null;
+      }
+      
+      const versions = await this.listAssetVersions(projectId, assetId);
+      return versions[versions.length - 1];
     } catch (error) {
-      console.error(`Error updating asset ${assetId} in project ${projectId}:`, error);
-      return false;
+      console.error(`Error restoring version ${version} of asset ${assetId} in project ${projectId}:`, error);
+      return null;
     }
   }
 
   /**
-   * Delete an asset
+   * Find an asset's record in loaded project data, live or deleted
    */
-  async deleteAsset(projectId, assetId) {
+  findAssetRecord(projectData, assetId) {
+    for (const type in projectData.assets) {
+      if (projectData.assets[type][assetId]) {
+        return { asset: projectData.assets[type][assetId], assetType: type, deleted: false };
+      }
+    }
+    
+    const deleted = (projectData.deletedAssets || {})[assetId];
+    return deleted
+      ? { asset: deleted, assetType: deleted.type, deleted: true }
+      : { asset: null, assetType: null, deleted: false };
+  }
+
+  /**
+   * Where an asset's versions are stored
+   */
+  versionsPath(projectId, assetId) {
+    return path.join(this.projectsDir, projectId, 'assets', 'versions', assetId);
+  }
+
+  /**
+   * Get the revision history of a screenplay asset, oldest first
+   */
+  async getRevisions(projectId, assetId) {
+    try {
+      const asset = await this.getAsset(projectId, assetId);
+      
+      if (!asset) {
+        return null;
+      }
+      
+      try {
+        return JSON.parse(await fs.readFile(this.revisionsPath(projectId, assetId), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          // No revisions issued yet
+          return [];
+        }
+        throw error;
+      }
+    } catch (error) {
+      console.error(`Error getting revisions of asset ${assetId} in project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a new revision of a screenplay asset. Revisions are numbered
+   * from 1 and never change once issued.
+   */
+  async addRevision(projectId, assetId, revision) {
+    return this.withProjectLock(projectId, async () => {
+      try {
+        const revisions = await this.getRevisions(projectId, assetId);
+      
+        if (!revisions) {
+          return null;
+        }
+      
+        const entry = {
+          ...revision,
+          number: revisions.length + 1,
+          date: revision.date || new Date().toISOString()
+        };
+        revisions.push(entry);
+      
+        await fs.writeFile(this.revisionsPath(projectId, assetId), JSON.stringify(revisions, null, 2));
+      
+        return entry;
+      } catch (error) {
+        console.error(`Error adding revision to asset ${assetId} in project ${projectId}:`, error);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Where an asset's revision history is stored
+   */
+  revisionsPath(projectId, assetId) {
+    return path.join(this.projectsDir, projectId, 'assets', `${assetId}.revisions.json`);
+  }
+
+  /**
+   * Record an LLM call's token usage against a project. Entries are
+   * appended a line at a time, so earlier ones are never rewritten.
+   */
+  async recordUsage(projectId, entry) {
+    try {
+      await fs.appendFile(this.usagePath(projectId), `${JSON.stringify(entry)}\n`);
+      return entry;
+    } catch (error) {
+      console.error(`Error recording usage for project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the usage recorded against a project, oldest first, or null if the
+   * project does not exist
+   */
+  async getUsage(projectId) {
     try {
-      // Load project data
       const projectData = await this.loadProjectData(projectId);
       
       if (!projectData) {
-        return false;
+        return null;
       }
       
-      // Find the asset
-      let asset = null;
-      let assetType = null;
-      
-      for (const type in projectData.assets) {
-        if (projectData.assets[type][assetId]) {
-          asset = projectData.assets[type][assetId];
-          assetType = type;
-          break;
+      try {
+        const lines = (await fs.readFile(this.usagePath(projectId), 'utf8')).split('\n');
+        return lines.filter(line => line.trim()).map(line => JSON.parse(line));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          // Nothing generated yet
+          return [];
         }
+        throw error;
       }
+    } catch (error) {
+      console.error(`Error getting usage of project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Where a project's usage is recorded
+   */
+  usagePath(projectId) {
+    return path.join(this.projectsDir, projectId, 'usage.jsonl');
+  }
+
+  /**
+   * Get a project's overrides of the prompt templates as { name: source },
+   * partials named "partials/<name>", or null if the project does not exist
+   */
+  async getPromptOverrides(projectId) {
+    try {
+      const projectData = await this.loadProjectData(projectId);
       
-      if (!asset) {
-        return false;
+      if (!projectData) {
+        return null;
       }
       
-      // If asset data is stored in a separate file, delete it
-      if (asset.dataFile) {
-        const assetPath = path.join(this.projectsDir, projectId, 'assets', asset.dataFile);
+      const overrides = {};
+      for (const subdirectory of ['', 'partials']) {
+        let files;
         try {
-          await fs.unlink(assetPath);
+          files = await fs.readdir(path.join(this.promptsPath(projectId), subdirectory));
         } catch (error) {
-          console.error(`Error deleting asset file ${assetPath}:`, error);
-          // Continue even if file deletion fails
+          if (error.code === 'ENOENT') continue;
+          throw error;
+        }
+
+        for (const file of files.filter(file => file.endsWith('.prompt'))) {
+          const name = path.posix.join(subdirectory, file.slice(0, -'.prompt'.length));
+          overrides[name] = await fs.readFile(path.join(this.promptsPath(projectId), subdirectory, file), 'utf8');
         }
       }
       
-      // Remove asset from project
-      delete projectData.assets[assetType][assetId];
+      return overrides;
+    } catch (error) {
+      console.error(`Error getting prompt overrides of project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Override a prompt template or partial for a project. The source is
+   * saved as it is; check it first (see PromptLibrary.checkOverride).
+   */
+  async setPromptOverride(projectId, name, source) {
+    const projectData = await this.loadProjectData(projectId);
+    
+    if (!projectData) {
+      return null;
+    }
+    
+    const promptPath = this.promptPath(projectId, name);
+    await fs.mkdir(path.dirname(promptPath), { recursive: true });
+    await fs.writeFile(promptPath, source);
+    
+    return { name, source };
+  }
+
+  /**
+   * Remove a project's override of a prompt template or partial. Resolves
+   * to whether there was one.
+   */
+  async deletePromptOverride(projectId, name) {
+    try {
+      await fs.unlink(this.promptPath(projectId, name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Where a project's prompt overrides are stored
+   */
+  promptsPath(projectId) {
+    return path.join(this.projectsDir, projectId, 'prompts');
+  }
+
+  /**
+   * The file of one prompt override; names are "concept" or
+   * "partials/characters"
+   */
+  promptPath(projectId, name) {
+    if (!/^(partials\/)?[a-z0-9-]+$/.test(name)) {
+      throw new Error(`Invalid prompt name: ${name}`);
+    }
+    return path.join(this.promptsPath(projectId), `${name}.prompt`);
+  }
+
+  /**
+   * Get a project's characters, oldest first, or null if the project does
+   * not exist
+   */
+  async getCharacters(projectId) {
+    try {
+      const projectData = await this.loadProjectData(projectId);
+      
+      if (!projectData) {
+        return null;
+      }
       
-      // Update project
-      projectData.updatedAt = new Date().toISOString();
-      await this.saveProjectData(projectId, projectData);
+      return Object.values(projectData.characters || {})
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    } catch (error) {
+      console.error(`Error getting characters of project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get one of a project's characters
+   */
+  async getCharacter(projectId, characterId) {
+    try {
+      const projectData = await this.loadProjectData(projectId);
       
-      return true;
+      if (!projectData || !projectData.characters) {
+        return null;
+      }
+      
+      return projectData.characters[characterId] || null;
     } catch (error) {
-      console.error(`Error deleting asset ${assetId} from project ${projectId}:`, error);
-      return false;
+      console.error(`Error getting character ${characterId} of project ${projectId}:`, error);
+      return null;
     }
   }
 
   /**
-   * Save project data to the filesystem
+   * Add a character to a project. The fields are saved as they are; check
+   * them first (see CharacterBible.check). Resolves to the new record.
+   */
+  async addCharacter(projectId, fields) {
+    return this.withProjectLock(projectId, async () => {
+      try {
+        const projectData = await this.loadProjectData(projectId);
+      
+        if (!projectData) {
+          return null;
+        }
+      
+        const timestamp = new Date().toISOString();
+        const character = {
+          id: `char_${uuidv4().substring(0, 8)}`,
+          ...fields,
+          createdAt: timestamp,
+          updatedAt: timestamp
+        };
+      
+        projectData.characters = projectData.characters || {};
+        projectData.characters[character.id] = character;
+      
+        projectData.updatedAt = timestamp;
+        await this.saveProjectData(projectId, projectData);
+      
+        return character;
+      } catch (error) {
+        console.error(`Error adding character to project ${projectId}:`, error);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Change some of a character's fields. Resolves to the updated record.
+   */
+  async updateCharacter(projectId, characterId, updates) {
+    return this.withProjectLock(projectId, async () => {
+      try {
+        const projectData = await this.loadProjectData(projectId);
+      
+        if (!projectData || !projectData.characters || !projectData.characters[characterId]) {
+          return null;
+        }
+      
+        const timestamp = new Date().toISOString();
+        const character = {
+          ...projectData.characters[characterId],
+          ...updates,
+          id: characterId,
+          updatedAt: timestamp
+        };
+        projectData.characters[characterId] = character;
+      
+        projectData.updatedAt = timestamp;
+        await this.saveProjectData(projectId, projectData);
+      
+        return character;
+      } catch (error) {
+        console.error(`Error updating character ${characterId} of project ${projectId}:`, error);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Delete a character, along with the other characters' relationships to
+   * it
+   */
+  async deleteCharacter(projectId, characterId) {
+    return this.withProjectLock(projectId, async () => {
+      try {
+        const projectData = await this.loadProjectData(projectId);
+      
+        if (!projectData || !projectData.characters || !projectData.characters[characterId]) {
+          return false;
+        }
+      
+        const timestamp = new Date().toISOString();
+        delete projectData.characters[characterId];
+      
+        for (const character of Object.values(projectData.characters)) {
+          const relationships = (character.relationships || []).filter(entry => entry.characterId !== characterId);
+          if (relationships.length !== (character.relationships || []).length) {
+            character.relationships = relationships;
+            character.updatedAt = timestamp;
+          }
+        }
+      
+        projectData.updatedAt = timestamp;
+        await this.saveProjectData(projectId, projectData);
+      
+        return true;
+      } catch (error) {
+        console.error(`Error deleting character ${characterId} from project ${projectId}:`, error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Run a change to a project once the changes queued before it on the same
+   * project have finished, resolving to what it resolves to. Changes must
+   * not call one another from inside the queue, or they wait on themselves.
+   */
+  withProjectLock(projectId, change) {
+    const run = (projectWrites.get(projectId) || Promise.resolve()).then(() => change());
+    const done = run.catch(() => {});
+    
+    projectWrites.set(projectId, done);
+    done.then(() => {
+      if (projectWrites.get(projectId) === done) projectWrites.delete(projectId);
+    });
+    
+    return run;
+  }
+
+  /**
+   * Save project data to the filesystem, via a temporary file so readers
+   * never see it half written
    */
   async saveProjectData(projectId, projectData) {
     const projectPath = path.join(this.projectsDir, projectId, 'project.json');
-    await fs.writeFile(projectPath, JSON.stringify(projectData, null, 2));
+    await this.writeAtomically(projectPath, JSON.stringify(projectData, null, 2));
+  }
+
+  /**
+   * Write a file through a temporary file renamed over it
+   */
+  async writeAtomically(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
   }
 
   /**
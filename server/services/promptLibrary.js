@@ -0,0 +1,504 @@
+// server/services/promptLibrary.js - The prompt templates, with project overrides
+//
+// Prompts are templates (see TemplateEngine) in server/prompts, with the
+// partials they include in server/prompts/partials. Each template declares
+// the variables it is rendered with; every template is checked when it is
+// loaded, so a typo in a prompt stops the server at startup rather than
+// reaching the model. A project can override any template or partial with
+// its own version, checked the same way when it is saved.
+//
+// Every change to a template, made through the library or by editing its
+// file, is kept as a numbered version, and templates are reloaded when
+// their files change. Rendering reports the versions a prompt came from,
+// so generated assets can record them.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const TemplateEngine = require('./templateEngine');
+const ProjectManager = require('./projectManager');
+
+// The templates and the variables each is rendered with
+const TEMPLATES = {
+  concept: ['PREMISE', 'GENRE', 'THEMES', 'LENGTH', 'SCHEMA'],
+  screenplay: ['CONCEPT', 'CHARACTERS', 'STRUCTURE'],
+  scene: ['SCENE_DESCRIPTION', 'CHARACTERS', 'CONTEXT'],
+  beats: ['CONCEPT', 'CHARACTERS', 'STRUCTURE', 'LENGTH'],
+  'scene-list': ['CONCEPT', 'CHARACTERS', 'BEATS', 'PAGE_COUNT', 'SCENE_COUNT'],
+  'scene-summary': ['SCENE'],
+  analysis: ['SCREENPLAY', 'SCHEMA'],
+  repair: ['SCHEMA', 'RESPONSE', 'ERRORS'],
+  breakdown: ['SCENES', 'SCHEMA']
+};
+
+/**
+ * The prompt versions behind a set of LLM calls (see
+ * ScriptGenerator._callLLM), merged: { name: version }
+ */
+function callVersions(calls) {
+  return Object.assign({}, ...calls.map(call => call.prompts || {}));
+}
+
+class PromptLibrary {
+  constructor(options = {}) {
+    const promptsConfig = config.prompts || {};
+    this.directory = options.directory || promptsConfig.directory || path.join(__dirname, '../prompts');
+    this.historyDir = options.historyDirectory || promptsConfig.historyDirectory || path.join(__dirname, '../../data/prompts');
+    this.projectManager = options.projectManager || new ProjectManager();
+    this.engine = new TemplateEngine();
+    this.versions = {};
+
+    const { errors } = this._apply(this._loadSources());
+    if (errors.length) {
+      throw new Error(`Invalid prompt templates:\n  ${errors.join('\n  ')}`);
+    }
+
+    // Changes are made one at a time, and renders wait for them
+    this.pending = Promise.resolve();
+    this._exclusive(() => this._syncHistory());
+
+    const watch = options.watch !== undefined ? options.watch : promptsConfig.watch;
+    if (watch) {
+      this._watch();
+    }
+  }
+
+  /**
+   * The names of the templates and partials, e.g. "concept" and
+   * "partials/characters", with the variables each template takes and its
+   * current version
+   */
+  async list() {
+    await this.pending;
+
+    return Object.keys(this.sources).sort().map(name => ({
+      name,
+      partial: name.startsWith('partials/'),
+      variables: TEMPLATES[name] || null,
+      version: this.versions[name] ? this.versions[name].version : null
+    }));
+  }
+
+  /**
+   * Whether a name is one of the templates or partials
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.sources, name);
+  }
+
+  /**
+   * The source of a template or partial as shipped
+   */
+  source(name) {
+    return this.has(name) ? this.sources[name] : null;
+  }
+
+  /**
+   * A template or partial with its variables and current version:
+   * { name, variables, version, createdAt, template }, or null
+   */
+  async get(name) {
+    await this.pending;
+
+    if (!this.has(name)) {
+      return null;
+    }
+    const current = this.versions[name] || {};
+    return {
+      name,
+      variables: TEMPLATES[name] || null,
+      version: current.version || null,
+      createdAt: current.createdAt || null,
+      template: this.sources[name]
+    };
+  }
+
+  /**
+   * Change a template or partial. The new source is checked with the other
+   * templates, then written to its file and recorded as the next version.
+   * Throws an error with code TEMPLATE_INVALID (and error.errors) if it
+   * does not check out. Resolves to { version, warnings }, or null if there
+   * is no such template.
+   *
+   * Options:
+   *   author: string   // Who made the change
+   *   message: string  // What changed
+   */
+  update(name, source, options = {}) {
+    return this._exclusive(async () => {
+      if (!this.has(name)) {
+        return null;
+      }
+
+      const sources = { ...this.sources, [name]: String(source) };
+      const { errors, warnings } = this.check(sources);
+      if (errors.length) {
+        const error = new Error(`Invalid prompt template ${name}: ${errors.join('; ')}`);
+        error.code = 'TEMPLATE_INVALID';
+        error.errors = errors;
+        error.warnings = warnings;
+        throw error;
+      }
+
+      await fs.promises.writeFile(this._path(name), sources[name]);
+      this._apply(sources);
+      const version = await this._recordVersion(name, sources[name], options);
+
+      return { version, warnings };
+    });
+  }
+
+  /**
+   * List the versions of a template or partial, oldest first, without
+   * their source; null if there is no such template
+   */
+  async listVersions(name) {
+    await this.pending;
+
+    if (!this.has(name)) {
+      return null;
+    }
+    const versions = await this._readVersions(name);
+    return versions.map(({ source, ...entry }) => entry);
+  }
+
+  /**
+   * Get one version of a template or partial: { version, createdAt,
+   * author, message, hash, source }, or null
+   */
+  async getVersion(name, version) {
+    if (!this.has(name)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this._historyPath(name), `${Number(version)}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Make an earlier version of a template current again. The rollback is
+   * itself recorded as a new version, so nothing is lost. Resolves as
+   * update does, or to null if the version does not exist.
+   */
+  async rollback(name, version, options = {}) {
+    const stored = await this.getVersion(name, version);
+
+    if (!stored) {
+      return null;
+    }
+
+    return this.update(name, stored.source, {
+      author: options.author,
+      message: options.message || `Rolled back to version ${stored.version}`
+    });
+  }
+
+  /**
+   * Read the templates from disk again. If they do not check out, the
+   * ones in use are kept. Resolves to { reloaded, errors, warnings }.
+   */
+  reload() {
+    return this._exclusive(async () => {
+      let sources;
+      try {
+        sources = this._loadSources();
+      } catch (error) {
+        return { reloaded: false, errors: [error.message], warnings: [] };
+      }
+
+      const { errors, warnings } = this._apply(sources);
+      if (errors.length) {
+        console.error(`Prompt templates not reloaded:\n  ${errors.join('\n  ')}`);
+        return { reloaded: false, errors, warnings };
+      }
+
+      await this._syncHistory();
+      return { reloaded: true, errors, warnings };
+    });
+  }
+
+  /**
+   * Check a set of template and partial sources ({ name: source }) as a
+   * whole: syntax, variables each template uses but is not given (errors),
+   * variables it is given but never uses (warnings) and partials that do
+   * not exist or include themselves. Returns { errors, warnings, compiled }.
+   */
+  check(sources) {
+    const errors = [];
+    const warnings = [];
+    const compiled = {};
+
+    for (const [name, source] of Object.entries(sources)) {
+      try {
+        compiled[name] = this.engine.compile(source, name);
+      } catch (error) {
+        errors.push(...(error.errors || [error.message]));
+      }
+    }
+
+    for (const [name, declared] of Object.entries(TEMPLATES)) {
+      const template = compiled[name];
+      if (!template) continue;
+
+      // Everything the template reads, through the partials it includes
+      const used = new Set();
+      const visit = (current, trail) => {
+        current.variables.forEach(variable => used.add(variable));
+
+        for (const partial of current.partials) {
+          const included = compiled[`partials/${partial}`];
+          if (trail.includes(partial)) {
+            errors.push(`${name}: partial ${partial} includes itself`);
+          } else if (!included) {
+            if (!sources[`partials/${partial}`]) errors.push(`${name}: unknown partial ${partial}`);
+          } else {
+            visit(included, [...trail, partial]);
+          }
+        }
+      };
+      visit(template, []);
+
+      for (const variable of used) {
+        if (!declared.includes(variable)) {
+          errors.push(`${name}: unknown variable ${variable} (available: ${declared.join(', ')})`);
+        }
+      }
+      for (const variable of declared) {
+        if (!used.has(variable)) {
+          warnings.push(`${name}: variable ${variable} is never used`);
+        }
+      }
+    }
+
+    return { errors, warnings, compiled };
+  }
+
+  /**
+   * Check a project's override of a template or partial against the other
+   * templates the project renders with. Returns { errors, warnings }.
+   */
+  async checkOverride(projectId, name, source) {
+    const overrides = (await this.projectManager.getPromptOverrides(projectId)) || {};
+    const { errors, warnings } = this.check({ ...this.sources, ...overrides, [name]: String(source) });
+    return { errors, warnings };
+  }
+
+  /**
+   * Render a template with its variables. With a projectId, the project's
+   * overrides are used in place of the templates and partials they replace.
+   *
+   * Resolves to { text, versions }, versions naming the template and each
+   * partial it included with the version used ({ scene: 3,
+   * "partials/characters": 1 }), or "project" where the project's override
+   * was.
+   */
+  async render(name, data, options = {}) {
+    if (!TEMPLATES[name]) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+    await this.pending;
+
+    const { compiled, overridden } = options.projectId
+      ? await this._projectTemplates(options.projectId)
+      : { compiled: this.compiled, overridden: [] };
+    const partials = {};
+    for (const key of Object.keys(compiled)) {
+      if (key.startsWith('partials/')) partials[key.slice('partials/'.length)] = compiled[key];
+    }
+
+    const versions = {};
+    const visit = current => {
+      if (current in versions) return;
+      versions[current] = overridden.includes(current) ? 'project' : (this.versions[current] || {}).version || null;
+      compiled[current].partials.forEach(partial => visit(`partials/${partial}`));
+    };
+    visit(name);
+
+    return { text: this.engine.render(compiled[name], data, partials), versions };
+  }
+
+  /**
+   * The templates a project renders with: its overrides over the shipped
+   * ones, and the names of the ones overridden. Overrides that no longer
+   * check out (edited on disk, or the templates changed under them) are
+   * skipped.
+   */
+  async _projectTemplates(projectId) {
+    const overrides = await this.projectManager.getPromptOverrides(projectId);
+    if (!overrides || !Object.keys(overrides).length) {
+      return { compiled: this.compiled, overridden: [] };
+    }
+
+    const { errors, compiled } = this.check({ ...this.sources, ...overrides });
+    if (errors.length) {
+      console.error(`Ignoring prompt overrides of project ${projectId}: ${errors.join('; ')}`);
+      return { compiled: this.compiled, overridden: [] };
+    }
+    return { compiled, overridden: Object.keys(overrides) };
+  }
+
+  /**
+   * Put checked sources in use. Returns { errors, warnings }, changing
+   * nothing if there are errors.
+   */
+  _apply(sources) {
+    const { errors, warnings, compiled } = this.check(sources);
+    if (errors.length) {
+      return { errors, warnings };
+    }
+
+    warnings.forEach(warning => console.warn(`Prompt template warning: ${warning}`));
+    this.sources = sources;
+    this.compiled = compiled;
+    return { errors, warnings };
+  }
+
+  /**
+   * Record a new version of each template whose source differs from its
+   * latest one (a first version for new templates, or a file edited by
+   * hand), and note the current versions
+   */
+  async _syncHistory() {
+    const versions = {};
+
+    try {
+      for (const [name, source] of Object.entries(this.sources)) {
+        const history = await this._readVersions(name);
+        const latest = history[history.length - 1];
+
+        versions[name] = latest && latest.hash === this._hash(source)
+          ? this._versionEntry(latest)
+          : await this._recordVersion(name, source, { message: latest ? 'Changed on disk' : 'Initial version' });
+      }
+    } catch (error) {
+      console.error('Error recording prompt template versions:', error);
+    }
+
+    this.versions = { ...this.versions, ...versions };
+  }
+
+  /**
+   * Add a source as the next version of a template. Versions are numbered
+   * from 1 and written once.
+   */
+  async _recordVersion(name, source, options = {}) {
+    const history = await this._readVersions(name);
+    const entry = {
+      version: history.length ? history[history.length - 1].version + 1 : 1,
+      createdAt: new Date().toISOString(),
+      author: options.author || null,
+      message: options.message || null,
+      hash: this._hash(source)
+    };
+
+    const historyDir = this._historyPath(name);
+    await fs.promises.mkdir(historyDir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(historyDir, `${entry.version}.json`),
+      JSON.stringify({ ...entry, source }, null, 2),
+      { flag: 'wx' }
+    );
+
+    this.versions[name] = this._versionEntry(entry);
+    return entry;
+  }
+
+  /**
+   * The stored versions of a template, oldest first
+   */
+  async _readVersions(name) {
+    let files;
+    try {
+      files = (await fs.promises.readdir(this._historyPath(name))).filter(file => /^\d+\.json$/.test(file));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const versions = [];
+    for (const file of files) {
+      versions.push(JSON.parse(await fs.promises.readFile(path.join(this._historyPath(name), file), 'utf8')));
+    }
+    return versions.sort((a, b) => a.version - b.version);
+  }
+
+  _versionEntry({ version, createdAt, hash }) {
+    return { version, createdAt, hash };
+  }
+
+  /**
+   * Run a change after the ones before it, so versions are numbered in
+   * order. Resolves as the change does.
+   */
+  _exclusive(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {}); // The caller sees the error
+    return run;
+  }
+
+  /**
+   * Reload the templates shortly after their files change
+   */
+  _watch() {
+    const onChange = () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), 200);
+      this.reloadTimer.unref();
+    };
+
+    for (const directory of [this.directory, path.join(this.directory, 'partials')]) {
+      if (!fs.existsSync(directory)) continue;
+
+      try {
+        const watcher = fs.watch(directory, onChange);
+        watcher.on('error', error => console.error(`Error watching prompt templates in ${directory}:`, error));
+        watcher.unref();
+      } catch (error) {
+        console.error(`Cannot watch prompt templates in ${directory}:`, error);
+      }
+    }
+  }
+
+  _path(name) {
+    return path.join(this.directory, `${name}.prompt`);
+  }
+
+  _historyPath(name) {
+    return path.join(this.historyDir, name);
+  }
+
+  _hash(text) {
+    return crypto.createHash('sha256').update(String(text)).digest('hex');
+  }
+
+  _loadSources() {
+    const sources = {};
+
+    for (const name of Object.keys(TEMPLATES)) {
+      sources[name] = fs.readFileSync(this._path(name), 'utf8');
+    }
+
+    const partialsDir = path.join(this.directory, 'partials');
+    if (fs.existsSync(partialsDir)) {
+      for (const file of fs.readdirSync(partialsDir).filter(file => file.endsWith('.prompt'))) {
+        sources[`partials/${file.slice(0, -'.prompt'.length)}`] = fs.readFileSync(path.join(partialsDir, file), 'utf8');
+      }
+    }
+    return sources;
+  }
+}
+
+PromptLibrary.callVersions = callVersions;
+
+// One library for the whole server, so changes reach every service
+PromptLibrary.shared = new PromptLibrary();
+
+module.exports = PromptLibrary;
@@ -0,0 +1,77 @@
+// server/services/providers/anthropicProvider.js - Anthropic Messages API
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+const { readEventStream } = require('./streamReader');
+
+class AnthropicProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.defaultModel = 'claude-3-opus-20240229';
+    this.baseUrl = (config.baseUrl || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this._send(messages, options, false);
+    const { usage } = response.data;
+    if (usage) this._reportUsage(options, usage.input_tokens, usage.output_tokens);
+
+    return response.data.content[0].text;
+  }
+
+  async stream(messages, options = {}) {
+    const response = await this._send(messages, options, true);
+
+    return this._request('Anthropic API', async () => {
+      // Input tokens come at the start of the stream, output tokens at the end
+      let inputTokens;
+      let outputTokens;
+
+      const text = await readEventStream(response.data, event => {
+        if (event.type === 'error') {
+          throw new Error(event.error ? event.error.message : 'Stream error');
+        }
+        if (event.type === 'message_start' && event.message && event.message.usage) {
+          inputTokens = event.message.usage.input_tokens;
+        }
+        if (event.type === 'message_delta' && event.usage) {
+          outputTokens = event.usage.output_tokens;
+        }
+        return event.type === 'content_block_delta' && event.delta ? event.delta.text : null;
+      }, options.onToken);
+
+      this._reportUsage(options, inputTokens, outputTokens);
+      return text;
+    });
+  }
+
+  _send(messages, options, streaming) {
+    const { model, temperature, maxTokens } = this._settings(options);
+
+    // System prompts go alongside the conversation, not in it
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const body = {
+      model,
+      messages: messages.filter(message => message.role !== 'system'),
+      max_tokens: maxTokens,
+      temperature,
+      stream: streaming
+    };
+    if (system) body.system = system;
+
+    return this._request('Anthropic API', () => axios.post(
+      `${this.baseUrl}/messages`,
+      body,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.config.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        responseType: streaming ? 'stream' : 'json',
+        signal: options.signal
+      }
+    ));
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,66 @@
+// server/services/providers/circuitBreaker.js - Stop calling a failing provider
+//
+// After `threshold` failures in a row the circuit opens and calls are refused
+// for `cooldown` ms. Then a single trial call is let through (half-open):
+// success closes the circuit, failure opens it again.
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.threshold = options.threshold || 5;
+    this.cooldown = options.cooldown || 60000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Whether a call may go ahead now
+   */
+  allow() {
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldown) {
+      // Let one trial call through
+      this.state = 'half-open';
+      return true;
+    }
+    return false;
+  }
+
+  success() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  failure() {
+    this.failures++;
+
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * A call was abandoned without an outcome. A trial call's slot goes to
+   * the next caller.
+   */
+  release() {
+    if (this.state === 'half-open') {
+      this.state = 'open';
+      this.openedAt = Date.now() - this.cooldown;
+    }
+  }
+
+  status() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldown).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,78 @@
+// server/services/providers/index.js - Registry of LLM providers by name
+//
+// LLM_PROVIDER picks one of these. Add a provider with registerProvider,
+// giving a factory that builds it from the llm.api config:
+//
+//   registerProvider('my-api', config => new MyProvider(config));
+//
+// where MyProvider extends LLMProvider and implements chat() (and stream()
+// if the API can stream).
+const LLMProvider = require('./llmProvider');
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const LocalAIProvider = require('./localAIProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+const ProviderChain = require('./providerChain');
+
+const factories = new Map();
+
+function registerProvider(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Build the named provider, throwing for names nobody registered
+ */
+function createProvider(name, config = {}) {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unsupported LLM provider: ${name}`);
+  }
+  return factory(config);
+}
+
+function listProviders() {
+  return [...factories.keys()];
+}
+
+/**
+ * The configured provider followed by its fallbacks (llm.api.fallbacks),
+ * with timeouts, retries and circuit breakers (llm.api.resilience)
+ */
+function createProviderChain(config = {}) {
+  const entries = [config, ...(config.fallbacks || []).map(fallback => ({
+    ...config,
+    // Fallbacks bring their own key and URL
+    apiKey: '',
+    baseUrl: '',
+    ...fallback
+  }))];
+
+  return new ProviderChain(
+    entries.map(entry => ({ name: entry.provider, provider: createProvider(entry.provider, entry) })),
+    config.resilience
+  );
+}
+
+registerProvider('openai', config => new OpenAIProvider(config));
+registerProvider('anthropic', config => new AnthropicProvider(config));
+registerProvider('localai', config => new LocalAIProvider(config));
+// llama.cpp server, vLLM, LM Studio and anything else with /v1/chat/completions
+registerProvider('openai-compatible', config => new OpenAIProvider({
+  ...config,
+  baseUrl: config.baseUrl || 'http://localhost:8080/v1',
+  label: 'OpenAI-compatible API',
+  streamUsage: false
+}));
+registerProvider('ollama', config => new OllamaProvider(config));
+registerProvider('mock', config => new MockProvider({ ...config.mock, model: config.model }));
+
+module.exports = {
+  LLMProvider,
+  ProviderChain,
+  registerProvider,
+  createProvider,
+  createProviderChain,
+  listProviders
+};
@@ -0,0 +1,131 @@
+// server/services/providers/llmProvider.js - Base class for LLM providers
+//
+// A provider turns a conversation into text. Subclasses implement chat()
+// and, when their API can stream, stream(); complete() and a non-streaming
+// stream() are built on chat() for the rest.
+const axios = require('axios');
+
+class LLMProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.defaultModel = null; // Model used when none is configured
+  }
+
+  /**
+   * The model a call with these options goes to
+   */
+  model(options = {}) {
+    return options.model || this.config.model || this.defaultModel;
+  }
+
+  /**
+   * Send a conversation and resolve to the reply
+   *
+   * messages: [{ role: 'system' | 'user' | 'assistant', content: string }]
+   * Options:
+   *   model, temperature, maxTokens  // Override the configured defaults
+   *   signal: AbortSignal            // Cancel the request
+   *   onUsage: function(usage)       // Called with { promptTokens,
+   *                                  // completionTokens } when the API
+   *                                  // reports token usage
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement chat()`);
+  }
+
+  /**
+   * Send a single prompt and resolve to the reply
+   */
+  async complete(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * As chat(), calling options.onToken with each piece of the reply as it
+   * arrives. Resolves to the whole reply. Providers that cannot stream hand
+   * over the reply in one piece.
+   */
+  async stream(messages, options = {}) {
+    const text = await this.chat(messages, options);
+    if (text) options.onToken(text);
+    return text;
+  }
+
+  /**
+   * Generation settings for a call: the call's options over the configured
+   * defaults
+   */
+  _settings(options) {
+    // A temperature of 0 is a setting, not a missing one; ScriptGenerator
+    // keys its cache the same way
+    const pick = (value, configured, fallback) =>
+      (value !== undefined ? value : configured !== undefined ? configured : fallback);
+    return {
+      model: this.model(options),
+      temperature: pick(options.temperature, this.config.temperature, 0.7),
+      maxTokens: pick(options.maxTokens, this.config.maxTokens, 4000)
+    };
+  }
+
+  /**
+   * Pass token counts from a response on to options.onUsage, if the API
+   * reported them
+   */
+  _reportUsage(options, promptTokens, completionTokens) {
+    if (options.onUsage && (Number.isFinite(promptTokens) || Number.isFinite(completionTokens))) {
+      options.onUsage({
+        promptTokens: promptTokens || 0,
+        completionTokens: completionTokens || 0
+      });
+    }
+  }
+
+  /**
+   * Run an API request, turning failures into "<label> call failed" errors
+   * that keep the HTTP status, network error code and any Retry-After delay
+   * (in ms). Cancellations are passed through as they are.
+   */
+  async _request(label, request) {
+    try {
+      return await request();
+    } catch (error) {
+      if (axios.isCancel(error)) throw error;
+      console.error(`${label} call failed:`, error.response?.data || error.message);
+
+      const failure = new Error(`${label} call failed: ${error.message}`);
+      failure.status = error.response ? error.response.status : null;
+      failure.code = error.code || null;
+      failure.retryAfter = this._retryAfter(error.response && error.response.headers);
+      throw failure;
+    }
+  }
+
+  /**
+   * How long a response asks to be left before retrying, in ms, or null.
+   * Retry-After is in seconds or an HTTP date; some APIs also send
+   * retry-after-ms.
+   */
+  _retryAfter(headers) {
+    if (!headers) {
+      return null;
+    }
+
+    const ms = parseFloat(headers['retry-after-ms']);
+    if (!isNaN(ms)) {
+      return ms;
+    }
+
+    const value = headers['retry-after'];
+    if (!value) {
+      return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+      return parseFloat(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,72 @@
+// server/services/providers/localAIProvider.js - Legacy /v1/completions API
+//
+// For local servers that only take a raw prompt. Conversations are
+// flattened into one prompt; servers with a chat endpoint are better served
+// by the openai-compatible provider.
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+const { readEventStream } = require('./streamReader');
+
+class LocalAIProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.defaultModel = 'local';
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this._send(this._prompt(messages), options, false);
+    const { usage } = response.data;
+    if (usage) this._reportUsage(options, usage.prompt_tokens, usage.completion_tokens);
+
+    return response.data.choices[0].text.trim();
+  }
+
+  async stream(messages, options = {}) {
+    const response = await this._send(this._prompt(messages), options, true);
+
+    return this._request('Local AI', async () => {
+      let usage = null;
+      const text = await readEventStream(response.data, event => {
+        if (event.usage) usage = event.usage;
+        return event.choices && event.choices[0] && event.choices[0].text;
+      }, options.onToken);
+
+      if (usage) this._reportUsage(options, usage.prompt_tokens, usage.completion_tokens);
+      return text.trim();
+    });
+  }
+
+  /**
+   * A lone user message is sent as it is; longer conversations as a
+   * transcript for the model to continue
+   */
+  _prompt(messages) {
+    if (messages.length === 1 && messages[0].role === 'user') {
+      return messages[0].content;
+    }
+    return `${messages.map(message => `${message.role.toUpperCase()}: ${message.content}`).join('\n\n')}\n\nASSISTANT:`;
+  }
+
+  _send(prompt, options, streaming) {
+    const { temperature, maxTokens } = this._settings(options);
+
+    return this._request('Local AI', () => axios.post(
+      this.config.endpoint || 'http://localhost:8080/v1/completions',
+      {
+        prompt,
+        max_tokens: maxTokens,
+        temperature,
+        stream: streaming
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        responseType: streaming ? 'stream' : 'json',
+        signal: options.signal
+      }
+    ));
+  }
+}
+
+module.exports = LocalAIProvider;
@@ -0,0 +1,261 @@
+// server/services/providers/mockProvider.js - Offline, deterministic provider
+//
+// Answers without any model so the app can be developed and tested offline.
+// Canned responses are matched against the prompt first; anything else gets
+// a response generated from a seeded random sequence, so the same prompt and
+// seed always produce the same text. Generated responses follow what the
+// prompt asks for (a concept, a beat sheet, a scene list, a summary, an
+// analysis, a breakdown or screenplay pages) closely enough for the app to use them.
+// Canned entries can also fail, to rehearse retries and fallbacks.
+const fs = require('fs');
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+
+const NAMES = ['ANNA', 'BEN', 'CLARA', 'DEV', 'ELENA', 'FRANK', 'GRACE', 'HUGO', 'IRIS', 'JONAH'];
+const PLACES = ['KITCHEN', 'ROOFTOP', 'DINER', 'WAREHOUSE', 'OFFICE', 'TRAIN PLATFORM', 'BEACH', 'HOSPITAL CORRIDOR', 'MOTEL ROOM', 'FOREST ROAD'];
+const TIMES = ['DAY', 'NIGHT', 'MORNING', 'DUSK', 'LATER'];
+const ACTIONS = [
+  '{name} stops in the doorway, taking in the mess.',
+  'Rain streaks the window. {name} does not look up.',
+  '{name} slides a folded note across the table.',
+  'A phone buzzes. {name} lets it ring.',
+  '{name} paces, counting under their breath.',
+  'The lights flicker and die. {name} waits in the dark.'
+];
+const LINES = [
+  'You said you would be here an hour ago.',
+  'I know what I saw.',
+  'We do this my way, or not at all.',
+  'Tell me that was not what it looked like.',
+  'It is too late to go back now.',
+  'Then we had better be quick.'
+];
+const BEATS = ['Opening Image', 'Setup', 'Catalyst', 'Debate', 'Break into Two', 'Fun and Games', 'Midpoint', 'Bad Guys Close In', 'All Is Lost', 'Break into Three', 'Finale', 'Final Image'];
+
+class MockProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.defaultModel = 'mock';
+    this.seed = String(config.seed || 'filmforge');
+    this.delay = config.delay || 0; // Pause between streamed pieces (ms)
+    this.responses = [...(config.responses || []), ...this._loadResponses(config.responsesFile)];
+    this.calls = []; // Every conversation sent, for tests to inspect
+  }
+
+  /**
+   * Answer prompts matching a string (case-insensitive substring) or RegExp
+   * with a fixed response. Later registrations take precedence.
+   *
+   * Options:
+   *   times: number  // Only answer this many times
+   *   error: { status, message, retryAfter }  // Fail instead, as an API
+   *                                           // error would (retryAfter in ms)
+   */
+  addResponse(match, response, options = {}) {
+    this.responses.unshift({ match, response, ...options });
+  }
+
+  async chat(messages, options = {}) {
+    this._checkAborted(options.signal);
+    this.calls.push({ messages, options: { model: options.model, temperature: options.temperature, maxTokens: options.maxTokens } });
+
+    const prompt = messages.map(message => message.content).join('\n\n');
+    const canned = this.responses.find(entry => this._matches(entry.match, prompt));
+
+    if (!canned) {
+      return this._generate(prompt);
+    }
+
+    if (canned.times !== undefined && --canned.times <= 0) {
+      this.responses.splice(this.responses.indexOf(canned), 1);
+    }
+    if (canned.error) {
+      const error = new Error(`Mock provider call failed: ${canned.error.message || `status ${canned.error.status}`}`);
+      error.status = canned.error.status || null;
+      error.code = null;
+      error.retryAfter = canned.error.retryAfter !== undefined ? canned.error.retryAfter : null;
+      throw error;
+    }
+    return String(canned.response);
+  }
+
+  async stream(messages, options = {}) {
+    const text = await this.chat(messages, options);
+
+    // Hand the text over a few characters at a time, as a model would
+    for (let start = 0; start < text.length; start += 8) {
+      if (this.delay) {
+        await new Promise(resolve => setTimeout(resolve, this.delay));
+      }
+      this._checkAborted(options.signal);
+      options.onToken(text.slice(start, start + 8));
+    }
+
+    return text;
+  }
+
+  _loadResponses(file) {
+    if (!file) {
+      return [];
+    }
+
+    // [{ "match": "beat sheet", "response": "..." }], with the options of
+    // addResponse; a match written as "/pattern/flags" is a regular
+    // expression
+    return JSON.parse(fs.readFileSync(file, 'utf8')).map(entry => {
+      const regex = /^\/(.*)\/([a-z]*)$/.exec(entry.match);
+      return { ...entry, match: regex ? new RegExp(regex[1], regex[2]) : entry.match };
+    });
+  }
+
+  _matches(match, prompt) {
+    return match instanceof RegExp
+      ? match.test(prompt)
+      : prompt.toLowerCase().includes(String(match).toLowerCase());
+  }
+
+  _checkAborted(signal) {
+    if (signal && signal.aborted) {
+      throw new axios.CanceledError();
+    }
+  }
+
+  /**
+   * A response shaped like what the prompt asks for
+   */
+  _generate(prompt) {
+    const random = this._random(prompt);
+    const pick = list => list[Math.floor(random() * list.length)];
+
+    if (/beat sheet:/i.test(prompt)) {
+      return JSON.stringify(BEATS.map(name => ({
+        name,
+        description: `${pick(NAMES)} ${pick(['faces', 'hides', 'chases', 'confesses'])} the truth at the ${pick(PLACES).toLowerCase()}.`
+      })), null, 2);
+    }
+
+    if (/list of scenes/i.test(prompt)) {
+      const count = parseInt((/roughly (\d+) scenes/i.exec(prompt) || [])[1]) || 12;
+      return JSON.stringify(Array.from({ length: count }, (_, index) => ({
+        heading: this._heading(pick),
+        description: this._fill(pick(ACTIONS), pick),
+        characters: [pick(NAMES), pick(NAMES)].filter((name, i, names) => names.indexOf(name) === i),
+        beat: Math.min(BEATS.length, Math.floor(index * BEATS.length / count) + 1)
+      })), null, 2);
+    }
+
+    if (/summarize/i.test(prompt)) {
+      return `${this._fill(pick(ACTIONS), pick)} ${this._fill(pick(ACTIONS), pick)}`;
+    }
+
+    // Breakdowns follow schemas/breakdown.json, one entry per scene sent
+    if (/break down the scenes/i.test(prompt)) {
+      const scenes = prompt.split(/^## SCENE \d+: /m).slice(1);
+      return JSON.stringify({
+        scenes: scenes.map((text, index) => ({
+          scene: index + 1,
+          cast: NAMES.filter(name => text.includes(name)),
+          props: [pick(['coffee mug', 'folded note', 'car keys', 'phone', 'envelope'])],
+          sound: random() < 0.5 ? ['distant traffic'] : []
+        }))
+      }, null, 2);
+    }
+
+    // Concepts and analyses follow schemas/concept.json and analysis.json
+    if (/film concept/i.test(prompt)) {
+      const hero = pick(NAMES);
+      const villain = pick(NAMES.filter(name => name !== hero));
+      const place = pick(PLACES).toLowerCase();
+      return JSON.stringify({
+        title: `The ${pick(['Last', 'Long', 'Quiet', 'Hidden'])} ${pick(['Shift', 'Road', 'Season', 'Letter'])}`,
+        logline: `When a stranger arrives at the ${place}, ${hero} must decide who to trust.`,
+        synopsis: `${hero} keeps to a quiet routine until a secret surfaces. What follows tests every loyalty ${hero} has.`,
+        characters: [
+          { name: hero, role: 'protagonist', description: 'Careful, and tired of being careful.', motivation: 'To keep what is left', arc: 'Learns to let go' },
+          { name: villain, role: 'antagonist', description: 'Charming until crossed.', motivation: 'To take it all' }
+        ],
+        setting: { period: 'Present day', locations: [pick(PLACES), pick(PLACES)] },
+        plotStructure: {
+          act1: `The stranger arrives at the ${place}.`,
+          act2: `${villain} closes in while ${hero} hesitates.`,
+          act3: `${hero} confronts ${villain}.`
+        },
+        themes: { primary: pick(['trust', 'grief', 'ambition', 'home']), secondary: ['family'] },
+        visualStyle: { approach: pick(['Handheld and close', 'Still, wide frames', 'Saturated night colors']) }
+      }, null, 2);
+    }
+
+    if (/analy[sz]/i.test(prompt)) {
+      const category = assessment => ({ assessment, strengths: [], weaknesses: [] });
+      return JSON.stringify({
+        structure: category('Three acts, with the midpoint arriving late.'),
+        characters: category('A clear protagonist; the antagonist needs a goal.'),
+        dialogue: category(pick(['Brisk', 'Uneven in the second act', 'Too on the nose at times'])),
+        visualStorytelling: category('Mostly shown rather than told.'),
+        themes: category('Trust, carried through to the end.'),
+        formatting: category('Standard.'),
+        commercialPotential: category('A contained thriller for a wide audience.'),
+        overallRating: 1 + Math.floor(random() * 10),
+        recommendations: ['Tighten the opening scene.', 'Give the antagonist a clearer goal.']
+      }, null, 2);
+    }
+
+    return this._pages(prompt, random, pick);
+  }
+
+  /**
+   * Screenplay pages: the scene asked for, or a few scenes
+   */
+  _pages(prompt, random, pick) {
+    const asked = /Begin with the scene heading \\?"([^"\\]+)\\?"/.exec(prompt);
+    const single = asked || /# SCENE DESCRIPTION/.test(prompt);
+    const scenes = single ? 1 : 3 + Math.floor(random() * 3);
+    const text = [];
+
+    if (!single) text.push('FADE IN:');
+
+    for (let i = 0; i < scenes; i++) {
+      const speaker = pick(NAMES);
+      text.push(
+        asked && i === 0 ? asked[1] : this._heading(pick),
+        this._fill(pick(ACTIONS), pick, speaker),
+        `${speaker}\n${pick(LINES)}`,
+        `${pick(NAMES.filter(name => name !== speaker))}\n${pick(LINES)}`
+      );
+    }
+
+    if (!single) text.push('FADE OUT.');
+    return text.join('\n\n');
+  }
+
+  _heading(pick) {
+    return `${pick(['INT.', 'EXT.'])} ${pick(PLACES)} - ${pick(TIMES)}`;
+  }
+
+  _fill(template, pick, name = pick(NAMES)) {
+    return template.replace('{name}', name);
+  }
+
+  /**
+   * A random sequence seeded by the configured seed and the prompt
+   * (FNV-1a hash into mulberry32)
+   */
+  _random(prompt) {
+    let hash = 2166136261;
+    for (const char of `${this.seed}\n${prompt}`) {
+      hash ^= char.charCodeAt(0);
+      hash = Math.imul(hash, 16777619);
+    }
+
+    let state = hash >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = MockProvider;
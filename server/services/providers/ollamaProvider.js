@@ -0,0 +1,63 @@
+// server/services/providers/ollamaProvider.js - Ollama's native chat API
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+const { readJSONLines } = require('./streamReader');
+
+class OllamaProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.defaultModel = 'llama3';
+    this.baseUrl = (config.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this._send(messages, options, false);
+    this._reportUsage(options, response.data.prompt_eval_count, response.data.eval_count);
+
+    return response.data.message.content.trim();
+  }
+
+  async stream(messages, options = {}) {
+    const response = await this._send(messages, options, true);
+
+    return this._request('Ollama', async () => {
+      const text = await readJSONLines(response.data, event => {
+        if (event.error) {
+          throw new Error(event.error);
+        }
+        // The last event carries the token counts
+        if (event.done) {
+          this._reportUsage(options, event.prompt_eval_count, event.eval_count);
+        }
+        return event.message ? event.message.content : null;
+      }, options.onToken);
+      return text.trim();
+    });
+  }
+
+  _send(messages, options, streaming) {
+    const { model, temperature, maxTokens } = this._settings(options);
+
+    return this._request('Ollama', () => axios.post(
+      `${this.baseUrl}/api/chat`,
+      {
+        model,
+        messages,
+        stream: streaming,
+        options: {
+          temperature,
+          num_predict: maxTokens
+        }
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        responseType: streaming ? 'stream' : 'json',
+        signal: options.signal
+      }
+    ));
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,74 @@
+// server/services/providers/openaiProvider.js - OpenAI chat completions
+//
+// Also serves any server that speaks the same /chat/completions API, such
+// as the llama.cpp server, vLLM and LM Studio: point baseUrl at it.
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+const { readEventStream } = require('./streamReader');
+
+class OpenAIProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.defaultModel = 'gpt-4';
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.label = config.label || 'OpenAI API';
+    // Ask for token usage at the end of streams (not every compatible
+    // server accepts stream_options)
+    this.streamUsage = config.streamUsage !== false;
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this._send(messages, options, false);
+    const { usage } = response.data;
+    if (usage) this._reportUsage(options, usage.prompt_tokens, usage.completion_tokens);
+
+    return response.data.choices[0].message.content.trim();
+  }
+
+  async stream(messages, options = {}) {
+    const response = await this._send(messages, options, true);
+
+    return this._request(this.label, async () => {
+      let usage = null;
+      const text = await readEventStream(response.data, event => {
+        if (event.usage) usage = event.usage;
+        return event.choices && event.choices[0] && event.choices[0].delta && event.choices[0].delta.content;
+      }, options.onToken);
+
+      if (usage) this._reportUsage(options, usage.prompt_tokens, usage.completion_tokens);
+      return text.trim();
+    });
+  }
+
+  _send(messages, options, streaming) {
+    const { model, temperature, maxTokens } = this._settings(options);
+    const headers = { 'Content-Type': 'application/json' };
+    const body = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: streaming
+    };
+    if (streaming && this.streamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+
+    // Local servers usually need no key
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+
+    return this._request(this.label, () => axios.post(
+      `${this.baseUrl}/chat/completions`,
+      body,
+      {
+        headers,
+        responseType: streaming ? 'stream' : 'json',
+        signal: options.signal
+      }
+    ));
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,259 @@
+// server/services/providers/providerChain.js - Resilient calls across providers
+//
+// Wraps an ordered list of providers (the configured one, then fallbacks)
+// behind the LLMProvider interface. Each call has a timeout; failures that
+// may pass (network errors, timeouts, 429 and 5xx responses) are retried
+// with exponential backoff and jitter, waiting as long as Retry-After asks.
+// When a provider is out of retries, or its circuit breaker is open, the
+// next one in the chain is tried.
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+const CircuitBreaker = require('./circuitBreaker');
+
+// HTTP statuses worth retrying: timeouts, rate limits and server trouble
+// (529 is Anthropic's "overloaded")
+const RETRY_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+// Breakers are shared by every chain in the process, so all services see a
+// provider that is down as down
+const breakers = new Map();
+
+class ProviderChain extends LLMProvider {
+  /**
+   * entries: [{ provider: LLMProvider, name: string }], in the order tried
+   * settings: {
+   *   timeout,            // ms per attempt; for streams, ms without a token
+   *   retries,            // Retries per provider after the first attempt
+   *   retryBaseDelay,     // Backoff before the first retry (ms), doubling
+   *   retryMaxDelay,      // Longest wait between retries (ms); a longer
+   *                       // Retry-After moves on to the next provider
+   *   breakerThreshold,   // Failures in a row that open a circuit
+   *   breakerCooldown     // How long an open circuit refuses calls (ms)
+   * }
+   */
+  constructor(entries, settings = {}) {
+    super({});
+    this.settings = {
+      timeout: 120000,
+      retries: 3,
+      retryBaseDelay: 1000,
+      retryMaxDelay: 30000,
+      breakerThreshold: 5,
+      breakerCooldown: 60000,
+      ...settings
+    };
+
+    this.entries = entries.map(entry => {
+      const key = `${entry.name}|${entry.provider.model()}|${entry.provider.config.baseUrl || ''}`;
+      if (!breakers.has(key)) {
+        breakers.set(key, new CircuitBreaker({
+          threshold: this.settings.breakerThreshold,
+          cooldown: this.settings.breakerCooldown
+        }));
+      }
+      return { ...entry, breaker: breakers.get(key) };
+    });
+  }
+
+  model(options = {}) {
+    return this.entries[0].provider.model(options);
+  }
+
+  /**
+   * As LLMProvider.chat. Pass options.call (an object) to learn how the
+   * call went: { provider, model, attempts, fallback, errors, usage }.
+   * usage is { promptTokens, completionTokens, estimated }; when the
+   * provider does not report token counts they are estimated from the
+   * length of the text.
+   */
+  async chat(messages, options = {}) {
+    return this._run(messages, options, false);
+  }
+
+  /**
+   * As LLMProvider.stream. Once part of the reply has been handed to
+   * onToken a failure cannot be retried, so it is thrown.
+   */
+  async stream(messages, options = {}) {
+    return this._run(messages, options, true);
+  }
+
+  /**
+   * Circuit breaker state of each provider in the chain
+   */
+  status() {
+    return this.entries.map(entry => ({
+      provider: entry.name,
+      model: entry.provider.model(),
+      ...entry.breaker.status()
+    }));
+  }
+
+  async _run(messages, options, streaming) {
+    const call = Object.assign(options.call || {}, { provider: null, model: null, attempts: 0, fallback: false, errors: [], usage: null });
+    let delivered = false;
+    let lastError = null;
+    let usage = null;
+
+    const callOptions = { ...options, onUsage: reported => { usage = reported; } };
+    if (streaming) {
+      callOptions.onToken = piece => {
+        delivered = true;
+        options.onToken(piece);
+      };
+    }
+
+    for (const [index, entry] of this.entries.entries()) {
+      // A model asked for by name only applies to the configured provider
+      const entryOptions = index === 0 ? callOptions : { ...callOptions, model: undefined };
+
+      for (let attempt = 0; attempt <= this.settings.retries; attempt++) {
+        if (!entry.breaker.allow()) {
+          call.errors.push(`${entry.name}: circuit open`);
+          break;
+        }
+
+        call.attempts++;
+        usage = null;
+        try {
+          const text = await this._attempt(entry, messages, entryOptions, streaming);
+          entry.breaker.success();
+
+          Object.assign(call, {
+            provider: entry.name,
+            model: entry.provider.model(entryOptions),
+            fallback: index > 0,
+            usage: usage ? { ...usage, estimated: false } : this._estimateUsage(messages, text)
+          });
+          if (options.onUsage) options.onUsage(call.usage);
+          return text;
+        } catch (error) {
+          if (options.signal && options.signal.aborted) {
+            entry.breaker.release();
+            throw error;
+          }
+
+          entry.breaker.failure();
+          call.errors.push(`${entry.name}: ${error.message}`);
+          lastError = error;
+
+          if (delivered) throw error;
+
+          const wait = attempt < this.settings.retries ? this._retryDelay(error, attempt) : null;
+          if (wait === null) break;
+          await this._sleep(wait, options.signal);
+        }
+      }
+    }
+
+    const failure = new Error(`All LLM providers failed: ${call.errors.join('; ')}`);
+    failure.status = lastError ? lastError.status : null;
+    throw failure;
+  }
+
+  /**
+   * One call to one provider, aborted if it runs past the timeout
+   */
+  async _attempt(entry, messages, options, streaming) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    let timer = null;
+
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.settings.timeout);
+    };
+
+    if (options.signal) {
+      if (options.signal.aborted) controller.abort();
+      options.signal.addEventListener('abort', abort, { once: true });
+    }
+
+    const attemptOptions = { ...options, signal: controller.signal };
+    if (streaming) {
+      // Streams may run long; only silence counts against the timeout
+      attemptOptions.onToken = piece => {
+        arm();
+        options.onToken(piece);
+      };
+    }
+
+    arm();
+    try {
+      return streaming
+        ? await entry.provider.stream(messages, attemptOptions)
+        : await entry.provider.chat(messages, attemptOptions);
+    } catch (error) {
+      if (timedOut) {
+        const timeout = new Error(`${entry.name} timed out after ${this.settings.timeout} ms`);
+        timeout.timeout = true;
+        throw timeout;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Rough token counts for a call whose provider reported none, at about
+   * four characters a token
+   */
+  _estimateUsage(messages, text) {
+    const promptLength = messages.reduce((total, message) => total + String(message.content).length, 0);
+    return {
+      promptTokens: Math.ceil(promptLength / 4),
+      completionTokens: Math.ceil(String(text || '').length / 4),
+      estimated: true
+    };
+  }
+
+  /**
+   * How long to wait before retrying after an error, or null if it is not
+   * worth retrying
+   */
+  _retryDelay(error, attempt) {
+    const retryable = error.timeout ||
+      RETRY_STATUSES.includes(error.status) ||
+      (!error.status && Boolean(error.code)); // Network errors (ECONNRESET, ...)
+
+    if (!retryable) {
+      return null;
+    }
+
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= this.settings.retryMaxDelay ? error.retryAfter : null;
+    }
+
+    // Exponential backoff with jitter: somewhere in the upper half of the
+    // current step, so retries from many requests spread out
+    const step = Math.min(this.settings.retryMaxDelay, this.settings.retryBaseDelay * 2 ** attempt);
+    return step / 2 + Math.random() * step / 2;
+  }
+
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new axios.CanceledError());
+      }
+
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new axios.CanceledError());
+      };
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = ProviderChain;
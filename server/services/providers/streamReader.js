@@ -0,0 +1,86 @@
+// server/services/providers/streamReader.js - Read streamed LLM responses
+//
+// APIs stream either server-sent events ("data: {...}" lines) or one JSON
+// object per line. Either way, extractText picks the generated text (if
+// any) out of each JSON event; each piece is passed to onToken and the
+// whole text is resolved at the end. extractText may throw to fail the
+// stream, e.g. on an error event.
+
+function readLines(stream, handleLine) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let ended = false;
+
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      try {
+        lines.forEach(handleLine);
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    stream.on('end', () => {
+      ended = true;
+      try {
+        handleLine(buffer);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+    stream.on('error', reject);
+    // A stream destroyed mid-way (e.g. the request was aborted) may close
+    // without an error
+    stream.on('close', () => {
+      if (!ended) reject(new Error('Stream closed before the response ended'));
+    });
+  });
+}
+
+/**
+ * Read a server-sent event stream (OpenAI, Anthropic and compatible APIs)
+ */
+async function readEventStream(stream, extractText, onToken) {
+  let text = '';
+
+  await readLines(stream, line => {
+    if (!line.startsWith('data:')) return;
+
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+
+    const piece = extractText(JSON.parse(data));
+    if (piece) {
+      text += piece;
+      onToken(piece);
+    }
+  });
+
+  return text;
+}
+
+/**
+ * Read a stream of newline-delimited JSON objects (Ollama)
+ */
+async function readJSONLines(stream, extractText, onToken) {
+  let text = '';
+
+  await readLines(stream, line => {
+    if (!line.trim()) return;
+
+    const piece = extractText(JSON.parse(line));
+    if (piece) {
+      text += piece;
+      onToken(piece);
+    }
+  });
+
+  return text;
+}
+
+module.exports = { readEventStream, readJSONLines };
@@ -0,0 +1,253 @@
+// server/services/responseCache.js - On-disk cache of LLM responses
+//
+// Asking the same model the same prompt with the same settings is answered
+// from disk instead of paying for another call. Entries are content
+// addressed: each is a JSON file named by the SHA-256 hash of the provider,
+// model, temperature, maxTokens and the hash of the prompt. Entries expire
+// after a time to live, and once the cache grows past its entry or size
+// limit the least recently used entries are removed.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+class ResponseCache {
+  constructor(options = {}) {
+    const cacheConfig = config.cache || {};
+    this.enabled = options.enabled !== undefined ? options.enabled : cacheConfig.enabled !== false;
+    this.cacheDir = options.directory || cacheConfig.directory || path.join(__dirname, '../../data/cache');
+    this.ttl = options.ttl !== undefined ? options.ttl : cacheConfig.ttl;            // ms; 0 never expires
+    this.maxEntries = options.maxEntries !== undefined ? options.maxEntries : cacheConfig.maxEntries;
+    this.maxBytes = options.maxBytes !== undefined ? options.maxBytes : cacheConfig.maxBytes;
+
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  /**
+   * The key of a call: { provider, model, temperature, maxTokens, prompt }
+   */
+  key({ provider, model, temperature, maxTokens, prompt }) {
+    return this._hash(JSON.stringify([provider, model, temperature, maxTokens, this._hash(prompt)]));
+  }
+
+  /**
+   * The cached entry for a key, or null if there is none or it has
+   * expired. Reading an entry marks it as recently used.
+   */
+  async get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = await this._read(key);
+    if (!entry || this._expired(entry)) {
+      if (entry) await this.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    const now = new Date();
+    await fs.utimes(this._path(key), now, now).catch(() => {});
+    return entry;
+  }
+
+  /**
+   * Store a response under a key, then trim the cache to its limits
+   *
+   * params: { provider, model, temperature, maxTokens, prompt }
+   * response: { text, usage }
+   */
+  async set(key, params, response) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = {
+      key,
+      provider: params.provider,
+      model: params.model,
+      temperature: params.temperature,
+      maxTokens: params.maxTokens,
+      promptHash: this._hash(params.prompt),
+      promptPreview: params.prompt.slice(0, 200),
+      createdAt: new Date().toISOString(),
+      text: response.text,
+      usage: response.usage || null
+    };
+
+    const entryPath = this._path(key);
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(entry, null, 2));
+    await fs.rename(tempPath, entryPath);
+    this.stats.writes++;
+
+    await this.prune();
+    return entry;
+  }
+
+  /**
+   * List the cached entries, most recently used first, without their text
+   */
+  async list() {
+    const files = await this._files();
+    const entries = [];
+
+    for (const file of files) {
+      const entry = await this._read(file.key);
+      if (!entry) continue;
+
+      const { text, ...summary } = entry;
+      entries.push({ ...summary, size: file.size, lastUsedAt: file.lastUsed.toISOString(), expired: this._expired(entry) });
+    }
+    return entries;
+  }
+
+  /**
+   * Hit and miss counts since the server started, with the cache's size
+   * and limits
+   */
+  async status() {
+    const files = await this._files();
+
+    return {
+      enabled: this.enabled,
+      ttl: this.ttl,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      entries: files.length,
+      bytes: files.reduce((total, file) => total + file.size, 0),
+      ...this.stats
+    };
+  }
+
+  /**
+   * Get a cached entry with its text, expired or not, or null
+   */
+  entry(key) {
+    return this._read(key);
+  }
+
+  /**
+   * Remove one entry. Resolves to whether it was there.
+   */
+  async delete(key) {
+    if (!this._validKey(key)) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(this._path(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove entries: every one, or with { expired: true } only the expired
+   * ones. Resolves to how many were removed.
+   */
+  async purge(options = {}) {
+    let removed = 0;
+
+    for (const file of await this._files()) {
+      const entry = options.expired ? await this._read(file.key) : null;
+      if (options.expired && entry && !this._expired(entry)) continue;
+
+      if (await this.delete(file.key)) removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Remove the least recently used entries until the cache is within its
+   * entry and size limits. (Expired entries are removed when they are next
+   * looked up, or by purge.)
+   */
+  async prune() {
+    const files = await this._files();
+    let count = files.length;
+    let bytes = files.reduce((total, file) => total + file.size, 0);
+
+    // Oldest first
+    for (const file of files.reverse()) {
+      const over = (this.maxEntries && count > this.maxEntries) || (this.maxBytes && bytes > this.maxBytes);
+      if (!over) break;
+
+      if (await this.delete(file.key)) {
+        count--;
+        bytes -= file.size;
+        this.stats.evictions++;
+      }
+    }
+  }
+
+  /**
+   * The cache files, most recently used first: [{ key, size, lastUsed }].
+   * Entry files are touched when they are used.
+   */
+  async _files() {
+    let names;
+    try {
+      names = (await fs.readdir(this.cacheDir)).filter(name => /^[0-9a-f]{64}\.json$/.test(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const files = [];
+    for (const name of names) {
+      try {
+        const stats = await fs.stat(path.join(this.cacheDir, name));
+        files.push({ key: name.slice(0, -5), size: stats.size, lastUsed: stats.mtime });
+      } catch (error) {
+        // Removed in the meantime
+      }
+    }
+    return files.sort((a, b) => b.lastUsed - a.lastUsed);
+  }
+
+  async _read(key) {
+    if (!this._validKey(key)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this._path(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Keys come from requests too; anything but a hash could name another file
+  _validKey(key) {
+    return /^[0-9a-f]{64}$/.test(String(key));
+  }
+
+  _expired(entry) {
+    return Boolean(this.ttl) && Date.now() - new Date(entry.createdAt).getTime() > this.ttl;
+  }
+
+  _path(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  _hash(text) {
+    return crypto.createHash('sha256').update(String(text)).digest('hex');
+  }
+}
+
+// One cache for the whole server, so its hit counts cover every service
+ResponseCache.shared = new ResponseCache();
+
+module.exports = ResponseCache;
@@ -0,0 +1,206 @@
+// server/services/revisionTracker.js - Colored revision drafts
+//
+// Each revision of a screenplay is issued on the next color in the studio
+// sequence and records an element-level diff against the one before it.
+// Changed elements are flagged so the PDF can mark their lines with an
+// asterisk in the right margin.
+
+// Standard revision colors, in issue order. After Cherry the cycle starts
+// again as Double White, Double Blue, ...
+const REVISION_COLORS = [
+  'White', 'Blue', 'Pink', 'Yellow', 'Green', 'Goldenrod', 'Buff', 'Salmon', 'Cherry'
+];
+
+const CYCLE_PREFIXES = ['', 'Double ', 'Triple ', 'Quadruple '];
+
+class RevisionTracker {
+  constructor() {
+    this.colors = REVISION_COLORS;
+  }
+
+  /**
+   * The color for the next revision after the given number of revisions
+   */
+  colorFor(index) {
+    const cycle = Math.floor(index / REVISION_COLORS.length);
+    const prefix = CYCLE_PREFIXES[cycle] !== undefined ? CYCLE_PREFIXES[cycle] : `${cycle + 1}x `;
+    return `${prefix}${REVISION_COLORS[index % REVISION_COLORS.length]}`;
+  }
+
+  /**
+   * Whether a color name is one of the sequence (in any cycle)
+   */
+  isColor(color) {
+    const base = String(color || '').replace(/^(Double|Triple|Quadruple|\d+x)\s+/i, '');
+    return REVISION_COLORS.some(entry => entry.toLowerCase() === base.toLowerCase());
+  }
+
+  /**
+   * Element-level diff between two screenplay documents
+   *
+   * Returns { changes, summary } where each change is { type, element,
+   * index, previousIndex, before, after }: type is 'added', 'removed' or
+   * 'changed', index is the position in the new document (for removals, the
+   * element that now follows the cut) and previousIndex the position in the
+   * old one.
+   */
+  diff(before, after) {
+    const oldElements = this._printing(before);
+    const newElements = this._printing(after);
+    const changes = [];
+
+    this._align(oldElements, newElements).forEach(run => {
+      const removed = run.removed;
+      const added = run.added;
+
+      // Pair up elements of the same type replaced in place as edits
+      const paired = Math.min(removed.length, added.length);
+      for (let k = 0; k < paired && removed[k].element.type === added[k].element.type; k++) {
+        changes.push({
+          type: 'changed',
+          element: added[k].element.type,
+          index: added[k].index,
+          previousIndex: removed[k].index,
+          before: removed[k].element.text,
+          after: added[k].element.text
+        });
+        removed[k].paired = true;
+        added[k].paired = true;
+      }
+
+      for (const entry of added.filter(entry => !entry.paired)) {
+        changes.push({
+          type: 'added',
+          element: entry.element.type,
+          index: entry.index,
+          previousIndex: null,
+          before: null,
+          after: entry.element.text
+        });
+      }
+      for (const entry of removed.filter(entry => !entry.paired)) {
+        changes.push({
+          type: 'removed',
+          element: entry.element.type,
+          index: run.at,
+          previousIndex: entry.index,
+          before: entry.element.text,
+          after: null
+        });
+      }
+    });
+
+    changes.sort((a, b) => a.index - b.index || (a.previousIndex || 0) - (b.previousIndex || 0));
+
+    return {
+      changes,
+      summary: {
+        added: changes.filter(change => change.type === 'added').length,
+        removed: changes.filter(change => change.type === 'removed').length,
+        changed: changes.filter(change => change.type === 'changed').length
+      }
+    };
+  }
+
+  /**
+   * Flag the elements a diff touched: added and changed elements are marked
+   * revised, and the element after a cut gets a mark on its first line
+   */
+  markChanges(document, changes) {
+    const elements = document.elements.map(element => ({ ...element }));
+
+    for (const change of changes) {
+      const element = elements[change.index];
+      if (!element) continue;
+
+      if (change.type === 'removed') {
+        element.deletionMark = true;
+      } else {
+        element.revised = true;
+      }
+    }
+
+    return { ...document, elements };
+  }
+
+  /**
+   * Pair each document element with its index, leaving out elements that
+   * never print (notes, boneyard and outline) since they are not revisions
+   */
+  _printing(document) {
+    const hidden = ['note', 'boneyard', 'section', 'synopsis'];
+    return ((document && document.elements) || [])
+      .map((element, index) => ({ element, index, key: this._key(element) }))
+      .filter(entry => !hidden.includes(entry.element.type));
+  }
+
+  _key(element) {
+    return `${element.type}|${String(element.text || '').replace(/\s+/g, ' ').trim()}|${element.dual || ''}`;
+  }
+
+  /**
+   * Align two element lists (longest common subsequence) and return the
+   * runs where they differ: { removed, added, at }, with at the index in the
+   * new document where the run ends
+   */
+  _align(oldEntries, newEntries) {
+    // Matching ends need no table
+    let head = 0;
+    while (head < oldEntries.length && head < newEntries.length && oldEntries[head].key === newEntries[head].key) {
+      head++;
+    }
+    let tail = 0;
+    while (tail < oldEntries.length - head && tail < newEntries.length - head &&
+      oldEntries[oldEntries.length - 1 - tail].key === newEntries[newEntries.length - 1 - tail].key) {
+      tail++;
+    }
+
+    const a = oldEntries.slice(head, oldEntries.length - tail);
+    const b = newEntries.slice(head, newEntries.length - tail);
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i].key === b[j].key
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    const runs = [];
+    let run = { removed: [], added: [] };
+    const close = at => {
+      if (run.removed.length || run.added.length) {
+        runs.push({ ...run, at });
+      }
+      run = { removed: [], added: [] };
+    };
+    const nextIndex = j => (j < b.length ? b[j].index : (newEntries[head + b.length] || { index: this._end(newEntries) }).index);
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i].key === b[j].key) {
+        close(b[j].index);
+        i++;
+        j++;
+      } else if (j < b.length && (i >= a.length || lengths[(i + 1) * width + j] < lengths[i * width + j + 1])) {
+        run.added.push(b[j]);
+        j++;
+      } else {
+        run.removed.push(a[i]);
+        i++;
+      }
+    }
+    close(nextIndex(j));
+
+    return runs;
+  }
+
+  _end(entries) {
+    return entries.length ? entries[entries.length - 1].index + 1 : 0;
+  }
+}
+
+module.exports = RevisionTracker;
@@ -0,0 +1,434 @@
+// server/services/sceneBreakdown.js - Script breakdowns: what each scene needs
+//
+// A breakdown lists, for every scene of a screenplay, the cast, extras,
+// props, wardrobe, vehicles, animals, SFX, VFX, makeup and sound it needs,
+// with where and when it is set and its length. Elements are detected the
+// way an AD reads a script: speaking parts from the character cues, and
+// everything else from the words the action lines introduce in capitals
+// ("A POLICE CAR pulls up", "ANNA (30s) enters", "the door SLAMS"), sorted
+// into categories by what they name. An optional LLM pass (see
+// ScriptGenerator.breakdownScreenplay) adds what the capitals miss, and
+// scenes can be edited by hand. Breakdowns are stored as project assets of
+// type 'breakdown'.
+const ScreenplayFormatter = require('./screenplayFormatter');
+const LocationCatalogue = require('./locationCatalogue');
+
+const CATEGORIES = ['cast', 'extras', 'props', 'wardrobe', 'vehicles', 'animals', 'sfx', 'vfx', 'makeup', 'sound'];
+
+// Cues spoken by more than one character
+const GROUP_CUES = ['ALL', 'BOTH', 'EVERYONE', 'CROWD', 'TOGETHER'];
+
+// Capitals in action lines that are direction rather than an element
+const DIRECTIONS = [
+  'CLOSE ON', 'CLOSE UP', 'CLOSE-UP', 'ANGLE ON', 'CUT TO', 'BACK TO', 'BACK TO SCENE', 'POV', 'INSERT', 'SUPER',
+  'TITLE', 'TITLE CARD', 'FLASHBACK', 'END FLASHBACK', 'INTERCUT', 'MONTAGE', 'END MONTAGE', 'SERIES OF SHOTS',
+  'CONTINUOUS', 'LATER', 'MORE', "CONT'D", 'V.O.', 'O.S.', 'O.C.', 'OK', 'FADE IN', 'FADE OUT', 'THE END', 'WIDE',
+  'SLOW MOTION', 'SLOW-MO', 'BEAT', 'SILENCE', 'INT', 'EXT', 'DAY', 'NIGHT'
+];
+
+// What the last word of a phrase in capitals names, singular; a plural
+// matches too. Checked in this order, after cast; the rest are props.
+const KEYWORDS = {
+  sound: [
+    'SOUND', 'BANG', 'CRASH', 'THUD', 'KNOCK', 'KNOCKING', 'RING', 'RINGING', 'BUZZ', 'BUZZING', 'BEEP',
+    'SIREN', 'SCREAM', 'CLICK', 'SLAM', 'HONK', 'BARK', 'MUSIC', 'SONG', 'THUNDER', 'CREAK', 'WHISTLE',
+    'FOOTSTEP', 'ALARM', 'BOOM', 'SHRIEK', 'WAIL', 'HUM', 'RUMBLE', 'CLANG', 'SNAP', 'SPLASH', 'GROWL', 'HOWL'
+  ],
+  animals: [
+    'DOG', 'CAT', 'HORSE', 'BIRD', 'CROW', 'RAVEN', 'PIGEON', 'RAT', 'MOUSE', 'MICE', 'SNAKE', 'COW', 'PIG', 'GOAT',
+    'SHEEP', 'CHICKEN', 'DEER', 'WOLF', 'WOLVES', 'FOX', 'BEAR', 'FISH', 'OWL', 'PUPPY', 'KITTEN', 'PARROT', 'HAWK',
+    'EAGLE', 'DUCK', 'MONKEY', 'SPIDER', 'BEE', 'INSECT', 'MOSQUITO', 'FLY', 'FLIES', 'LIZARD', 'SEAGULL', 'GULL'
+  ],
+  vehicles: [
+    'CAR', 'TRUCK', 'VAN', 'BUS', 'TAXI', 'CAB', 'MOTORCYCLE', 'MOTORBIKE', 'BIKE', 'BICYCLE', 'SCOOTER',
+    'HELICOPTER', 'CHOPPER', 'BOAT', 'SHIP', 'YACHT', 'TRAIN', 'PLANE', 'AIRPLANE', 'JET', 'AMBULANCE', 'LIMO',
+    'LIMOUSINE', 'SEDAN', 'SUV', 'JEEP', 'PICKUP', 'CRUISER', 'TRACTOR', 'TRAILER', 'CONVERTIBLE', 'HATCHBACK',
+    'WAGON', 'TANK', 'SUBWAY', 'TRAM', 'CANOE', 'KAYAK', 'RV', 'HEARSE'
+  ],
+  extras: [
+    'CROWD', 'PASSERBY', 'PASSERSBY', 'PEDESTRIAN', 'PATRON', 'GUEST', 'CUSTOMER', 'DINER', 'SHOPPER',
+    'COMMUTER', 'TOURIST', 'STUDENT', 'SOLDIER', 'OFFICER', 'COP', 'AGENT', 'GUARD', 'NURSE', 'WAITER', 'WAITRESS',
+    'WORKER', 'REPORTER', 'PHOTOGRAPHER', 'DANCER', 'KID', 'CHILDREN', 'PEOPLE', 'MEN', 'WOMEN', 'FAN',
+    'SPECTATOR', 'MOURNER', 'PASSENGER', 'PRISONER', 'INMATE', 'PARTYGOER', 'EXTRA', 'BYSTANDER', 'ONLOOKER',
+    'MOB', 'AUDIENCE', 'CLERK', 'CASHIER', 'BARTENDER', 'PARAMEDIC', 'FIREFIGHTER', 'PROTESTER', 'VILLAGER'
+  ],
+  wardrobe: [
+    'DRESS', 'GOWN', 'SUIT', 'TUXEDO', 'UNIFORM', 'COSTUME', 'JACKET', 'COAT', 'HAT', 'CAP', 'SCARF', 'GLOVE',
+    'BOOT', 'SHOE', 'HEEL', 'SHIRT', 'BLOUSE', 'JEANS', 'VEST', 'HOODIE', 'SWEATER', 'ROBE', 'APRON', 'VEIL',
+    'TIE', 'BELT', 'PAJAMAS', 'OVERALLS', 'TRENCHCOAT', 'SKIRT', 'TRACKSUIT', 'BIKINI', 'SCRUBS'
+  ],
+  makeup: [
+    'BLOOD', 'WOUND', 'SCAR', 'BRUISE', 'TATTOO', 'WIG', 'BEARD', 'MUSTACHE', 'MAKEUP', 'PROSTHETIC', 'SWEAT',
+    'TEARS', 'BURN', 'STITCHES', 'BLACK EYE', 'GASH', 'CUT', 'HAIRCUT'
+  ],
+  sfx: [
+    'EXPLOSION', 'FIRE', 'FLAMES', 'SMOKE', 'RAIN', 'FOG', 'SNOW', 'WIND', 'SPARKS', 'GUNFIRE', 'GUNSHOT',
+    'SQUIB', 'STEAM', 'BREAKAWAY', 'FLOOD', 'DUST', 'HAIL', 'EXPLODES', 'SHATTERS', 'BURSTS'
+  ],
+  vfx: [
+    'HOLOGRAM', 'PORTAL', 'FORCE FIELD', 'LASER', 'SPACESHIP', 'ALIEN', 'MONSTER', 'DRAGON', 'GHOST', 'VFX',
+    'CGI', 'TELEPORTS', 'MORPHS', 'FORCEFIELD', 'UFO'
+  ]
+};
+
+// Ages after a name introduce a character: "ANNA (30s)", "JOE, 40,"
+const AGE = /^\s*(\(\s*(?:early |mid |late |mid-|late-|early-)?\d{1,2}s?\s*\)|,\s*(?:early |mid |late |mid-|late-|early-)?\d{1,2}s?\b)/i;
+
+// Words written in capitals, e.g. ANNA, POLICE CAR, JOE'S
+const CAPITALS = /\b[A-Z][A-Z0-9'’&.-]*[A-Z0-9'’](?:\s+[A-Z][A-Z0-9'’&.-]*[A-Z0-9'’])*/g;
+
+class SceneBreakdown {
+  constructor(options = {}) {
+    this.screenplayFormatter = options.screenplayFormatter || new ScreenplayFormatter();
+    this.locationCatalogue = options.locationCatalogue || new LocationCatalogue({ screenplayFormatter: this.screenplayFormatter });
+  }
+
+  static get CATEGORIES() {
+    return CATEGORIES;
+  }
+
+  /**
+   * Break down a screenplay asset from its text alone. characters are the
+   * project's characters (see CharacterBible): a character a scene names
+   * by one of its aliases is listed under its name. Returns the breakdown:
+   *
+   *   { screenplayAssetId, screenplayVersion, title, llm: false, scenes: [{
+   *       index, number, heading, setting, location, subLocation, time,
+   *       daylight, eighths, pages, synopsis, elements: { cast: [...],
+   *       ... }, notes, edited }] }
+   */
+  detect(asset, characters = []) {
+    const document = this.screenplayFormatter.toDocument(asset.data);
+    const scenes = this.locationCatalogue.placedScenes(asset);
+    const sceneElements = this._sceneElements(document);
+    const names = this._names(Object.values(sceneElements).flat(), characters);
+    const title = document.titlePage.find(entry => entry.key.toLowerCase() === 'title');
+
+    return {
+      screenplayAssetId: asset.id,
+      screenplayVersion: asset.version || null,
+      title: title ? title.value : null,
+      llm: false,
+      scenes: scenes.map(scene => ({
+        index: scene.index,
+        number: scene.number,
+        heading: scene.heading,
+        setting: scene.setting,
+        location: scene.location,
+        subLocation: scene.subLocation,
+        time: scene.time,
+        daylight: scene.daylight,
+        eighths: scene.eighths,
+        pages: this.screenplayFormatter.paginator.formatEighths(scene.eighths),
+        synopsis: this._synopsis(sceneElements[scene.index] || []),
+        elements: this._detectScene(sceneElements[scene.index] || [], names),
+        notes: null,
+        edited: false
+      }))
+    };
+  }
+
+  /**
+   * The scenes of a breakdown as the LLM pass is sent them: [{ heading,
+   * text }], in order
+   */
+  sceneTexts(breakdown, asset) {
+    const sceneElements = this._sceneElements(this.screenplayFormatter.toDocument(asset.data));
+
+    return breakdown.scenes.map(scene => ({
+      heading: scene.heading,
+      text: (sceneElements[scene.index] || []).map(element => element.text).join('\n\n')
+    }));
+  }
+
+  /**
+   * Break down a screenplay asset again after it has changed, keeping what
+   * an earlier breakdown of it added: a scene whose heading is unchanged
+   * keeps the elements the LLM pass or an edit gave it, and a scene edited
+   * by hand keeps its elements and notes as they are. Returns the new
+   * breakdown.
+   */
+  refresh(breakdown, asset, characters = []) {
+    const fresh = this.detect(asset, characters);
+    const unused = [...breakdown.scenes];
+
+    const scenes = fresh.scenes.map(scene => {
+      const old = unused.find(entry => entry.index === scene.index && entry.heading === scene.heading) ||
+        unused.find(entry => entry.heading === scene.heading);
+      if (!old) {
+        return scene;
+      }
+      unused.splice(unused.indexOf(old), 1);
+
+      if (old.edited) {
+        return { ...scene, elements: old.elements, notes: old.notes, edited: true };
+      }
+      const elements = {};
+      for (const category of CATEGORIES) {
+        elements[category] = this._unique([...(scene.elements[category] || []), ...(old.elements[category] || [])]);
+      }
+      return { ...scene, elements, notes: old.notes };
+    });
+
+    return { ...fresh, llm: breakdown.llm, scenes };
+  }
+
+  /**
+   * Add the elements of an LLM breakdown (see schemas/breakdown.json, its
+   * scenes numbered from 1 in the breakdown's order) to a breakdown's
+   * scenes. Nothing already listed is removed, and scenes edited by hand
+   * are left as they are. Returns the new breakdown.
+   */
+  merge(breakdown, result, characters = []) {
+    const names = this._names([], characters);
+    const byNumber = new Map((result.scenes || []).map(entry => [entry.scene, entry]));
+
+    return {
+      ...breakdown,
+      llm: true,
+      scenes: breakdown.scenes.map((scene, position) => {
+        const found = byNumber.get(position + 1);
+        if (!found || scene.edited) {
+          return scene;
+        }
+
+        const elements = {};
+        for (const category of CATEGORIES) {
+          const added = (found[category] || []).map(item => (category === 'cast' ? this._castName(item, names) : item.trim()));
+          elements[category] = this._unique([...(scene.elements[category] || []), ...added]);
+        }
+        return { ...scene, elements };
+      })
+    };
+  }
+
+  /**
+   * Edit a scene of a breakdown by hand: changes.elements replaces the
+   * lists of the categories it has, and changes.notes the scene's notes.
+   * The scene is marked edited, and merge leaves it alone.
+   * Returns { breakdown, errors }; the breakdown is null if the scene is
+   * not found.
+   */
+  edit(breakdown, index, changes) {
+    const errors = [];
+    const position = breakdown.scenes.findIndex(scene => String(scene.index) === String(index));
+
+    if (position === -1) {
+      return { breakdown: null, errors };
+    }
+
+    const elements = changes.elements === undefined ? {} : changes.elements;
+    if (!elements || typeof elements !== 'object' || Array.isArray(elements)) {
+      errors.push('elements must be an object of lists');
+    } else {
+      for (const [category, list] of Object.entries(elements)) {
+        if (!CATEGORIES.includes(category)) {
+          errors.push(`Unknown category ${category} (expected ${CATEGORIES.join(', ')})`);
+        } else if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+          errors.push(`elements.${category} must be a list of strings`);
+        }
+      }
+    }
+    if (changes.notes !== undefined && changes.notes !== null && typeof changes.notes !== 'string') {
+      errors.push('notes must be a string');
+    }
+
+    if (errors.length) {
+      return { breakdown, errors };
+    }
+
+    const scene = breakdown.scenes[position];
+    const edited = {
+      ...scene,
+      elements: { ...scene.elements },
+      notes: changes.notes !== undefined ? changes.notes : scene.notes,
+      edited: true
+    };
+    for (const [category, list] of Object.entries(elements)) {
+      edited.elements[category] = this._unique(list.map(item => item.trim()).filter(Boolean));
+    }
+
+    const scenes = [...breakdown.scenes];
+    scenes[position] = edited;
+    return { breakdown: { ...breakdown, scenes }, errors };
+  }
+
+  /**
+   * A scene in a line, for one-liners and sheets: the first sentence of its
+   * action, shortened to about 80 characters
+   */
+  _synopsis(elements) {
+    const action = elements.find(element => element.type === 'action' && element.text.trim());
+    if (!action) {
+      return null;
+    }
+
+    const text = action.text.replace(/\s+/g, ' ').trim();
+    const sentence = (/^.+?[.!?](?=\s|$)/.exec(text) || [text])[0];
+    return sentence.length > 80 ? `${sentence.slice(0, 77).replace(/\s+\S*$/, '')}...` : sentence;
+  }
+
+  /**
+   * The elements of a scene from its cues and action lines
+   */
+  _detectScene(elements, names) {
+    const found = Object.fromEntries(CATEGORIES.map(category => [category, []]));
+
+    for (const element of elements) {
+      if (element.type === 'character') {
+        const { name } = this.screenplayFormatter.parseCharacterCue(element.text);
+        if (name && !GROUP_CUES.includes(name)) {
+          found.cast.push(this._castName(name, names));
+        }
+        continue;
+      }
+      if (element.type !== 'action') {
+        continue;
+      }
+
+      // Characters named in the action, once introduced: Anna or ANNA
+      for (const [key, name] of names) {
+        const title = key.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+        if (new RegExp(`(^|[^A-Za-z'])(${this._escape(key)}|${this._escape(title)})(?![A-Za-z])`).test(element.text)) {
+          found.cast.push(name);
+        }
+      }
+
+      for (const match of element.text.matchAll(CAPITALS)) {
+        const phrase = match[0].replace(/’/g, "'").replace(/[.'-]+$/, '');
+        const before = element.text.slice(0, match.index);
+        const after = element.text.slice(match.index + match[0].length);
+        for (const [category, item] of this._classify(phrase, before, after, names)) {
+          found[category].push(item);
+        }
+      }
+    }
+
+    for (const category of CATEGORIES) {
+      found[category] = this._unique(found[category]);
+    }
+    return found;
+  }
+
+  /**
+   * The categories a phrase in capitals belongs to, as [[category, item]]
+   */
+  _classify(phrase, before, after, names) {
+    const words = phrase.split(/\s+/);
+
+    if (!/[A-Z]{2}/.test(phrase) || words.length > 5 || DIRECTIONS.includes(phrase)) {
+      return [];
+    }
+
+    // A possessive names its owner: ANNA'S car
+    const name = phrase.replace(/'S?$/, '');
+    if (names.has(name) || names.has(phrase)) {
+      return [['cast', names.get(name) || names.get(phrase)]];
+    }
+    if (AGE.test(after)) {
+      return [['cast', phrase]];
+    }
+
+    const last = words[words.length - 1];
+    const category = this._category(last) || (words.length > 1 && this._category(words.slice(-2).join(' ')));
+
+    if (category === 'sound') {
+      // "The door SLAMS": the sound of the door. "A DOG BARKS": the dog too.
+      if (words.length > 1) {
+        return [['sound', phrase], ...this._classify(words.slice(0, -1).join(' '), before, '', names)];
+      }
+      const subject = /\b(?!the\b|a\b|an\b|his\b|her\b|their\b|its\b)([a-z]+)\s*$/.exec(before);
+      return [['sound', subject ? `${subject[1].toUpperCase()} ${phrase}` : phrase]];
+    }
+    if (category) {
+      return [[category, phrase]];
+    }
+    return words.length === 1 && DIRECTIONS.includes(last) ? [] : [['props', phrase]];
+  }
+
+  /**
+   * The category a word names, by KEYWORDS, or null
+   */
+  _category(word) {
+    const forms = [word, word.replace(/S$/, ''), word.replace(/ES$/, ''), word.replace(/IES$/, 'Y')];
+
+    for (const [category, keywords] of Object.entries(KEYWORDS)) {
+      if (forms.some(form => keywords.includes(form))) {
+        return category;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The names characters are known by, mapped to the name the breakdown
+   * lists them under: the project's characters (names and aliases) and
+   * every speaking part of the script
+   */
+  _names(elements, characters) {
+    const names = new Map();
+
+    for (const character of characters) {
+      for (const name of [character.name, ...(character.aliases || [])]) {
+        if (name && name.trim().length > 1) {
+          names.set(this._key(name), this._key(character.name));
+        }
+      }
+    }
+    for (const element of elements.filter(entry => entry.type === 'character')) {
+      const { name } = this.screenplayFormatter.parseCharacterCue(element.text);
+      if (name.length > 1 && !GROUP_CUES.includes(name) && !names.has(name)) {
+        names.set(name, name);
+      }
+    }
+    return names;
+  }
+
+  _castName(name, names) {
+    const key = this._key(name);
+    return names.get(key) || key;
+  }
+
+  /**
+   * A document's elements by the index of the scene they are in; elements
+   * before the first scene heading are left out
+   */
+  _sceneElements(document) {
+    const scenes = {};
+    let index = -1;
+
+    for (const element of document.elements || []) {
+      if (element.type === 'scene_heading') {
+        index++;
+        scenes[index] = [];
+      } else if (index >= 0) {
+        scenes[index].push(element);
+      }
+    }
+    return scenes;
+  }
+
+  /**
+   * A list without repeats, ignoring case and punctuation; the first way
+   * an element is written is kept
+   */
+  _unique(list) {
+    const seen = new Set();
+    return list.filter(item => {
+      const key = item.toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  _key(name) {
+    return String(name || '').trim().replace(/’/g, "'").replace(/\s+/g, ' ').toUpperCase();
+  }
+
+  _escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = SceneBreakdown;
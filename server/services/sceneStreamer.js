@@ -0,0 +1,93 @@
+// server/services/sceneStreamer.js - Splits a streaming screenplay into scenes
+//
+// Generated text arrives a few characters at a time. A scene is known to be
+// complete once the next scene heading starts, so each heading releases the
+// scene before it, formatted and parsed, while generation carries on.
+
+// Scene headings as Fountain reads them: INT./EXT. prefixes or a forced "."
+const SCENE_HEADING = /^(?:(?:INT|EXT|EST|INT\.?\/EXT|EXT\.?\/INT|I\/E)[.\s]|\.[^.])/i;
+
+class SceneStreamer {
+  constructor(formatter) {
+    this.formatter = formatter;
+    this.text = '';
+    this.sceneStart = 0;  // Where the scene being written starts
+    this.scanned = 0;     // Everything before this has been checked for headings
+    this.inScene = false; // Whether the first heading has been seen
+    this.index = 0;
+  }
+
+  /**
+   * Add generated text. Returns the scenes it completed, if any.
+   */
+  push(token) {
+    this.text += token;
+    const scenes = [];
+
+    // Only whole lines can be recognised as headings
+    let lineEnd;
+    while ((lineEnd = this.text.indexOf('\n', this.scanned)) !== -1) {
+      const lineStart = this.scanned;
+      this.scanned = lineEnd + 1;
+
+      if (!this._startsScene(lineStart, lineEnd)) continue;
+
+      // Text before the first heading stays with the first scene
+      if (this.inScene) {
+        const scene = this._scene(this.text.slice(this.sceneStart, lineStart));
+        if (scene) scenes.push(scene);
+        this.sceneStart = lineStart;
+      }
+      this.inScene = true;
+    }
+
+    return scenes;
+  }
+
+  /**
+   * Generation finished: release the last scene
+   */
+  end() {
+    const scene = this._scene(this.text.slice(this.sceneStart));
+    this.sceneStart = this.text.length;
+    this.scanned = this.text.length;
+    return scene ? [scene] : [];
+  }
+
+  /**
+   * A heading line that opens the text or follows a blank line
+   */
+  _startsScene(lineStart, lineEnd) {
+    const line = this.text.slice(lineStart, lineEnd).trim();
+    if (!SCENE_HEADING.test(line)) {
+      return false;
+    }
+
+    const before = this.text.slice(Math.max(0, lineStart - 80), lineStart);
+    const opensText = lineStart === before.length && !before.trim();
+    return opensText || /\n[ \t]*\n$/.test(before);
+  }
+
+  /**
+   * Format and parse one finished stretch of text. The first scene also
+   * carries anything before it, such as FADE IN:.
+   */
+  _scene(raw) {
+    if (!raw.trim()) {
+      return null;
+    }
+
+    const document = this.formatter.parseFountain(raw);
+    const heading = document.elements.find(element => element.type === 'scene_heading');
+
+    return {
+      index: this.index++,
+      heading: heading ? heading.text : null,
+      raw,
+      formatted: this.formatter.formatScreenplay(raw),
+      elements: document.elements
+    };
+  }
+}
+
+module.exports = SceneStreamer;
@@ -0,0 +1,307 @@
+// server/services/scheduleReports.js - Stripboard, day out of days and one-liners
+//
+// The reports a schedule (see ShootingScheduler) is read in on set. The
+// stripboard is the schedule itself, one coloured strip per scene with the
+// day breaks between them; the day out of days shows, for each cast
+// member, the days they start, work, hold and finish; the one-liner is the
+// schedule written out day by day, a line per scene. Cast are numbered the
+// way call sheets number them, most scenes first.
+
+// Strip colours by INT/EXT and day/night
+const STRIP_COLORS = {
+  'INT day': '#ffffff',
+  'EXT day': '#fff59d',
+  'INT night': '#90caf9',
+  'EXT night': '#a5d6a7'
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const FORMATS = {
+  stripboard: { csv: 'text/csv; charset=utf-8', html: 'text/html; charset=utf-8' },
+  'day-out-of-days': { csv: 'text/csv; charset=utf-8' },
+  'one-liners': { text: 'text/plain; charset=utf-8' }
+};
+
+class ScheduleReports {
+  /**
+   * The formats each report exports in, besides JSON
+   */
+  static formats(report) {
+    return Object.keys(FORMATS[report] || {});
+  }
+
+  /**
+   * Cast numbers: { NAME: number }, most scenes first, then first scene
+   */
+  castNumbers(schedule) {
+    const counts = new Map();
+    for (const strip of [...schedule.strips].sort((a, b) => a.sceneIndex - b.sceneIndex)) {
+      for (const name of strip.cast) {
+        counts.set(name, (counts.get(name) || 0) + 1);
+      }
+    }
+
+    const names = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+    return Object.fromEntries(names.map((name, index) => [name, index + 1]));
+  }
+
+  /**
+   * The strips, day by day: [{ day, date, eighths, pages, strips: [{
+   * ...strip, color, castNumbers }] }], and the strips not scheduled
+   */
+  stripboard(schedule) {
+    const numbers = this.castNumbers(schedule);
+    const strip = id => {
+      const entry = schedule.strips.find(candidate => candidate.id === id);
+      return {
+        ...entry,
+        color: this.stripColor(entry),
+        castNumbers: entry.cast.map(name => numbers[name]).sort((a, b) => a - b)
+      };
+    };
+
+    return {
+      days: schedule.days.map(day => ({
+        day: day.day,
+        date: day.date,
+        eighths: day.eighths,
+        pages: day.pages,
+        strips: day.strips.map(strip)
+      })),
+      unscheduled: schedule.unscheduled.map(strip)
+    };
+  }
+
+  /**
+   * For each cast member, a code per shoot day: SW (start work), W (work),
+   * WF (work finish), SWF (start, work and finish on one day), H (held
+   * between working days) or blank, with the totals
+   */
+  dayOutOfDays(schedule) {
+    const numbers = this.castNumbers(schedule);
+    const byId = new Map(schedule.strips.map(strip => [strip.id, strip]));
+
+    const cast = Object.keys(numbers).map(name => {
+      const worked = schedule.days
+        .filter(day => day.strips.some(id => byId.get(id).cast.includes(name)))
+        .map(day => day.day);
+      const start = worked.length ? worked[0] : null;
+      const finish = worked.length ? worked[worked.length - 1] : null;
+
+      const codes = schedule.days.map(({ day }) => {
+        if (start === null || day < start || day > finish) return '';
+        if (!worked.includes(day)) return 'H';
+        if (start === finish) return 'SWF';
+        if (day === start) return 'SW';
+        if (day === finish) return 'WF';
+        return 'W';
+      });
+
+      return {
+        number: numbers[name],
+        name,
+        codes,
+        start,
+        finish,
+        work: worked.length,
+        hold: codes.filter(code => code === 'H').length,
+        total: start === null ? 0 : finish - start + 1
+      };
+    });
+
+    return {
+      days: schedule.days.map(({ day, date }) => ({ day, date })),
+      cast
+    };
+  }
+
+  /**
+   * The schedule day by day, a line per scene
+   */
+  oneLiners(schedule) {
+    const board = this.stripboard(schedule);
+
+    return board.days.map(day => ({
+      day: day.day,
+      date: day.date,
+      pages: day.pages,
+      scenes: day.strips.map(strip => ({
+        number: strip.number,
+        setting: strip.setting,
+        place: this._place(strip),
+        time: strip.time,
+        pages: strip.pages,
+        cast: strip.castNumbers,
+        synopsis: strip.synopsis
+      }))
+    }));
+  }
+
+  /**
+   * Export a report (stripboard, day-out-of-days or one-liners) in one of
+   * its formats. Returns { content, contentType, filename }, like
+   * ScreenplayFormatter.exportFormat.
+   */
+  exportFormat(report, format, schedule) {
+    const contentType = (FORMATS[report] || {})[format];
+    if (!contentType) {
+      throw new Error(`Unsupported ${report} format: ${format}`);
+    }
+
+    let content;
+    if (report === 'stripboard') {
+      content = format === 'html' ? this._stripboardHtml(schedule) : this._stripboardCsv(schedule);
+    } else if (report === 'day-out-of-days') {
+      content = this._dayOutOfDaysCsv(schedule);
+    } else {
+      content = this._oneLinersText(schedule);
+    }
+
+    const base = String(schedule.title || '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    const extension = format === 'text' ? 'txt' : format;
+    return {
+      content,
+      contentType,
+      filename: `${base || 'screenplay'}_${report.replace(/-/g, '_')}.${extension}`
+    };
+  }
+
+  /**
+   * A strip's colour: white for INT day, yellow for EXT day, blue for INT
+   * night, green for EXT night. INT/EXT scenes count as EXT.
+   */
+  stripColor(strip) {
+    const setting = strip.setting === 'INT' ? 'INT' : 'EXT';
+    return STRIP_COLORS[`${setting} ${strip.daylight === 'night' ? 'night' : 'day'}`];
+  }
+
+  _stripboardCsv(schedule) {
+    const board = this.stripboard(schedule);
+    const rows = [['Day', 'Date', 'Scene', 'INT/EXT', 'Location', 'Day/Night', 'Pages', 'Cast', 'Synopsis']];
+
+    for (const day of board.days) {
+      for (const strip of day.strips) {
+        rows.push([day.day, day.date || '', strip.number || '', strip.setting || '', this._place(strip), strip.time || '', strip.pages, strip.castNumbers.join(', '), strip.synopsis || '']);
+      }
+      rows.push([day.day, day.date || '', `End of day ${day.day}`, '', '', '', day.pages, '', '']);
+    }
+    for (const strip of board.unscheduled) {
+      rows.push(['', '', strip.number || '', strip.setting || '', this._place(strip), strip.time || '', strip.pages, strip.castNumbers.join(', '), strip.synopsis || '']);
+    }
+
+    return this._csv(rows);
+  }
+
+  _dayOutOfDaysCsv(schedule) {
+    const report = this.dayOutOfDays(schedule);
+    const rows = [
+      ['#', 'Cast', ...report.days.map(day => (day.date ? `Day ${day.day} (${day.date})` : `Day ${day.day}`)), 'Work', 'Hold', 'Total', 'Start', 'Finish'],
+      ...report.cast.map(entry => [entry.number, entry.name, ...entry.codes, entry.work, entry.hold, entry.total, entry.start || '', entry.finish || ''])
+    ];
+    return this._csv(rows);
+  }
+
+  _oneLinersText(schedule) {
+    const lines = [`${schedule.title || 'Screenplay'} - One-liner schedule`, ''];
+
+    for (const day of this.oneLiners(schedule)) {
+      lines.push(`Shoot day ${day.day}${day.date ? ` - ${this._formatDate(day.date)}` : ''}`);
+      for (const scene of day.scenes) {
+        const number = String(scene.number || '').padEnd(5);
+        const heading = `${scene.setting || ''} ${scene.place} - ${scene.time || ''}`.trim();
+        lines.push(`  Sc. ${number} ${heading}  ${scene.pages} pgs  Cast: ${scene.cast.join(', ') || '-'}`);
+        if (scene.synopsis) {
+          lines.push(`         ${scene.synopsis}`);
+        }
+      }
+      lines.push(`End of day ${day.day} - ${day.pages} pages`, '');
+    }
+
+    const unscheduled = this.stripboard(schedule).unscheduled;
+    if (unscheduled.length) {
+      lines.push('Not scheduled');
+      for (const strip of unscheduled) {
+        lines.push(`  Sc. ${String(strip.number || '').padEnd(5)} ${strip.heading}`);
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  _stripboardHtml(schedule) {
+    const board = this.stripboard(schedule);
+    const title = this._escape(schedule.title || 'Screenplay');
+    const row = strip => `<tr style="background:${strip.color}">` +
+      `<td>${this._escape(strip.number || '')}</td>` +
+      `<td>${this._escape(strip.setting || '')}</td>` +
+      `<td>${this._escape(this._place(strip))}${strip.synopsis ? `<div class="synopsis">${this._escape(strip.synopsis)}</div>` : ''}</td>` +
+      `<td>${this._escape(strip.time || '')}</td>` +
+      `<td>${this._escape(strip.pages)}</td>` +
+      `<td>${this._escape(strip.castNumbers.join(', '))}</td>` +
+      `<td>${strip.pinned ? '&#128204;' : ''}</td></tr>`;
+
+    const body = board.days.map(day => day.strips.map(row).join('\n') +
+      `\n<tr class="break"><td colspan="7">End of day ${day.day}${day.date ? ` &middot; ${this._escape(this._formatDate(day.date))}` : ''} &middot; ${this._escape(day.pages)} pages</td></tr>`).join('\n');
+    const unscheduled = board.unscheduled.length
+      ? `\n<tr class="break"><td colspan="7">Not scheduled</td></tr>\n${board.unscheduled.map(row).join('\n')}`
+      : '';
+
+    const numbers = this.castNumbers(schedule);
+    const legend = Object.entries(numbers).map(([name, number]) => `<li>${number}. ${this._escape(name)}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title} - Stripboard</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; font-size: 10pt; margin: 0.5in; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #333; padding: 3px 6px; text-align: left; vertical-align: top; }
+.break td { background: #000; color: #fff; font-weight: bold; }
+.synopsis { font-size: 9pt; color: #333; }
+.legend { columns: 3; padding-left: 0; list-style: none; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<table>
+<tr><th>Scene</th><th>INT/EXT</th><th>Location</th><th>Day/Night</th><th>Pages</th><th>Cast</th><th>Pinned</th></tr>
+${body}${unscheduled}
+</table>
+<h2>Cast</h2>
+<ul class="legend">${legend}</ul>
+</body>
+</html>
+`;
+  }
+
+  _place(strip) {
+    return [strip.location, strip.subLocation].filter(Boolean).join(' - ');
+  }
+
+  _formatDate(date) {
+    const value = new Date(`${date}T00:00:00Z`);
+    return `${WEEKDAYS[value.getUTCDay()]} ${date}`;
+  }
+
+  // Quoted when a cell holds a comma, quote or line break (RFC 4180)
+  _csv(rows) {
+    return rows.map(row => row.map(cell => {
+      const text = String(cell);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+  }
+
+  _escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = ScheduleReports;
@@ -0,0 +1,212 @@
+// server/services/schemaValidator.js - JSON Schema validation for LLM output
+//
+// Enough of JSON Schema (draft-07) to describe what the models are asked to
+// return: type, enum, const, properties, required, additionalProperties,
+// items, minItems, maxItems, minLength, maxLength, minimum, maximum and
+// local $refs (#/definitions/...). Errors are written for a model to act
+// on, e.g. "characters[0].role: must be one of protagonist, antagonist".
+
+// Keywords that only describe, and are not checked
+const ANNOTATIONS = ['$schema', '$id', 'title', 'description', 'definitions', '$defs', 'examples', 'default'];
+const KEYWORDS = ['type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items',
+  'minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum', '$ref'];
+
+class SchemaValidator {
+  /**
+   * Check that a schema only uses the keywords this validator knows, so a
+   * schema is never taken to check more than it does. Returns a list of
+   * problems.
+   */
+  checkSchema(schema, root = schema, at = '#') {
+    const problems = [];
+
+    if (!schema || typeof schema !== 'object') {
+      return [`${at}: a schema must be an object`];
+    }
+
+    for (const keyword of Object.keys(schema)) {
+      if (!KEYWORDS.includes(keyword) && !ANNOTATIONS.includes(keyword)) {
+        problems.push(`${at}: unsupported keyword ${keyword}`);
+      }
+    }
+
+    if (schema.$ref && !this._resolve(root, schema.$ref)) {
+      problems.push(`${at}: unknown $ref ${schema.$ref}`);
+    }
+
+    const children = [
+      ...Object.entries(schema.properties || {}).map(([name, child]) => [`${at}/properties/${name}`, child]),
+      ...Object.entries(schema.definitions || schema.$defs || {}).map(([name, child]) => [`${at}/definitions/${name}`, child])
+    ];
+    if (schema.items) children.push([`${at}/items`, schema.items]);
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      children.push([`${at}/additionalProperties`, schema.additionalProperties]);
+    }
+
+    for (const [path, child] of children) {
+      problems.push(...this.checkSchema(child, root, path));
+    }
+    return problems;
+  }
+
+  /**
+   * Validate a value against a schema. Returns a list of errors, empty if
+   * the value is valid.
+   */
+  validate(schema, value, root = schema, at = '') {
+    if (schema.$ref) {
+      return this.validate(this._resolve(root, schema.$ref), value, root, at);
+    }
+
+    const where = at || 'response';
+    const errors = [];
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this._isType(value, type))) {
+        return [`${where}: must be ${types.map(type => (type === 'array' || type === 'object' || type === 'integer' ? `an ${type}` : `a ${type}`)).join(' or ')}, not ${this._typeOf(value)}`];
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.const !== undefined && schema.const !== value) {
+      errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(schema.minLength === 1 ? `${where}: must not be empty` : `${where}: must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${where}: must be at most ${schema.maxLength} characters`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where}: must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${where}: must be at most ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${where}: must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${where}: must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...this.validate(schema.items, item, root, `${at}[${index}]`)));
+      }
+    }
+
+    if (this._isType(value, 'object')) {
+      const properties = schema.properties || {};
+
+      for (const name of schema.required || []) {
+        if (value[name] === undefined) {
+          errors.push(`${this._join(at, name)}: is required`);
+        }
+      }
+
+      for (const [name, child] of Object.entries(value)) {
+        if (properties[name]) {
+          errors.push(...this.validate(properties[name], child, root, this._join(at, name)));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${this._join(at, name)}: is not allowed (expected ${Object.keys(properties).join(', ')})`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          errors.push(...this.validate(schema.additionalProperties, child, root, this._join(at, name)));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fix up what models commonly get almost right, before validating: keys
+   * that match a property but for case and separators ("Plot Structure",
+   * "plot_structure" for plotStructure), enum values in the wrong case, and
+   * numbers written as strings. Returns the fixed-up copy.
+   */
+  normalize(schema, value, root = schema) {
+    if (schema.$ref) {
+      return this.normalize(this._resolve(root, schema.$ref), value, root);
+    }
+
+    const types = [].concat(schema.type || []);
+
+    if (typeof value === 'string') {
+      if (schema.enum) {
+        const match = schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.trim().toLowerCase());
+        if (match !== undefined) return match;
+      }
+      if ((types.includes('number') || types.includes('integer')) && !types.includes('string') && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+        return Number(value);
+      }
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return schema.items ? value.map(item => this.normalize(schema.items, item, root)) : value;
+    }
+
+    if (this._isType(value, 'object') && schema.properties) {
+      const byKey = {};
+      for (const name of Object.keys(schema.properties)) {
+        byKey[this._key(name)] = name;
+      }
+
+      const normalized = {};
+      for (const [key, child] of Object.entries(value)) {
+        const name = schema.properties[key] ? key : byKey[this._key(key)];
+        if (name && normalized[name] === undefined && (name === key || value[name] === undefined)) {
+          normalized[name] = this.normalize(schema.properties[name], child, root);
+        } else {
+          normalized[key] = child;
+        }
+      }
+      return normalized;
+    }
+
+    return value;
+  }
+
+  _resolve(root, ref) {
+    const match = /^#\/(definitions|\$defs)\/([^/]+)$/.exec(ref);
+    return match && root[match[1]] ? root[match[1]][match[2]] || null : null;
+  }
+
+  _isType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'null': return value === null;
+      default: return typeof value === type;
+    }
+  }
+
+  _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'object') return 'an object';
+    return `${typeof value} ${JSON.stringify(value).slice(0, 40)}`;
+  }
+
+  _join(at, name) {
+    return at ? `${at}.${name}` : name;
+  }
+
+  _key(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+}
+
+module.exports = SchemaValidator;
@@ -1,13 +1,34 @@
 // server/services/screenplayFormatter.js - Service for formatting screenplays
+const FountainConverter = require('./fountainConverter');
+const FdxConverter = require('./fdxConverter');
+const PdfRenderer = require('./pdfRenderer');
+const ScreenplayLinter = require('./screenplayLinter');
+const ScreenplayPaginator = require('./screenplayPaginator');
+const ProductionDraft = require('./productionDraft');
+const RevisionTracker = require('./revisionTracker');
+
 class ScreenplayFormatter {
   constructor() {
-    // Regular expressions for identifying screenplay elements
+    this.fountain = new FountainConverter();
+    this.fdx = new FdxConverter();
+    this.pdf = new PdfRenderer();
+    this.linter = new ScreenplayLinter();
+    this.paginator = new ScreenplayPaginator();
+    this.productionDraft = new ProductionDraft(this.paginator);
+    this.revisionTracker = new RevisionTracker();
+
+    // Formats available for import/export, keyed by name (PDF is export only)
+    this.converters = {
+      fountain: this.fountain,
+      fdx: this.fdx,
+      pdf: this.pdf
+    };
+
+    // Regular expressions for reading screenplay elements
     this.regex = {
       sceneHeading: /^(INT|EXT|INT\/EXT|EXT\/INT)[\s\.]+(.*?)[\s\.-]+(DAY|NIGHT|MORNING|EVENING|DUSK|DAWN|CONTINUOUS|LATER|SAME TIME|MOMENTS LATER)$/i,
-      character: /^[A-Z][A-Z0-9\s\(\)]*$/,
-      parenthetical: /^\(.+\)$/,
-      dialogue: /^(?!INT|EXT|FADE|CUT)[\w\s,\.'"\-:;\?\!]+$/,
-      transition: /^(FADE|CUT|DISSOLVE|SMASH|WIPE|FADE TO BLACK|MATCH CUT|TIME CUT).*$/i
+      sceneHeadingParts: /^(INT\.?\s*\/\s*EXT|EXT\.?\s*\/\s*INT|I\/E|INT|EXT|EST)\.?\s+(.*?)(?:\s+-+\s+([^-]+?))?\s*$/i,
+      characterExtension: /\(([^)]*)\)/g
     };
   }
 
@@ -15,52 +36,188 @@ class ScreenplayFormatter {
    * Format a raw screenplay text into properly formatted screenplay
    */
   formatScreenplay(rawScreenplay) {
-    // Split the screenplay into lines
-    const lines = rawScreenplay.split('\n');
-    let formattedLines = [];
-    let currentElement = null;
-    let lineBuffer = [];
-    
-    // Process each line
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+    const document = this.parseDocument(rawScreenplay);
+    
+    // Format each element, then write the result back out as Fountain so the
+    // formatted text can itself be parsed again
+    return this.fountain.serialize({
+      titlePage: document.titlePage,
+      elements: document.elements.map(element => ({
+        ...element,
+        text: this._formatElement(element.type, element.text)
+      }))
+    });
+  }
+
+  /**
+   * Parse screenplay text into a flat document whose elements carry their
+   * source line ranges
+   */
+  parseDocument(rawScreenplay) {
+    return this.fountain.parse(rawScreenplay, { positions: true });
+  }
+
+  /**
+   * Parse screenplay text into a typed element tree
+   */
+  parseScreenplay(rawScreenplay) {
+    return this.buildTree(this.parseDocument(rawScreenplay));
+  }
+
+  /**
+   * Build a typed element tree from a flat document:
+   *
+   * screenplay
+   *   ...elements before the first scene heading
+   *   scene { heading: { text, setting, location, time } }
+   *     action, transition, shot, ...
+   *     speech { character: { name, extensions }, dual? }
+   *       parenthetical, dialogue, lyrics
+   *     dual_dialogue
+   *       speech, speech
+   *
+   * Every node carries lines: { start, end } when the document has them.
+   */
+  buildTree(document) {
+    const root = { type: 'screenplay', titlePage: document.titlePage || [], children: [] };
+    const elements = document.elements || [];
+    let container = root;
+    
+    for (let i = 0; i < elements.length; i++) {
+      const element = elements[i];
       
-      // Skip empty lines
-      if (!line) {
-        if (lineBuffer.length > 0) {
-          formattedLines.push(this._formatElement(currentElement, lineBuffer.join(' ')));
-          lineBuffer = [];
-          currentElement = null;
+      if (element.type === 'scene_heading') {
+        container = {
+          type: 'scene',
+          heading: { ...element, ...this.parseSceneHeading(element.text) },
+          children: [],
+          lines: element.lines && { ...element.lines }
+        };
+        if (element.sceneNumber) {
+          container.sceneNumber = element.sceneNumber;
         }
-        formattedLines.push('');
+        root.children.push(container);
         continue;
       }
       
-      // Detect the type of line
-      const elementType = this._detectElementType(line);
-      
-      // If this is a new element type or we're switching types
-      if (elementType !== currentElement) {
-        // Format and add the previous element if we have one
-        if (lineBuffer.length > 0) {
-          formattedLines.push(this._formatElement(currentElement, lineBuffer.join(' ')));
-          lineBuffer = [];
+      if (element.type === 'character') {
+        let end = i + 1;
+        while (end < elements.length && ['parenthetical', 'dialogue', 'lyrics'].includes(elements[end].type)) {
+          end++;
+        }
+        
+        const speech = this._speechNode(elements.slice(i, end));
+        const previous = container.children[container.children.length - 1];
+        
+        if (speech.dual === 'right' && previous && previous.type === 'speech' && previous.dual === 'left') {
+          // Pair the two speeches up as dual dialogue
+          container.children[container.children.length - 1] = {
+            type: 'dual_dialogue',
+            children: [previous, speech],
+            lines: this._span([previous, speech])
+          };
+        } else {
+          container.children.push(speech);
         }
         
-        currentElement = elementType;
+        i = end - 1;
+        continue;
       }
       
-      // Add the current line to the buffer
-      lineBuffer.push(line);
+      container.children.push({ ...element });
+    }
+    
+    // Scenes run from their heading to their last element
+    for (const node of root.children) {
+      if (node.type === 'scene' && node.lines) {
+        node.lines = this._span([node.heading, ...node.children]);
+      }
+    }
+    
+    return root;
+  }
+
+  /**
+   * Split a scene heading into setting, location and time of day
+   */
+  parseSceneHeading(text) {
+    const match = String(text || '').trim().match(this.regex.sceneHeadingParts);
+    
+    if (!match) {
+      return { setting: null, location: String(text || '').trim().toUpperCase(), time: null };
     }
     
-    // Don't forget to process the last element
-    if (lineBuffer.length > 0) {
-      formattedLines.push(this._formatElement(currentElement, lineBuffer.join(' ')));
+    const setting = match[1].toUpperCase().replace(/[.\s]/g, '');
+    return {
+      setting: setting === 'I/E' || setting === 'EXT/INT' ? 'INT/EXT' : setting,
+      location: match[2].replace(/[\s.-]+$/, '').toUpperCase(),
+      time: match[3] ? match[3].trim().toUpperCase() : null
+    };
+  }
+
+  /**
+   * Split a character cue into the name and its extensions, e.g.
+   * "JOHN (V.O.) (cont'd)" -> { name: 'JOHN', extensions: ['V.O.', "CONT'D"] }
+   */
+  parseCharacterCue(text) {
+    const extensions = [];
+    const name = String(text || '')
+      .replace(this.regex.characterExtension, (match, extension) => {
+        extensions.push(this._normalizeExtension(extension));
+        return ' ';
+      })
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toUpperCase();
+    
+    return { name, extensions: extensions.filter(Boolean) };
+  }
+
+  /**
+   * Build a speech node from a character cue and the elements spoken under it
+   */
+  _speechNode(parts) {
+    const [cue, ...children] = parts;
+    const speech = {
+      type: 'speech',
+      character: { ...cue, ...this.parseCharacterCue(cue.text) },
+      children: children.map(child => ({ ...child })),
+      lines: this._span(parts)
+    };
+    delete speech.character.type;
+    delete speech.character.dual;
+    
+    if (cue.dual) {
+      speech.dual = cue.dual;
     }
+    return speech;
+  }
+
+  /**
+   * Normalize the common spellings of character extensions
+   */
+  _normalizeExtension(extension) {
+    const value = extension.trim().toUpperCase().replace(/\u2019/g, "'");
     
-    // Return the formatted screenplay
-    return formattedLines.join('\n');
+    if (/^CONT'?D$|^CONTINUED$|^CONT\.?$/.test(value)) return "CONT'D";
+    if (/^V\.?\s*O\.?$/.test(value)) return 'V.O.';
+    if (/^O\.?\s*S\.?$/.test(value)) return 'O.S.';
+    if (/^O\.?\s*C\.?$/.test(value)) return 'O.C.';
+    return value;
+  }
+
+  /**
+   * Line range covering a list of nodes
+   */
+  _span(nodes) {
+    const ranges = nodes.map(node => node && node.lines).filter(Boolean);
+    if (!ranges.length) {
+      return undefined;
+    }
+    return {
+      start: Math.min(...ranges.map(range => range.start)),
+      end: Math.max(...ranges.map(range => range.end))
+    };
   }
 
   /**
@@ -72,24 +229,193 @@ class ScreenplayFormatter {
   }
 
   /**
-   * Detect the type of element a line represents
+   * Parse Fountain text into a screenplay document
+   */
+  parseFountain(text) {
+    return this.fountain.parse(text);
+  }
+
+  /**
+   * Serialize a screenplay (document or text) to Fountain
+   */
+  toFountain(screenplay) {
+    return this.fountain.serialize(this.toDocument(screenplay));
+  }
+
+  /**
+   * Parse Final Draft XML into a screenplay document
+   */
+  parseFdx(xml) {
+    return this.fdx.parse(xml);
+  }
+
+  /**
+   * Serialize a screenplay (document or text) to Final Draft XML
+   */
+  toFdx(screenplay) {
+    return this.fdx.serialize(this.toDocument(screenplay));
+  }
+
+  /**
+   * Render a screenplay (document or text) to a PDF buffer
+   */
+  toPdf(screenplay, options = {}) {
+    return this.pdf.serialize(this.toDocument(screenplay), options);
+  }
+
+  /**
+   * Page count, eighths of a page per scene and estimated runtime for a
+   * screenplay (document or text), see ScreenplayPaginator.measure
    */
-  _detectElementType(line) {
-    if (this.regex.sceneHeading.test(line)) {
-      return 'scene_heading';
-    } else if (this.regex.character.test(line) && line.length < 50) {
-      return 'character';
-    } else if (this.regex.parenthetical.test(line)) {
-      return 'parenthetical';
-    } else if (this.regex.transition.test(line)) {
-      return 'transition';
-    } else if (line === line.toUpperCase() && line.length > 3) {
-      // Could be a transition or technical direction
-      return 'technical';
-    } else {
-      // Default to either dialogue or action
-      return 'action';
+  getPagination(screenplay, options = {}) {
+    return this.paginator.measure(this.toDocument(screenplay), options);
+  }
+
+  /**
+   * Asset metadata derived from a screenplay's contents, measured against
+   * the locked layout when the asset has one
+   */
+  screenplayMetadata(screenplay, lock = null) {
+    const pagination = this.getPagination(this.applyLock(screenplay, lock));
+    
+    return {
+      pagination: {
+        pageCount: pagination.pageCount,
+        eighths: pagination.eighths,
+        length: pagination.length,
+        runtimeMinutes: pagination.runtime.minutes,
+        scenes: pagination.scenes.map(({ number, heading, eighths }) => ({ number, heading, eighths }))
+      }
+    };
+  }
+
+  /**
+   * Lock a screenplay for production, see ProductionDraft.lock. Returns
+   * { document, lock }.
+   */
+  lockScreenplay(screenplay) {
+    return this.productionDraft.lock(this.toDocument(screenplay));
+  }
+
+  /**
+   * The document for a screenplay as its locked draft prints it: suffixed
+   * scene numbers, OMITTED scenes and locked page breaks. Without a lock
+   * this is just the document.
+   */
+  applyLock(screenplay, lock) {
+    const document = this.toDocument(screenplay);
+    return lock ? this.productionDraft.applyLock(document, lock) : document;
+  }
+
+  /**
+   * Clear a locked draft's scene numbers and OMITTED placeholders
+   */
+  unlockScreenplay(screenplay) {
+    return this.productionDraft.unlock(this.toDocument(screenplay));
+  }
+
+  /**
+   * Element-level diff between two screenplays, see RevisionTracker.diff
+   */
+  diffScreenplays(before, after) {
+    return this.revisionTracker.diff(this.toDocument(before), this.toDocument(after));
+  }
+
+  /**
+   * Flag what changed since a previous revision, so the PDF marks those
+   * lines with asterisks. Without a previous revision nothing is marked.
+   */
+  markRevisions(screenplay, previous) {
+    const document = this.toDocument(screenplay);
+    if (!previous) {
+      return document;
+    }
+    const { changes } = this.diffScreenplays(previous, document);
+    return this.revisionTracker.markChanges(document, changes);
+  }
+
+  /**
+   * Numbers of the pages that carry revision marks
+   */
+  revisedPages(screenplay) {
+    return this.paginator.paginate(this.toDocument(screenplay)).pages
+      .filter(page => this.pdf.isRevised(page))
+      .map(page => page.number);
+  }
+
+  /**
+   * The header printed on revised pages, e.g. "Blue Rev. 10/19/26"
+   */
+  revisionLabel(revision) {
+    const date = new Date(revision.date);
+    const parts = [date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCFullYear() % 100];
+    return `${revision.color} Rev. ${parts.map(part => String(part).padStart(2, '0')).join('/')}`;
+  }
+
+  /**
+   * Parse screenplay content in any supported interchange format
+   */
+  importFormat(format, content) {
+    const converter = this._getConverter(format);
+    if (typeof converter.parse !== 'function') {
+      throw new Error(`Screenplay format cannot be imported: ${format}`);
     }
+    return converter.parse(content);
+  }
+
+  /**
+   * Export a screenplay in any supported format
+   */
+  exportFormat(format, screenplay, options = {}) {
+    const converter = this._getConverter(format);
+    return {
+      content: converter.serialize(this.toDocument(screenplay), options),
+      contentType: converter.contentType,
+      filename: this.exportFilename(screenplay, converter.extension)
+    };
+  }
+
+  /**
+   * Build a download filename from a screenplay's title page
+   */
+  exportFilename(screenplay, extension) {
+    const document = this.toDocument(screenplay);
+    const title = document.titlePage.find(entry => entry.key.toLowerCase() === 'title');
+    const base = title ? title.value.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '') : '';
+    return `${base || 'screenplay'}.${extension}`;
+  }
+
+  /**
+   * Whether a format name (any case) is one screenplays can be converted
+   * to and from
+   */
+  hasFormat(format) {
+    return typeof format === 'string' && Object.prototype.hasOwnProperty.call(this.converters, format.toLowerCase());
+  }
+
+  /**
+   * Look up the converter for a format name
+   */
+  _getConverter(format) {
+    if (!this.hasFormat(format)) {
+      throw new Error(`Unsupported screenplay format: ${format}`);
+    }
+    return this.converters[format.toLowerCase()];
+  }
+
+  /**
+   * Convert any stored screenplay representation into a screenplay document.
+   * Documents pass through; generated { raw, formatted } results and plain
+   * text are read as Fountain, which plain screenplay text already resembles.
+   */
+  toDocument(screenplay) {
+    if (screenplay && Array.isArray(screenplay.elements)) {
+      return { ...screenplay, titlePage: screenplay.titlePage || [] };
+    }
+    if (screenplay && typeof screenplay === 'object') {
+      return this.parseFountain(screenplay.formatted || screenplay.raw || '');
+    }
+    return this.parseFountain(screenplay || '');
   }
 
   /**
@@ -107,11 +433,13 @@ class ScreenplayFormatter {
         return this._formatDialogue(text);
       case 'transition':
         return this._formatTransition(text);
-      case 'technical':
-        return this._formatTechnical(text);
+      case 'shot':
+        return this._formatShot(text);
       case 'action':
-      default:
         return this._formatAction(text);
+      default:
+        // Lyrics, centered text and non-printing elements are left alone
+        return text;
     }
   }
 
@@ -162,10 +490,10 @@ class ScreenplayFormatter {
   }
 
   /**
-   * Format a technical direction
+   * Format a shot
    */
-  _formatTechnical(text) {
-    // Technical directions are uppercase and centered
+  _formatShot(text) {
+    // Shots are uppercase like scene headings
     return text.toUpperCase();
   }
 
@@ -204,30 +532,107 @@ class ScreenplayFormatter {
 
   /**
    * Validate screenplay format
+   *
+   * Accepts screenplay text or a document (checked as its Fountain text).
+   * options.rules turns individual rules off or changes their severity,
+   * see ScreenplayLinter.lint.
    */
-  validateFormat(screenplay) {
-    // Split into lines for analysis
-    const lines = screenplay.split('\n');
-    let issues = [];
+  validateFormat(screenplay, options = {}) {
+    const text = typeof screenplay === 'string' ? screenplay : this.toFountain(screenplay);
+    const issues = this.linter.lint(this._lintContext(text), options.rules);
     
-    // Placeholder for a more detailed validator
-    // In a real implementation, this would check for proper formatting,
-    // scene heading consistency, character name consistency, etc.
+    const summary = { error: 0, warning: 0, info: 0 };
+    issues.forEach(issue => { summary[issue.severity]++; });
     
     return {
-      valid: issues.length === 0,
-      issues
+      valid: summary.error === 0,
+      issues,
+      summary
     };
   }
 
   /**
    * Fix common formatting issues
+   *
+   * Applies the safe, rule-specific fixes for the given findings (from
+   * validateFormat on the same text). Without findings, the script is
+   * validated and fixed repeatedly until nothing more can be fixed.
+   *
+   * Returns { screenplay, fixes: [{ ruleId, line, before, after }], unfixed }
    */
-  fixFormatIssues(screenplay, issues) {
-    // Placeholder for a format fixer
-    // In a real implementation, this would automatically correct common issues
+  fixFormatIssues(screenplay, issues, options = {}) {
+    let text = typeof screenplay === 'string' ? screenplay : this.toFountain(screenplay);
+    
+    if (issues) {
+      const result = this.linter.fix(this._lintContext(text), issues);
+      return { screenplay: result.lines.join('\n'), fixes: result.fixes, unfixed: result.unfixed };
+    }
+    
+    const fixes = [];
+    let unfixed = [];
     
-    return screenplay;
+    // Some fixes only become possible once another has been applied
+    for (let pass = 0; pass < 3; pass++) {
+      const findings = this.validateFormat(text, options).issues;
+      const result = this.linter.fix(this._lintContext(text), findings);
+      
+      text = result.lines.join('\n');
+      unfixed = result.unfixed;
+      fixes.push(...result.fixes);
+      
+      if (!result.fixes.length) break;
+    }
+    
+    return { screenplay: text, fixes, unfixed };
+  }
+
+  /**
+   * Parse text into what the linter's rules check against: source lines and
+   * elements with parsed scene heading and character cue parts
+   */
+  _lintContext(text) {
+    const document = this.parseDocument(text);
+    
+    const elements = document.elements.map(element => {
+      if (element.type === 'scene_heading') {
+        return { ...element, heading: this.parseSceneHeading(element.text) };
+      }
+      if (element.type === 'character') {
+        return { ...element, cue: this.parseCharacterCue(element.text) };
+      }
+      return element;
+    });
+    
+    return {
+      lines: text.replace(/\r\n?/g, '\n').split('\n'),
+      elements
+    };
+  }
+
+  /**
+   * Write edited screenplay text back into the shape an asset stores it in:
+   * plain text, a { raw, formatted } generation result, or a document
+   */
+  replaceScreenplayText(data, text) {
+    if (data && Array.isArray(data.elements)) {
+      return { ...data, ...this.parseFountain(text) };
+    }
+    if (data && typeof data === 'object') {
+      return { ...data, formatted: text };
+    }
+    return text;
+  }
+
+  /**
+   * Write a screenplay document back into the shape an asset stores it in
+   */
+  replaceScreenplayDocument(data, document) {
+    const { lock, ...rest } = document;
+    
+    if (data && Array.isArray(data.elements)) {
+      return { ...data, ...rest };
+    }
+    return this.replaceScreenplayText(data, this.toFountain(rest));
   }
 }
 
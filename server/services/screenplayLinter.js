@@ -0,0 +1,639 @@
+// server/services/screenplayLinter.js - Rule-based screenplay format checks
+//
+// Rules run over a parsed document whose elements carry source line ranges
+// (see ScreenplayFormatter.validateFormat). Each finding reports a stable rule
+// ID, a severity and a 1-based line/column position. Rules with a `fix` can
+// correct their own findings; fixes only ever touch the lines they report.
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const TIMES_OF_DAY = [
+  'DAY', 'NIGHT', 'MORNING', 'AFTERNOON', 'EVENING', 'DUSK', 'DAWN', 'SUNRISE',
+  'SUNSET', 'NOON', 'MIDNIGHT', 'MAGIC HOUR', 'CONTINUOUS', 'LATER', 'MOMENTS LATER',
+  'SAME', 'SAME TIME', 'SIMULTANEOUS', 'CONTINUED'
+];
+
+// Misspellings and shorthand we can safely expand to a standard time of day
+const TIME_SYNONYMS = {
+  'NITE': 'NIGHT',
+  'NIGHTTIME': 'NIGHT',
+  'NIGHT TIME': 'NIGHT',
+  'DAYTIME': 'DAY',
+  'DAY TIME': 'DAY',
+  'MORN': 'MORNING',
+  'EVE': 'EVENING',
+  'CONT': 'CONTINUOUS',
+  'CONT.': 'CONTINUOUS',
+  'CONTINOUS': 'CONTINUOUS',
+  'SUNUP': 'SUNRISE',
+  'SUNDOWN': 'SUNSET',
+  'MOMENT LATER': 'MOMENTS LATER'
+};
+
+const CAMERA_DIRECTIONS = /\b(we see|we hear|(?:the )?camera (?:pans|moves|pushes|pulls|tracks|follows|zooms|tilts|cranes|dollies|holds|finds|rises|lingers)|pan(?:s)? (?:to|across|over|up|down)|zoom(?:s)? (?:in|out)|close[- ]up|dolly (?:in|out)|push(?:es)? in|tracking shot|slow motion)\b/gi;
+
+const RULES = [
+  {
+    id: 'scene-heading-malformed',
+    severity: 'error',
+    description: 'Scene headings should read INT./EXT. LOCATION - TIME',
+    check(context, options, report) {
+      for (const element of context.elements) {
+        if (element.type !== 'scene_heading' || !element.heading.setting) continue;
+
+        const text = element.text;
+        const problems = [];
+        if (!/^(INT|EXT|EST|I\/E|INT\.?\/EXT|EXT\.?\/INT)\.\s/i.test(text) && !/^(I\/E)\s/i.test(text)) {
+          problems.push('the INT/EXT prefix should be followed by a period');
+        }
+        if (!element.heading.location) {
+          problems.push('the location is missing');
+        }
+        if (!element.heading.time) {
+          problems.push('the time of day is missing (use " - DAY", " - NIGHT", ...)');
+        }
+        if (text !== text.toUpperCase()) {
+          problems.push('it should be in ALL CAPS');
+        }
+
+        if (problems.length) {
+          report(element, `Malformed scene heading "${text}": ${problems.join('; ')}`);
+        }
+      }
+    },
+    fix(issue, context) {
+      const line = context.lines[issue.line - 1];
+      const fixed = normalizeSceneHeading(line);
+      return fixed && fixed !== line ? { after: [fixed] } : null;
+    }
+  },
+  {
+    id: 'scene-heading-time',
+    severity: 'warning',
+    description: 'Scene heading time of day should be a standard value',
+    check(context, options, report) {
+      const allowed = TIMES_OF_DAY.concat((options.allowed || []).map(time => time.toUpperCase()));
+
+      for (const element of context.elements) {
+        if (element.type !== 'scene_heading' || !element.heading.time) continue;
+
+        // Qualifiers such as (FLASHBACK) or (1985) do not affect the time itself
+        const time = element.heading.time.replace(/\(.*?\)/g, '').trim();
+        if (time && !allowed.includes(time)) {
+          const column = element.text.toUpperCase().lastIndexOf(time) + 1;
+          report(element, `Unknown time of day "${time}"`, { column, data: { time } });
+        }
+      }
+    },
+    fix(issue, context) {
+      const line = context.lines[issue.line - 1];
+      const time = issue.data && issue.data.time;
+      const index = time ? line.toUpperCase().lastIndexOf(time) : -1;
+
+      if (index === -1 || !TIME_SYNONYMS[time]) {
+        return null;
+      }
+      return { after: [line.slice(0, index) + TIME_SYNONYMS[time] + line.slice(index + time.length)] };
+    }
+  },
+  {
+    id: 'orphaned-parenthetical',
+    severity: 'error',
+    description: 'Parentheticals must sit inside a speech, before dialogue',
+    check(context, options, report) {
+      context.elements.forEach((element, index) => {
+        if (element.type === 'action' && /^\(.*\)$/.test(element.text.trim()) && !element.text.includes('\n')) {
+          report(element, `Parenthetical "${element.text.trim()}" is not attached to a character`, {
+            data: { detached: true }
+          });
+          return;
+        }
+
+        if (element.type === 'parenthetical') {
+          const next = context.elements[index + 1];
+          if (!next || (next.type !== 'dialogue' && next.type !== 'lyrics')) {
+            report(element, `Parenthetical "${element.text}" is not followed by dialogue`);
+          }
+        }
+      });
+    },
+    fix(issue, context) {
+      // Rejoin a parenthetical to the dialogue a stray blank line cut it off from
+      const { lines } = context;
+      const next = nextNonBlank(lines, issue.line);
+      if (!/^\(.*\)$/.test(lines[issue.line - 1].trim()) || !next || next === issue.line + 1 || !isPlainText(lines[next - 1])) {
+        return null;
+      }
+
+      let start = issue.line;
+      if (issue.data && issue.data.detached) {
+        const previous = previousNonBlank(lines, issue.line);
+        if (previous && context.speechLines.has(previous)) {
+          start = previous + 1;
+        } else if (!previous || !context.cueLines.has(previous)) {
+          // Not next to any speech; the fix for a lone cue joins the cue side
+          return null;
+        }
+      }
+
+      return { line: start, endLine: next - 1, after: [lines[issue.line - 1]] };
+    }
+  },
+  {
+    id: 'character-without-dialogue',
+    severity: 'error',
+    description: 'Every character cue needs dialogue under it',
+    check(context, options, report) {
+      const names = new Set(context.elements
+        .filter(element => element.type === 'character')
+        .map(element => element.cue.name));
+
+      context.elements.forEach((element, index) => {
+        if (element.type === 'character') {
+          let next = index + 1;
+          while (context.elements[next] && context.elements[next].type === 'parenthetical') {
+            next++;
+          }
+          const spoken = context.elements[next];
+          if (!spoken || (spoken.type !== 'dialogue' && spoken.type !== 'lyrics') || !spoken.text.trim()) {
+            report(element, `Character cue "${element.text}" has no dialogue`);
+          }
+          return;
+        }
+
+        // A lone cue followed by a blank line parses as action
+        const text = element.type === 'action' ? element.text.trim() : '';
+        if (text && !text.includes('\n') && names.has(text.replace(/\s*\(.*?\)\s*/g, ' ').trim())) {
+          report(element, `Character cue "${text}" has no dialogue (is there a blank line after it?)`, {
+            data: { detached: true }
+          });
+        }
+      });
+    },
+    fix(issue, context) {
+      // Only a cue separated from its speech by blank lines can be repaired
+      const { lines } = context;
+      const next = nextNonBlank(lines, issue.line);
+      if (!(issue.data && issue.data.detached) || !next || next === issue.line + 1) {
+        return null;
+      }
+
+      const following = lines[next - 1].trim();
+      if (!isPlainText(following) && !/^\(.*\)$/.test(following)) {
+        return null;
+      }
+      return { endLine: next - 1, after: [lines[issue.line - 1]] };
+    }
+  },
+  {
+    id: 'character-cue-case',
+    severity: 'warning',
+    description: 'Character cues should be in ALL CAPS',
+    check(context, options, report) {
+      for (const element of context.elements) {
+        if (element.type !== 'character') continue;
+
+        const name = element.text.replace(/\(.*?\)/g, '');
+        if (name !== name.toUpperCase()) {
+          report(element, `Character cue "${element.text}" should be in ALL CAPS`);
+        }
+      }
+    },
+    fix(issue, context) {
+      const line = context.lines[issue.line - 1];
+      const fixed = line.toUpperCase();
+
+      // Once uppercase, a forced cue (@Name) no longer needs forcing
+      const unforced = fixed.replace(/^(\s*)@(?=.*[A-Z])/, '$1');
+      return fixed !== line ? { after: [unforced] } : null;
+    }
+  },
+  {
+    id: 'character-name-consistency',
+    severity: 'warning',
+    description: 'A character should be spelled the same way throughout',
+    check(context, options, report) {
+      const counts = new Map();
+      const cues = context.elements.filter(element => element.type === 'character' && element.cue.name);
+      cues.forEach(element => counts.set(element.cue.name, (counts.get(element.cue.name) || 0) + 1));
+
+      const names = [...counts.keys()];
+      const canonical = new Map();
+      for (const name of names) {
+        const match = names
+          .filter(other => other !== name && counts.get(other) > counts.get(name) && similarNames(name, other))
+          .sort((a, b) => counts.get(b) - counts.get(a))[0];
+        if (match) {
+          canonical.set(name, match);
+        }
+      }
+
+      for (const element of cues) {
+        const expected = canonical.get(element.cue.name);
+        if (expected) {
+          report(element, `"${element.cue.name}" looks like a misspelling of "${expected}" (used ${counts.get(expected)} times)`, {
+            data: { name: element.cue.name, expected }
+          });
+        }
+      }
+    },
+    fix(issue, context) {
+      const line = context.lines[issue.line - 1];
+      const { name, expected } = issue.data || {};
+      const index = name ? line.toUpperCase().indexOf(name) : -1;
+
+      if (index === -1) {
+        return null;
+      }
+      return { after: [line.slice(0, index) + expected + line.slice(index + name.length)] };
+    }
+  },
+  {
+    id: 'parenthetical-unbalanced',
+    severity: 'error',
+    description: 'Parentheticals need both an opening and a closing parenthesis',
+    check(context, options, report) {
+      for (const element of context.elements) {
+        if (element.type !== 'dialogue') continue;
+
+        element.text.split('\n').forEach((line, offset) => {
+          const text = line.trim();
+          const opens = text.startsWith('(') && !text.includes(')');
+          const closes = text.endsWith(')') && !text.includes('(') && offset === 0;
+
+          if (opens || closes) {
+            report(element, `Parenthetical "${text}" is missing its ${opens ? 'closing' : 'opening'} parenthesis`, {
+              line: element.lines.start + offset
+            });
+          }
+        });
+      }
+    },
+    fix(issue, context) {
+      const line = context.lines[issue.line - 1];
+      const text = line.trim();
+      const indent = line.slice(0, line.length - line.trimStart().length);
+
+      if (text.startsWith('(') && !text.includes(')')) {
+        return { after: [`${indent}${text})`] };
+      }
+      if (text.endsWith(')') && !text.includes('(')) {
+        return { after: [`${indent}(${text}`] };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'dialogue-split',
+    severity: 'info',
+    description: 'Back-to-back speeches by the same character should be one speech',
+    check(context, options, report) {
+      let previousSpeaker = null;
+
+      for (const element of context.elements) {
+        if (element.type === 'character') {
+          if (!element.dual && previousSpeaker && previousSpeaker === element.cue.name) {
+            report(element, `${element.cue.name} speaks twice in a row; the speeches can be merged`, {
+              data: { name: element.cue.name }
+            });
+          }
+          previousSpeaker = element.dual ? null : element.cue.name;
+        } else if (!['parenthetical', 'dialogue', 'lyrics', 'note', 'boneyard'].includes(element.type)) {
+          previousSpeaker = null;
+        }
+      }
+    },
+    fix(issue, context) {
+      // Drop the repeated cue and the blank line before it
+      const previous = previousNonBlank(context.lines, issue.line);
+      if (!previous || !context.speechLines.has(previous)) {
+        return null;
+      }
+      return { line: previous + 1, endLine: issue.line, after: [] };
+    }
+  },
+  {
+    id: 'camera-direction-in-action',
+    severity: 'warning',
+    description: 'Avoid directing the camera in action lines',
+    check(context, options, report) {
+      for (const element of context.elements) {
+        if (element.type !== 'action') continue;
+
+        element.text.split('\n').forEach((line, offset) => {
+          for (const match of line.matchAll(CAMERA_DIRECTIONS)) {
+            report(element, `Camera direction "${match[0]}" in action`, {
+              line: element.lines.start + offset,
+              column: context.columnOf(element.lines.start + offset, match[0]),
+              data: { direction: match[0] }
+            });
+          }
+        });
+      }
+    }
+  },
+  {
+    id: 'action-block-length',
+    severity: 'warning',
+    description: 'Long action paragraphs should be broken up',
+    defaults: { maxLines: 4, width: 60 },
+    check(context, options, report) {
+      for (const element of context.elements) {
+        if (element.type !== 'action') continue;
+
+        const lineCount = context.wrappedLineCount(element.text, options.width);
+        if (lineCount > options.maxLines) {
+          report(element, `Action block runs ${lineCount} lines (limit ${options.maxLines})`, {
+            data: { lines: lineCount, maxLines: options.maxLines }
+          });
+        }
+      }
+    }
+  }
+];
+
+/**
+ * Rewrite a scene heading line as SETTING. LOCATION - TIME in capitals
+ */
+function normalizeSceneHeading(line) {
+  const match = line.trim().match(/^\.?(INT\.?\s*\/\s*EXT|EXT\.?\s*\/\s*INT|I\/E|INT|EXT|EST)\.?\s*(.*)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const setting = match[1].toUpperCase().replace(/[.\s]/g, '').split('/').map(part => `${part}.`).join('/')
+    .replace('I./E.', 'I/E.');
+  let body = match[2].trim().toUpperCase();
+
+  // Keep a trailing #scene number# where it is
+  const numberMatch = body.match(/\s*(#[^#]+#)\s*$/);
+  const number = numberMatch ? ` ${numberMatch[1]}` : '';
+  if (numberMatch) {
+    body = body.slice(0, numberMatch.index).trim();
+  }
+
+  // Separate a known time of day from the location with " - "
+  if (!/\s-+\s/.test(body)) {
+    const time = TIMES_OF_DAY.concat(Object.keys(TIME_SYNONYMS))
+      .sort((a, b) => b.length - a.length)
+      .find(candidate => body.endsWith(` ${candidate}`));
+    if (time) {
+      body = `${body.slice(0, -time.length).replace(/[\s,.-]+$/, '')} - ${time}`;
+    }
+  }
+
+  return `${setting} ${body}${number}`;
+}
+
+/**
+ * Text that can be dialogue: not blank, and not a heading, cue or transition
+ */
+function isPlainText(line) {
+  const text = line.trim();
+  return Boolean(text) && text !== text.toUpperCase() && !/^(INT|EXT|EST|I\/E)[.\s]/i.test(text);
+}
+
+function nextNonBlank(lines, lineNumber) {
+  for (let i = lineNumber; i < lines.length; i++) {
+    if (lines[i].trim()) return i + 1;
+  }
+  return null;
+}
+
+function previousNonBlank(lines, lineNumber) {
+  for (let i = lineNumber - 2; i >= 0; i--) {
+    if (lines[i].trim()) return i + 1;
+  }
+  return null;
+}
+
+/**
+ * Names that differ only by punctuation/spacing or by a single edit
+ */
+function similarNames(a, b) {
+  const squash = name => name.replace(/[^A-Z0-9]/g, '');
+  if (squash(a) === squash(b)) {
+    return true;
+  }
+  if (Math.min(a.length, b.length) < 4) {
+    return false;
+  }
+  return editDistance(a, b) <= (Math.min(a.length, b.length) >= 8 ? 2 : 1);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+class ScreenplayLinter {
+  constructor() {
+    this.rules = RULES;
+  }
+
+  /**
+   * List the available rules with their default settings
+   */
+  listRules() {
+    return this.rules.map(rule => ({
+      id: rule.id,
+      severity: rule.severity,
+      description: rule.description,
+      options: rule.defaults || {},
+      fixable: Boolean(rule.fix)
+    }));
+  }
+
+  /**
+   * Run the enabled rules
+   *
+   * context: {
+   *   lines: array<string>,  // Source lines
+   *   elements: array        // Document elements with line ranges; scene
+   *                          // headings carry `heading`, cues carry `cue`
+   * }
+   *
+   * ruleConfig maps rule IDs to false/'off' (disable), a severity string,
+   * or { severity, ...ruleOptions }.
+   */
+  lint(context, ruleConfig = {}) {
+    const issues = [];
+    const fullContext = {
+      ...context,
+      columnOf: (line, text) => this._columnOf(context.lines, line, text),
+      wrappedLineCount: (text, width) => this._wrappedLineCount(text, width)
+    };
+
+    for (const rule of this.rules) {
+      const settings = this._ruleSettings(rule, ruleConfig[rule.id]);
+      if (!settings) continue;
+
+      const report = (element, message, extra = {}) => {
+        const line = extra.line || (element.lines ? element.lines.start : 1);
+        issues.push({
+          ruleId: rule.id,
+          severity: settings.severity,
+          message,
+          line,
+          column: extra.column || this._firstColumn(context.lines, line),
+          endLine: element.lines ? element.lines.end : line,
+          ...(extra.data ? { data: extra.data } : {})
+        });
+      };
+
+      rule.check(fullContext, settings.options, report);
+    }
+
+    return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Apply the fixes for a list of findings
+   *
+   * Fixes are worked out and applied from the bottom of the script up, so
+   * line numbers above each edit stay valid. A finding whose lines were
+   * already reshaped by another fix is left for the next run.
+   *
+   * Returns { lines, fixes: [{ ruleId, message, line, before, after }], unfixed }
+   */
+  fix(context, issues) {
+    const lines = [...context.lines];
+    const fixContext = { ...context, lines, ...this._speechLineIndex(context.elements) };
+    const byId = new Map(this.rules.map(rule => [rule.id, rule]));
+    const fixes = [];
+    const unfixed = [];
+    let reshapedFrom = Infinity;
+
+    const ordered = [...issues].sort((a, b) => b.line - a.line);
+    for (const issue of ordered) {
+      const rule = byId.get(issue.ruleId);
+      const valid = Number.isInteger(issue.line) && issue.line >= 1 && issue.line <= lines.length;
+      const edit = rule && rule.fix && valid ? rule.fix(issue, fixContext) : null;
+
+      if (!edit) {
+        unfixed.push(issue);
+        continue;
+      }
+
+      const start = edit.line || issue.line;
+      const end = edit.endLine || start;
+      if (end >= reshapedFrom) {
+        unfixed.push(issue);
+        continue;
+      }
+
+      const before = lines.slice(start - 1, end);
+      lines.splice(start - 1, end - start + 1, ...edit.after);
+
+      // Edits that change the line count invalidate everything below them
+      if (edit.after.length !== before.length || start !== end) {
+        reshapedFrom = start;
+      }
+
+      fixes.push({
+        ruleId: issue.ruleId,
+        message: issue.message,
+        line: start,
+        before: before.join('\n'),
+        after: edit.after.join('\n')
+      });
+    }
+
+    return {
+      lines,
+      fixes: fixes.reverse(),
+      unfixed: unfixed.sort((a, b) => a.line - b.line)
+    };
+  }
+
+  /**
+   * Line numbers that belong to speeches, and those holding a lone cue
+   */
+  _speechLineIndex(elements) {
+    const speechLines = new Set();
+    const cueLines = new Set();
+    const names = new Set(elements.filter(element => element.type === 'character').map(element => element.cue.name));
+
+    for (const element of elements) {
+      if (!element.lines) continue;
+
+      if (['character', 'parenthetical', 'dialogue', 'lyrics'].includes(element.type)) {
+        for (let line = element.lines.start; line <= element.lines.end; line++) {
+          speechLines.add(line);
+        }
+      } else if (element.type === 'action' && names.has(element.text.replace(/\s*\(.*?\)\s*/g, ' ').trim())) {
+        cueLines.add(element.lines.start);
+      }
+    }
+
+    return { speechLines, cueLines };
+  }
+
+  /**
+   * Resolve a rule's configured severity and options; null when disabled
+   */
+  _ruleSettings(rule, config) {
+    if (config === false || config === 'off') {
+      return null;
+    }
+
+    let severity = rule.severity;
+    let options = { ...(rule.defaults || {}) };
+
+    if (typeof config === 'string' && SEVERITIES.includes(config)) {
+      severity = config;
+    } else if (config && typeof config === 'object') {
+      const { severity: configured, enabled, ...ruleOptions } = config;
+      if (enabled === false || configured === 'off') {
+        return null;
+      }
+      if (SEVERITIES.includes(configured)) {
+        severity = configured;
+      }
+      options = { ...options, ...ruleOptions };
+    }
+
+    return { severity, options };
+  }
+
+  _columnOf(lines, lineNumber, text) {
+    const line = lines[lineNumber - 1] || '';
+    const index = line.toLowerCase().indexOf(String(text).toLowerCase());
+    return index === -1 ? this._firstColumn(lines, lineNumber) : index + 1;
+  }
+
+  _firstColumn(lines, lineNumber) {
+    const line = lines[lineNumber - 1] || '';
+    return line.length - line.trimStart().length + 1;
+  }
+
+  _wrappedLineCount(text, width) {
+    return text.split('\n').reduce((count, line) => {
+      let lineCount = 1;
+      let length = 0;
+      for (const word of line.trim().split(/\s+/).filter(Boolean)) {
+        if (length && length + 1 + word.length > width) {
+          lineCount++;
+          length = word.length;
+        } else {
+          length += (length ? 1 : 0) + word.length;
+        }
+      }
+      return count + lineCount;
+    }, 0);
+  }
+}
+
+module.exports = ScreenplayLinter;
@@ -0,0 +1,663 @@
+// server/services/screenplayPaginator.js - Lays out screenplay documents on pages
+//
+// Works in the units screenplays are measured in: Courier 12pt gives 10
+// characters per inch and 6 lines per inch. Indents are counted in
+// characters from the 1.5" left margin.
+
+const LAYOUT = {
+  linesPerPage: 54,
+  pageWidth: 60,
+  elements: {
+    scene_heading: { indent: 0, width: 60, spaceBefore: 2, uppercase: true },
+    shot: { indent: 0, width: 60, spaceBefore: 1, uppercase: true },
+    action: { indent: 0, width: 60, spaceBefore: 1 },
+    character: { indent: 22, width: 38, spaceBefore: 1, uppercase: true },
+    parenthetical: { indent: 15, width: 25, spaceBefore: 0 },
+    dialogue: { indent: 10, width: 35, spaceBefore: 0 },
+    lyrics: { indent: 10, width: 35, spaceBefore: 0, font: 'italic' },
+    transition: { indent: 0, width: 60, spaceBefore: 1, uppercase: true, align: 'right' },
+    centered: { indent: 0, width: 60, spaceBefore: 1, align: 'center' }
+  },
+  // Each side of a dual dialogue pair gets half the page
+  dual: {
+    left: { character: 9, parenthetical: 5, dialogue: 2, width: 27 },
+    right: { character: 40, parenthetical: 36, dialogue: 33, width: 27 }
+  }
+};
+
+// Elements that never print
+const NON_PRINTING = ['note', 'boneyard', 'section', 'synopsis'];
+
+class ScreenplayPaginator {
+  constructor() {
+    this.layout = LAYOUT;
+  }
+
+  /**
+   * Paginate a screenplay document
+   *
+   * Options:
+   *   sceneNumbers: boolean  // Attach scene numbers to scene heading lines
+   *   lockedPages: array     // Page layout recorded when the draft was locked
+   *                          // (defaults to document.lock.pages)
+   *
+   * Returns { pages, scenes }. Each page is { number, lines, anchor } where a
+   * line is null (blank) or { segments: [{ text, indent, font }], sceneNumber?,
+   * revised? } and anchor identifies what the page starts with, for locking.
+   * Each scene is { index, number, heading, startPage, endPage, lines }, with
+   * lines counting everything the scene occupies, spacing included.
+   *
+   * With locked pages, every locked page starts where it did when the draft
+   * was locked. Material that no longer fits runs onto A-pages (23A, 23B),
+   * and a page whose contents are gone entirely is folded into the page
+   * before it (22-23).
+   */
+  paginate(document, options = {}) {
+    const lockedPages = options.lockedPages || (document && document.lock && document.lock.pages) || null;
+    const blocks = this.layoutBlocks(document, {
+      ...options,
+      sceneNumbers: options.sceneNumbers || Boolean(lockedPages)
+    });
+    const scenes = [];
+    const pages = [];
+    let page = { lines: [], anchor: null, locked: lockedPages ? { page: lockedPages[0].number, index: 0 } : null };
+    let lastLocked = null;
+    const found = lockedPages ? this._attachAnchors(blocks, lockedPages) : null;
+
+    const newPage = (locked = null) => {
+      if (page.lines.length) {
+        pages.push(page);
+        lastLocked = this._labelPage(page, pages.length, lockedPages, found, lastLocked);
+        page = { lines: [], anchor: null, locked };
+      } else if (locked) {
+        page.locked = locked;
+      }
+    };
+
+    // Track how many lines each scene takes up and where it falls
+    const place = (block, spacing, lines) => {
+      if (!page.lines.length) {
+        page.anchor = { scene: block.sceneLabel || null, key: block.key, offset: block.placed };
+      }
+      this._pushLines(page.lines, spacing, lines);
+      block.placed += lines.filter(line => !line.synthetic).length;
+
+      if (block.scene === undefined || block.scene < 0) return;
+      const scene = scenes[block.scene];
+      scene.lines += spacing + lines.length;
+      scene.startPage = scene.startPage || pages.length + 1;
+      scene.endPage = pages.length + 1;
+    };
+
+    for (const block of blocks) {
+      if (block.sceneStart) {
+        scenes[block.scene] = {
+          index: block.scene,
+          number: block.sceneNumber,
+          heading: block.element.text,
+          startPage: null,
+          endPage: null,
+          lines: 0
+        };
+      }
+    }
+
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i];
+
+      if (block.pageBreak) {
+        newPage();
+        continue;
+      }
+
+      // A locked page starts here, or part way through this block
+      const anchor = (block.anchors || []).find(entry => !entry.used && entry.offset >= block.placed);
+      if (anchor && anchor.offset > block.placed) {
+        const split = this._splitAt(block, this._lineIndex(block, anchor.offset - block.placed));
+        const spacing = page.lines.length ? block.spaceBefore : 0;
+
+        if (split.head.length <= this.layout.linesPerPage) {
+          if (spacing + split.head.length > this.layout.linesPerPage - page.lines.length) {
+            newPage();
+          }
+          place(block, page.lines.length ? spacing : 0, split.head);
+          blocks.splice(i + 1, 0, { ...block, lines: split.tail, spaceBefore: 0, sceneStart: false });
+          continue;
+        }
+        anchor.offset = block.placed;
+      }
+      if (anchor) {
+        anchor.used = true;
+        newPage(anchor);
+      }
+
+      const spacing = page.lines.length ? block.spaceBefore : 0;
+      const remaining = this.layout.linesPerPage - page.lines.length;
+      let needed = spacing + block.lines.length;
+
+      // Keep scene headings with the start of what follows them: two lines
+      // of action, or a cue with two lines of its speech
+      const next = blocks[i + 1];
+      if (block.keepWithNext && next && !next.pageBreak) {
+        needed += next.spaceBefore + Math.min(next.lines.length, next.type === 'dialogue' ? 3 : 2);
+      }
+
+      if (needed <= remaining) {
+        place(block, spacing, block.lines);
+        continue;
+      }
+
+      const split = block.splittable ? this._splitBlock(block, remaining - spacing) : null;
+      if (split) {
+        place(block, spacing, split.head);
+        newPage();
+        blocks.splice(i + 1, 0, { ...block, lines: split.tail, spaceBefore: 0, sceneStart: false });
+        continue;
+      }
+
+      newPage();
+
+      // Blocks longer than a whole page have to be broken somewhere
+      let lines = block.lines;
+      while (lines.length > this.layout.linesPerPage) {
+        place(block, 0, lines.slice(0, this.layout.linesPerPage));
+        newPage();
+        lines = lines.slice(this.layout.linesPerPage);
+      }
+      place(block, 0, lines);
+    }
+
+    const lastPageLines = page.lines.length;
+    newPage();
+
+    const numbers = pages.map(entry => entry.number);
+
+    return {
+      pages: pages.map((entry, index) => ({ number: numbers[index], lines: entry.lines, anchor: entry.anchor })),
+      scenes: scenes.filter(Boolean).map(scene => ({
+        ...scene,
+        startPage: scene.startPage && numbers[scene.startPage - 1],
+        endPage: scene.endPage && numbers[scene.endPage - 1]
+      })),
+      lastPageLines: pages.length ? lastPageLines || this.layout.linesPerPage : 0
+    };
+  }
+
+  /**
+   * Measure a screenplay: page count, length in eighths of a page per scene
+   * (the unit production schedules use) and estimated screen time.
+   *
+   * Options:
+   *   minutesPerPage: number  // Screen time per page, default 1
+   */
+  measure(document, options = {}) {
+    const { pages, scenes, lastPageLines } = this.paginate(document, options);
+    const linesPerPage = this.layout.linesPerPage;
+    const minutesPerPage = options.minutesPerPage || 1;
+
+    // The last page only counts for as much of it as is used
+    const totalEighths = pages.length
+      ? (pages.length - 1) * 8 + Math.max(1, Math.round(lastPageLines / linesPerPage * 8))
+      : 0;
+    const runtimeSeconds = Math.round(totalEighths / 8 * minutesPerPage * 60);
+
+    return {
+      pageCount: pages.length,
+      eighths: totalEighths,
+      length: this.formatEighths(totalEighths),
+      runtime: {
+        minutes: Math.round(runtimeSeconds / 6) / 10,
+        formatted: this._formatDuration(runtimeSeconds)
+      },
+      scenes: scenes.map(scene => {
+        const eighths = Math.max(1, Math.round(scene.lines / linesPerPage * 8));
+        return {
+          index: scene.index,
+          number: scene.number,
+          heading: scene.heading,
+          startPage: scene.startPage,
+          endPage: scene.endPage,
+          eighths,
+          length: this.formatEighths(eighths),
+          runtimeSeconds: Math.round(eighths / 8 * minutesPerPage * 60)
+        };
+      })
+    };
+  }
+
+  /**
+   * Write a length in eighths the way breakdowns do: "4/8", "1 3/8", "2"
+   */
+  formatEighths(eighths) {
+    const pages = Math.floor(eighths / 8);
+    const rest = eighths % 8;
+
+    if (!rest) return String(pages);
+    return pages ? `${pages} ${rest}/8` : `${rest}/8`;
+  }
+
+  /**
+   * Turn document elements into blocks of laid-out lines. A block is the
+   * unit pagination moves around: one paragraph, or one whole speech.
+   */
+  layoutBlocks(document, options = {}) {
+    const elements = (document && document.elements) || [];
+    const blocks = [];
+    let sceneCounter = 0;
+    let sceneLabel;
+
+    for (let i = 0; i < elements.length; i++) {
+      const element = elements[i];
+
+      if (NON_PRINTING.includes(element.type)) continue;
+
+      if (element.type === 'page_break') {
+        blocks.push({ pageBreak: true, lines: [], spaceBefore: 0 });
+        continue;
+      }
+
+      if (element.type === 'character') {
+        const end = this._speechEnd(elements, i);
+        const speech = elements.slice(i, end);
+
+        if (element.dual === 'left') {
+          const split = speech.findIndex((part, index) => index > 0 && part.type === 'character');
+          if (split > 0) {
+            blocks.push(this._keyed({
+              ...this._dualDialogueBlock(speech.slice(0, split), speech.slice(split), element),
+              scene: sceneCounter - 1,
+              sceneLabel
+            }));
+            i = end - 1;
+            continue;
+          }
+        }
+
+        blocks.push(this._keyed({ ...this._speechBlock(speech, element), scene: sceneCounter - 1, sceneLabel }));
+        i = end - 1;
+        continue;
+      }
+
+      const style = this.layout.elements[element.type] || this.layout.elements.action;
+      const lines = this._markRevised(this._layoutText(element.text, style), element);
+
+      const sceneStart = element.type === 'scene_heading';
+      if (sceneStart) {
+        sceneCounter++;
+        sceneLabel = element.sceneNumber || String(sceneCounter);
+        if (options.sceneNumbers && lines.length) {
+          lines[0].sceneNumber = sceneLabel;
+        }
+      }
+
+      blocks.push(this._keyed({
+        type: element.type,
+        element,
+        scene: sceneCounter - 1,
+        sceneStart,
+        sceneNumber: sceneStart ? sceneLabel : undefined,
+        sceneLabel,
+        lines,
+        spaceBefore: style.spaceBefore,
+        keepWithNext: element.type === 'scene_heading' || element.type === 'shot',
+        splittable: element.type === 'action'
+      }));
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Strip Fountain markup that should not appear on the printed page
+   */
+  printableText(text) {
+    return String(text || '')
+      .replace(/\[\[[\s\S]*?\]\]/g, '')
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/\\([*_])/g, '\u0000$1')
+      .replace(/[*_]/g, '')
+      .replace(/\u0000/g, '')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/[ \t]{2,}/g, ' ');
+  }
+
+  /**
+   * Word-wrap text to a width, keeping explicit line breaks
+   */
+  wrap(text, width) {
+    const lines = [];
+
+    for (const paragraph of text.split('\n')) {
+      const words = paragraph.split(/\s+/).filter(Boolean);
+      let line = '';
+
+      if (!words.length) {
+        lines.push('');
+        continue;
+      }
+
+      for (const word of words) {
+        if (!line) {
+          line = word;
+        } else if (line.length + 1 + word.length <= width) {
+          line += ` ${word}`;
+        } else {
+          lines.push(line);
+          line = word;
+        }
+
+        // Break words that are longer than the whole line
+        while (line.length > width) {
+          lines.push(line.slice(0, width));
+          line = line.slice(width);
+        }
+      }
+      lines.push(line);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Lay out a single element's text according to its style
+   */
+  _layoutText(text, style, indentOffset = 0) {
+    let printable = this.printableText(text).trim();
+    if (style.uppercase) {
+      printable = printable.toUpperCase();
+    }
+
+    return this.wrap(printable, style.width).map(line => {
+      let indent = style.indent + indentOffset;
+      if (style.align === 'right') {
+        indent += style.width - line.length;
+      } else if (style.align === 'center') {
+        indent += Math.floor((style.width - line.length) / 2);
+      }
+      return { segments: [{ text: line, indent, font: style.font || 'regular' }] };
+    });
+  }
+
+  /**
+   * Carry an element's revision flags onto its lines: every line of a
+   * revised element, or the first line after a cut
+   */
+  _markRevised(lines, element) {
+    if (element.revised) {
+      lines.forEach(line => { line.revised = true; });
+    } else if (element.deletionMark && lines.length) {
+      lines[0].revised = true;
+    }
+    return lines;
+  }
+
+  /**
+   * Lay out a character cue and everything spoken under it
+   */
+  _speechBlock(speech, cue) {
+    const lines = [];
+
+    for (const part of speech) {
+      const style = this.layout.elements[part.type] || this.layout.elements.dialogue;
+      const partLines = this._markRevised(this._layoutText(part.text, style), part);
+      partLines.forEach(line => { line.role = part.type; });
+      lines.push(...partLines);
+    }
+
+    return {
+      type: 'dialogue',
+      element: cue,
+      character: this.printableText(cue.text).trim().toUpperCase(),
+      lines,
+      spaceBefore: this.layout.elements.character.spaceBefore,
+      splittable: true
+    };
+  }
+
+  /**
+   * Lay out two speeches side by side
+   */
+  _dualDialogueBlock(leftSpeech, rightSpeech, cue) {
+    const column = (speech, geometry) => {
+      const lines = [];
+      for (const part of speech) {
+        const base = this.layout.elements[part.type] || this.layout.elements.dialogue;
+        const indent = geometry[part.type] !== undefined ? geometry[part.type] : geometry.dialogue;
+        const width = part.type === 'character' ? geometry.width - (indent - geometry.dialogue) : geometry.width;
+        const style = { ...base, indent, width, align: undefined };
+        lines.push(...this._markRevised(this._layoutText(part.text, style), part));
+      }
+      return lines;
+    };
+
+    const left = column(leftSpeech, this.layout.dual.left);
+    const right = column(rightSpeech, this.layout.dual.right);
+    const lines = [];
+
+    for (let row = 0; row < Math.max(left.length, right.length); row++) {
+      const segments = [
+        ...(left[row] ? left[row].segments : []),
+        ...(right[row] ? right[row].segments : [])
+      ];
+      const revised = Boolean((left[row] && left[row].revised) || (right[row] && right[row].revised));
+      lines.push(revised ? { segments, revised } : { segments });
+    }
+
+    return {
+      type: 'dual_dialogue',
+      element: cue,
+      lines,
+      spaceBefore: this.layout.elements.character.spaceBefore,
+      splittable: false
+    };
+  }
+
+  /**
+   * Split a block so its head fits in the space left on a page. Returns
+   * null when the block should move to the next page whole.
+   */
+  _splitBlock(block, available) {
+    if (block.type === 'dialogue') {
+      return this._splitSpeech(block, available);
+    }
+
+    // Paragraphs keep at least two lines on each side of the break
+    const max = Math.min(available, block.lines.length - 2);
+    if (max < 2) {
+      return null;
+    }
+
+    return this._splitAt(block, this._sentenceBreak(block.lines, 2, max));
+  }
+
+  /**
+   * Break a speech across pages with (MORE) and (CONT'D)
+   */
+  _splitSpeech(block, available) {
+    const firstDialogue = block.lines.findIndex(line => line.role === 'dialogue');
+    if (firstDialogue === -1) {
+      return null;
+    }
+
+    // One line is reserved for (MORE); keep two dialogue lines each side
+    let max = Math.min(available - 1, block.lines.length - 2);
+    while (max > 0 && block.lines[max - 1].role === 'parenthetical') {
+      max--;
+    }
+    const min = firstDialogue + 2;
+    if (max < min) {
+      return null;
+    }
+
+    return this._splitAt(block, this._sentenceBreak(block.lines, min, max));
+  }
+
+  /**
+   * Split a block before the given line. Speeches get (MORE) at the foot of
+   * the first part and the cue again, with (CONT'D), at the head of the next.
+   */
+  _splitAt(block, at) {
+    if (block.type !== 'dialogue') {
+      return { head: block.lines.slice(0, at), tail: block.lines.slice(at) };
+    }
+
+    const characterIndent = this.layout.elements.character.indent;
+    const name = block.character.replace(/\s*\(CONT'D\)\s*$/i, '');
+
+    return {
+      head: [
+        ...block.lines.slice(0, at),
+        { segments: [{ text: '(MORE)', indent: characterIndent, font: 'regular' }], role: 'more', synthetic: true }
+      ],
+      tail: [
+        { segments: [{ text: `${name} (CONT'D)`, indent: characterIndent, font: 'regular' }], role: 'character', synthetic: true },
+        ...block.lines.slice(at)
+      ]
+    };
+  }
+
+  /**
+   * Index into a block's lines after the given number of its own lines,
+   * skipping the (MORE) and (CONT'D) lines pagination added
+   */
+  _lineIndex(block, count) {
+    let index = 0;
+    while (index < block.lines.length && (count > 0 || block.lines[index].synthetic)) {
+      if (!block.lines[index].synthetic) count--;
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Give a block the key locked pages find it by: its scene and opening lines
+   */
+  _keyed(block) {
+    block.key = block.lines.slice(0, 2)
+      .map(line => line.segments.map(segment => segment.text).join(' ').trim())
+      .join(' ')
+      .slice(0, 80);
+    block.placed = 0;
+    return block;
+  }
+
+  /**
+   * Match each locked page (after the first) to the block it started with,
+   * searching forward so repeated lines match in script order. Pages whose
+   * opening block is gone stay unmatched.
+   *
+   * Returns the indexes of the locked pages that were found.
+   */
+  _attachAnchors(blocks, lockedPages) {
+    const found = [0];
+    let from = 0;
+
+    lockedPages.forEach((entry, index) => {
+      if (index === 0 || !entry.key) return;
+
+      for (let i = from; i < blocks.length; i++) {
+        const block = blocks[i];
+        const ownLines = block.lines.filter(line => !line.synthetic).length;
+
+        if (block.key === entry.key && (block.sceneLabel || null) === (entry.scene || null) && (entry.offset || 0) < ownLines) {
+          block.anchors = block.anchors || [];
+          block.anchors.push({ page: entry.number, index, offset: entry.offset || 0 });
+          found.push(index);
+          from = i;
+          return;
+        }
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Number a finished page. Unlocked pages count up. In a locked draft a page
+   * that starts a locked page takes its number, along with any locked pages
+   * after it whose material is gone (22-23); overflow pages take the last
+   * locked number with a letter (23A, 23B).
+   */
+  _labelPage(page, count, lockedPages, found, lastLocked) {
+    if (!lockedPages) {
+      page.number = String(count);
+      return lastLocked;
+    }
+
+    if (page.locked) {
+      const next = found.find(index => index > page.locked.index);
+      const last = lockedPages[next === undefined ? lockedPages.length - 1 : next - 1].number;
+
+      page.number = last === page.locked.page ? last : `${page.locked.page}-${last}`;
+      return { base: last, suffixes: 0 };
+    }
+
+    lastLocked.suffixes++;
+    page.number = `${lastLocked.base}${this._letters(lastLocked.suffixes)}`;
+    return lastLocked;
+  }
+
+  /**
+   * A, B, ... Z, AA, AB for suffix numbering
+   */
+  _letters(count) {
+    let letters = '';
+    while (count > 0) {
+      count--;
+      letters = String.fromCharCode(65 + (count % 26)) + letters;
+      count = Math.floor(count / 26);
+    }
+    return letters;
+  }
+
+  /**
+   * Choose the latest break point between min and max lines that ends a
+   * sentence, falling back to max
+   */
+  _sentenceBreak(lines, min, max) {
+    for (let at = max; at >= min; at--) {
+      const text = lines[at - 1].segments.map(segment => segment.text).join(' ').trim();
+      if (/[.?!]["')]?$/.test(text)) {
+        return at;
+      }
+    }
+    return max;
+  }
+
+  /**
+   * Find the end of the speech that starts at a character cue. A right-hand
+   * dual dialogue cue continues the same speech group.
+   */
+  _speechEnd(elements, start) {
+    const dual = elements[start].dual === 'left';
+    let end = start + 1;
+
+    while (end < elements.length) {
+      const { type } = elements[end];
+      if (type === 'parenthetical' || type === 'dialogue' || type === 'lyrics') {
+        end++;
+      } else if (dual && type === 'character' && elements[end].dual === 'right') {
+        end++;
+      } else {
+        break;
+      }
+    }
+    return end;
+  }
+
+  _formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = seconds % 60;
+    return [hours, minutes, rest].map(value => String(value).padStart(2, '0')).join(':');
+  }
+
+  _pushLines(page, spacing, lines) {
+    for (let i = 0; i < spacing; i++) {
+      page.push(null);
+    }
+    page.push(...lines);
+  }
+}
+
+module.exports = ScreenplayPaginator;
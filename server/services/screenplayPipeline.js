@@ -0,0 +1,328 @@
+// server/services/screenplayPipeline.js - Outline-driven screenplay generation
+//
+// A feature is too long for one LLM call, so it is built in stages: concept
+// -> beat sheet -> numbered scene list -> one call per scene. The outline
+// carries the work between stages, so it can be reviewed and edited before
+// the next one runs. Each scene is written from a rolling summary of the
+// scenes before it, then the written scenes are assembled into a screenplay.
+const { v4: uuidv4 } = require('uuid');
+const PromptLibrary = require('./promptLibrary');
+
+// How many earlier scenes are passed by summary; scenes before that reach
+// the writer through the beats they belong to
+const SUMMARY_WINDOW = 8;
+
+class ScreenplayPipeline {
+  constructor(scriptGenerator) {
+    this.scriptGenerator = scriptGenerator;
+  }
+
+  /**
+   * Start an outline for a concept by generating its beat sheet
+   *
+   * Options: characters, setting, structure, targetPages, and signal,
+   * calls, projectId and noCache (as for ScriptGenerator._callLLM)
+   */
+  async createOutline(concept, options = {}) {
+    const outline = {
+      concept,
+      characters: Array.isArray(options.characters) ? options.characters : [],
+      setting: options.setting || null,
+      structure: options.structure || null,
+      targetPages: options.targetPages || 100,
+      stage: 'beats',
+      beats: [],
+      scenes: [],
+      screenplayAssetId: null,
+      prompts: {}
+    };
+
+    const calls = options.calls || [];
+    const first = calls.length;
+    const beats = await this.scriptGenerator.generateBeatSheet(concept, {
+      characters: outline.characters,
+      structure: outline.structure,
+      targetPages: outline.targetPages,
+      ...this._callOptions(options),
+      calls
+    });
+    outline.prompts = PromptLibrary.callVersions(calls.slice(first));
+
+    return this.editOutline(outline, { beats });
+  }
+
+  /**
+   * Generate the scene list from the outline's beats, replacing any scenes
+   * it had
+   *
+   * Options: sceneCount, and signal, calls, projectId, noCache
+   */
+  async planScenes(outline, options = {}) {
+    const calls = options.calls || [];
+    const first = calls.length;
+    const scenes = await this.scriptGenerator.generateSceneList(outline.concept, outline.beats, {
+      characters: outline.characters,
+      targetPages: outline.targetPages,
+      sceneCount: options.sceneCount,
+      ...this._callOptions(options),
+      calls
+    });
+    const prompts = { ...outline.prompts, ...PromptLibrary.callVersions(calls.slice(first)) };
+
+    return this.editOutline({ ...outline, prompts }, { scenes });
+  }
+
+  /**
+   * Apply edits to an outline. Beats and scenes are renumbered in their new
+   * order. Scenes are matched to the old ones by id and keep their written
+   * text unless the edit replaces it; new scenes start out pending.
+   */
+  editOutline(outline, edits = {}) {
+    const updated = { ...outline };
+
+    for (const field of ['concept', 'characters', 'setting', 'structure', 'targetPages']) {
+      if (edits[field] !== undefined) updated[field] = edits[field];
+    }
+
+    if (Array.isArray(edits.beats)) {
+      updated.beats = edits.beats.map((beat, index) => ({
+        number: index + 1,
+        name: beat.name || `Beat ${index + 1}`,
+        description: beat.description || ''
+      }));
+    }
+
+    if (Array.isArray(edits.scenes)) {
+      const existing = new Map(outline.scenes.map(scene => [scene.id, scene]));
+
+      updated.scenes = edits.scenes.map((scene, index) => {
+        const previous = existing.get(scene.id) || {};
+        const raw = scene.raw !== undefined ? scene.raw : previous.raw;
+        const rewritten = scene.raw !== undefined && scene.raw !== previous.raw;
+
+        return {
+          id: previous.id || `scene_${uuidv4().substring(0, 8)}`,
+          number: index + 1,
+          heading: scene.heading !== undefined ? scene.heading : (previous.heading || ''),
+          description: scene.description !== undefined ? scene.description : (previous.description || ''),
+          characters: scene.characters || previous.characters || [],
+          beat: scene.beat !== undefined ? scene.beat : (previous.beat || null),
+          status: raw ? 'written' : 'pending',
+          raw: raw || null,
+          // A summary of the old text no longer holds for hand-edited text
+          summary: rewritten ? null : (previous.summary || null),
+          writtenAt: rewritten ? new Date().toISOString() : (previous.writtenAt || null),
+          prompts: rewritten ? null : (previous.prompts || null)
+        };
+      });
+    }
+
+    updated.stage = this._stage(updated);
+    return updated;
+  }
+
+  /**
+   * Mark scenes to be written again: the given scene ids, or all of them
+   */
+  resetScenes(outline, sceneIds = null) {
+    const scenes = outline.scenes.map(scene => (!sceneIds || sceneIds.includes(scene.id))
+      ? { ...scene, status: 'pending', raw: null, summary: null, writtenAt: null, prompts: null }
+      : scene);
+
+    return { ...outline, scenes, stage: this._stage({ ...outline, scenes }) };
+  }
+
+  /**
+   * The first scene still to be written, or null
+   */
+  nextPending(outline) {
+    return outline.scenes.find(scene => scene.status !== 'written') || null;
+  }
+
+  /**
+   * Write one scene of an outline, from its description and what comes
+   * before and after it. Resolves to { raw, summary, prompts } without
+   * changing the outline; see applyScene.
+   *
+   * Options: onToken, signal, calls, projectId, noCache (as for
+   * ScriptGenerator.generateScene)
+   */
+  async writeScene(outline, sceneId, options = {}) {
+    const index = outline.scenes.findIndex(scene => scene.id === sceneId);
+    if (index === -1) {
+      throw new Error(`Scene not found: ${sceneId}`);
+    }
+
+    const scene = outline.scenes[index];
+    const context = this.sceneContext(outline, index);
+    const description = [scene.heading, scene.description].filter(Boolean).join('\n');
+
+    const calls = options.calls || [];
+    const first = calls.length;
+    const raw = (await this.scriptGenerator.generateScene(description, this._sceneCharacters(outline, scene), context, {
+      onToken: options.onToken,
+      ...this._callOptions(options),
+      calls
+    })).trim();
+    const summary = await this.scriptGenerator.summarizeScene(raw, { ...this._callOptions(options), calls });
+
+    return { raw, summary, prompts: PromptLibrary.callVersions(calls.slice(first)) };
+  }
+
+  /**
+   * Store a written scene in the outline. Returns the updated outline, or
+   * null if the scene is no longer in it.
+   */
+  applyScene(outline, sceneId, written) {
+    if (!outline.scenes.some(scene => scene.id === sceneId)) {
+      return null;
+    }
+
+    const scenes = outline.scenes.map(scene => scene.id === sceneId
+      ? { ...scene, status: 'written', raw: written.raw, summary: written.summary, writtenAt: new Date().toISOString(), prompts: written.prompts || null }
+      : scene);
+
+    return { ...outline, scenes, stage: this._stage({ ...outline, scenes }) };
+  }
+
+  /**
+   * What the writer of a scene needs to know: the concept and setting, the
+   * story so far, how the previous scene ended and where the story goes next
+   */
+  sceneContext(outline, index) {
+    const scene = outline.scenes[index];
+    const windowStart = Math.max(0, index - SUMMARY_WINDOW);
+    const previous = outline.scenes[index - 1];
+    const next = outline.scenes[index + 1];
+
+    // Scenes not written yet, or rewritten by hand, stand in by their
+    // description
+    const recent = outline.scenes.slice(windowStart, index)
+      .map(entry => `Scene ${entry.number} (${entry.heading || 'untitled'}): ${entry.summary || entry.description}`);
+
+    // Beats the story has fully moved past before the summarized scenes
+    const earlierBeats = windowStart > 0 ? outline.beats.filter(beat => {
+      const lastScene = outline.scenes.filter(entry => entry.beat === beat.number).pop();
+      return lastScene && lastScene.number <= windowStart;
+    }) : [];
+
+    const beat = outline.beats.find(entry => entry.number === scene.beat);
+    const pages = Math.max(1, Math.round(outline.targetPages / Math.max(1, outline.scenes.length)));
+
+    return {
+      concept: this._conceptSummary(outline.concept),
+      setting: outline.setting || undefined,
+      storySoFar: earlierBeats.map(entry => `${entry.name}: ${entry.description}`),
+      previousScenes: recent,
+      previousSceneEnding: previous && previous.raw ? previous.raw.slice(-800) : undefined,
+      currentBeat: beat ? `${beat.name}: ${beat.description}` : undefined,
+      nextScene: next ? `${next.heading} ${next.description}`.trim() : 'This is the final scene.',
+      instructions: [
+        `This is scene ${scene.number} of ${outline.scenes.length}.`,
+        scene.heading ? `Begin with the scene heading "${scene.heading}".` : 'Begin with a scene heading.',
+        `Write only this scene, about ${pages} page${pages === 1 ? '' : 's'} long.`,
+        next ? 'Do not end the screenplay or write FADE OUT.' : 'End the screenplay.'
+      ].join(' ')
+    };
+  }
+
+  /**
+   * Join the written scenes into a screenplay. Resolves to { raw, missing },
+   * missing being the numbers of scenes not written yet.
+   */
+  assemble(outline) {
+    const written = outline.scenes.filter(scene => scene.status === 'written' && scene.raw);
+
+    return {
+      raw: written.map(scene => scene.raw.trim()).join('\n\n'),
+      missing: outline.scenes.filter(scene => !written.includes(scene)).map(scene => scene.number)
+    };
+  }
+
+  /**
+   * Metadata kept on outline assets, so project listings show progress
+   */
+  outlineMetadata(outline) {
+    return {
+      stage: outline.stage,
+      beats: outline.beats.length,
+      scenes: outline.scenes.length,
+      written: outline.scenes.filter(scene => scene.status === 'written').length,
+      prompts: this.promptVersions(outline)
+    };
+  }
+
+  /**
+   * The prompt template versions an outline's beats, scene list and
+   * written scenes came from: { name: version }. Where scenes were written
+   * with different versions, the latest scene's is given.
+   */
+  promptVersions(outline) {
+    return Object.assign({}, outline.prompts, ...outline.scenes
+      .filter(scene => scene.status === 'written' && scene.prompts)
+      .sort((a, b) => String(a.writtenAt).localeCompare(String(b.writtenAt)))
+      .map(scene => scene.prompts));
+  }
+
+  /**
+   * The options passed on to every ScriptGenerator call
+   */
+  _callOptions(options) {
+    return {
+      signal: options.signal,
+      calls: options.calls,
+      projectId: options.projectId,
+      noCache: options.noCache
+    };
+  }
+
+  _stage(outline) {
+    if (!outline.scenes.length) {
+      return 'beats';
+    }
+
+    const written = outline.scenes.filter(scene => scene.status === 'written').length;
+    if (written === outline.scenes.length) return 'written';
+    return written ? 'writing' : 'scenes';
+  }
+
+  /**
+   * The outline characters who appear in a scene (by name or alias), or
+   * all of them if the scene names none that are known
+   */
+  _sceneCharacters(outline, scene) {
+    const names = (scene.characters || []).map(name => String(name).toUpperCase());
+    const present = outline.characters.filter(character =>
+      [character.name, ...(character.aliases || [])].some(name => names.includes(String(name || '').toUpperCase())));
+
+    if (present.length) {
+      return present;
+    }
+    return names.length && !outline.characters.length
+      ? names.map(name => ({ name, description: 'Not specified' }))
+      : outline.characters;
+  }
+
+  _conceptSummary(concept) {
+    if (!concept || typeof concept !== 'object') {
+      return concept;
+    }
+
+    // Keep the story (logline and synopsis, see schemas/concept.json; older
+    // concepts were keyed LOGLINE, SYNOPSIS) and leave the rest out of
+    // every scene prompt
+    const pick = key => Object.keys(concept).find(entry => entry.toLowerCase() === key);
+    const logline = pick('logline');
+    const synopsis = pick('synopsis');
+
+    if (logline || synopsis) {
+      return [logline && concept[logline], synopsis && concept[synopsis]]
+        .filter(Boolean)
+        .map(value => (typeof value === 'string' ? value : JSON.stringify(value)))
+        .join('\n\n');
+    }
+    return JSON.stringify(concept, null, 2);
+  }
+}
+
+module.exports = ScreenplayPipeline;
@@ -1,253 +1,352 @@
 // server/services/scriptGenerator.js - Service for generating scripts using LLM
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
 const config = require('../config');
+const { createProviderChain } = require('./providers');
+const UsageTracker = require('./usageTracker');
+const ResponseCache = require('./responseCache');
+const PromptLibrary = require('./promptLibrary');
+const StructuredOutput = require('./structuredOutput');
+const CharacterBible = require('./characterBible');
 
 class ScriptGenerator {
   constructor() {
     // Load configuration from config file
     this.apiConfig = config.llm.api;
-    this.promptTemplates = this._loadPromptTemplates();
+    this.prompts = PromptLibrary.shared;
+    this.usageTracker = new UsageTracker();
+    this.responseCache = ResponseCache.shared;
+    this.structuredOutput = new StructuredOutput();
+    this.repairAttempts = (config.structuredOutput || {}).repairAttempts;
+    this.characterBible = new CharacterBible();
   }
 
   /**
-   * Load prompt templates from files
+   * The configured LLM provider and its fallbacks, built on first use
    */
-  _loadPromptTemplates() {
-    const templatesDir = path.join(__dirname, '../prompts');
-    return {
-      concept: fs.readFileSync(path.join(templatesDir, 'concept.prompt'), 'utf8'),
-      screenplay: fs.readFileSync(path.join(templatesDir, 'screenplay.prompt'), 'utf8'),
-      scene: fs.readFileSync(path.join(templatesDir, 'scene.prompt'), 'utf8'),
-      analysis: fs.readFileSync(path.join(templatesDir, 'analysis.prompt'), 'utf8')
-    };
+  _provider() {
+    if (!this.provider) {
+      this.provider = createProviderChain(this.apiConfig);
+    }
+    return this.provider;
   }
 
   /**
    * Call the LLM API with a prompt
+   * 
+   * Options:
+   *   model, temperature, maxTokens  // Override the configured defaults
+   *   onToken: function(text)        // Stream the response, calling this
+   *                                  // with each piece as it arrives
+   *   signal: AbortSignal            // Cancel the request
+   *   calls: array                   // Each call made is added to this:
+   *                                  // { provider, model, attempts,
+   *                                  // fallback, errors, usage, cached,
+   *                                  // prompts }
+   *   projectId: string              // Record the call's token usage
+   *                                  // against this project, refusing it
+   *                                  // if the project's budget is spent
+   *   operation: string              // What the usage is recorded as
+   *   noCache: boolean               // Call the model even if the response
+   *                                  // is cached (the new one replaces it)
+   *   prompts: object                // The template versions the prompt was
+   *                                  // rendered from (see
+   *                                  // PromptLibrary.render), kept on the
+   *                                  // call
+   * 
+   * Failed calls are retried and fall back to other providers as
+   * configured (see ProviderChain). Resolves to the full response text
+   * either way.
+   * 
+   * Responses are cached (see ResponseCache). A cached response is handed
+   * to onToken in one piece and costs nothing; its call is marked
+   * cached: true.
    */
   async _callLLM(prompt, options = {}) {
-    // Check which LLM provider to use based on config
-    switch (this.apiConfig.provider) {
-      case 'openai':
-        return this._callOpenAI(prompt, options);
-      case 'anthropic':
-        return this._callAnthropic(prompt, options);
-      case 'localai':
-        return this._callLocalAI(prompt, options);
-      default:
-        throw new Error(`Unsupported LLM provider: ${this.apiConfig.provider}`);
+    const { calls, projectId, operation, noCache, prompts, ...callOptions } = options;
+    const messages = [{ role: 'user', content: prompt }];
+    const cacheParams = this._cacheParams(prompt, callOptions);
+    
+    if (projectId) {
+      await this.usageTracker.assertWithinBudget(projectId);
+    }
+    
+    const cached = noCache ? null : await this._cacheLookup(cacheParams);
+    let call;
+    let response;
+    
+    if (cached) {
+      response = cached.text;
+      call = {
+        provider: cached.provider,
+        model: cached.model,
+        attempts: 0,
+        fallback: false,
+        errors: [],
+        usage: { promptTokens: 0, completionTokens: 0, estimated: false },
+        cached: true
+      };
+      if (typeof options.onToken === 'function') options.onToken(response);
+    } else {
+      call = {};
+      response = typeof options.onToken === 'function'
+        ? await this._provider().stream(messages, { ...callOptions, call })
+        : await this._provider().chat(messages, { ...callOptions, call });
+      call.cached = false;
+      
+      // Stored under whichever provider and model answered, fallback or not
+      await this._cacheStore({ ...cacheParams, provider: call.provider, model: call.model }, response, call.usage);
     }
+    
+    call.prompts = prompts || null;
+    if (calls) calls.push(call);
+    if (projectId) {
+      await this.usageTracker.record(projectId, operation, call);
+    }
+    return response;
   }
 
   /**
-   * Call OpenAI API
+   * What a call's response is cached by: the configured provider and the
+   * model and settings the call will use
    */
-  async _callOpenAI(prompt, options = {}) {
-    try {
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: options.model || this.apiConfig.model || 'gpt-4',
-          messages: [{ role: 'user', content: prompt }],
-          temperature: options.temperature || this.apiConfig.temperature || 0.7,
-          max_tokens: options.maxTokens || this.apiConfig.maxTokens || 4000
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiConfig.apiKey}`
-          }
-        }
-      );
+  _cacheParams(prompt, options) {
+    return {
+      provider: this.apiConfig.provider,
+      model: this._provider().model(options),
+      temperature: options.temperature !== undefined ? options.temperature : this.apiConfig.temperature,
+      maxTokens: options.maxTokens !== undefined ? options.maxTokens : this.apiConfig.maxTokens,
+      prompt
+    };
+  }
 
-      return response.data.choices[0].message.content.trim();
+  async _cacheLookup(params) {
+    try {
+      return await this.responseCache.get(this.responseCache.key(params));
     } catch (error) {
-      console.error('OpenAI API call failed:', error.response?.data || error.message);
-      throw new Error(`OpenAI API call failed: ${error.message}`);
+      // A broken cache only costs another call
+      console.error('Error reading the response cache:', error);
+      return null;
     }
   }
 
-  /**
-   * Call Anthropic API
-   */
-  async _callAnthropic(prompt, options = {}) {
+  async _cacheStore(params, text, usage) {
     try {
-      const response = await axios.post(
-        'https://api.anthropic.com/v1/messages',
-        {
-          model: options.model || this.apiConfig.model || 'claude-3-opus-20240229',
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: options.maxTokens || this.apiConfig.maxTokens || 4000
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiConfig.apiKey,
-            'anthropic-version': '2023-06-01'
-          }
-        }
-      );
+      await this.responseCache.set(this.responseCache.key(params), params, { text, usage });
+    } catch (error) {
+      console.error('Error writing the response cache:', error);
+    }
+  }
 
-      return response.data.content[0].text;
+  async _cacheDelete(params) {
+    try {
+      await this.responseCache.delete(this.responseCache.key(params));
     } catch (error) {
-      console.error('Anthropic API call failed:', error.response?.data || error.message);
-      throw new Error(`Anthropic API call failed: ${error.message}`);
+      console.error('Error writing the response cache:', error);
     }
   }
 
   /**
-   * Call local LLM API
+   * Call the LLM for JSON matching a schema (see StructuredOutput). A
+   * response that does not match is sent back to the model with what is
+   * wrong with it, up to repairAttempts times. Resolves to the validated
+   * value; throws an error with code INVALID_OUTPUT (and error.errors and
+   * error.response) if the model never gets it right.
+   * 
+   * prompt is a rendered template ({ text, versions }); options are as for
+   * _callLLM.
    */
-  async _callLocalAI(prompt, options = {}) {
-    try {
-      const response = await axios.post(
-        this.apiConfig.endpoint,
-        {
-          prompt: prompt,
-          max_tokens: options.maxTokens || this.apiConfig.maxTokens || 4000,
-          temperature: options.temperature || this.apiConfig.temperature || 0.7
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
+  async _callStructured(schemaName, prompt, options = {}) {
+    const schema = this.structuredOutput.schema(schemaName);
+    const sent = [prompt.text];
+    let response = await this._callLLM(prompt.text, { ...options, prompts: prompt.versions });
+    
+    for (let attempt = 0; ; attempt++) {
+      const { value, errors } = this.structuredOutput.parse(schemaName, response);
+      if (!errors.length) {
+        return value;
+      }
+      
+      if (attempt >= (this.repairAttempts || 0)) {
+        // Ask the model afresh next time rather than replay these answers
+        for (const text of sent) {
+          await this._cacheDelete(this._cacheParams(text, options));
         }
-      );
-
-      return response.data.choices[0].text.trim();
-    } catch (error) {
-      console.error('Local AI call failed:', error.response?.data || error.message);
-      throw new Error(`Local AI call failed: ${error.message}`);
+        
+        const error = new Error(`The model did not return a valid ${(schema.title || schemaName).toLowerCase()} after ${attempt + 1} attempt${attempt ? 's' : ''}: ${errors.slice(0, 5).join('; ')}`);
+        error.code = 'INVALID_OUTPUT';
+        error.errors = errors;
+        error.response = response;
+        throw error;
+      }
+      
+      const repair = await this.prompts.render('repair', {
+        SCHEMA: schema,
+        RESPONSE: response,
+        ERRORS: errors
+      }, { projectId: options.projectId });
+      // The same mistakes make the same prompt, which the cache would
+      // answer with the same response
+      const repeated = sent.includes(repair.text);
+      sent.push(repair.text);
+      response = await this._callLLM(repair.text, { ...options, noCache: options.noCache || repeated, prompts: repair.versions });
     }
   }
 
   /**
-   * Build a concept generation prompt
+   * The options of a public method that are passed on to _callLLM, with
+   * the operation its usage is recorded as
+   */
+  _callOptions(options, operation) {
+    return {
+      onToken: options.onToken,
+      signal: options.signal,
+      calls: options.calls,
+      projectId: options.projectId,
+      noCache: options.noCache,
+      operation
+    };
+  }
+
+  /**
+   * Build a concept generation prompt. Like the other builders, resolves
+   * to { text, versions } (see PromptLibrary.render).
    */
   _buildConceptPrompt(premise, options = {}) {
-    let prompt = this.promptTemplates.concept;
-    
-    // Replace placeholders in the template
-    prompt = prompt.replace('{{PREMISE}}', premise);
-    prompt = prompt.replace('{{GENRE}}', options.genre || 'Not specified');
-    prompt = prompt.replace('{{THEMES}}', Array.isArray(options.themes) 
-      ? options.themes.join(', ') 
-      : (options.themes || 'Not specified'));
-    prompt = prompt.replace('{{LENGTH}}', options.length || 'Feature film (approximately 90-120 minutes)');
-    
-    return prompt;
+    return this.prompts.render('concept', {
+      PREMISE: premise,
+      GENRE: options.genre || null,
+      THEMES: options.themes || null,
+      LENGTH: options.length || null,
+      SCHEMA: this.structuredOutput.schema('concept')
+    }, { projectId: options.projectId });
   }
 
   /**
-   * Build a screenplay generation prompt
+   * The characters a prompt presents: the profiles of the project
+   * characters in options.characterIds (see CharacterBible.profiles),
+   * then the characters given inline that are not among them. Null if
+   * there are none.
    */
-  _buildScreenplayPrompt(concept, options = {}) {
-    let prompt = this.promptTemplates.screenplay;
-    
-    // Convert concept to string if it's an object
-    const conceptStr = typeof concept === 'object' 
-      ? JSON.stringify(concept, null, 2) 
-      : concept;
-    
-    // Replace placeholders in the template
-    prompt = prompt.replace('{{CONCEPT}}', conceptStr);
+  async _characters(characters, options = {}) {
+    const stored = options.projectId && Array.isArray(options.characterIds) && options.characterIds.length
+      ? await this.characterBible.profiles(options.projectId, options.characterIds)
+      : [];
+    const inline = (Array.isArray(characters) ? characters : [])
+      .filter(character => !character || !this.characterBible.find(stored, character.name));
     
-    // Add character information if available
-    if (options.characters && Array.isArray(options.characters)) {
-      const charactersStr = options.characters.map(character => {
-        return `Character: ${character.name}
-Description: ${character.description}
-Role: ${character.role}
-Traits: ${character.traits || 'Not specified'}
-`;
-      }).join('\n');
-      
-      prompt = prompt.replace('{{CHARACTERS}}', charactersStr);
-    } else {
-      prompt = prompt.replace('{{CHARACTERS}}', 'Develop characters based on the concept.');
-    }
-    
-    // Add structure preference if available
-    prompt = prompt.replace('{{STRUCTURE}}', options.structure || 'Standard three-act structure');
-    
-    return prompt;
+    const all = [...stored, ...inline];
+    return all.length ? all : null;
   }
 
   /**
-   * Build a scene generation prompt
+   * Build a screenplay generation prompt. options.characterIds adds the
+   * stored profiles of project characters to options.characters.
    */
-  _buildScenePrompt(sceneDescription, characters, context) {
-    let prompt = this.promptTemplates.scene;
-    
-    // Replace placeholders in the template
-    prompt = prompt.replace('{{SCENE_DESCRIPTION}}', sceneDescription);
+  async _buildScreenplayPrompt(concept, options = {}) {
+    return this.prompts.render('screenplay', {
+      CONCEPT: concept,
+      CHARACTERS: await this._characters(options.characters, options),
+      STRUCTURE: options.structure || null
+    }, { projectId: options.projectId });
+  }
+
+  /**
+   * Build a scene generation prompt. options.characterIds adds the stored
+   * profiles of project characters to characters.
+   */
+  async _buildScenePrompt(sceneDescription, characters, context, options = {}) {
+    return this.prompts.render('scene', {
+      SCENE_DESCRIPTION: sceneDescription,
+      CHARACTERS: await this._characters(characters, options),
+      CONTEXT: context || null
+    }, { projectId: options.projectId });
+  }
+
+  /**
+   * Build a beat sheet prompt
+   */
+  _buildBeatSheetPrompt(concept, options = {}) {
+    return this.prompts.render('beats', {
+      CONCEPT: concept,
+      CHARACTERS: Array.isArray(options.characters) ? options.characters : null,
+      STRUCTURE: options.structure || null,
+      LENGTH: `Feature film of about ${options.targetPages || 100} pages`
+    }, { projectId: options.projectId });
+  }
+
+  /**
+   * Build a scene list prompt
+   */
+  _buildSceneListPrompt(concept, beats, options = {}) {
+    const pageCount = options.targetPages || 100;
     
-    // Add character information
-    if (characters && Array.isArray(characters)) {
-      const charactersStr = characters.map(character => {
-        return `Character: ${character.name}
-Description: ${character.description}
-Traits: ${character.traits || 'Not specified'}
-`;
-      }).join('\n');
-      
-      prompt = prompt.replace('{{CHARACTERS}}', charactersStr);
-    } else {
-      prompt = prompt.replace('{{CHARACTERS}}', 'No specific character details provided.');
-    }
+    return this.prompts.render('scene-list', {
+      CONCEPT: concept,
+      CHARACTERS: Array.isArray(options.characters) ? options.characters : null,
+      BEATS: beats,
+      PAGE_COUNT: pageCount,
+      SCENE_COUNT: options.sceneCount || Math.round(pageCount / 2)
+    }, { projectId: options.projectId });
+  }
+
+  /**
+   * Read a JSON array out of a response, tolerating text around it. Falls
+   * back to the response's numbered or bulleted lines, as strings.
+   */
+  _parseList(response) {
+    const candidates = [response, response.slice(response.indexOf('['), response.lastIndexOf(']') + 1)];
     
-    // Add context information
-    if (context) {
-      const contextStr = typeof context === 'object' 
-        ? JSON.stringify(context, null, 2) 
-        : context;
-      
-      prompt = prompt.replace('{{CONTEXT}}', contextStr);
-    } else {
-      prompt = prompt.replace('{{CONTEXT}}', 'No specific context provided.');
+    for (const candidate of candidates) {
+      try {
+        const parsed = JSON.parse(candidate);
+        if (Array.isArray(parsed)) return parsed;
+        
+        // An object wrapping the list, e.g. { "beats": [...] }
+        const list = parsed && Object.values(parsed).find(Array.isArray);
+        if (list) return list;
+      } catch (e) {
+        // Try the next candidate
+      }
     }
     
-    return prompt;
+    return response.split('\n')
+      .map(line => line.trim())
+      .filter(line => /^(\d+[.)]|[-*])\s+/.test(line))
+      .map(line => line.replace(/^(\d+[.)]|[-*])\s+/, ''));
   }
 
   /**
    * Generate an expanded concept from a premise
+   * 
+   * Resolves to a concept matching schemas/concept.json, or throws an
+   * INVALID_OUTPUT error (see _callStructured).
    */
   async generateConcept(premise, options = {}) {
-    const prompt = this._buildConceptPrompt(premise, options);
+    const prompt = await this._buildConceptPrompt(premise, options);
     
-    const response = await this._callLLM(prompt, {
+    return this._callStructured('concept', prompt, {
       temperature: 0.7,  // More creative
-      maxTokens: 2000
+      maxTokens: 2000,
+      ...this._callOptions(options, 'concept')
     });
-    
-    // Parse the response - in a real implementation, we might do more sophisticated parsing
-    try {
-      // Check if the response is already in JSON format
-      return JSON.parse(response);
-    } catch (e) {
-      // If not JSON, return as structured text
-      return {
-        premise,
-        expanded: response,
-        genre: options.genre,
-        themes: options.themes,
-        length: options.length
-      };
-    }
   }
 
   /**
    * Generate a screenplay from a concept
+   * 
+   * Pass options.onToken (and optionally options.signal) to stream the
+   * screenplay as it is written, see _callLLM. Pass options.projectId to
+   * record the usage against a project and hold it to the project's budget,
+   * options.characterIds to write with that project's stored characters,
+   * and options.noCache to skip the response cache.
    */
   async generateScreenplay(concept, options = {}) {
-    const prompt = this._buildScreenplayPrompt(concept, options);
+    const prompt = await this._buildScreenplayPrompt(concept, options);
     
-    const response = await this._callLLM(prompt, {
+    const response = await this._callLLM(prompt.text, {
       temperature: 0.5,  // Less random for structure
-      maxTokens: 8000    // Screenplays are long
+      maxTokens: 8000,   // Screenplays are long
+      prompts: prompt.versions,
+      ...this._callOptions(options, 'screenplay')
     });
     
     return response;
@@ -255,39 +354,144 @@ Traits: ${character.traits || 'Not specified'}
 
   /**
    * Generate a scene from a description
+   * 
+   * Options are as for generateScreenplay: onToken and signal for streaming,
+   * projectId for usage, characterIds, noCache.
    */
-  async generateScene(sceneDescription, characters, context) {
-    const prompt = this._buildScenePrompt(sceneDescription, characters, context);
+  async generateScene(sceneDescription, characters, context, options = {}) {
+    const prompt = await this._buildScenePrompt(sceneDescription, characters, context, options);
     
-    const response = await this._callLLM(prompt, {
+    const response = await this._callLLM(prompt.text, {
       temperature: 0.6,
-      maxTokens: 2000
+      maxTokens: 2000,
+      prompts: prompt.versions,
+      ...this._callOptions(options, 'scene')
     });
     
     return response;
   }
 
+  /**
+   * Generate a beat sheet for a concept: the turning points of the story,
+   * in order
+   * 
+   * Options: characters, structure, targetPages, signal, projectId, noCache
+   * Resolves to [{ number, name, description }]
+   */
+  async generateBeatSheet(concept, options = {}) {
+    const prompt = await this._buildBeatSheetPrompt(concept, options);
+    
+    const response = await this._callLLM(prompt.text, {
+      temperature: 0.6,
+      maxTokens: 3000,
+      prompts: prompt.versions,
+      ...this._callOptions(options, 'outline')
+    });
+    
+    return this._parseList(response).map((beat, index) => {
+      if (typeof beat === 'string') {
+        // "Catalyst: Anna finds the letter."
+        const colon = beat.indexOf(':');
+        return colon > 0 && colon < 40
+          ? { number: index + 1, name: beat.slice(0, colon).trim(), description: beat.slice(colon + 1).trim() }
+          : { number: index + 1, name: `Beat ${index + 1}`, description: beat };
+      }
+      
+      return {
+        number: index + 1,
+        name: beat.name || beat.title || `Beat ${index + 1}`,
+        description: beat.description || beat.summary || ''
+      };
+    });
+  }
+
+  /**
+   * Generate a numbered scene list from a beat sheet
+   * 
+   * Options: characters, targetPages, sceneCount, signal, projectId,
+   * noCache
+   * Resolves to [{ number, heading, description, characters, beat }]
+   */
+  async generateSceneList(concept, beats, options = {}) {
+    const prompt = await this._buildSceneListPrompt(concept, beats, options);
+    
+    const response = await this._callLLM(prompt.text, {
+      temperature: 0.5,
+      maxTokens: 8000,  // Feature scene lists run to 50+ scenes
+      prompts: prompt.versions,
+      ...this._callOptions(options, 'outline')
+    });
+    
+    return this._parseList(response).map((scene, index) => {
+      if (typeof scene === 'string') {
+        return { number: index + 1, heading: '', description: scene, characters: [], beat: null };
+      }
+      
+      return {
+        number: index + 1,
+        heading: String(scene.heading || scene.slugline || '').toUpperCase(),
+        description: scene.description || scene.summary || '',
+        characters: Array.isArray(scene.characters) ? scene.characters : [],
+        beat: Number.isInteger(scene.beat) ? scene.beat : null
+      };
+    });
+  }
+
+  /**
+   * Summarize a written scene in a few sentences, for the rolling summary
+   * later scenes are written from
+   */
+  async summarizeScene(sceneText, options = {}) {
+    const prompt = await this.prompts.render('scene-summary', { SCENE: sceneText }, { projectId: options.projectId });
+    
+    const response = await this._callLLM(prompt.text, {
+      temperature: 0.2,
+      maxTokens: 300,
+      prompts: prompt.versions,
+      ...this._callOptions(options, 'scene')
+    });
+    
+    return response.trim();
+  }
+
   /**
    * Analyze a screenplay for structure, pacing, etc.
+   * 
+   * Resolves to an analysis matching schemas/analysis.json, or throws an
+   * INVALID_OUTPUT error (see _callStructured).
    */
-  async analyzeScreenplay(screenplay) {
-    let prompt = this.promptTemplates.analysis;
-    prompt = prompt.replace('{{SCREENPLAY}}', screenplay);
+  async analyzeScreenplay(screenplay, options = {}) {
+    const prompt = await this.prompts.render('analysis', {
+      SCREENPLAY: screenplay,
+      SCHEMA: this.structuredOutput.schema('analysis')
+    }, { projectId: options.projectId });
     
-    const response = await this._callLLM(prompt, {
+    return this._callStructured('analysis', prompt, {
       temperature: 0.2,  // More analytical/less creative
-      maxTokens: 3000
+      maxTokens: 3000,
+      ...this._callOptions(options, 'analysis')
     });
+  }
+
+  /**
+   * Break down a screenplay's scenes for production: the cast, extras,
+   * props and so on each one needs. scenes is [{ heading, text }].
+   * 
+   * Resolves to a breakdown matching schemas/breakdown.json, whose scenes
+   * refer to the ones given by number from 1, or throws an INVALID_OUTPUT
+   * error (see _callStructured).
+   */
+  async breakdownScreenplay(scenes, options = {}) {
+    const prompt = await this.prompts.render('breakdown', {
+      SCENES: scenes,
+      SCHEMA: this.structuredOutput.schema('breakdown')
+    }, { projectId: options.projectId });
     
-    try {
-      // Try to parse as JSON
-      return JSON.parse(response);
-    } catch (e) {
-      // If not JSON, return as text
-      return { 
-        analysis: response 
-      };
-    }
+    return this._callStructured('breakdown', prompt, {
+      temperature: 0.2,
+      maxTokens: 8000,  // A list per scene adds up over a feature
+      ...this._callOptions(options, 'breakdown')
+    });
   }
 }
 
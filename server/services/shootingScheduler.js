@@ -0,0 +1,492 @@
+// server/services/shootingScheduler.js - Draft shooting schedules from breakdowns
+//
+// A schedule puts the scenes of a breakdown (see SceneBreakdown), one strip
+// per scene, into shoot days. Days are filled in order, up to a target of
+// pages per day, keeping to one location as long as it has scenes left,
+// with at most maxLocations locations (so maxLocations - 1 company moves) a
+// day, and day scenes before night scenes. A strip only goes on a day when
+// all of its cast are available, and the strips whose cast leave soonest go
+// first. Strips can be pinned to a day, by hand or by dragging them there;
+// every change reflows the strips that are not pinned around them.
+// Schedules are stored as project assets of type 'schedule'.
+const ScreenplayPaginator = require('./screenplayPaginator');
+
+const DEFAULTS = {
+  pagesPerDay: 4,
+  maxLocations: 2,
+  startDate: null,
+  weekends: false,
+  availability: {}
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// No shoot runs longer; availability past it counts as this day, which
+// bounds the work of placing strips and dating days
+const MAX_DAYS = 1000;
+
+// Day scenes are shot before night scenes; scenes of unknown time between
+const DAYLIGHT_ORDER = { day: 0, unknown: 1, night: 2 };
+
+class ShootingScheduler {
+  constructor(options = {}) {
+    this.paginator = options.paginator || new ScreenplayPaginator();
+  }
+
+  /**
+   * Check changes to a schedule's current settings (the defaults, for a
+   * new schedule) against the project's characters. Availability is keyed
+   * by cast name; a character can be named by any of its aliases. Returns
+   * { settings, errors }: the settings to schedule with when errors is
+   * empty.
+   *
+   *   pagesPerDay: number    // Target pages shot a day (default 4)
+   *   maxLocations: number   // Locations a day (default 2)
+   *   startDate: string      // Optional first shoot day, YYYY-MM-DD
+   *   weekends: boolean      // Shoot on weekends too (default false)
+   *   availability: object   // { "ANNA REYES": [{ from, to }] }: the shoot
+   *                          // days (numbers from 1, or dates with a
+   *                          // startDate) each actor is available; either
+   *                          // end may be left open
+   */
+  check(input, characters = [], current = DEFAULTS) {
+    const errors = [];
+    const settings = { ...DEFAULTS, ...current };
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { settings, errors: ['Settings must be an object'] };
+    }
+
+    for (const field of ['pagesPerDay', 'maxLocations']) {
+      if (input[field] === undefined) continue;
+      const value = Number(input[field]);
+      if (!(value > 0) || (field === 'maxLocations' && !Number.isInteger(value))) {
+        errors.push(`${field} must be a positive ${field === 'maxLocations' ? 'whole number' : 'number'}`);
+        continue;
+      }
+      settings[field] = value;
+    }
+
+    if (input.startDate !== undefined) {
+      if (input.startDate !== null && !this._isDate(input.startDate)) {
+        errors.push('startDate must be a date (YYYY-MM-DD)');
+      } else {
+        settings.startDate = input.startDate;
+      }
+    }
+
+    if (input.weekends !== undefined) {
+      settings.weekends = Boolean(input.weekends);
+    }
+
+    if (input.availability !== undefined) {
+      const availability = input.availability;
+      if (!availability || typeof availability !== 'object' || Array.isArray(availability)) {
+        errors.push('availability must be an object of cast names');
+      } else {
+        settings.availability = {};
+        for (const [name, windows] of Object.entries(availability)) {
+          const key = this._castKey(name, characters);
+          const list = Array.isArray(windows) ? windows : [windows];
+          list.forEach((window, index) => {
+            if (!window || typeof window !== 'object' || Array.isArray(window)) {
+              errors.push(`availability.${name}[${index}] must be { from, to }`);
+              return;
+            }
+            for (const end of ['from', 'to']) {
+              const value = window[end];
+              if (value === undefined || value === null) continue;
+              if (typeof value === 'string' && this._isDate(value)) {
+                if (!settings.startDate) {
+                  errors.push(`availability.${name}[${index}].${end} is a date, which needs a startDate`);
+                }
+              } else if (!Number.isInteger(value) || value < 1 || value > MAX_DAYS) {
+                errors.push(`availability.${name}[${index}].${end} must be a shoot day (1 to ${MAX_DAYS}) or a date`);
+              }
+            }
+          });
+          settings.availability[key] = list.map(window => ({
+            from: window && window.from !== undefined ? window.from : null,
+            to: window && window.to !== undefined ? window.to : null
+          }));
+        }
+      }
+    }
+
+    return { settings, errors };
+  }
+
+  /**
+   * Schedule a breakdown. Returns the schedule:
+   *
+   *   { breakdownAssetId, screenplayAssetId, screenplayVersion, title,
+   *     settings,
+   *     strips: [{ id, sceneIndex, number, heading, setting, location,
+   *       subLocation, time, daylight, eighths, pages, synopsis, cast,
+   *       day, pinned }],
+   *     days: [{ day, date, strips: [stripId], eighths, pages, locations,
+   *       moves, cast }],
+   *     unscheduled: [stripId], warnings: [string] }
+   */
+  create(breakdown, settings, options = {}) {
+    const strips = breakdown.scenes.map(scene => ({
+      id: `strip_${scene.index}`,
+      sceneIndex: scene.index,
+      number: scene.number,
+      heading: scene.heading,
+      setting: scene.setting,
+      location: scene.location,
+      subLocation: scene.subLocation,
+      time: scene.time,
+      daylight: scene.daylight,
+      eighths: scene.eighths,
+      pages: scene.pages,
+      synopsis: scene.synopsis || null,
+      cast: [...(scene.elements.cast || [])],
+      day: null,
+      pinned: false
+    }));
+
+    return this.reflow({
+      breakdownAssetId: options.breakdownAssetId || null,
+      screenplayAssetId: breakdown.screenplayAssetId,
+      screenplayVersion: breakdown.screenplayVersion || null,
+      title: breakdown.title || null,
+      settings: { ...DEFAULTS, ...settings },
+      strips,
+      days: [],
+      unscheduled: [],
+      warnings: []
+    });
+  }
+
+  /**
+   * Drag a strip: move it to a day (at a position among the day's pinned
+   * strips, by default the end), which pins it there, or with pinned:
+   * false let the scheduler place it again. Returns { schedule, errors },
+   * reflowed; the schedule is null if the strip is not found.
+   */
+  move(schedule, stripId, changes) {
+    const errors = [];
+    const strip = schedule.strips.find(entry => entry.id === stripId);
+
+    if (!strip) {
+      return { schedule: null, errors };
+    }
+
+    // A strip can go on any day the schedule could run to: every strip a
+    // day of its own after the last day anyone's availability names
+    const lastDay = this._lastWindowDay(this._numbered(schedule.settings)) + schedule.strips.length;
+    const { day, position, pinned } = changes;
+    if (day !== undefined && (!Number.isInteger(day) || day < 1 || day > lastDay)) {
+      errors.push(`day must be a shoot day, from 1 to ${lastDay}`);
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      errors.push('position must be a whole number, from 0');
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      errors.push('pinned must be true or false');
+    }
+    if (day === undefined && pinned === true && strip.day === null) {
+      errors.push('An unscheduled strip needs a day to be pinned to');
+    }
+
+    if (errors.length) {
+      return { schedule, errors };
+    }
+
+    const target = day !== undefined ? day : strip.day;
+    const keep = pinned !== undefined ? pinned : day !== undefined || strip.pinned;
+    const moved = { ...strip, day: keep ? target : null, pinned: keep };
+
+    // A day's pinned strips keep the order they are listed in, so the
+    // strip goes before the one whose place it takes, or after the last
+    const strips = schedule.strips.filter(entry => entry.id !== stripId);
+    const pinnedThere = keep ? strips.filter(entry => entry.pinned && entry.day === target) : [];
+    let at = schedule.strips.indexOf(strip);
+    if (pinnedThere.length) {
+      at = position !== undefined && position < pinnedThere.length
+        ? strips.indexOf(pinnedThere[position])
+        : strips.indexOf(pinnedThere[pinnedThere.length - 1]) + 1;
+    }
+    strips.splice(at, 0, moved);
+
+    return { schedule: this.reflow({ ...schedule, strips }), errors };
+  }
+
+  /**
+   * Place every strip that is not pinned again, around the pinned ones.
+   * Strips keep their place in schedule.strips, which is scene order but
+   * for the pinned strips moved by hand.
+   */
+  reflow(schedule) {
+    const settings = this._numbered(schedule.settings);
+    const capacity = Math.round(settings.pagesPerDay * 8);
+    const warnings = [];
+    const days = new Map();
+    const dayOf = number => {
+      if (!days.has(number)) days.set(number, []);
+      return days.get(number);
+    };
+
+    const pinned = schedule.strips.filter(strip => strip.pinned);
+    for (const strip of pinned) {
+      dayOf(strip.day).push(strip);
+    }
+
+    // Unpinned strips grouped by location, in the order the script first
+    // goes there, day scenes before night scenes
+    const firstVisit = new Map();
+    for (const strip of schedule.strips) {
+      if (!firstVisit.has(strip.location)) firstVisit.set(strip.location, firstVisit.size);
+    }
+    const pool = schedule.strips.filter(strip => !strip.pinned).sort((a, b) =>
+      firstVisit.get(a.location) - firstVisit.get(b.location) ||
+      this._daylightOrder(a) - this._daylightOrder(b) ||
+      a.sceneIndex - b.sceneIndex);
+
+    const lastPinnedDay = Math.max(0, ...pinned.map(strip => strip.day));
+    const limit = Math.max(lastPinnedDay, this._lastWindowDay(settings)) + pool.length;
+    const placed = new Map();
+
+    for (let day = 1; day <= limit && pool.length; day++) {
+      const strips = dayOf(day);
+      let used = strips.reduce((total, strip) => total + strip.eighths, 0);
+      const locations = new Set(strips.map(strip => strip.location));
+      let last = strips.length ? strips[strips.length - 1].location : null;
+
+      for (;;) {
+        const candidates = pool.filter(strip =>
+          (used + strip.eighths <= capacity || used === 0) &&
+          (locations.has(strip.location) || locations.size < settings.maxLocations) &&
+          this.available(settings, strip, day));
+        if (!candidates.length) break;
+
+        // Stay where the day is; otherwise go where the cast leave soonest
+        const strip = candidates.find(entry => entry.location === last) ||
+          candidates.find(entry => locations.has(entry.location)) ||
+          candidates.reduce((best, entry) => (this._deadline(settings, entry) < this._deadline(settings, best) ? entry : best));
+
+        pool.splice(pool.indexOf(strip), 1);
+        strips.push(strip);
+        placed.set(strip.id, day);
+        used += strip.eighths;
+        locations.add(strip.location);
+        last = strip.location;
+      }
+    }
+
+    const unscheduled = pool.map(strip => strip.id);
+    for (const strip of pool) {
+      warnings.push(`Scene ${strip.number || strip.heading} does not fit on any day its cast are all available`);
+    }
+
+    // Empty days at the end are dropped; empty days between are kept, since
+    // availability is given in shoot days
+    const numbers = [...days.keys()].filter(number => days.get(number).length);
+    const count = Math.max(0, ...numbers);
+    const dates = this.datesOf(settings, count);
+    const result = [];
+
+    for (let number = 1; number <= count; number++) {
+      const strips = days.get(number) || [];
+      const pinnedThere = strips.filter(strip => strip.pinned);
+      const locationOrder = new Map();
+      for (const strip of strips) {
+        if (!locationOrder.has(strip.location)) locationOrder.set(strip.location, locationOrder.size);
+      }
+      const flowed = strips.filter(strip => !strip.pinned).sort((a, b) =>
+        locationOrder.get(a.location) - locationOrder.get(b.location) ||
+        this._daylightOrder(a) - this._daylightOrder(b) ||
+        a.sceneIndex - b.sceneIndex);
+      const ordered = [...pinnedThere, ...flowed];
+
+      const eighths = ordered.reduce((total, strip) => total + strip.eighths, 0);
+      const locations = ordered.map(strip => strip.location).filter((location, index, list) => list.indexOf(location) === index);
+      const moves = ordered.filter((strip, index) => index > 0 && strip.location !== ordered[index - 1].location).length;
+
+      result.push({
+        day: number,
+        date: dates[number - 1],
+        strips: ordered.map(strip => strip.id),
+        eighths,
+        pages: this.paginator.formatEighths(eighths),
+        locations,
+        moves,
+        cast: [...new Set(ordered.flatMap(strip => strip.cast))]
+      });
+
+      // A day left empty while strips went later (or nowhere) is empty for
+      // want of their cast: those strips would have fitted otherwise
+      if (!ordered.length) {
+        const waiting = schedule.strips.some(strip => !strip.pinned && !(placed.get(strip.id) < number));
+        warnings.push(waiting
+          ? `Nothing can be shot on day ${number}: the cast needed are not available`
+          : `Day ${number} is empty: nothing is scheduled on it`);
+      }
+      if (eighths > capacity && ordered.length > 1) {
+        warnings.push(`Day ${number} is ${this.paginator.formatEighths(eighths)} pages, over the target of ${this.paginator.formatEighths(capacity)}`);
+      }
+      if (locations.length > settings.maxLocations) {
+        warnings.push(`Day ${number} has ${locations.length} locations, more than ${settings.maxLocations}`);
+      }
+      for (const strip of pinnedThere) {
+        if (!this.available(settings, strip, number)) {
+          warnings.push(`Scene ${strip.number || strip.heading} is pinned to day ${number}, when some of its cast are not available`);
+        }
+      }
+      const previous = result[result.length - 2];
+      if (previous && ordered.length && previous.strips.length) {
+        const byId = id => schedule.strips.find(strip => strip.id === id);
+        if (byId(previous.strips[previous.strips.length - 1]).daylight === 'night' && ordered[0].daylight === 'day') {
+          warnings.push(`Day ${previous.day} wraps at night and day ${number} starts with day scenes: check the turnaround`);
+        }
+      }
+    }
+
+    return {
+      ...schedule,
+      strips: schedule.strips.map(strip => ({
+        ...strip,
+        day: strip.pinned ? strip.day : placed.get(strip.id) || null
+      })),
+      days: result,
+      unscheduled,
+      warnings
+    };
+  }
+
+  /**
+   * Whether all of a strip's cast are available on a shoot day
+   */
+  available(settings, strip, day) {
+    return strip.cast.every(name => {
+      const windows = settings.availability[name];
+      if (!windows || !windows.length) {
+        return true;
+      }
+      return windows.some(window =>
+        (window.from === null || this._dayNumber(settings, window.from) <= day) &&
+        (window.to === null || this._dayNumber(settings, window.to) >= day));
+    });
+  }
+
+  /**
+   * The date of a shoot day (YYYY-MM-DD), counting from the start date
+   * and skipping weekends unless they are worked; null without a start date
+   */
+  dateOf(settings, day) {
+    return this.datesOf(settings, day)[day - 1];
+  }
+
+  /**
+   * The dates of shoot days 1 to count, worked out a day at a time (see
+   * dateOf)
+   */
+  datesOf(settings, count) {
+    if (!settings.startDate) {
+      return Array.from({ length: count }, () => null);
+    }
+
+    const dates = [];
+    const date = new Date(`${settings.startDate}T00:00:00Z`);
+    while (dates.length < count) {
+      const weekday = date.getUTCDay();
+      if (settings.weekends || (weekday !== 0 && weekday !== 6)) {
+        dates.push(date.toISOString().slice(0, 10));
+      }
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return dates;
+  }
+
+  /**
+   * Settings with the availability windows given as dates turned into
+   * shoot day numbers, so they are worked out once rather than on every
+   * check of a strip against a day
+   */
+  _numbered(settings) {
+    const availability = {};
+    for (const [name, windows] of Object.entries(settings.availability || {})) {
+      availability[name] = windows.map(window => ({
+        from: this._dayNumber(settings, window.from),
+        to: this._dayNumber(settings, window.to)
+      }));
+    }
+    return { ...settings, availability };
+  }
+
+  /**
+   * The last shoot day anyone's availability names, 0 if none does
+   */
+  _lastWindowDay(settings) {
+    return Math.max(0, ...Object.values(settings.availability).flat()
+      .map(window => this._dayNumber(settings, window.to) || this._dayNumber(settings, window.from) || 0));
+  }
+
+  /**
+   * The shoot day a window end refers to: a day number as given, or the
+   * first shoot day on or after a date (days before the start are 0, and
+   * days past MAX_DAYS are MAX_DAYS + 1)
+   */
+  _dayNumber(settings, value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (value < settings.startDate) {
+      return 0;
+    }
+
+    const date = new Date(`${settings.startDate}T00:00:00Z`);
+    let day = 0;
+    while (day <= MAX_DAYS) {
+      const weekday = date.getUTCDay();
+      if (settings.weekends || (weekday !== 0 && weekday !== 6)) {
+        day++;
+        if (date.toISOString().slice(0, 10) >= value) break;
+      }
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return day;
+  }
+
+  /**
+   * The last day all of a strip's cast are available, for putting the
+   * scenes of actors who leave early first
+   */
+  _deadline(settings, strip) {
+    const ends = strip.cast.map(name => {
+      const windows = settings.availability[name] || [];
+      if (!windows.length || windows.some(window => window.to === null)) {
+        return Infinity;
+      }
+      return Math.max(...windows.map(window => this._dayNumber(settings, window.to)));
+    });
+    return Math.min(Infinity, ...ends);
+  }
+
+  _daylightOrder(strip) {
+    return DAYLIGHT_ORDER[strip.daylight] !== undefined ? DAYLIGHT_ORDER[strip.daylight] : DAYLIGHT_ORDER.unknown;
+  }
+
+  /**
+   * The name a cast member is scheduled under: a character's name in the
+   * character bible, whichever of its names is given, in capitals like
+   * breakdowns list cast
+   */
+  _castKey(name, characters) {
+    const key = String(name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+    const character = characters.find(entry =>
+      [entry.name, ...(entry.aliases || [])].some(candidate => String(candidate || '').trim().replace(/\s+/g, ' ').toUpperCase() === key));
+    return character ? character.name.trim().replace(/\s+/g, ' ').toUpperCase() : key;
+  }
+
+  _isDate(value) {
+    return typeof value === 'string' && DATE.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+  }
+}
+
+module.exports = ShootingScheduler;
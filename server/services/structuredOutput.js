@@ -0,0 +1,135 @@
+// server/services/structuredOutput.js - JSON responses checked against schemas
+//
+// Models asked for JSON often wrap it in a code fence, put a sentence before
+// or after it, or leave a trailing comma. The JSON is dug out of the
+// response, fixed up where that is safe (see SchemaValidator.normalize) and
+// validated against its schema in server/schemas. What is still wrong is
+// reported in terms a model can correct, for ScriptGenerator to ask again.
+const fs = require('fs');
+const path = require('path');
+const SchemaValidator = require('./schemaValidator');
+
+class StructuredOutput {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '../schemas');
+    this.validator = new SchemaValidator();
+    this.schemas = {};
+
+    for (const file of fs.readdirSync(this.directory).filter(file => file.endsWith('.json'))) {
+      const name = file.slice(0, -'.json'.length);
+      const schema = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+
+      const problems = this.validator.checkSchema(schema);
+      if (problems.length) {
+        throw new Error(`Invalid schema ${file}:\n  ${problems.join('\n  ')}`);
+      }
+      this.schemas[name] = schema;
+    }
+  }
+
+  /**
+   * A schema by name ("concept", "analysis")
+   */
+  schema(name) {
+    if (!this.schemas[name]) {
+      throw new Error(`Unknown schema: ${name}`);
+    }
+    return this.schemas[name];
+  }
+
+  /**
+   * Read a response as the named schema. Returns { value, errors }: the
+   * value when errors is empty, otherwise what is wrong with the response.
+   */
+  parse(name, text) {
+    const schema = this.schema(name);
+    const { value, error } = this.extract(text);
+
+    if (error) {
+      return { value: null, errors: [error] };
+    }
+
+    const normalized = this.validator.normalize(schema, value);
+    const errors = this.validator.validate(schema, normalized);
+    return { value: errors.length ? null : normalized, errors };
+  }
+
+  /**
+   * Find the JSON in a response: the whole response, a fenced code block,
+   * or the longest balanced {...} or [...] that parses, in that order.
+   * Trailing commas are forgiven. Returns { value } or { error }.
+   */
+  extract(text) {
+    const response = String(text || '').trim();
+    if (!response) {
+      return { error: 'The response was empty' };
+    }
+
+    const candidates = [response];
+    const fence = /```[\w-]*[ \t]*\r?\n([\s\S]*?)```/g;
+    let match;
+    while ((match = fence.exec(response))) {
+      candidates.push(match[1]);
+    }
+    candidates.push(...this._balanced(response));
+
+    let lastError = null;
+    for (const candidate of candidates) {
+      for (const source of [candidate, this._withoutTrailingCommas(candidate)]) {
+        try {
+          return { value: JSON.parse(source) };
+        } catch (error) {
+          lastError = error;
+        }
+      }
+    }
+
+    return {
+      error: /[{[]/.test(response)
+        ? `The response is not valid JSON (${lastError.message})`
+        : 'The response contains no JSON'
+    };
+  }
+
+  /**
+   * The outermost balanced {...} and [...] spans of a text, longest first,
+   * skipping brackets inside strings
+   */
+  _balanced(text) {
+    const spans = [];
+
+    for (let start = 0; start < text.length; start++) {
+      if (text[start] !== '{' && text[start] !== '[') continue;
+
+      const stack = [];
+      let inString = false;
+      for (let index = start; index < text.length; index++) {
+        const char = text[index];
+
+        if (inString) {
+          if (char === '\\') index++;
+          else if (char === '"') inString = false;
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+          if (stack.pop() !== char) break;
+          if (!stack.length) {
+            spans.push(text.slice(start, index + 1));
+            start = index;
+            break;
+          }
+        }
+      }
+    }
+
+    return spans.sort((a, b) => b.length - a.length);
+  }
+
+  _withoutTrailingCommas(source) {
+    return source.replace(/("(?:[^"\\]|\\.)*")|,(\s*[}\]])/g, (match, string, close) => string || close);
+  }
+}
+
+module.exports = StructuredOutput;
@@ -0,0 +1,354 @@
+// server/services/templateEngine.js - Template language for LLM prompts
+//
+// A small Mustache-like language, enough to lay out a prompt:
+//
+//   {{NAME}}                          A variable. Lists of plain values are
+//                                     joined with ", ", other lists and
+//                                     objects are written as JSON.
+//   {{NAME.field}}                    A field of a variable
+//   {{NAME | default "None"}}         Filters, applied left to right:
+//                                     default, join, json, quote, upper,
+//                                     lower, trim
+//   {{#if NAME}}...{{else}}...{{/if}} Conditionals; {{#unless}} too
+//   {{#each NAME}}...{{else}}...{{/each}}
+//                                     A loop. Inside it the item's fields
+//                                     are variables, as are this, @index,
+//                                     @number (from 1), @first and @last.
+//   {{> name}}                        Include a partial
+//   {{! comment }}
+//   \{{                               Literal braces
+//
+// Variables passed in are UPPER_CASE; lower-case names are fields of the
+// item an #each is on. Values are inserted as they are, and never read as
+// template syntax. Block tags and partials on a line of their own take the
+// line with them, so blocks can be laid out on separate lines.
+
+const FILTERS = {
+  default: (value, fallback) => (isEmpty(value) ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : value),
+  json: value => (value === undefined ? '' : JSON.stringify(value, null, 2)),
+  quote: value => JSON.stringify(toText(value)).slice(1, -1), // For use inside a JSON string
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  trim: value => toText(value).trim()
+};
+
+const PATH = /^(this|@index|@number|@first|@last|[A-Za-z_][A-Za-z0-9_]*)(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const LOOP_NAMES = ['this', '@index', '@number', '@first', '@last'];
+
+// How deep partials may include each other before it is taken for a cycle
+const MAX_DEPTH = 10;
+
+/**
+ * The text a value is written as
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    return value.join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === false || value === '' || value === 0 ||
+    (Array.isArray(value) && !value.length) ||
+    (typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length);
+}
+
+function isVariable(name) {
+  return /^[A-Z][A-Z0-9_]*$/.test(name);
+}
+
+class TemplateEngine {
+  /**
+   * Parse a template. Returns { name, nodes, variables, partials },
+   * variables and partials being the names the template uses. Throws an
+   * error listing every syntax problem found (error.errors), with line
+   * numbers.
+   */
+  compile(source, name = 'template') {
+    const errors = [];
+    const tokens = this._tokenize(String(source));
+    const root = { type: 'root', nodes: [] };
+    const stack = [root];
+    const variables = new Set();
+    const partials = new Set();
+    const fail = (token, message) => errors.push(`${name}:${token.line}: ${message}`);
+
+    // Names used outside loops must be variables; inside, fields too
+    const usePath = (token, path) => {
+      if (!PATH.test(path)) {
+        fail(token, `Invalid name "${path}"`);
+        return false;
+      }
+
+      const rootName = path.split('.')[0];
+      if (isVariable(rootName)) {
+        variables.add(rootName);
+      } else if (!stack.some(node => node.type === 'each')) {
+        fail(token, LOOP_NAMES.includes(rootName)
+          ? `"${rootName}" is only defined inside {{#each}}`
+          : `Unknown name "${rootName}": variables are UPPER_CASE, lower-case names are fields inside {{#each}}`);
+        return false;
+      }
+      return true;
+    };
+
+    for (const token of tokens) {
+      const parent = stack[stack.length - 1];
+      const target = parent.inElse ? parent.otherwise : parent.nodes;
+
+      if (token.type === 'text') {
+        if (token.text) target.push({ type: 'text', text: token.text });
+        continue;
+      }
+
+      const tag = token.tag;
+      if (tag.startsWith('!')) {
+        continue;
+      }
+
+      if (tag.startsWith('#')) {
+        const [, keyword, expression] = /^#(\w+)\s*(.*)$/.exec(tag) || [];
+        if (!['if', 'unless', 'each'].includes(keyword)) {
+          fail(token, `Unknown block {{${tag}}}`);
+          continue;
+        }
+
+        const node = { type: keyword === 'each' ? 'each' : 'if', negate: keyword === 'unless', keyword, path: expression.trim(), nodes: [], otherwise: [], line: token.line };
+        if (!node.path) {
+          fail(token, `{{#${keyword}}} needs a name`);
+        } else {
+          usePath(token, node.path);
+        }
+        target.push(node);
+        stack.push(node);
+        continue;
+      }
+
+      if (tag === 'else') {
+        if (parent.type === 'root' || parent.inElse) {
+          fail(token, '{{else}} outside a block');
+        } else {
+          parent.inElse = true;
+        }
+        continue;
+      }
+
+      if (tag.startsWith('/')) {
+        const keyword = tag.slice(1).trim();
+        if (parent.type === 'root') {
+          fail(token, `{{/${keyword}}} without an opening block`);
+        } else if (keyword !== parent.keyword) {
+          fail(token, `{{/${keyword}}} closes {{#${parent.keyword}}} from line ${parent.line}`);
+          stack.pop();
+        } else {
+          stack.pop();
+        }
+        continue;
+      }
+
+      if (tag.startsWith('>')) {
+        const partial = tag.slice(1).trim();
+        if (!/^[a-z0-9-]+$/.test(partial)) {
+          fail(token, `Invalid partial name "${partial}"`);
+        } else {
+          partials.add(partial);
+          target.push({ type: 'partial', name: partial });
+        }
+        continue;
+      }
+
+      // A variable, with filters
+      const [path, ...filterSources] = tag.split('|').map(part => part.trim());
+      const filters = [];
+
+      for (const filterSource of filterSources) {
+        const [, filter, argument] = /^(\w+)\s*(.*)$/.exec(filterSource) || [];
+        if (!FILTERS[filter]) {
+          fail(token, `Unknown filter "${filterSource}"`);
+          continue;
+        }
+
+        let arg;
+        if (argument) {
+          try {
+            arg = JSON.parse(argument);
+          } catch (error) {
+            fail(token, `Invalid argument to ${filter}: ${argument} (write text in double quotes)`);
+            continue;
+          }
+        } else if (filter === 'default') {
+          fail(token, 'default needs a value, e.g. default "None"');
+          continue;
+        }
+        filters.push({ filter, arg });
+      }
+
+      if (usePath(token, path)) {
+        target.push({ type: 'value', path, filters });
+      }
+    }
+
+    for (const node of stack.slice(1)) {
+      errors.push(`${name}:${node.line}: {{#${node.keyword}}} is never closed`);
+    }
+
+    if (errors.length) {
+      const error = new Error(`Invalid template ${name}: ${errors.join('; ')}`);
+      error.code = 'TEMPLATE_INVALID';
+      error.errors = errors;
+      throw error;
+    }
+
+    return { name, nodes: root.nodes, variables: [...variables], partials: [...partials] };
+  }
+
+  /**
+   * Render a compiled template. data holds the variables; every variable
+   * the template uses must be given, if only as null. partials maps names
+   * to compiled templates.
+   */
+  render(template, data, partials = {}) {
+    const missing = new Set();
+    const text = this._renderNodes(template.nodes, { data, scopes: [], partials, missing, depth: 0 });
+
+    if (missing.size) {
+      const error = new Error(`Missing variables for template ${template.name}: ${[...missing].join(', ')}`);
+      error.code = 'TEMPLATE_MISSING_VARIABLES';
+      error.missing = [...missing];
+      throw error;
+    }
+    return text;
+  }
+
+  _renderNodes(nodes, context) {
+    let text = '';
+
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        text += node.text;
+      } else if (node.type === 'value') {
+        const value = node.filters.reduce((current, { filter, arg }) => FILTERS[filter](current, arg), this._lookup(node.path, context));
+        text += toText(value);
+      } else if (node.type === 'if') {
+        const truthy = !isEmpty(this._lookup(node.path, context));
+        text += this._renderNodes(truthy !== node.negate ? node.nodes : node.otherwise, context);
+      } else if (node.type === 'each') {
+        const value = this._lookup(node.path, context);
+        const items = Array.isArray(value) ? value : (isEmpty(value) ? [] : [value]);
+
+        if (!items.length) {
+          text += this._renderNodes(node.otherwise, context);
+        }
+        items.forEach((item, index) => {
+          const scope = { item, index, last: index === items.length - 1 };
+          text += this._renderNodes(node.nodes, { ...context, scopes: [...context.scopes, scope] });
+        });
+      } else if (node.type === 'partial') {
+        const partial = context.partials[node.name];
+        if (!partial) {
+          throw new Error(`Unknown partial: ${node.name}`);
+        }
+        if (context.depth >= MAX_DEPTH) {
+          throw new Error(`Partials nested too deeply at ${node.name}`);
+        }
+        text += this._renderNodes(partial.nodes, { ...context, depth: context.depth + 1 });
+      }
+    }
+
+    return text;
+  }
+
+  _lookup(path, context) {
+    const [rootName, ...fields] = path.split('.');
+    let value;
+
+    if (isVariable(rootName)) {
+      if (!(rootName in context.data)) {
+        context.missing.add(rootName);
+        return undefined;
+      }
+      value = context.data[rootName];
+    } else {
+      const scope = context.scopes[context.scopes.length - 1];
+      const loop = { this: scope.item, '@index': scope.index, '@number': scope.index + 1, '@first': scope.index === 0, '@last': scope.last };
+      value = rootName in loop ? loop[rootName] : (scope.item && typeof scope.item === 'object' ? scope.item[rootName] : undefined);
+    }
+
+    for (const field of fields) {
+      value = value === null || value === undefined ? undefined : value[field];
+    }
+    return value;
+  }
+
+  /**
+   * Split a template into text and tags. Block, else, close, comment and
+   * partial tags alone on their line are stripped along with the line.
+   */
+  _tokenize(source) {
+    const tokens = [];
+    const pattern = /\\\{\{|\{\{([\s\S]*?)\}\}/g;
+    let line = 1;
+    let last = 0;
+    let text = '';
+    let match;
+
+    while ((match = pattern.exec(source))) {
+      text += source.slice(last, match.index);
+      last = pattern.lastIndex;
+
+      if (match[0] === '\\{{') {
+        text += '{{';
+        continue;
+      }
+
+      tokens.push({ type: 'text', text });
+      line += text.split('\n').length - 1;
+      text = '';
+
+      const tag = match[1].trim();
+      tokens.push({ type: 'tag', tag, line });
+      line += match[0].split('\n').length - 1;
+    }
+    tokens.push({ type: 'text', text: text + source.slice(last) });
+
+    // Decide which tags stand alone before trimming any text, since one
+    // line's trim must not hide the next tag's line break
+    const standalone = tokens.map((token, index) => {
+      if (token.type !== 'tag' || !/^[#/!>]|^else$/.test(token.tag)) {
+        return false;
+      }
+
+      const before = tokens[index - 1].text;
+      const after = tokens[index + 1].text;
+      const lineStart = before.lastIndexOf('\n');
+      const atLineStart = (lineStart !== -1 || index === 1) && !before.slice(lineStart + 1).trim();
+      const lineEnd = after.indexOf('\n');
+      const atLineEnd = !(lineEnd === -1 ? after : after.slice(0, lineEnd)).trim() &&
+        (lineEnd !== -1 || index + 1 === tokens.length - 1);
+
+      return atLineStart && atLineEnd;
+    });
+
+    tokens.forEach((token, index) => {
+      if (!standalone[index]) return;
+
+      const before = tokens[index - 1];
+      const after = tokens[index + 1];
+      before.text = before.text.slice(0, before.text.lastIndexOf('\n') + 1);
+      const lineEnd = after.text.indexOf('\n');
+      after.text = lineEnd === -1 ? '' : after.text.slice(lineEnd + 1);
+    });
+
+    return tokens;
+  }
+}
+
+module.exports = TemplateEngine;
@@ -0,0 +1,227 @@
+// server/services/usageTracker.js - Token usage and cost accounting
+//
+// Every LLM call made for a project is recorded against it, with the
+// operation it was made for (concept, screenplay, scene, outline, analysis
+// or breakdown), its token counts and what they cost by the configured price
+// table. A project may have a budget; once its spending reaches the budget,
+// further generation for it is refused until the budget is raised.
+const fs = require('fs');
+const config = require('../config');
+const ProjectManager = require('./projectManager');
+
+class UsageTracker {
+  constructor(options = {}) {
+    this.projectManager = options.projectManager || new ProjectManager();
+    this.prices = options.prices || UsageTracker.loadPrices(config.usage);
+  }
+
+  /**
+   * The price table from the configuration, with the entries of the prices
+   * file (if any) over the built-in ones
+   */
+  static loadPrices(settings) {
+    const prices = { ...settings.prices };
+
+    if (settings.pricesFile) {
+      Object.assign(prices, JSON.parse(fs.readFileSync(settings.pricesFile, 'utf8')));
+    }
+    return prices;
+  }
+
+  /**
+   * The price of a model: { prompt, completion } in USD per million tokens,
+   * or null if it has none. Models match the longest price table entry they
+   * start with, so "gpt-4o-2024-08-06" is priced as "gpt-4o".
+   */
+  price(model) {
+    const name = String(model || '').toLowerCase();
+    const match = Object.keys(this.prices)
+      .filter(prefix => name.startsWith(prefix.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? this.prices[match] : null;
+  }
+
+  /**
+   * What token usage cost on a model: { cost, priced }. Models without a
+   * price (local models, say) cost nothing.
+   */
+  cost(model, usage) {
+    const price = this.price(model);
+
+    if (!price) {
+      return { cost: 0, priced: false };
+    }
+
+    const cost = (usage.promptTokens * (price.prompt || 0) + usage.completionTokens * (price.completion || 0)) / 1e6;
+    return { cost: Math.round(cost * 1e6) / 1e6, priced: true };
+  }
+
+  /**
+   * Record a call made through the provider chain (see ProviderChain.chat)
+   * against a project and the operation it was made for
+   */
+  async record(projectId, operation, call) {
+    const usage = call.usage || { promptTokens: 0, completionTokens: 0, estimated: true };
+
+    return this.projectManager.recordUsage(projectId, {
+      date: new Date().toISOString(),
+      operation: operation || 'other',
+      provider: call.provider,
+      model: call.model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      estimated: Boolean(usage.estimated),
+      cached: Boolean(call.cached),
+      ...this.cost(call.model, usage)
+    });
+  }
+
+  /**
+   * A project's usage: totals, broken down by operation and by model, and
+   * its budget. Resolves to null if the project does not exist.
+   *
+   * Options:
+   *   from, to: ISO date  // Only count calls made in this period
+   */
+  async report(projectId, options = {}) {
+    const project = await this.projectManager.getProject(projectId);
+    const entries = project && await this.projectManager.getUsage(projectId);
+
+    if (!entries) {
+      return null;
+    }
+
+    const inPeriod = entries.filter(entry =>
+      (!options.from || entry.date >= options.from) && (!options.to || entry.date <= options.to));
+
+    return {
+      projectId,
+      from: options.from || null,
+      to: options.to || null,
+      totals: this._totals(inPeriod),
+      byOperation: this._groupTotals(inPeriod, 'operation'),
+      byModel: this._groupTotals(inPeriod, 'model'),
+      budget: this._budgetStatus(project, entries)
+    };
+  }
+
+  /**
+   * A project's budget and how much of it is spent: { limit, tokenLimit,
+   * spent, tokens, remaining, exceeded }, or null if it has no budget
+   */
+  async budgetStatus(projectId) {
+    const project = await this.projectManager.getProject(projectId);
+    const entries = project && await this.projectManager.getUsage(projectId);
+
+    return entries ? this._budgetStatus(project, entries) : null;
+  }
+
+  /**
+   * Throw if a project has spent its budget. The error has code
+   * BUDGET_EXCEEDED, status 402 and the budget status as budget.
+   */
+  async assertWithinBudget(projectId) {
+    const budget = await this.budgetStatus(projectId);
+
+    if (budget && budget.exceeded) {
+      const error = new Error(`Project ${projectId} has exceeded its budget`);
+      error.code = 'BUDGET_EXCEEDED';
+      error.status = 402;
+      error.budget = budget;
+      throw error;
+    }
+  }
+
+  /**
+   * Usage totals of every project, with the totals across all of them
+   */
+  async summary() {
+    const projects = [];
+
+    for (const { id, title } of await this.projectManager.getAllProjects()) {
+      const project = await this.projectManager.getProject(id);
+      const entries = await this.projectManager.getUsage(id);
+      if (!project || !entries) continue;
+
+      projects.push({
+        projectId: id,
+        title,
+        totals: this._totals(entries),
+        budget: this._budgetStatus(project, entries)
+      });
+    }
+
+    const all = projects.map(project => project.totals);
+    return {
+      totals: {
+        calls: this._sum(all, 'calls'),
+        promptTokens: this._sum(all, 'promptTokens'),
+        completionTokens: this._sum(all, 'completionTokens'),
+        totalTokens: this._sum(all, 'totalTokens'),
+        cost: this._round(this._sum(all, 'cost'))
+      },
+      projects
+    };
+  }
+
+  _budgetStatus(project, entries) {
+    const budget = project.settings && project.settings.budget;
+
+    if (!budget || (budget.limit == null && budget.tokenLimit == null)) {
+      return null;
+    }
+
+    const { cost: spent, totalTokens: tokens } = this._totals(entries);
+    const overCost = budget.limit != null && spent >= budget.limit;
+    const overTokens = budget.tokenLimit != null && tokens >= budget.tokenLimit;
+
+    return {
+      limit: budget.limit != null ? budget.limit : null,
+      tokenLimit: budget.tokenLimit != null ? budget.tokenLimit : null,
+      spent,
+      tokens,
+      remaining: budget.limit != null ? this._round(Math.max(0, budget.limit - spent)) : null,
+      exceeded: overCost || overTokens
+    };
+  }
+
+  _totals(entries) {
+    const promptTokens = this._sum(entries, 'promptTokens');
+    const completionTokens = this._sum(entries, 'completionTokens');
+
+    return {
+      calls: entries.length,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      cost: this._round(this._sum(entries, 'cost')),
+      // Calls answered from the response cache (free), whose tokens were
+      // estimated or whose model has no price
+      cached: entries.filter(entry => entry.cached).length,
+      estimated: entries.filter(entry => entry.estimated).length,
+      unpriced: entries.filter(entry => !entry.priced).length
+    };
+  }
+
+  _groupTotals(entries, key) {
+    const groups = {};
+
+    for (const entry of entries) {
+      const name = entry[key] || 'unknown';
+      (groups[name] = groups[name] || []).push(entry);
+    }
+
+    return Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, this._totals(group)]));
+  }
+
+  _sum(entries, field) {
+    return entries.reduce((total, entry) => total + (entry[field] || 0), 0);
+  }
+
+  _round(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+  }
+}
+
+module.exports = UsageTracker;
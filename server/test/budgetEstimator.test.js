@@ -0,0 +1,104 @@
+// server/test/budgetEstimator.test.js - Rate cards and top sheets
+//
+// Run with `npm test`; exits non-zero on the first failing check.
+const assert = require('assert');
+const BudgetEstimator = require('../services/budgetEstimator');
+const SceneBreakdown = require('../services/sceneBreakdown');
+const ShootingScheduler = require('../services/shootingScheduler');
+
+// Estimates are worked out in memory; nothing here reads project storage
+const estimator = new BudgetEstimator({
+  projectManager: {},
+  sceneBreakdown: new SceneBreakdown({ locationCatalogue: {} })
+});
+const scheduler = new ShootingScheduler();
+
+const scene = (index, location, eighths, elements) => ({
+  index,
+  number: String(index + 1),
+  heading: `INT. ${location} - DAY`,
+  location,
+  daylight: 'day',
+  eighths,
+  elements
+});
+const breakdown = {
+  screenplayAssetId: 'asset_screenplay',
+  screenplayVersion: 3,
+  scenes: [
+    scene(0, 'KITCHEN', 12, { cast: ['ANNA'], extras: ['TWO POLICE OFFICERS', 'CROWD'], props: ['Knife', 'knife'] }),
+    scene(1, 'ROOF', 8, { cast: ['BEN'] }),
+    scene(2, 'KITCHEN', 12, { cast: ['ANNA', 'BEN'] }),
+    scene(3, 'HALL', 8, { cast: ['CLARA'] }),
+    scene(4, 'ROOF', 16, { cast: ['ANNA'], vfx: ['Lightning'] })
+  ]
+};
+
+// A project's own rates go over the defaults
+const rateCard = estimator.rateCard({
+  settings: { rateCard: { cast: { rates: { ANNA: 2000 } }, other: { contingency: 0 } } }
+});
+assert.deepStrictEqual(rateCard.cast, { default: 1200, rates: { ANNA: 2000 } });
+assert.deepStrictEqual(rateCard.other, { insurance: 3, contingency: 0 });
+assert.strictEqual(rateCard.crew.Camera, BudgetEstimator.DEFAULT_RATE_CARD.crew.Camera);
+
+const checked = estimator.checkRateCard({
+  currency: 'usd',
+  crew: { Drones: 500 },
+  cast: { rates: { 'anna  reyes': 10, BEN: -1 } },
+  props: 1
+});
+assert.deepStrictEqual(checked.errors, [
+  'currency must be a currency code, e.g. USD',
+  'cast.rates.BEN must be a non-negative number',
+  'Unknown rate card section props'
+]);
+assert.deepStrictEqual(checked.rateCard.cast.rates, { 'ANNA REYES': 10, BEN: -1 });
+
+assert.deepStrictEqual(['TWELVE DINERS', '12 DINERS', 'A WAITER', 'COPS', 'THE CROWD'].map(item => estimator.extrasCount(item, rateCard)), [12, 12, 1, 2, 20]);
+
+// Over a schedule: cast are paid from their first to last day, and the
+// crew for every shoot day
+const schedule = scheduler.create(breakdown, { availability: { CLARA: [{ from: 3 }] } });
+assert.strictEqual(schedule.days.length, 3);
+const budget = estimator.estimate(breakdown, schedule, rateCard);
+const account = (key, number) => budget.sections.find(section => section.key === key).accounts.find(entry => entry.number === number);
+
+assert.deepStrictEqual(budget.basis, {
+  shootDays: 3,
+  scheduled: true,
+  pages: '7',
+  castDays: 4,
+  extraDays: 22,
+  locationDays: 4,
+  moves: 1,
+  vfxShots: 1
+});
+assert.deepStrictEqual(account('aboveTheLine', '1400').detail, [
+  { name: 'ANNA', days: 2, rate: 2000, amount: 4000 },
+  { name: 'BEN', days: 1, rate: 1200, amount: 1200 },
+  { name: 'CLARA', days: 1, rate: 1200, amount: 1200 }
+]);
+assert.strictEqual(account('belowTheLine', '2100').amount, 22 * 225);
+assert.strictEqual(account('belowTheLine', '2400').amount, 4 * 1500 + 750);
+assert.strictEqual(account('belowTheLine', '2500').amount, 150);
+assert.strictEqual(account('post', '4400').amount, 2500);
+assert.deepStrictEqual(budget.warnings, []);
+
+const subtotal = budget.sections.slice(0, 3).reduce((total, section) => total + section.total, 0);
+assert.strictEqual(account('other', '6100').amount, Math.round(subtotal * 0.03));
+assert.strictEqual(budget.total, subtotal + account('other', '6100').amount);
+
+// Without a schedule, shoot days are estimated from the page count
+const rough = estimator.estimate(breakdown, null, rateCard);
+assert.strictEqual(rough.basis.shootDays, 2);
+assert.deepStrictEqual(rough.warnings, ['No schedule: 2 shoot days estimated at 4 pages a day']);
+
+// The top sheet CSV lists every account and the totals
+const rows = estimator.topSheetCsv(budget).split('\r\n');
+assert.strictEqual(rows[0], 'Account,Description,Amount (USD)');
+assert.strictEqual(rows[5], '1400,Cast,6400');
+assert.strictEqual(rows[rows.length - 2], `,Grand Total,${budget.total}`);
+assert.strictEqual(rows[rows.length - 1], '');
+
+console.log('budgetEstimator: rate cards and top sheets ok');
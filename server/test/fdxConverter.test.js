@@ -0,0 +1,70 @@
+// server/test/fdxConverter.test.js - Final Draft export / import round trips
+//
+// Run with `npm test`; exits non-zero on the first failing check.
+const assert = require('assert');
+const FdxConverter = require('../services/fdxConverter');
+
+const converter = new FdxConverter();
+const roundTrip = titlePage => converter.parse(converter.serialize({ titlePage, elements: [] })).titlePage;
+
+// Title and author without a credit line keep their keys
+assert.deepStrictEqual(roundTrip([
+  { key: 'Title', value: 'Test Movie' },
+  { key: 'Author', value: 'Jane Doe' }
+]), [
+  { key: 'Title', value: 'Test Movie' },
+  { key: 'Author', value: 'Jane Doe' }
+]);
+
+// The full title page, with multi-line values
+assert.deepStrictEqual(roundTrip([
+  { key: 'Title', value: 'Test Movie\nPart Two' },
+  { key: 'Credit', value: 'Written by' },
+  { key: 'Author', value: 'Jane Doe\nJohn Roe' },
+  { key: 'Source', value: 'Based on the novel' },
+  { key: 'Draft date', value: '1/2/2024' },
+  { key: 'Contact', value: 'jane@example.com\n555-0100' }
+]), [
+  { key: 'Title', value: 'Test Movie\nPart Two' },
+  { key: 'Credit', value: 'Written by' },
+  { key: 'Author', value: 'Jane Doe\nJohn Roe' },
+  { key: 'Source', value: 'Based on the novel' },
+  { key: 'Draft date', value: '1/2/2024' },
+  { key: 'Contact', value: 'jane@example.com\n555-0100' }
+]);
+
+// Keys are kept as written, even where the text looks like another key
+assert.deepStrictEqual(roundTrip([
+  { key: 'Title', value: 'Draft Day' },
+  { key: 'Author', value: 'Jo Smith' },
+  { key: 'Copyright', value: '(c) 2026' },
+  { key: 'Notes', value: 'Second pass\n\nNot for distribution' }
+]), [
+  { key: 'Title', value: 'Draft Day' },
+  { key: 'Author', value: 'Jo Smith' },
+  { key: 'Copyright', value: '(c) 2026' },
+  { key: 'Notes', value: 'Second pass\n\nNot for distribution' }
+]);
+
+// Title pages from other applications carry no keys; they are guessed
+const paragraph = (text, alignment = 'Center') =>
+  `<Paragraph Alignment="${alignment}" Type="Action"><Text>${text}</Text></Paragraph>`;
+const foreign = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+  '<FinalDraft DocumentType="Script" Template="No" Version="5">',
+  '<Content></Content>',
+  '<TitlePage><Content>',
+  paragraph('Draft Day'), paragraph(''), paragraph('Written by'), paragraph(''), paragraph('Jo Smith'),
+  paragraph(''), paragraph('Revised 3/4/2026'), paragraph('jo@example.com', 'Left'),
+  '</Content></TitlePage>',
+  '</FinalDraft>'
+].join('\n');
+assert.deepStrictEqual(converter.parse(foreign).titlePage, [
+  { key: 'Title', value: 'Draft Day' },
+  { key: 'Credit', value: 'Written by' },
+  { key: 'Author', value: 'Jo Smith' },
+  { key: 'Draft date', value: 'Revised 3/4/2026' },
+  { key: 'Contact', value: 'jo@example.com' }
+]);
+
+console.log('fdxConverter: title page round trips ok');
@@ -0,0 +1,8 @@
+// server/test/index.js - Runs every *.test.js in this directory (`npm test`)
+const fs = require('fs');
+const path = require('path');
+
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .sort()
+  .forEach(file => require(path.join(__dirname, file)));
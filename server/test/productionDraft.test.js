@@ -0,0 +1,107 @@
+// server/test/productionDraft.test.js - Locking drafts: A-scenes, OMITTED, A-pages
+//
+// Run with `npm test`; exits non-zero on the first failing check.
+const assert = require('assert');
+const ScreenplayPaginator = require('../services/screenplayPaginator');
+const ProductionDraft = require('../services/productionDraft');
+
+const paginator = new ScreenplayPaginator();
+const draft = new ProductionDraft(paginator);
+const headings = document => document.elements
+  .filter(element => element.type === 'scene_heading')
+  .map(element => [element.sceneNumber, element.text]);
+const scene = (heading, ...action) => [
+  { type: 'scene_heading', text: heading },
+  ...action.map(text => ({ type: 'action', text }))
+];
+
+// Locking numbers the scenes in order and records where pages start
+const { document, lock } = draft.lock({
+  elements: [
+    ...scene('INT. KITCHEN - DAY', 'Anna cooks.'),
+    ...scene('INT. HALL - DAY', 'Ben waits.'),
+    ...scene('INT. KITCHEN - DAY', 'Anna again.'),
+    ...scene('EXT. ROOF - NIGHT', 'Wind.')
+  ]
+});
+assert.deepStrictEqual(headings(document), [
+  ['1', 'INT. KITCHEN - DAY'], ['2', 'INT. HALL - DAY'], ['3', 'INT. KITCHEN - DAY'], ['4', 'EXT. ROOF - NIGHT']
+]);
+assert.deepStrictEqual(lock.scenes.map(entry => entry.number), ['1', '2', '3', '4']);
+assert.deepStrictEqual(lock.pages.map(page => page.number), ['1']);
+
+// Added scenes are numbered off the scene before them; a cut scene comes
+// back as OMITTED after the scenes added behind the one before it
+const [kitchen, , , , kitchenAgain, , roof, wind] = document.elements;
+const edited = draft.applyLock({
+  ...document,
+  elements: [
+    ...scene('INT. CELLAR - NIGHT', 'Dark.'),
+    kitchen,
+    ...scene('INT. PANTRY - DAY', 'Shelves.'),
+    ...scene('INT. GARDEN - DAY', 'Roses.'),
+    kitchenAgain,
+    roof,
+    wind
+  ]
+}, lock);
+assert.deepStrictEqual(headings(edited), [
+  ['A1', 'INT. CELLAR - NIGHT'],
+  ['1', 'INT. KITCHEN - DAY'],
+  ['1A', 'INT. PANTRY - DAY'],
+  ['1B', 'INT. GARDEN - DAY'],
+  ['2', 'OMITTED'],
+  ['3', 'INT. KITCHEN - DAY'],
+  ['4', 'EXT. ROOF - NIGHT']
+]);
+assert.strictEqual(edited.lock, lock);
+
+// Headings that lost their numbers get them back from the locked scene
+// with the same heading, repeated headings in order
+const rewritten = draft.applyLock({
+  ...document,
+  elements: document.elements.map(element => {
+    if (element.type !== 'scene_heading') return element;
+    const { sceneNumber, ...rest } = element;
+    return rest.text === 'INT. HALL - DAY' ? { ...rest, text: 'INT. LANDING - DAY' } : rest;
+  })
+}, lock);
+assert.deepStrictEqual(headings(rewritten), [
+  ['1', 'INT. KITCHEN - DAY'], ['1A', 'INT. LANDING - DAY'], ['2', 'OMITTED'], ['3', 'INT. KITCHEN - DAY'], ['4', 'EXT. ROOF - NIGHT']
+]);
+
+assert.strictEqual(draft.nextSceneNumber('12', new Set()), '12A');
+assert.strictEqual(draft.nextSceneNumber('12', new Set(['12A'])), '12B');
+assert.strictEqual(draft.nextSceneNumber('12Z', new Set()), '12AA');
+assert.strictEqual(draft.nextSceneNumber('A1', new Set()), 'B1');
+
+// Unlocking drops the numbers, the OMITTED placeholders and the lock
+const unlocked = draft.unlock(edited);
+assert.ok(!('lock' in unlocked));
+assert.deepStrictEqual(headings(unlocked), [
+  [undefined, 'INT. CELLAR - NIGHT'],
+  [undefined, 'INT. KITCHEN - DAY'],
+  [undefined, 'INT. PANTRY - DAY'],
+  [undefined, 'INT. GARDEN - DAY'],
+  [undefined, 'INT. KITCHEN - DAY'],
+  [undefined, 'EXT. ROOF - NIGHT']
+]);
+
+// Locked pages keep their breaks: added material runs onto A-pages, and
+// pages whose material is gone fold into the page before
+const long = [...scene('INT. KITCHEN - DAY', ...Array.from({ length: 20 }, (_, i) => `Beat ${i}.`))];
+long.push(...scene('INT. HALL - DAY', ...Array.from({ length: 30 }, (_, i) => `Step ${i}.`)));
+long.push(...scene('EXT. ROOF - NIGHT', 'Wind.'));
+const locked = draft.lock({ elements: long });
+assert.deepStrictEqual(locked.lock.pages.map(page => page.number), ['1', '2']);
+
+const longer = [...locked.document.elements];
+longer.splice(3, 0, ...Array.from({ length: 20 }, (_, i) => ({ type: 'action', text: `Extra ${i}.` })));
+const overflow = draft.applyLock({ ...locked.document, elements: longer }, locked.lock);
+assert.deepStrictEqual(paginator.paginate(overflow).pages.map(page => page.number), ['1', '1A', '2']);
+
+const shorter = locked.document.elements.filter((element, index) => index < 23);
+const folded = draft.applyLock({ ...locked.document, elements: shorter }, locked.lock);
+assert.deepStrictEqual(paginator.paginate(folded).pages.map(page => page.number), ['1-2']);
+
+console.log('productionDraft: scene numbers and locked pages ok');
@@ -0,0 +1,139 @@
+// server/test/providerChain.test.js - Retries, timeouts, fallbacks and circuit breakers
+//
+// Run with `npm test`; exits non-zero on the first failing check. Every
+// provider is a MockProvider or a stub, so nothing goes over the network.
+const assert = require('assert');
+const MockProvider = require('../services/providers/mockProvider');
+const ProviderChain = require('../services/providers/providerChain');
+const CircuitBreaker = require('../services/providers/circuitBreaker');
+
+const messages = [{ role: 'user', content: 'Say hello' }];
+
+// Breakers are shared by provider name, so each check names its own
+// providers; delays are kept to a few ms
+const chain = (entries, settings = {}) => new ProviderChain(entries, {
+  retries: 2,
+  retryBaseDelay: 1,
+  retryMaxDelay: 50,
+  timeout: 200,
+  ...settings
+});
+
+async function run() {
+  // Retryable errors are retried on the same provider
+  const flaky = new MockProvider();
+  flaky.addResponse('hello', 'Hello!');
+  flaky.addResponse('hello', null, { times: 2, error: { status: 503 } });
+  let call = {};
+  assert.strictEqual(await chain([{ name: 'flaky', provider: flaky }]).chat(messages, { call }), 'Hello!');
+  assert.strictEqual(call.attempts, 3);
+  assert.strictEqual(call.provider, 'flaky');
+  assert.strictEqual(call.fallback, false);
+  assert.strictEqual(call.errors.length, 2);
+  assert.strictEqual(call.usage.estimated, true);
+
+  // Errors that will not pass go straight to the next provider
+  const refused = new MockProvider();
+  refused.addResponse('hello', null, { error: { status: 401, message: 'bad key' } });
+  const backup = new MockProvider();
+  backup.addResponse('hello', 'From the backup');
+  call = {};
+  const text = await chain([{ name: 'refused', provider: refused }, { name: 'backup', provider: backup }]).chat(messages, { call });
+  assert.strictEqual(text, 'From the backup');
+  assert.strictEqual(call.attempts, 2);
+  assert.strictEqual(call.provider, 'backup');
+  assert.strictEqual(call.fallback, true);
+  assert.strictEqual(refused.calls.length, 1);
+
+  // A Retry-After longer than retryMaxDelay moves on rather than waiting
+  const limited = new MockProvider();
+  limited.addResponse('hello', null, { error: { status: 429, retryAfter: 60000 } });
+  const patient = new MockProvider();
+  patient.addResponse('hello', 'Patient');
+  assert.strictEqual(await chain([{ name: 'limited', provider: limited }, { name: 'patient', provider: patient }]).chat(messages), 'Patient');
+  assert.strictEqual(limited.calls.length, 1);
+
+  // A call that runs past the timeout is abandoned and retried
+  let hangs = 1;
+  const slow = new MockProvider();
+  slow.chat = (conversation, options) => {
+    if (hangs-- > 0) {
+      return new Promise((resolve, reject) => options.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    }
+    return Promise.resolve('Eventually');
+  };
+  call = {};
+  assert.strictEqual(await chain([{ name: 'slow', provider: slow }], { timeout: 20 }).chat(messages, { call }), 'Eventually');
+  assert.deepStrictEqual(call.errors, ['slow: slow timed out after 20 ms']);
+
+  // When every provider fails, the error names each failure
+  const broken = new MockProvider();
+  broken.addResponse('hello', null, { error: { status: 500 } });
+  await assert.rejects(
+    chain([{ name: 'broken', provider: broken }], { retries: 1 }).chat(messages),
+    error => /^All LLM providers failed: broken: .*; broken: /.test(error.message) && error.status === 500
+  );
+
+  // A stream that has handed over part of its reply is not retried
+  const cut = new MockProvider();
+  cut.stream = async (conversation, options) => {
+    options.onToken('Hel');
+    const error = new Error('connection reset');
+    error.code = 'ECONNRESET';
+    throw error;
+  };
+  const pieces = [];
+  await assert.rejects(
+    chain([{ name: 'cut', provider: cut }]).stream(messages, { onToken: piece => pieces.push(piece) }),
+    /connection reset/
+  );
+  assert.deepStrictEqual(pieces, ['Hel']);
+
+  // Aborting stops the chain without counting against the provider
+  const aborted = new MockProvider();
+  const controller = new AbortController();
+  controller.abort();
+  const abortable = chain([{ name: 'aborted', provider: aborted }]);
+  await assert.rejects(abortable.chat(messages, { signal: controller.signal }));
+  assert.strictEqual(abortable.status()[0].failures, 0);
+
+  // After threshold failures in a row the circuit opens, and the chain
+  // skips the provider until the cooldown has passed
+  const down = new MockProvider();
+  down.addResponse('hello', null, { error: { status: 503 } });
+  const standby = new MockProvider();
+  standby.addResponse('hello', 'Standby');
+  const guarded = chain([{ name: 'down', provider: down }, { name: 'standby', provider: standby }], {
+    retries: 0,
+    breakerThreshold: 2,
+    breakerCooldown: 60000
+  });
+  await guarded.chat(messages);
+  await guarded.chat(messages);
+  assert.strictEqual(guarded.status()[0].state, 'open');
+  call = {};
+  assert.strictEqual(await guarded.chat(messages, { call }), 'Standby');
+  assert.deepStrictEqual(call.errors, ['down: circuit open']);
+  assert.strictEqual(down.calls.length, 2);
+
+  // A half-open circuit lets one trial call through: success closes it,
+  // failure opens it again, and an abandoned call frees the slot
+  const breaker = new CircuitBreaker({ threshold: 1, cooldown: 1 });
+  breaker.failure();
+  assert.strictEqual(breaker.allow(), false);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.strictEqual(breaker.allow(), true);
+  assert.strictEqual(breaker.allow(), false);
+  breaker.release();
+  assert.strictEqual(breaker.allow(), true);
+  breaker.failure();
+  assert.strictEqual(breaker.status().state, 'open');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.strictEqual(breaker.allow(), true);
+  breaker.success();
+  assert.deepStrictEqual(breaker.status(), { state: 'closed', failures: 0, retryAt: null });
+}
+
+run().then(() => {
+  console.log('providerChain: retries, fallbacks and breakers ok');
+});
@@ -0,0 +1,78 @@
+// server/test/responseCache.test.js - Expiry and least recently used eviction
+//
+// Run with `npm test`; exits non-zero on the first failing check. Entries
+// are written to a temporary directory, removed afterwards.
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ResponseCache = require('../services/responseCache');
+
+const params = prompt => ({ provider: 'mock', model: 'mock', temperature: 0.7, maxTokens: 100, prompt });
+
+// Entries are ordered by when they were last used, their file times;
+// setting those by hand keeps the order from depending on the clock
+async function used(cache, key, secondsAgo) {
+  const time = new Date(Date.now() - secondsAgo * 1000);
+  await fs.utimes(path.join(cache.cacheDir, `${key}.json`), time, time);
+}
+
+async function run(directory) {
+  const cache = new ResponseCache({ directory, enabled: true, ttl: 0, maxEntries: 2, maxBytes: 0 });
+
+  // The key covers every setting of the call
+  const key = cache.key(params('One'));
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.strictEqual(cache.key(params('One')), key);
+  assert.notStrictEqual(cache.key({ ...params('One'), temperature: 0 }), key);
+
+  assert.strictEqual(await cache.get(key), null);
+  await cache.set(key, params('One'), { text: 'First', usage: null });
+  assert.strictEqual((await cache.get(key)).text, 'First');
+  assert.deepStrictEqual({ ...cache.stats }, { hits: 1, misses: 1, writes: 1, evictions: 0 });
+
+  // Past maxEntries the least recently used entry goes
+  const two = cache.key(params('Two'));
+  const three = cache.key(params('Three'));
+  await cache.set(two, params('Two'), { text: 'Second' });
+  await used(cache, key, 20);
+  await used(cache, two, 30);
+  await cache.get(two); // Now the most recently used
+  await used(cache, key, 20);
+  await cache.set(three, params('Three'), { text: 'Third' });
+  assert.strictEqual(await cache.get(key), null);
+  assert.strictEqual((await cache.get(two)).text, 'Second');
+  assert.strictEqual(cache.stats.evictions, 1);
+
+  // maxBytes trims the same way
+  cache.maxEntries = 0;
+  cache.maxBytes = (await cache.status()).bytes - 1;
+  await used(cache, three, 10);
+  await cache.prune();
+  assert.deepStrictEqual((await cache.list()).map(entry => entry.key), [two]);
+
+  // Expired entries are misses, and are removed when looked up or purged
+  cache.ttl = 60000;
+  const entry = await cache.entry(two);
+  await fs.writeFile(path.join(directory, `${two}.json`), JSON.stringify({ ...entry, createdAt: new Date(Date.now() - 120000).toISOString() }));
+  await cache.set(three, params('Three'), { text: 'Third' });
+  assert.strictEqual((await cache.list()).find(item => item.key === two).expired, true);
+  assert.strictEqual(await cache.purge({ expired: true }), 1);
+  assert.strictEqual(await cache.get(two), null);
+  assert.strictEqual((await cache.get(three)).text, 'Third');
+
+  // Keys that are not hashes never name a file
+  assert.strictEqual(await cache.get('../config'), null);
+  assert.strictEqual(await cache.delete('../config'), false);
+
+  // A disabled cache stores and finds nothing
+  const disabled = new ResponseCache({ directory, enabled: false });
+  assert.strictEqual(await disabled.set(key, params('One'), { text: 'First' }), null);
+  assert.strictEqual(await disabled.get(three), null);
+}
+
+fs.mkdtemp(path.join(os.tmpdir(), 'response-cache-'))
+  .then(directory => run(directory).finally(() => fs.rm(directory, { recursive: true, force: true })))
+  .then(() => {
+    console.log('responseCache: expiry and eviction ok');
+  });
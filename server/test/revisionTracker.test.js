@@ -0,0 +1,59 @@
+// server/test/revisionTracker.test.js - Revision colors and element diffs
+//
+// Run with `npm test`; exits non-zero on the first failing check.
+const assert = require('assert');
+const RevisionTracker = require('../services/revisionTracker');
+
+const tracker = new RevisionTracker();
+
+assert.deepStrictEqual([0, 1, 8, 9, 10, 27, 36].map(index => tracker.colorFor(index)), [
+  'White', 'Blue', 'Cherry', 'Double White', 'Double Blue', 'Quadruple White', '5x White'
+]);
+assert.strictEqual(tracker.isColor('double pink'), true);
+assert.strictEqual(tracker.isColor('Mauve'), false);
+
+// Elements are matched in order: an element of the same type replaced in
+// place is a change, the rest are additions and removals. Notes never
+// print, so they are not revisions.
+const before = {
+  elements: [
+    { type: 'scene_heading', text: 'INT. KITCHEN - DAY' },
+    { type: 'action', text: 'Anna cooks.' },
+    { type: 'note', text: 'Tighten this' },
+    { type: 'character', text: 'ANNA' },
+    { type: 'dialogue', text: 'Hello.' },
+    { type: 'action', text: 'She leaves.' },
+    { type: 'scene_heading', text: 'EXT. ROOF - NIGHT' }
+  ]
+};
+const after = {
+  elements: [
+    { type: 'scene_heading', text: 'INT. KITCHEN - DAY' },
+    { type: 'action', text: 'Anna bakes.' },
+    { type: 'character', text: 'ANNA' },
+    { type: 'dialogue', text: 'Hello.' },
+    { type: 'character', text: 'BEN' },
+    { type: 'dialogue', text: 'Hi.' },
+    { type: 'scene_heading', text: 'EXT. ROOF - NIGHT' }
+  ]
+};
+
+const { changes, summary } = tracker.diff(before, after);
+assert.deepStrictEqual(summary, { added: 2, removed: 1, changed: 1 });
+assert.deepStrictEqual(changes.map(change => [change.type, change.index, change.previousIndex, change.before, change.after]), [
+  ['changed', 1, 1, 'Anna cooks.', 'Anna bakes.'],
+  ['added', 4, null, null, 'BEN'],
+  ['added', 5, null, null, 'Hi.'],
+  ['removed', 6, 5, 'She leaves.', null]
+]);
+assert.deepStrictEqual(tracker.diff(before, before).changes, []);
+
+// Changed and added elements are marked revised; the element after a cut
+// carries the deletion mark
+const marked = tracker.markChanges(after, changes).elements;
+assert.deepStrictEqual(marked.map(element => [Boolean(element.revised), Boolean(element.deletionMark)]), [
+  [false, false], [true, false], [false, false], [false, false], [true, false], [true, false], [false, true]
+]);
+assert.ok(!after.elements[1].revised);
+
+console.log('revisionTracker: colors and diffs ok');
@@ -0,0 +1,69 @@
+// server/test/screenplayLinter.test.js - Format checks and their fixes
+//
+// Run with `npm test`; exits non-zero on the first failing check.
+const assert = require('assert');
+const ScreenplayFormatter = require('../services/screenplayFormatter');
+
+const formatter = new ScreenplayFormatter();
+const script = [
+  'int kitchen - nite',
+  '',
+  'Anna cooks. We see the smoke.',
+  '',
+  'ANNA',
+  '(quietly',
+  'Bye.',
+  ''
+].join('\n');
+
+// Findings carry a rule ID, severity and 1-based position
+const result = formatter.validateFormat(script);
+assert.strictEqual(result.valid, false);
+assert.deepStrictEqual(result.summary, { error: 2, warning: 2, info: 0 });
+assert.deepStrictEqual(result.issues.map(issue => [issue.ruleId, issue.line, issue.column]), [
+  ['scene-heading-malformed', 1, 1],
+  ['scene-heading-time', 1, 15],
+  ['camera-direction-in-action', 3, 13],
+  ['parenthetical-unbalanced', 6, 1]
+]);
+
+// Rules can be turned off or given another severity
+const configured = formatter.validateFormat(script, {
+  rules: { 'camera-direction-in-action': 'off', 'parenthetical-unbalanced': 'warning' }
+});
+assert.strictEqual(configured.valid, false);
+assert.deepStrictEqual(configured.issues.map(issue => [issue.ruleId, issue.severity]), [
+  ['scene-heading-malformed', 'error'],
+  ['scene-heading-time', 'warning'],
+  ['parenthetical-unbalanced', 'warning']
+]);
+
+const rules = formatter.linter.listRules();
+assert.ok(rules.every(rule => rule.id && ['error', 'warning', 'info'].includes(rule.severity)));
+assert.strictEqual(rules.find(rule => rule.id === 'camera-direction-in-action').fixable, false);
+
+// Fixing the given findings touches only the lines they report, and a
+// fix sees the edits made before it on the same line
+const once = formatter.fixFormatIssues(script, result.issues);
+assert.deepStrictEqual(once.screenplay.split('\n').slice(0, 6), [
+  'INT. KITCHEN - NIGHT', '', 'Anna cooks. We see the smoke.', '', 'ANNA', '(quietly)'
+]);
+assert.deepStrictEqual(once.fixes.map(fix => fix.ruleId).sort(), ['parenthetical-unbalanced', 'scene-heading-malformed', 'scene-heading-time']);
+assert.deepStrictEqual(once.unfixed.map(issue => issue.ruleId), ['camera-direction-in-action']);
+
+// Fixes that change the line count are applied bottom up, so the line
+// numbers of the findings above them still hold
+const speeches = 'INT. HALL - DAY\n\nBEN\nHello.\n\nBEN\n(softly\nAgain.\n\nBEN\nMore.\n';
+const merged = formatter.fixFormatIssues(speeches, formatter.validateFormat(speeches).issues);
+assert.strictEqual(merged.screenplay, 'INT. HALL - DAY\n\nBEN\nHello.\n(softly)\nAgain.\nMore.\n');
+assert.deepStrictEqual(merged.unfixed, []);
+
+// Without findings, fixes are applied until nothing more can be fixed
+const fixed = formatter.fixFormatIssues(script);
+assert.strictEqual(fixed.screenplay, script
+  .replace('int kitchen - nite', 'INT. KITCHEN - NIGHT')
+  .replace('(quietly', '(quietly)'));
+assert.deepStrictEqual(fixed.unfixed.map(issue => issue.ruleId), ['camera-direction-in-action']);
+assert.deepStrictEqual(formatter.validateFormat(fixed.screenplay).issues.map(issue => issue.ruleId), ['camera-direction-in-action']);
+
+console.log('screenplayLinter: checks and fixes ok');
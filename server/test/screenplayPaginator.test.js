@@ -0,0 +1,52 @@
+// server/test/screenplayPaginator.test.js - Page breaks, speeches split across pages, eighths
+//
+// Run with `npm test`; exits non-zero on the first failing check.
+const assert = require('assert');
+const ScreenplayPaginator = require('../services/screenplayPaginator');
+
+const paginator = new ScreenplayPaginator();
+const lineText = line => (line ? line.segments.map(segment => segment.text).join('') : '');
+
+// A scene of twenty beats, a speech too long for the rest of the page, and
+// a short second scene
+const elements = [{ type: 'scene_heading', text: 'INT. KITCHEN - DAY' }];
+for (let i = 0; i < 20; i++) {
+  elements.push({ type: 'action', text: `Beat ${i}.` });
+}
+elements.push({ type: 'character', text: 'ANNA' });
+for (let i = 0; i < 30; i++) {
+  elements.push({ type: 'dialogue', text: `Line ${i} of a long speech that runs on.` });
+}
+elements.push({ type: 'scene_heading', text: 'EXT. ROOF - NIGHT' }, { type: 'action', text: 'Wind.' });
+const document = { elements };
+
+const { pages, scenes } = paginator.paginate(document);
+assert.deepStrictEqual(pages.map(page => page.number), ['1', '2', '3']);
+assert.ok(pages.every(page => page.lines.length <= paginator.layout.linesPerPage));
+
+// The speech breaks with (MORE) and picks up under the name with (CONT'D)
+assert.strictEqual(lineText(pages[0].lines[pages[0].lines.length - 1]), '(MORE)');
+assert.strictEqual(lineText(pages[1].lines[0]), "ANNA (CONT'D)");
+
+// Each page records what it starts with, for locking
+assert.deepStrictEqual(pages[0].anchor, { scene: '1', key: 'INT. KITCHEN - DAY', offset: 0 });
+assert.deepStrictEqual(pages[2].anchor, { scene: '2', key: 'EXT. ROOF - NIGHT', offset: 0 });
+
+assert.deepStrictEqual(scenes.map(scene => [scene.number, scene.startPage, scene.endPage]), [['1', '1', '2'], ['2', '3', '3']]);
+
+// Lengths in eighths: a part page counts for as much of it as is used,
+// and no scene is shorter than an eighth
+const measured = paginator.measure(document);
+assert.strictEqual(measured.pageCount, 3);
+assert.strictEqual(measured.length, '2 1/8');
+assert.deepStrictEqual(measured.scenes.map(scene => scene.length), ['2', '1/8']);
+
+assert.strictEqual(paginator.formatEighths(4), '4/8');
+assert.strictEqual(paginator.formatEighths(11), '1 3/8');
+assert.strictEqual(paginator.formatEighths(16), '2');
+assert.strictEqual(paginator.formatEighths(0), '0');
+
+// Words longer than a line are broken rather than overflowing
+assert.ok(paginator.wrap('x'.repeat(70), 60).every(line => line.length <= 60));
+
+console.log('screenplayPaginator: pages and lengths ok');
@@ -0,0 +1,94 @@
+// server/test/shootingScheduler.test.js - Shoot days, cast availability, pinned strips
+//
+// Run with `npm test`; exits non-zero on the first failing check.
+const assert = require('assert');
+const ShootingScheduler = require('../services/shootingScheduler');
+
+const scheduler = new ShootingScheduler();
+
+// A breakdown as SceneBreakdown writes it, cut down to what schedules use
+const scene = (index, location, daylight, eighths, cast) => ({
+  index,
+  number: String(index + 1),
+  heading: `INT. ${location} - ${daylight.toUpperCase()}`,
+  setting: 'INT',
+  location,
+  subLocation: null,
+  time: daylight.toUpperCase(),
+  daylight,
+  eighths,
+  pages: scheduler.paginator.formatEighths(eighths),
+  elements: { cast }
+});
+const breakdown = {
+  screenplayAssetId: 'asset_screenplay',
+  screenplayVersion: 3,
+  title: 'Test Movie',
+  scenes: [
+    scene(0, 'KITCHEN', 'day', 12, ['ANNA']),
+    scene(1, 'ROOF', 'night', 8, ['BEN']),
+    scene(2, 'KITCHEN', 'night', 12, ['ANNA', 'BEN']),
+    scene(3, 'HALL', 'day', 8, ['CLARA']),
+    scene(4, 'ROOF', 'day', 16, ['ANNA'])
+  ]
+};
+
+// Settings are checked before they are used
+assert.deepStrictEqual(scheduler.check({
+  pagesPerDay: -1,
+  maxLocations: 1.5,
+  startDate: 'tomorrow',
+  availability: { ANNA: [{ from: '2026-01-01' }] }
+}).errors, [
+  'pagesPerDay must be a positive number',
+  'maxLocations must be a positive whole number',
+  'startDate must be a date (YYYY-MM-DD)',
+  'availability.ANNA[0].from is a date, which needs a startDate'
+]);
+
+// Clara is only free from the third shoot day, a Monday
+const { settings, errors } = scheduler.check({ startDate: '2026-10-23', availability: { CLARA: [{ from: 3 }] } });
+assert.deepStrictEqual(errors, []);
+
+// Days fill to the page target, staying at a location while it has scenes
+// and shooting day scenes before night scenes; weekends are skipped
+const schedule = scheduler.create(breakdown, settings, { breakdownAssetId: 'asset_breakdown' });
+assert.strictEqual(schedule.breakdownAssetId, 'asset_breakdown');
+assert.deepStrictEqual(schedule.days.map(day => [day.day, day.date, day.strips, day.pages, day.moves]), [
+  [1, '2026-10-23', ['strip_0', 'strip_2', 'strip_1'], '4', 1],
+  [2, '2026-10-26', ['strip_4'], '2', 0],
+  [3, '2026-10-27', ['strip_3'], '1', 0]
+]);
+assert.deepStrictEqual(schedule.unscheduled, []);
+assert.deepStrictEqual(schedule.warnings, ['Day 1 wraps at night and day 2 starts with day scenes: check the turnaround']);
+assert.strictEqual(schedule.strips.find(strip => strip.id === 'strip_3').day, 3);
+
+// Dragging a strip pins it; the rest reflow around it, with a warning
+// when its cast are not available that day
+const moved = scheduler.move(schedule, 'strip_3', { day: 1, position: 0 });
+assert.deepStrictEqual(moved.errors, []);
+assert.deepStrictEqual(moved.schedule.days.map(day => day.strips), [
+  ['strip_3', 'strip_0', 'strip_2'],
+  ['strip_4', 'strip_1']
+]);
+assert.deepStrictEqual(moved.schedule.strips.find(strip => strip.id === 'strip_3'), {
+  ...schedule.strips.find(strip => strip.id === 'strip_3'),
+  day: 1,
+  pinned: true
+});
+assert.ok(moved.schedule.warnings.includes('Scene 4 is pinned to day 1, when some of its cast are not available'));
+
+// Unpinning lets the scheduler place it again
+const unpinned = scheduler.move(moved.schedule, 'strip_3', { pinned: false });
+assert.deepStrictEqual(unpinned.schedule.days.map(day => day.strips), schedule.days.map(day => day.strips));
+
+assert.deepStrictEqual(scheduler.move(schedule, 'strip_3', { day: 0 }).errors, ['day must be a shoot day, from 1 to 8']);
+assert.deepStrictEqual(scheduler.move(schedule, 'strip_9', { day: 1 }), { schedule: null, errors: [] });
+
+// A scene whose cast are never free together cannot be scheduled
+const apart = scheduler.check({ availability: { ANNA: [{ to: 1 }], BEN: [{ from: 2 }] } });
+const stuck = scheduler.create(breakdown, apart.settings);
+assert.deepStrictEqual(stuck.unscheduled, ['strip_2']);
+assert.ok(stuck.warnings.includes('Scene 3 does not fit on any day its cast are all available'));
+
+console.log('shootingScheduler: days, availability and pins ok');
@@ -0,0 +1,52 @@
+// server/test/templateEngine.test.js - The prompt template language
+//
+// Run with `npm test`; exits non-zero on the first failing check.
+const assert = require('assert');
+const TemplateEngine = require('../services/templateEngine');
+
+const engine = new TemplateEngine();
+
+const template = engine.compile([
+  'Title: {{TITLE | upper}}',
+  '{{#each SCENES}}',
+  '{{@number}}. {{heading}}{{#if @last}}.{{else}};{{/if}}',
+  '{{/each}}',
+  'Cast: {{CAST}}',
+  '{{#unless NOTES}}No notes{{/unless}} {{> footer}} \\{{literal}}'
+].join('\n'), 'main');
+assert.deepStrictEqual(template.variables, ['TITLE', 'SCENES', 'CAST', 'NOTES']);
+assert.deepStrictEqual(template.partials, ['footer']);
+
+// Block tags on lines of their own take the line with them
+const partials = { footer: engine.compile('({{TITLE}})', 'footer') };
+const data = { TITLE: 'Test', SCENES: [{ heading: 'A' }, { heading: 'B' }], CAST: ['ANNA', 'BEN'], NOTES: '' };
+assert.strictEqual(engine.render(template, data, partials), 'Title: TEST\n1. A;\n2. B.\nCast: ANNA, BEN\nNo notes (Test) {{literal}}');
+
+// Filters, fields and JSON; values are never read as template syntax
+assert.strictEqual(
+  engine.render(engine.compile('{{V | default "None"}}|{{O.a}}|{{O | json}}|{{W}}'), { V: null, O: { a: 1 }, W: '{{V}}' }),
+  'None|1|{\n  "a": 1\n}|{{V}}'
+);
+
+// Every syntax problem is reported, with its line
+assert.throws(() => engine.compile('{{#if X}}\n{{name}}\n{{#each Y}}', 'bad'), error => {
+  assert.strictEqual(error.code, 'TEMPLATE_INVALID');
+  assert.deepStrictEqual(error.errors, [
+    'bad:2: Unknown name "name": variables are UPPER_CASE, lower-case names are fields inside {{#each}}',
+    'bad:1: {{#if}} is never closed',
+    'bad:3: {{#each}} is never closed'
+  ]);
+  return true;
+});
+
+// Variables must all be given, if only as null
+assert.throws(() => engine.render(template, { TITLE: 'Test' }, partials), error => {
+  assert.strictEqual(error.code, 'TEMPLATE_MISSING_VARIABLES');
+  assert.deepStrictEqual(error.missing, ['SCENES', 'CAST', 'NOTES']);
+  return true;
+});
+
+// Partials that include each other are stopped
+assert.throws(() => engine.render(engine.compile('{{> a}}'), {}, { a: engine.compile('{{> a}}', 'a') }), /nested too deeply/);
+
+console.log('templateEngine: compile and render ok');